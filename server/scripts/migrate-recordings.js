@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Recording Storage Migration
+ *
+ * Moves existing recordings from one storage backend to another and updates
+ * their rows. Each recording is copied, its row switched over, and only then is
+ * the source deleted, so an interrupted run can simply be restarted.
+ *
+ * Usage:
+ *   node scripts/migrate-recordings.js --to s3 [--from local] [--limit 100] [--dry-run] [--keep-source]
+ *
+ * The target backend must be configured (see S3_* in .env.example).
+ */
+
+import path from 'path';
+import { query, closePool } from '../src/db/pool.js';
+import { getStorageDriver, STORAGE_BACKENDS } from '../src/storage/index.js';
+import { AUDIO_FORMATS } from '../src/audio/encoders.js';
+
+function parseArgs(argv) {
+  const args = { from: 'local', to: null, limit: null, dryRun: false, keepSource: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--limit': args.limit = parseInt(argv[++i], 10); break;
+      case '--dry-run': args.dryRun = true; break;
+      case '--keep-source': args.keepSource = true; break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return args;
+}
+
+async function migrateRecordings() {
+  const { from, to, limit, dryRun, keepSource } = parseArgs(process.argv.slice(2));
+
+  if (!STORAGE_BACKENDS.includes(from) || !STORAGE_BACKENDS.includes(to) || from === to) {
+    console.error(`--from and --to must be different backends (${STORAGE_BACKENDS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const source = getStorageDriver(from);
+  const target = getStorageDriver(to);
+
+  const result = await query(
+    `SELECT id, storage_path, format FROM recordings
+     WHERE storage_backend = $1
+     ORDER BY created_at ASC
+     ${limit ? 'LIMIT $2' : ''}`,
+    limit ? [from, limit] : [from]
+  );
+
+  console.log(`Found ${result.rows.length} recording(s) on ${from}${dryRun ? ' (dry run)' : ''}`);
+
+  let moved = 0;
+  let failed = 0;
+
+  for (const recording of result.rows) {
+    const key = path.basename(recording.storage_path);
+
+    if (dryRun) {
+      console.log(`  would move ${recording.id}: ${recording.storage_path} → ${to}:${key}`);
+      continue;
+    }
+
+    try {
+      const contents = await source.get(recording.storage_path);
+      const storagePath = await target.put(key, contents, {
+        contentType: AUDIO_FORMATS[recording.format]?.contentType,
+      });
+
+      await query(
+        `UPDATE recordings SET storage_path = $1, storage_backend = $2
+         WHERE id = $3 AND storage_backend = $4`,
+        [storagePath, to, recording.id, from]
+      );
+
+      if (!keepSource) {
+        await source.delete(recording.storage_path);
+      }
+
+      moved++;
+      console.log(`  moved ${recording.id} (${contents.length} bytes) → ${storagePath}`);
+    } catch (error) {
+      failed++;
+      console.error(`  failed ${recording.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`\nDone: ${moved} moved, ${failed} failed`);
+  return failed;
+}
+
+migrateRecordings()
+  .then((failed) => closePool().then(() => process.exit(failed > 0 ? 1 : 0)))
+  .catch((error) => {
+    console.error('Migration error:', error.message);
+    closePool().finally(() => process.exit(1));
+  });
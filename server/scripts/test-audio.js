@@ -5,7 +5,19 @@
  * Run with: node scripts/test-audio.js
  */
 
-import { runTests, generateTestTone, mulawToOpenAI, openaiToMulaw, calculateRMS } from '../src/audio/converter.js';
+import {
+  runTests,
+  generateTestTone,
+  mulawToOpenAI,
+  openaiToMulaw,
+  calculateRMS,
+  encodeMulaw,
+  decodeMulaw,
+  benchmarkResamplers,
+  generateWhiteNoise,
+} from '../src/audio/converter.js';
+import { encodeAudio, decodeAudio } from '../src/audio/encoders.js';
+import { VoiceActivityDetector } from '../src/audio/vad.js';
 
 console.log('='.repeat(60));
 console.log('VoiceAI Pro - Audio Converter Test Suite');
@@ -45,8 +57,6 @@ console.log(`Generated 100ms 440Hz tone at 8kHz: ${tone8k.length} samples`);
 console.log(`  RMS level: ${calculateRMS(tone8k).toFixed(1)}`);
 
 // Simulate the Twilio → OpenAI → Twilio roundtrip
-import { encodeMulaw, decodeMulaw } from '../src/audio/converter.js';
-
 // Encode to μ-law (what Twilio sends)
 const mulaw = encodeMulaw(tone8k);
 const mulawBase64 = Buffer.from(mulaw).toString('base64');
@@ -74,6 +84,139 @@ const originalRMS = calculateRMS(tone8k);
 const preservation = (finalRMS / originalRMS * 100).toFixed(1);
 console.log(`\nSignal preservation: ${preservation}%`);
 
+// Recording formats: sizes and FLAC losslessness
+console.log();
+console.log('='.repeat(60));
+console.log('RECORDING FORMATS');
+console.log('='.repeat(60));
+console.log();
+
+const recordingTone = generateTestTone(440, 1000, 24000);
+const recording = { samples: recordingTone, sampleRate: 24000, channels: 1 };
+
+for (const format of ['wav', 'mulaw', 'flac']) {
+  const encoded = await encodeAudio(recording, format);
+  const decoded = await decodeAudio(encoded, format);
+  console.log(`${format.padEnd(6)} ${String(encoded.length).padStart(6)} bytes, ${decoded.sampleRate}Hz, ${decoded.samples.length} samples`);
+
+  if (format === 'flac' && !decoded.samples.every((sample, i) => sample === recordingTone[i])) {
+    results.failed++;
+    console.log('  ✗ FLAC roundtrip is not lossless');
+  }
+}
+
+// Voice activity detection on synthetic caller audio in 20ms frames
+console.log();
+console.log('='.repeat(60));
+console.log('VOICE ACTIVITY DETECTION');
+console.log('='.repeat(60));
+console.log();
+
+const VAD_FRAME_MS = 20;
+
+// A 20ms frame at roughly the given level (dBFS RMS): a tone for speech, noise for background
+function vadFrame(levelDb, kind = 'tone') {
+  const amplitude = 10 ** (levelDb / 20) * Math.SQRT2;
+  return kind === 'tone'
+    ? generateTestTone(300, VAD_FRAME_MS, 24000, amplitude)
+    : generateWhiteNoise(VAD_FRAME_MS, 24000, amplitude * 1.7);
+}
+
+// Feed frames to a detector, collecting [elapsedMs, event] transitions
+function createVadRun() {
+  const vad = new VoiceActivityDetector();
+  const run = { vad, now: 0, events: [] };
+  run.feed = (ms, levelDb, kind) => {
+    for (let elapsed = 0; elapsed < ms; elapsed += VAD_FRAME_MS) {
+      run.now += VAD_FRAME_MS;
+      const event = vad.process(vadFrame(levelDb, kind), run.now);
+      if (event) {
+        run.events.push([run.now, event]);
+      }
+    }
+  };
+  return run;
+}
+
+const vadTests = [
+  ['background noise is not speech', () => {
+    const run = createVadRun();
+    run.feed(2000, -60, 'noise');
+    return run.events.length === 0 && !run.vad.isSpeaking;
+  }],
+  ['speech_start fires after minSpeechMs of speech', () => {
+    const run = createVadRun();
+    run.feed(1000, -60, 'noise');
+    run.feed(400, -25);
+    return run.events.length === 1 && run.events[0][1] === 'speech_start' && run.events[0][0] === 1200;
+  }],
+  ['a short blip does not start speech', () => {
+    const run = createVadRun();
+    run.feed(1000, -60, 'noise');
+    run.feed(100, -25);
+    run.feed(200, -60, 'noise');
+    run.feed(100, -25);
+    return run.events.length === 0;
+  }],
+  ['a pause shorter than silenceMs does not end speech', () => {
+    const run = createVadRun();
+    run.feed(1000, -60, 'noise');
+    run.feed(400, -25);
+    run.feed(400, -60, 'noise');
+    run.feed(400, -25);
+    return run.events.length === 1 && run.vad.isSpeaking;
+  }],
+  ['speech_end fires after silenceMs of silence', () => {
+    const run = createVadRun();
+    run.feed(1000, -60, 'noise');
+    run.feed(400, -25);
+    run.feed(1000, -60, 'noise');
+    return run.events.length === 2 && run.events[1][1] === 'speech_end' && run.events[1][0] === 1400 + 700;
+  }],
+  ['the AI echoed back while playing is not speech', () => {
+    const run = createVadRun();
+    run.feed(1000, -60, 'noise');
+    run.vad.notePlayback(vadFrame(-20), run.now, 2000);
+    run.feed(1000, -38);
+    return run.events.length === 0;
+  }],
+  ['the caller talking over the AI is speech', () => {
+    const run = createVadRun();
+    run.feed(1000, -60, 'noise');
+    run.vad.notePlayback(vadFrame(-20), run.now, 2000);
+    run.feed(400, -25);
+    return run.events.length === 1 && run.events[0][1] === 'speech_start';
+  }],
+  ['echo-level speech counts once playback is cleared', () => {
+    const run = createVadRun();
+    run.feed(1000, -60, 'noise');
+    run.vad.notePlayback(vadFrame(-20), run.now, 2000);
+    run.vad.clearPlayback();
+    run.feed(400, -38);
+    return run.events.length === 1 && run.events[0][1] === 'speech_start';
+  }],
+];
+
+for (const [name, check] of vadTests) {
+  if (check()) {
+    console.log(`  ✓ ${name}`);
+  } else {
+    results.failed++;
+    console.log(`  ✗ ${name}`);
+  }
+}
+
+// Resampler throughput: 10s of audio in 20ms chunks per quality and direction
+console.log();
+console.log('='.repeat(60));
+console.log('RESAMPLER BENCHMARK');
+console.log('='.repeat(60));
+console.log();
+
+for (const run of benchmarkResamplers(10000)) {
+  console.log(`${run.quality.padEnd(6)} ${run.direction.padEnd(8)} ${String(run.ms).padStart(8)} ms  (${run.realtimeFactor}x real time)`);
+}
+
 console.log();
 console.log('='.repeat(60));
 if (results.failed === 0) {
@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+/**
+ * Twilio Media Streams Simulator
+ *
+ * Plays the Twilio side of a call against /media-stream, so the bridge can be
+ * exercised without a phone: connected and start, then 20ms μ-law media
+ * frames at real-time pace, and stop to hang up.
+ *
+ * It also plays back what the bridge sends the way Twilio does: outbound
+ * media is queued and "played" in real time, a mark is echoed once the audio
+ * before it has played, and a clear drops the queue and echoes every
+ * outstanding mark at once. Everything is captured with timestamps for
+ * assertions (see test/twilioMediaStream.test.js).
+ *
+ * As a library:
+ *
+ *   const sim = new TwilioSimulator({ url: 'ws://localhost:3000/media-stream' });
+ *   await sim.connect();
+ *   await sim.sendWav('caller.wav');
+ *   await sim.waitForPlaybackIdle();
+ *   await sim.hangUp();
+ *
+ * From the command line (writes what the caller heard to --out):
+ *
+ *   node scripts/twilio-simulator.js --wav caller.wav [--url ws://localhost:3000/media-stream]
+ *     [--out heard.wav] [--listen 5000] [--param name=value ...] [--sign]
+ *
+ * --sign signs the parameters with TWILIO_AUTH_TOKEN, for servers that
+ * validate stream signatures. Run it from server/ so the server's .env is
+ * loaded (the audio helpers read the config).
+ */
+
+import fs from 'node:fs';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { encodeMulaw, decodeMulaw, createResampler, resample } from '../src/audio/converter.js';
+import { parseWav, encodeWav } from '../src/audio/encoders.js';
+
+const SAMPLE_RATE = 8000;
+const FRAME_MS = 20;
+const FRAME_BYTES = (SAMPLE_RATE / 1000) * FRAME_MS;
+const MULAW_SILENCE = 0xFF;
+
+let simulatorSequence = 0;
+
+function randomSid(prefix) {
+  const hex = Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+  return `${prefix}${hex}`;
+}
+
+/**
+ * Read a WAV file (PCM16 or μ-law, any common rate) as 8kHz μ-law
+ *
+ * @param {string|Buffer} input - File path or contents
+ * @returns {Buffer} μ-law bytes at 8kHz, mono
+ */
+export function wavToMulaw(input) {
+  const buffer = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+  const { samples, sampleRate, channels } = parseWav(buffer);
+
+  // Mix down to mono
+  let mono = samples;
+  if (channels > 1) {
+    mono = new Int16Array(Math.floor(samples.length / channels));
+    for (let i = 0; i < mono.length; i++) {
+      let sum = 0;
+      for (let c = 0; c < channels; c++) {
+        sum += samples[i * channels + c];
+      }
+      mono[i] = Math.round(sum / channels);
+    }
+  }
+
+  let pcm8k;
+  if (sampleRate === SAMPLE_RATE) {
+    pcm8k = mono;
+  } else if (sampleRate === 24000) {
+    const resampler = createResampler(24000, SAMPLE_RATE);
+    const head = resampler.process(mono);
+    const tail = resampler.flush();
+    pcm8k = new Int16Array(head.length + tail.length);
+    pcm8k.set(head);
+    pcm8k.set(tail, head.length);
+  } else {
+    pcm8k = resample(mono, sampleRate, SAMPLE_RATE);
+  }
+
+  return Buffer.from(encodeMulaw(pcm8k));
+}
+
+export class TwilioSimulator {
+  /**
+   * @param {Object} [options] - Call settings
+   * @param {string} [options.url='ws://localhost:3000/media-stream'] - Bridge media stream URL
+   * @param {string} [options.callSid] - Call SID (random CA… by default)
+   * @param {string} [options.streamSid] - Stream SID (random MZ… by default)
+   * @param {string} [options.accountSid] - Account SID (random AC… by default)
+   * @param {Object<string, string>} [options.customParameters] - <Parameter> values for the start message
+   * @param {boolean} [options.realtime=true] - Pace media at 20ms per frame; false sends as fast as possible
+   */
+  constructor(options = {}) {
+    this.url = options.url || 'ws://localhost:3000/media-stream';
+    this.callSid = options.callSid || randomSid('CA');
+    this.streamSid = options.streamSid || randomSid('MZ');
+    this.accountSid = options.accountSid || randomSid('AC');
+    this.customParameters = options.customParameters || {};
+    this.realtime = options.realtime ?? true;
+
+    this.id = ++simulatorSequence;
+    this.ws = null;
+    this.sequenceNumber = 0;
+    this.chunk = 0;
+    this.startedAt = null;
+    this.mediaTimestamp = 0;
+
+    // What the bridge sent: [{payload: Buffer, receivedAt, playsAt, durationMs}]
+    this.outbound = [];
+    // [{name, receivedAt, echoedAt, cleared}]
+    this.marks = [];
+    // [{receivedAt, droppedMs}]
+    this.clears = [];
+    // Anything else the bridge sent
+    this.otherMessages = [];
+
+    this.closed = null;
+
+    // Playback emulation: when queued audio finishes playing, and marks waiting on it
+    this.playbackEndsAt = 0;
+    this.pendingMarks = [];
+
+    this.waiters = new Set();
+  }
+
+  /**
+   * Open the stream: connect, then send connected and start
+   *
+   * @returns {Promise<void>} Resolves once start has been sent
+   */
+  async connect() {
+    this.ws = new WebSocket(this.url);
+
+    this.ws.on('message', (data) => this.handleMessage(data));
+    this.ws.on('close', (code, reason) => {
+      this.closed = { code, reason: reason.toString(), at: Date.now() };
+      this.pendingMarks.forEach((mark) => clearTimeout(mark.timer));
+      this.notify();
+    });
+
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+
+    this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    this.send({
+      event: 'start',
+      start: {
+        accountSid: this.accountSid,
+        streamSid: this.streamSid,
+        callSid: this.callSid,
+        tracks: ['inbound'],
+        customParameters: this.customParameters,
+        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: SAMPLE_RATE, channels: 1 },
+      },
+    });
+    this.startedAt = Date.now();
+  }
+
+  send(message) {
+    if (this.ws?.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    this.ws.send(JSON.stringify({
+      ...message,
+      sequenceNumber: String(++this.sequenceNumber),
+      streamSid: message.event === 'connected' ? undefined : this.streamSid,
+    }));
+    return true;
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      this.otherMessages.push({ raw: data.toString(), receivedAt: Date.now() });
+      return;
+    }
+
+    const now = Date.now();
+
+    switch (message.event) {
+      case 'media': {
+        const payload = Buffer.from(message.media?.payload || '', 'base64');
+        const durationMs = payload.length / (SAMPLE_RATE / 1000);
+        const playsAt = Math.max(now, this.playbackEndsAt);
+        this.playbackEndsAt = playsAt + durationMs;
+        this.outbound.push({ payload, receivedAt: now, playsAt, durationMs, cleared: false });
+        break;
+      }
+
+      case 'mark': {
+        const mark = { name: message.mark?.name, receivedAt: now, echoedAt: null, cleared: false };
+        this.marks.push(mark);
+        mark.timer = setTimeout(() => this.echoMark(mark), Math.max(this.playbackEndsAt - now, 0));
+        this.pendingMarks.push(mark);
+        break;
+      }
+
+      case 'clear': {
+        // Audio not yet played is dropped
+        let droppedMs = 0;
+        for (const chunk of this.outbound) {
+          const end = chunk.playsAt + chunk.durationMs;
+          if (!chunk.cleared && end > now) {
+            droppedMs += end - Math.max(chunk.playsAt, now);
+            chunk.cleared = true;
+            chunk.playedMs = Math.max(now - chunk.playsAt, 0);
+          }
+        }
+        this.clears.push({ receivedAt: now, droppedMs: Math.round(droppedMs) });
+        this.playbackEndsAt = now;
+
+        // Twilio answers every outstanding mark when its buffer is cleared
+        for (const mark of [...this.pendingMarks]) {
+          clearTimeout(mark.timer);
+          mark.cleared = true;
+          this.echoMark(mark);
+        }
+        break;
+      }
+
+      default:
+        this.otherMessages.push({ message, receivedAt: now });
+    }
+
+    this.notify();
+  }
+
+  echoMark(mark) {
+    this.pendingMarks = this.pendingMarks.filter((pending) => pending !== mark);
+    mark.echoedAt = Date.now();
+    this.send({ event: 'mark', mark: { name: mark.name } });
+    this.notify();
+  }
+
+  /**
+   * Send caller audio as 20ms media frames
+   *
+   * @param {Buffer|Uint8Array} mulaw - 8kHz μ-law bytes (a partial last frame is padded with silence)
+   * @returns {Promise<void>} Resolves when the last frame has been sent
+   */
+  async sendAudio(mulaw) {
+    const pace = Date.now();
+
+    for (let offset = 0, frame = 0; offset < mulaw.length; offset += FRAME_BYTES, frame++) {
+      const payload = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+      Buffer.from(mulaw.subarray(offset, offset + FRAME_BYTES)).copy(payload);
+
+      if (this.realtime) {
+        const due = pace + frame * FRAME_MS - Date.now();
+        if (due > 0) {
+          await sleep(due);
+        }
+      }
+
+      if (!this.send({
+        event: 'media',
+        media: {
+          track: 'inbound',
+          chunk: String(++this.chunk),
+          timestamp: String(this.mediaTimestamp),
+          payload: payload.toString('base64'),
+        },
+      })) {
+        return;
+      }
+      this.mediaTimestamp += FRAME_MS;
+    }
+  }
+
+  /**
+   * Send PCM16 caller audio at 8kHz
+   *
+   * @param {Int16Array} samples - 8kHz samples
+   * @returns {Promise<void>} Resolves when the last frame has been sent
+   */
+  sendSamples(samples) {
+    return this.sendAudio(Buffer.from(encodeMulaw(samples)));
+  }
+
+  /**
+   * Send a WAV file as caller audio
+   *
+   * @param {string|Buffer} wav - File path or contents
+   * @returns {Promise<void>} Resolves when the last frame has been sent
+   */
+  sendWav(wav) {
+    return this.sendAudio(wavToMulaw(wav));
+  }
+
+  /**
+   * Send silence (the line is open but the caller is quiet)
+   *
+   * @param {number} durationMs - How long
+   * @returns {Promise<void>} Resolves when the last frame has been sent
+   */
+  sendSilence(durationMs) {
+    return this.sendAudio(Buffer.alloc(Math.round(durationMs / FRAME_MS) * FRAME_BYTES, MULAW_SILENCE));
+  }
+
+  /**
+   * Hang up: send stop and close the socket
+   *
+   * @returns {Promise<void>} Resolves once the socket is closed
+   */
+  async hangUp() {
+    if (!this.closed) {
+      this.send({ event: 'stop', stop: { accountSid: this.accountSid, callSid: this.callSid } });
+      this.ws.close(1000);
+    }
+    await this.waitFor(() => this.closed, { timeoutMs: 5000, description: 'socket to close' });
+  }
+
+  notify() {
+    for (const waiter of [...this.waiters]) {
+      waiter();
+    }
+  }
+
+  /**
+   * Wait until a condition holds (checked whenever the bridge sends something)
+   *
+   * @param {Function} condition - Returns a truthy value when done
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeoutMs=5000] - Give up after this long
+   * @param {string} [options.description] - For the timeout error
+   * @returns {Promise<*>} The condition's value
+   */
+  waitFor(condition, { timeoutMs = 5000, description = 'condition' } = {}) {
+    const initial = condition();
+    if (initial) {
+      return Promise.resolve(initial);
+    }
+
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const value = condition();
+        if (value) {
+          done();
+          resolve(value);
+        }
+      };
+      const timer = setTimeout(() => {
+        done();
+        reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${description}`));
+      }, timeoutMs);
+      const poll = setInterval(check, 50);
+      const done = () => {
+        clearTimeout(timer);
+        clearInterval(poll);
+        this.waiters.delete(check);
+      };
+      this.waiters.add(check);
+    });
+  }
+
+  /**
+   * Wait for the bridge to send audio
+   *
+   * @param {Object} [options] - See waitFor
+   * @param {number} [options.since] - Only count audio received at or after this time (default: the whole call)
+   * @returns {Promise<Object>} First outbound chunk received since then
+   */
+  waitForAudio({ since = 0, ...options } = {}) {
+    return this.waitFor(
+      () => this.outbound.find((chunk) => chunk.receivedAt >= since),
+      { description: 'outbound audio', ...options }
+    );
+  }
+
+  /**
+   * Wait for the bridge to clear playback
+   *
+   * @param {Object} [options] - See waitFor
+   * @returns {Promise<Object>} The clear
+   */
+  waitForClear(options = {}) {
+    const count = this.clears.length;
+    return this.waitFor(() => this.clears[count], { description: 'clear', ...options });
+  }
+
+  /**
+   * Wait until everything sent so far has played and every mark is echoed
+   *
+   * @param {Object} [options] - See waitFor
+   * @returns {Promise<boolean>} True
+   */
+  waitForPlaybackIdle(options = {}) {
+    return this.waitFor(
+      () => this.outbound.length > 0 && this.pendingMarks.length === 0 && Date.now() >= this.playbackEndsAt,
+      { description: 'playback to finish', ...options }
+    );
+  }
+
+  /**
+   * Milliseconds of outbound audio received
+   *
+   * @returns {number} Duration
+   */
+  get outboundMs() {
+    return this.outbound.reduce((total, chunk) => total + chunk.durationMs, 0);
+  }
+
+  /**
+   * Milliseconds of outbound audio the caller heard (not cleared before playing)
+   *
+   * @returns {number} Duration
+   */
+  get playedMs() {
+    const now = Date.now();
+    return Math.round(this.outbound.reduce((total, chunk) => {
+      if (chunk.cleared) {
+        return total + chunk.playedMs;
+      }
+      return total + Math.min(Math.max(now - chunk.playsAt, 0), chunk.durationMs);
+    }, 0));
+  }
+
+  /**
+   * Everything the bridge sent, as 8kHz μ-law
+   *
+   * @returns {Buffer} μ-law bytes
+   */
+  outboundAudio() {
+    return Buffer.concat(this.outbound.map((chunk) => chunk.payload));
+  }
+}
+
+function parseArgs(argv) {
+  const args = { url: 'ws://localhost:3000/media-stream', listen: 5000, params: {}, sign: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => argv[++i];
+
+    if (arg === '--url') {
+      args.url = value();
+    } else if (arg === '--wav') {
+      args.wav = value();
+    } else if (arg === '--out') {
+      args.out = value();
+    } else if (arg === '--listen') {
+      args.listen = parseInt(value(), 10);
+    } else if (arg === '--param') {
+      const [name, ...rest] = value().split('=');
+      args.params[name] = rest.join('=');
+    } else if (arg === '--sign') {
+      args.sign = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!args.wav) {
+    throw new Error('--wav is required');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const callSid = randomSid('CA');
+  const customParameters = { callSid, ...args.params };
+
+  if (args.sign) {
+    const { signStreamParameters, STREAM_SIGNATURE_PARAMETER } = await import('../src/middleware/twilioSignature.js');
+    customParameters[STREAM_SIGNATURE_PARAMETER] = signStreamParameters(customParameters);
+  }
+
+  const sim = new TwilioSimulator({ url: args.url, callSid, customParameters });
+
+  console.log(`Calling ${args.url} as ${callSid}`);
+  await sim.connect();
+  await sim.sendWav(args.wav);
+  console.log(`Sent ${args.wav}; listening for ${args.listen}ms`);
+  await sleep(args.listen);
+  await sim.hangUp();
+
+  console.log(`Received ${Math.round(sim.outboundMs)}ms of audio, caller heard ${sim.playedMs}ms`);
+  console.log(`Marks: ${sim.marks.length} (${sim.marks.filter((mark) => mark.cleared).length} cleared), clears: ${sim.clears.length}`);
+  console.log(`Closed: ${sim.closed.code} ${sim.closed.reason}`);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, encodeWav({ samples: decodeMulaw(sim.outboundAudio()), sampleRate: SAMPLE_RATE, channels: 1 }));
+    console.log(`Wrote ${args.out}`);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+export default {
+  TwilioSimulator,
+  wavToMulaw,
+};
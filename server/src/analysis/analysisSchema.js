@@ -0,0 +1,182 @@
+/**
+ * Call Analysis Schema
+ *
+ * The shape every analyzer returns, and the per-prompt extraction fields.
+ *
+ * A prompt's analysis_schema is a flat JSON schema object:
+ *
+ *   {
+ *     "type": "object",
+ *     "properties": {
+ *       "appointment_date": { "type": "string", "format": "date", "description": "Day the caller booked" },
+ *       "callback_requested": { "type": "boolean", "examples": ["call me back", "ring me"] },
+ *       "department": { "type": "string", "enum": ["sales", "support", "billing"] }
+ *     }
+ *   }
+ *
+ * Every field is optional in the result: a value the call never mentioned
+ * comes back as null. examples are phrases that hint at the field for the
+ * rule-based analyzer; the OpenAI analyzer reads the description.
+ */
+
+export const SENTIMENT_LABELS = ['positive', 'neutral', 'negative'];
+
+// Scores between these are neutral
+const POSITIVE_THRESHOLD = 0.25;
+const NEGATIVE_THRESHOLD = -0.25;
+
+const FIELD_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'array'];
+const ITEM_TYPES = ['string', 'number', 'integer', 'boolean'];
+const FIELD_FORMATS = ['date', 'date-time', 'time', 'email'];
+const MAX_FIELDS = 25;
+
+const FORMAT_HINTS = {
+  date: 'ISO 8601 date (YYYY-MM-DD)',
+  'date-time': 'ISO 8601 date and time',
+  time: '24-hour time (HH:MM)',
+  email: 'email address',
+};
+
+/**
+ * Label a sentiment score
+ *
+ * @param {number} score - -1 (negative) to 1 (positive)
+ * @returns {string} 'positive', 'neutral' or 'negative'
+ */
+export function sentimentLabel(score) {
+  if (score >= POSITIVE_THRESHOLD) return 'positive';
+  if (score <= NEGATIVE_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Validate a prompt's extraction fields
+ *
+ * @param {Object|null} schema - analysis_schema (null for none)
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateAnalysisSchema(schema) {
+  if (schema === null) {
+    return { valid: true, errors: [] };
+  }
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return { valid: false, errors: ['analysis_schema must be a JSON schema object or null'] };
+  }
+
+  if (schema.type !== 'object') {
+    return { valid: false, errors: ['analysis_schema.type must be "object"'] };
+  }
+
+  const { properties } = schema;
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    return { valid: false, errors: ['analysis_schema.properties must be an object'] };
+  }
+
+  const errors = [];
+  const names = Object.keys(properties);
+
+  if (names.length > MAX_FIELDS) {
+    errors.push(`analysis_schema can have at most ${MAX_FIELDS} fields`);
+  }
+
+  for (const name of names) {
+    const field = properties[name];
+    const label = `analysis_schema.properties.${name}`;
+
+    if (!FIELD_NAME_PATTERN.test(name)) {
+      errors.push(`${label}: field names must be 1-64 letters, digits or underscores`);
+      continue;
+    }
+
+    if (!field || typeof field !== 'object' || Array.isArray(field)) {
+      errors.push(`${label} must be an object`);
+      continue;
+    }
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      errors.push(`${label}.type must be one of: ${FIELD_TYPES.join(', ')}`);
+      continue;
+    }
+
+    if (field.type === 'array' && !ITEM_TYPES.includes(field.items?.type)) {
+      errors.push(`${label}.items.type must be one of: ${ITEM_TYPES.join(', ')}`);
+    }
+
+    if (field.description !== undefined && typeof field.description !== 'string') {
+      errors.push(`${label}.description must be a string`);
+    }
+
+    if (field.enum !== undefined
+      && (!Array.isArray(field.enum) || field.enum.length === 0
+        || !field.enum.every((value) => ['string', 'number'].includes(typeof value)))) {
+      errors.push(`${label}.enum must be a non-empty array of strings or numbers`);
+    }
+
+    if (field.format !== undefined && (field.type !== 'string' || !FIELD_FORMATS.includes(field.format))) {
+      errors.push(`${label}.format must be one of ${FIELD_FORMATS.join(', ')} on a string field`);
+    }
+
+    if (field.examples !== undefined
+      && (!Array.isArray(field.examples) || !field.examples.every((example) => typeof example === 'string'))) {
+      errors.push(`${label}.examples must be an array of strings`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Convert extraction fields to a strict-mode JSON schema
+ * Strict mode wants every property required, so each one is made nullable;
+ * format becomes part of the description.
+ *
+ * @param {Object} schema - Valid analysis_schema
+ * @returns {Object} Strict JSON schema
+ */
+export function toStrictSchema(schema) {
+  const properties = {};
+
+  for (const [name, field] of Object.entries(schema.properties)) {
+    const description = [field.description, FORMAT_HINTS[field.format]].filter(Boolean).join('. ');
+    const strict = { type: [field.type, 'null'] };
+
+    if (description) {
+      strict.description = description;
+    }
+    if (field.enum) {
+      strict.enum = [...field.enum, null];
+    }
+    if (field.type === 'array') {
+      strict.items = { type: field.items.type };
+    }
+
+    properties[name] = strict;
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Field names of an extraction schema
+ *
+ * @param {Object|null} schema - analysis_schema
+ * @returns {string[]} Names (empty when there are no fields)
+ */
+export function getFieldNames(schema) {
+  return schema?.properties ? Object.keys(schema.properties) : [];
+}
+
+export default {
+  SENTIMENT_LABELS,
+  sentimentLabel,
+  validateAnalysisSchema,
+  toStrictSchema,
+  getFieldNames,
+};
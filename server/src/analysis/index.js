@@ -0,0 +1,51 @@
+/**
+ * Call Analyzers for VoiceAI Pro
+ *
+ * Turn a finished call's transcript into a summary, caller intent, sentiment
+ * and action items, plus the prompt's own extraction fields. Every analyzer
+ * implements:
+ *
+ *   analyze({ transcripts, schema, startedAt }) →
+ *     { summary, intent, sentimentScore, sentimentTrajectory, actionItems, extracted }
+ *
+ * sentimentScore and each trajectory point's score run from -1 to 1;
+ * extracted has a key for every schema field (null when the call didn't say).
+ */
+
+import config from '../config/environment.js';
+import { OpenAICallAnalyzer } from './openaiAnalyzer.js';
+import { RuleCallAnalyzer } from './ruleAnalyzer.js';
+
+export const ANALYZER_BACKENDS = ['openai', 'rules'];
+
+// Analyzers are created on first use
+const analyzers = new Map();
+
+function createAnalyzer(name) {
+  switch (name) {
+    case 'openai':
+      return new OpenAICallAnalyzer();
+    case 'rules':
+      return new RuleCallAnalyzer();
+    default:
+      throw new Error(`Unknown call analyzer: ${name}`);
+  }
+}
+
+/**
+ * Get a call analyzer
+ *
+ * @param {string} [name] - Backend name (defaults to CALL_ANALYSIS_BACKEND)
+ * @returns {OpenAICallAnalyzer|RuleCallAnalyzer} Analyzer
+ */
+export function getCallAnalyzer(name = config.analysis.backend) {
+  if (!analyzers.has(name)) {
+    analyzers.set(name, createAnalyzer(name));
+  }
+  return analyzers.get(name);
+}
+
+export default {
+  ANALYZER_BACKENDS,
+  getCallAnalyzer,
+};
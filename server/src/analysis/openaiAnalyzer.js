@@ -0,0 +1,110 @@
+/**
+ * OpenAI Call Analyzer
+ *
+ * One structured-output request to the text model (OPENAI_TEXT_MODEL) with
+ * the whole transcript. Caller turns are numbered in the input so the model
+ * can score sentiment per turn.
+ */
+
+import { extractStructured } from '../services/openaiService.js';
+import { toStrictSchema, getFieldNames } from './analysisSchema.js';
+
+const INSTRUCTIONS = `You review phone calls between a caller and an AI assistant.
+Caller lines are numbered [Caller N]; assistant lines are marked [Assistant].
+summary: two or three sentences in the third person covering why the caller called and how it ended.
+intent: the caller's main reason for calling in a few words, lower case, e.g. "book appointment".
+sentiment_score: the caller's overall sentiment from -1 (very negative) to 1 (very positive), 0 if neutral.
+turn_sentiment: one entry per caller line, with its number and a score on the same scale.
+action_items: follow-ups someone still has to do after the call, each one short imperative sentence; empty if none.
+extracted: values stated in the call; null for anything not said, never guess.`;
+
+function formatTranscript(transcripts) {
+  let turn = 0;
+  return transcripts.map((entry) => (entry.speaker === 'user'
+    ? `[Caller ${++turn}] ${entry.content}`
+    : `[Assistant] ${entry.content}`)).join('\n');
+}
+
+function clampScore(score) {
+  return Math.max(-1, Math.min(1, Number(score) || 0));
+}
+
+export class OpenAICallAnalyzer {
+  constructor() {
+    this.name = 'openai';
+  }
+
+  /**
+   * Analyze a finished call
+   *
+   * @param {Object} call - What to analyze
+   * @param {Object[]} call.transcripts - [{speaker, content, timestamp_ms}] in call order
+   * @param {Object|null} call.schema - The prompt's analysis_schema
+   * @param {Date} call.startedAt - When the call started (for relative dates)
+   * @returns {Promise<Object>} {summary, intent, sentimentScore, sentimentTrajectory, actionItems, extracted}
+   */
+  async analyze({ transcripts, schema, startedAt }) {
+    const fields = getFieldNames(schema);
+    const callerTurns = transcripts.filter((entry) => entry.speaker === 'user');
+
+    const properties = {
+      summary: { type: 'string' },
+      intent: { type: 'string' },
+      sentiment_score: { type: 'number' },
+      turn_sentiment: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { turn: { type: 'integer' }, score: { type: 'number' } },
+          required: ['turn', 'score'],
+          additionalProperties: false,
+        },
+      },
+      action_items: { type: 'array', items: { type: 'string' } },
+    };
+    if (fields.length > 0) {
+      properties.extracted = toStrictSchema(schema);
+    }
+
+    const day = startedAt.toISOString().slice(0, 10);
+    const weekday = startedAt.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+
+    const result = await extractStructured({
+      instructions: `${INSTRUCTIONS}\nThe call took place on ${weekday} ${day}; resolve relative dates against it.`,
+      input: formatTranscript(transcripts),
+      schemaName: 'call_analysis',
+      schema: {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false,
+      },
+    });
+
+    const sentimentTrajectory = (result.turn_sentiment || [])
+      .filter((entry) => Number.isInteger(entry.turn) && entry.turn >= 1 && entry.turn <= callerTurns.length)
+      .map((entry) => ({
+        turn: entry.turn,
+        timestamp_ms: callerTurns[entry.turn - 1].timestamp_ms ?? null,
+        score: clampScore(entry.score),
+      }));
+
+    const extracted = {};
+    for (const name of fields) {
+      extracted[name] = result.extracted?.[name] ?? null;
+    }
+
+    return {
+      summary: result.summary || null,
+      intent: result.intent || null,
+      sentimentScore: clampScore(result.sentiment_score),
+      sentimentTrajectory,
+      actionItems: (result.action_items || []).filter(Boolean),
+      extracted,
+    };
+  }
+}
+
+export default {
+  OpenAICallAnalyzer,
+};
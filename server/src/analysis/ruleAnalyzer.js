@@ -0,0 +1,379 @@
+/**
+ * Rule-Based Call Analyzer
+ *
+ * Offline analysis with no model calls: keyword lists for intent and
+ * sentiment, patterns for commitments, dates, times, emails, phone numbers
+ * and names. The summary is extractive (what the caller opened with and how
+ * the assistant closed). Much rougher than the OpenAI analyzer, but free,
+ * instant and deterministic, so it suits development, tests and deployments
+ * that can't send transcripts to a third party.
+ *
+ * Extraction fields are filled by type:
+ *   boolean   - true if the caller mentions the field (its name words or
+ *               examples), false if they do so negated ("no need to call back")
+ *   enum      - the first allowed value mentioned
+ *   date/time - the last date or time mentioned, resolved against the call date
+ *   number    - the number nearest a mention of the field
+ *   string    - emails, phone numbers and names when the field asks for one
+ * Anything else is left null.
+ */
+
+import { getFieldNames } from './analysisSchema.js';
+
+const INTENTS = [
+  ['cancel', /\bcancel/],
+  ['reschedule appointment', /\b(reschedul\w*|move my (appointment|booking)|change my (appointment|booking))\b/],
+  ['book appointment', /\b(appointment|booking|reservation|book (a|an|me|in)|schedule (a|an|me))\b/],
+  ['billing question', /\b(bill|billing|invoice|charged?|charges|payment|refund)\b/],
+  ['complaint', /\b(complain\w*|unacceptable|terrible service|not happy)\b/],
+  ['technical support', /\b(not working|broken|error|stopped working|won't (start|work|turn on)|(problem|issue) with)\b/],
+  ['order status', /\b(order|delivery|shipment|package|tracking)\b/],
+  ['pricing', /\b(price|prices|pricing|cost|how much|quote)\b/],
+  ['opening hours', /\b(open|opening|close|closing|hours)\b/],
+  ['speak to a person', /\b(speak|talk) to (a|an|the)? ?(person|human|someone|agent|manager|representative)\b/],
+];
+const DEFAULT_INTENT = 'general inquiry';
+
+const POSITIVE_WORDS = new Set([
+  'great', 'good', 'thanks', 'thank', 'perfect', 'excellent', 'happy', 'glad', 'wonderful', 'awesome',
+  'appreciate', 'appreciated', 'helpful', 'love', 'nice', 'fantastic', 'brilliant', 'lovely', 'pleased',
+  'amazing', 'cheers', 'super',
+]);
+const NEGATIVE_WORDS = new Set([
+  'angry', 'upset', 'frustrated', 'frustrating', 'annoyed', 'annoying', 'terrible', 'awful', 'bad',
+  'horrible', 'worst', 'ridiculous', 'unacceptable', 'disappointed', 'disappointing', 'problem', 'broken',
+  'wrong', 'complaint', 'hate', 'useless', 'unhappy', 'rude', 'late', 'waste', 'waiting', 'confused',
+]);
+const NEGATORS = new Set(['not', 'no', 'never', "don't", "didn't", "isn't", "wasn't", "can't", "won't", "aren't", 'nothing']);
+const NEGATION_WINDOW = 3;
+
+const COMMITMENT_PATTERN = /\b(i'll|i will|we'll|we will|someone will|somebody will|our team will|i'm going to|we're going to)\b.*\b(call|send|email|text|follow up|get back|schedule|book|arrange|forward|pass|check|confirm|ship|refund|process|cancel)\b/i;
+const REQUEST_PATTERN = /\b(please|can you|could you|would you)\b.*\b(call me|send|email|text|remind|cancel|refund)\b/i;
+const MAX_ACTION_ITEMS = 10;
+
+// Words in a field name that don't say what to look for
+const STOP_WORDS = new Set(['is', 'has', 'was', 'did', 'wants', 'want', 'needs', 'requested', 'the', 'a', 'an', 'of', 'to', 'by', 'caller', 'customer']);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty',
+];
+
+const MONTH_DAY_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/i;
+const DAY_MONTH_PATTERN = /\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+const ISO_DATE_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})\b/;
+const RELATIVE_DAY_PATTERN = /\b(today|tomorrow|day after tomorrow)\b/i;
+const WEEKDAY_PATTERN = /\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i;
+const TIME_12H_PATTERN = /\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\b\.?/i;
+const TIME_24H_PATTERN = /\b([01]?\d|2[0-3]):([0-5]\d)\b/;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{5,}\d/;
+const NAME_PATTERN = /\b(?:[Mm]y name is|[Tt]his is|[Nn]ame's|I am|I'm)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/;
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+/).map((sentence) => sentence.trim()).filter(Boolean);
+}
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[a-z']+/g) || [];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Caller sentiment for one turn: positive minus negative words, squashed to -1..1
+ */
+function scoreSentiment(text) {
+  const words = tokenize(text);
+  let balance = 0;
+
+  words.forEach((word, index) => {
+    const polarity = POSITIVE_WORDS.has(word) ? 1 : NEGATIVE_WORDS.has(word) ? -1 : 0;
+    if (polarity === 0) {
+      return;
+    }
+    const negated = words.slice(Math.max(0, index - NEGATION_WINDOW), index).some((previous) => NEGATORS.has(previous));
+    balance += negated ? -polarity : polarity;
+  });
+
+  return balance / (Math.abs(balance) + 1);
+}
+
+function detectIntent(callerTurns) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const [intent, pattern] of INTENTS) {
+    // What the caller opens with counts double
+    const score = callerTurns.reduce((total, entry, index) => (
+      pattern.test(entry.content.toLowerCase()) ? total + (index < 2 ? 2 : 1) : total
+    ), 0);
+    if (score > bestScore) {
+      best = intent;
+      bestScore = score;
+    }
+  }
+
+  return best || DEFAULT_INTENT;
+}
+
+function buildSummary(transcripts, callerTurns, intent) {
+  const opening = callerTurns.find((entry) => tokenize(entry.content).length >= 4) || callerTurns[0];
+  const closing = [...transcripts].reverse().find((entry) => entry.speaker === 'assistant');
+
+  const parts = [`Caller intent: ${intent}.`];
+  if (opening) {
+    parts.push(`The caller said: "${truncate(opening.content, 200)}"`);
+  }
+  if (closing) {
+    parts.push(`The assistant ended with: "${truncate(closing.content, 200)}"`);
+  }
+  parts.push(`${callerTurns.length} caller ${callerTurns.length === 1 ? 'turn' : 'turns'}.`);
+
+  return parts.join(' ');
+}
+
+function findActionItems(transcripts) {
+  const items = [];
+
+  for (const entry of transcripts) {
+    const pattern = entry.speaker === 'assistant' ? COMMITMENT_PATTERN : REQUEST_PATTERN;
+    for (const sentence of splitSentences(entry.content)) {
+      if (pattern.test(sentence) && !items.includes(sentence)) {
+        items.push(sentence);
+      }
+    }
+  }
+
+  return items.slice(0, MAX_ACTION_ITEMS);
+}
+
+function fieldKeywords(name, field) {
+  const words = name.split('_').map((word) => word.toLowerCase()).filter((word) => word && !STOP_WORDS.has(word));
+  return [...(field.examples || []), ...(words.length > 0 ? [words.join(' ')] : []), ...words]
+    .map((keyword) => new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}`));
+}
+
+function mentions(sentence, keywords) {
+  const lower = sentence.toLowerCase();
+  return keywords.some((keyword) => keyword.test(lower));
+}
+
+function isNegated(sentence, keywords) {
+  const lower = sentence.toLowerCase();
+  return keywords.some((keyword) => {
+    const match = keyword.exec(lower);
+    if (!match) {
+      return false;
+    }
+    const before = tokenize(lower.slice(0, match.index)).slice(-NEGATION_WINDOW);
+    return before.some((word) => NEGATORS.has(word));
+  });
+}
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * A date in a sentence, resolved against the call date (future dates assumed)
+ */
+function parseDate(sentence, startedAt) {
+  const today = new Date(Date.UTC(startedAt.getUTCFullYear(), startedAt.getUTCMonth(), startedAt.getUTCDate()));
+
+  let match = ISO_DATE_PATTERN.exec(sentence);
+  if (match) {
+    return match[0];
+  }
+
+  match = MONTH_DAY_PATTERN.exec(sentence);
+  const dayMonth = match ? null : DAY_MONTH_PATTERN.exec(sentence);
+  if (match || dayMonth) {
+    const month = MONTHS.indexOf((match ? match[1] : dayMonth[2]).toLowerCase());
+    const day = parseInt(match ? match[2] : dayMonth[1], 10);
+    let date = new Date(Date.UTC(today.getUTCFullYear(), month, day));
+    if (date < today) {
+      date = new Date(Date.UTC(today.getUTCFullYear() + 1, month, day));
+    }
+    return date.getUTCDate() === day ? toIsoDate(date) : null;
+  }
+
+  match = RELATIVE_DAY_PATTERN.exec(sentence);
+  if (match) {
+    const offsets = { today: 0, tomorrow: 1, 'day after tomorrow': 2 };
+    return toIsoDate(addDays(today, offsets[match[1].toLowerCase()]));
+  }
+
+  match = WEEKDAY_PATTERN.exec(sentence);
+  if (match) {
+    const ahead = (WEEKDAYS.indexOf(match[1].toLowerCase()) - today.getUTCDay() + 7) % 7 || 7;
+    return toIsoDate(addDays(today, ahead));
+  }
+
+  return null;
+}
+
+function parseTime(sentence) {
+  let match = TIME_12H_PATTERN.exec(sentence);
+  if (match) {
+    let hours = parseInt(match[1], 10) % 12;
+    if (match[3].toLowerCase() === 'p') {
+      hours += 12;
+    }
+    return `${String(hours).padStart(2, '0')}:${match[2] || '00'}`;
+  }
+
+  match = TIME_24H_PATTERN.exec(sentence);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * The number closest to where the sentence mentions the field
+ * ("3pm for a party of four" → four for party_size); times are skipped
+ */
+function parseNumber(sentence, keywords, integer) {
+  const lower = sentence.toLowerCase().replace(/(\d),(\d{3})/g, '$1$2');
+  const anchors = keywords.map((keyword) => keyword.exec(lower)?.index).filter((index) => index !== undefined);
+  const numberPattern = new RegExp(`-?\\d+(?:\\.\\d+)?(?!\\s*(?:[ap]\\.?m\\b|:))|\\b(?:${NUMBER_WORDS.join('|')})\\b`, 'g');
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const match of lower.matchAll(numberPattern)) {
+    const distance = Math.min(...anchors.map((anchor) => Math.abs(anchor - match.index)));
+    if (distance < bestDistance) {
+      best = match[0];
+      bestDistance = distance;
+    }
+  }
+
+  if (best === null) {
+    return null;
+  }
+  const value = NUMBER_WORDS.includes(best) ? NUMBER_WORDS.indexOf(best) : parseFloat(best);
+  return integer ? Math.round(value) : value;
+}
+
+function extractField(name, field, transcripts, startedAt) {
+  const keywords = fieldKeywords(name, field);
+  const sentences = transcripts.flatMap((entry) => splitSentences(entry.content).map((text) => ({ speaker: entry.speaker, text })));
+  const callerSentences = sentences.filter((sentence) => sentence.speaker === 'user');
+  const relevant = sentences.filter((sentence) => mentions(sentence.text, keywords));
+  const lastOf = (list, parse) => {
+    for (let i = list.length - 1; i >= 0; i--) {
+      const value = parse(list[i].text);
+      if (value !== null) return value;
+    }
+    return null;
+  };
+
+  if (field.enum) {
+    for (const sentence of sentences) {
+      const value = field.enum.find((option) => new RegExp(`\\b${escapeRegExp(String(option).toLowerCase())}\\b`).test(sentence.text.toLowerCase()));
+      if (value !== undefined) return value;
+    }
+    return null;
+  }
+
+  switch (field.type) {
+    case 'boolean': {
+      const mention = callerSentences.find((sentence) => mentions(sentence.text, keywords));
+      return mention ? !isNegated(mention.text, keywords) : null;
+    }
+
+    case 'number':
+    case 'integer':
+      return lastOf(relevant, (text) => parseNumber(text, keywords, field.type === 'integer'));
+
+    case 'string':
+      break;
+
+    default:
+      return null;
+  }
+
+  // Dates prefer sentences about the field ("the appointment is on Tuesday"), then any
+  const lowerName = name.toLowerCase();
+  if (field.format === 'date' || /(^|_)(date|day)($|_)/.test(lowerName)) {
+    return lastOf(relevant, (text) => parseDate(text, startedAt)) ?? lastOf(sentences, (text) => parseDate(text, startedAt));
+  }
+  if (field.format === 'time' || /(^|_)time($|_)/.test(lowerName)) {
+    return lastOf(relevant, parseTime) ?? lastOf(sentences, parseTime);
+  }
+  if (field.format === 'date-time') {
+    const sentence = [...relevant, ...sentences].reverse().find((candidate) => parseDate(candidate.text, startedAt) && parseTime(candidate.text));
+    return sentence ? `${parseDate(sentence.text, startedAt)}T${parseTime(sentence.text)}` : null;
+  }
+  if (field.format === 'email' || /email/.test(lowerName)) {
+    return lastOf(callerSentences, (text) => EMAIL_PATTERN.exec(text)?.[0] ?? null);
+  }
+  if (/phone|number/.test(lowerName)) {
+    return lastOf(callerSentences, (text) => PHONE_PATTERN.exec(text)?.[0].replace(/[^\d+]/g, '') ?? null);
+  }
+  if (/name/.test(lowerName)) {
+    return lastOf(callerSentences, (text) => NAME_PATTERN.exec(text)?.[1] ?? null);
+  }
+
+  return null;
+}
+
+export class RuleCallAnalyzer {
+  constructor() {
+    this.name = 'rules';
+  }
+
+  /**
+   * Analyze a finished call
+   *
+   * @param {Object} call - What to analyze
+   * @param {Object[]} call.transcripts - [{speaker, content, timestamp_ms}] in call order
+   * @param {Object|null} call.schema - The prompt's analysis_schema
+   * @param {Date} call.startedAt - When the call started (for relative dates)
+   * @returns {Promise<Object>} {summary, intent, sentimentScore, sentimentTrajectory, actionItems, extracted}
+   */
+  async analyze({ transcripts, schema, startedAt }) {
+    const callerTurns = transcripts.filter((entry) => entry.speaker === 'user');
+
+    const sentimentTrajectory = callerTurns.map((entry, index) => ({
+      turn: index + 1,
+      timestamp_ms: entry.timestamp_ms ?? null,
+      score: Math.round(scoreSentiment(entry.content) * 100) / 100,
+    }));
+    const sentimentScore = sentimentTrajectory.length > 0
+      ? sentimentTrajectory.reduce((total, point) => total + point.score, 0) / sentimentTrajectory.length
+      : 0;
+
+    const intent = detectIntent(callerTurns);
+
+    const extracted = {};
+    for (const name of getFieldNames(schema)) {
+      extracted[name] = extractField(name, schema.properties[name], transcripts, startedAt);
+    }
+
+    return {
+      summary: buildSummary(transcripts, callerTurns, intent),
+      intent,
+      sentimentScore: Math.round(sentimentScore * 100) / 100,
+      sentimentTrajectory,
+      actionItems: findActionItems(transcripts),
+      extracted,
+    };
+  }
+}
+
+export default {
+  RuleCallAnalyzer,
+};
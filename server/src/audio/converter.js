@@ -18,9 +18,17 @@
  * - Little-endian byte order
  * - Range: -32768 to 32767
  *
- * Resampling:
- * - 8kHz → 24kHz: 3x interpolation (upsample) with linear interpolation
- * - 24kHz → 8kHz: 3x decimation (downsample) with averaging for anti-aliasing
+ * Resampling (two qualities, see createResampler):
+ * - fir:    96-tap Kaiser-windowed sinc low-pass (cutoff 3.7kHz), run as a
+ *           polyphase interpolator (8k → 24k) or a decimator (24k → 8k) that
+ *           keeps its history between chunks. ~65dB image/alias rejection,
+ *           ~2ms delay, a few hundred times faster than real time.
+ * - linear: the original fast path - linear interpolation up, 3-sample
+ *           averaging down. Cheap, but images and aliases are audible.
+ *
+ * Live calls convert through MulawToPCM16Stream and PCM16ToMulawStream, one
+ * per direction per call, which carry filter history and leftover samples
+ * from chunk to chunk. mulawToOpenAI/openaiToMulaw convert a chunk in isolation.
  */
 
 import { createLogger } from '../utils/logger.js';
@@ -287,6 +295,371 @@ export function resample(inputSamples, inputRate, outputRate) {
   return output;
 }
 
+// ============================================================================
+// BAND-LIMITED (POLYPHASE FIR) RESAMPLING
+// ============================================================================
+
+/**
+ * Resampler qualities
+ * - fir:    windowed-sinc FIR, band-limited to the 8kHz Nyquist frequency
+ * - linear: the interpolation/averaging fast path above
+ */
+export const RESAMPLER_QUALITIES = ['fir', 'linear'];
+
+// Taps per polyphase branch; the prototype filter has RESAMPLE_RATIO times as many
+const FIR_TAPS_PER_PHASE = 32;
+const FIR_NUM_TAPS = FIR_TAPS_PER_PHASE * RESAMPLE_RATIO; // 96 taps at 24kHz
+
+// Cutoff just below the 4kHz Nyquist frequency of the 8kHz side
+const FIR_CUTOFF_HZ = 3700;
+
+// Kaiser window shape (~65dB stopband)
+const FIR_KAISER_BETA = 6.5;
+
+let defaultResamplerQuality = 'fir';
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (for the Kaiser window)
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) ** 2;
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+/**
+ * Design the Kaiser-windowed sinc low-pass shared by both directions
+ * Normalized to unity DC gain at 24kHz.
+ *
+ * @returns {Float64Array} Filter coefficients
+ */
+function designLowpassFIR() {
+  const taps = new Float64Array(FIR_NUM_TAPS);
+  const center = (FIR_NUM_TAPS - 1) / 2;
+  const cutoff = FIR_CUTOFF_HZ / SAMPLE_RATE_OPENAI; // Cycles per sample
+  const windowNorm = besselI0(FIR_KAISER_BETA);
+
+  let sum = 0;
+  for (let n = 0; n < FIR_NUM_TAPS; n++) {
+    const t = n - center;
+    const sinc = 2 * cutoff * (t === 0 ? 1 : Math.sin(2 * Math.PI * cutoff * t) / (2 * Math.PI * cutoff * t));
+    const ratio = t / center;
+    const window = besselI0(FIR_KAISER_BETA * Math.sqrt(1 - ratio * ratio)) / windowNorm;
+    taps[n] = sinc * window;
+    sum += taps[n];
+  }
+
+  for (let n = 0; n < FIR_NUM_TAPS; n++) {
+    taps[n] /= sum;
+  }
+
+  return taps;
+}
+
+const FIR_TAPS = designLowpassFIR();
+
+/**
+ * Polyphase branches for 3x interpolation
+ * Branch p holds taps p, p+3, p+6, ... scaled by 3 to make up for the
+ * zeros that interpolation inserts.
+ */
+const FIR_PHASES = Array.from({ length: RESAMPLE_RATIO }, (_, phase) => {
+  const branch = new Float64Array(FIR_TAPS_PER_PHASE);
+  for (let k = 0; k < FIR_TAPS_PER_PHASE; k++) {
+    branch[k] = FIR_TAPS[phase + k * RESAMPLE_RATIO] * RESAMPLE_RATIO;
+  }
+  return branch;
+});
+
+function clampSample(value) {
+  const rounded = Math.round(value);
+  return rounded > 32767 ? 32767 : (rounded < -32768 ? -32768 : rounded);
+}
+
+/**
+ * Streaming band-limited resampler between 8kHz and 24kHz
+ *
+ * Keeps the filter history (and, when decimating, the position of the next
+ * output sample) between calls, so feeding a stream chunk by chunk gives
+ * exactly the same samples as converting it in one go. Create one per
+ * direction per call.
+ *
+ * The filter is linear-phase, so output lags input by a constant
+ * `delaySamples` (~2ms).
+ */
+export class PolyphaseResampler {
+  /**
+   * Create a PolyphaseResampler
+   *
+   * @param {number} inputRate - 8000 or 24000
+   * @param {number} outputRate - 24000 or 8000
+   */
+  constructor(inputRate, outputRate) {
+    if (inputRate === SAMPLE_RATE_TWILIO && outputRate === SAMPLE_RATE_OPENAI) {
+      this.direction = 'up';
+      this.history = new Float64Array(FIR_TAPS_PER_PHASE - 1);
+    } else if (inputRate === SAMPLE_RATE_OPENAI && outputRate === SAMPLE_RATE_TWILIO) {
+      this.direction = 'down';
+      this.history = new Float64Array(FIR_NUM_TAPS - 1);
+    } else {
+      throw new Error(`Unsupported resampling: ${inputRate}Hz → ${outputRate}Hz`);
+    }
+
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.nextOutputIndex = 0; // Decimation only: input index of the next output sample
+  }
+
+  /**
+   * Resample the next chunk of the stream
+   *
+   * @param {Int16Array} samples - Input samples
+   * @returns {Int16Array} Output samples
+   */
+  process(samples) {
+    return this.direction === 'up' ? this.interpolate(samples) : this.decimate(samples);
+  }
+
+  /**
+   * 3x interpolation: each input sample yields one output per polyphase branch
+   */
+  interpolate(samples) {
+    const historyLength = this.history.length;
+    const extended = this.extend(samples);
+    const output = new Int16Array(samples.length * RESAMPLE_RATIO);
+
+    for (let i = 0; i < samples.length; i++) {
+      const newest = i + historyLength;
+      for (let phase = 0; phase < RESAMPLE_RATIO; phase++) {
+        const branch = FIR_PHASES[phase];
+        let acc = 0;
+        for (let k = 0; k < FIR_TAPS_PER_PHASE; k++) {
+          acc += branch[k] * extended[newest - k];
+        }
+        output[i * RESAMPLE_RATIO + phase] = clampSample(acc);
+      }
+    }
+
+    this.keepHistory(extended);
+    return output;
+  }
+
+  /**
+   * 3x decimation: filter, computing only every third output
+   */
+  decimate(samples) {
+    const historyLength = this.history.length;
+    const extended = this.extend(samples);
+    const outputLength = Math.max(0, Math.ceil((samples.length - this.nextOutputIndex) / RESAMPLE_RATIO));
+    const output = new Int16Array(outputLength);
+
+    let index = this.nextOutputIndex;
+    for (let o = 0; o < outputLength; o++, index += RESAMPLE_RATIO) {
+      const newest = index + historyLength;
+      let acc = 0;
+      for (let k = 0; k < FIR_NUM_TAPS; k++) {
+        acc += FIR_TAPS[k] * extended[newest - k];
+      }
+      output[o] = clampSample(acc);
+    }
+
+    this.nextOutputIndex = index - samples.length;
+    this.keepHistory(extended);
+    return output;
+  }
+
+  extend(samples) {
+    const extended = new Float64Array(this.history.length + samples.length);
+    extended.set(this.history);
+    extended.set(samples, this.history.length);
+    return extended;
+  }
+
+  keepHistory(extended) {
+    this.history = extended.slice(extended.length - this.history.length);
+  }
+
+  /**
+   * Forget the stream so far (e.g. after playback was cleared)
+   */
+  reset() {
+    this.history.fill(0);
+    this.nextOutputIndex = 0;
+  }
+
+  /**
+   * Push the filter's tail out at the end of a stream (e.g. a finished response)
+   * by running silence through it
+   *
+   * @returns {Int16Array} The last delaySamples of output
+   */
+  flush() {
+    const silence = this.direction === 'up' ? FIR_TAPS_PER_PHASE / 2 : FIR_NUM_TAPS / 2;
+    return this.process(new Int16Array(silence));
+  }
+
+  /**
+   * Filter delay in output samples
+   *
+   * @returns {number} Delay in samples at the output rate
+   */
+  get delaySamples() {
+    const delay24k = (FIR_NUM_TAPS - 1) / 2;
+    return this.direction === 'up' ? delay24k : delay24k / RESAMPLE_RATIO;
+  }
+}
+
+/**
+ * Streaming version of the linear fast path, with the same interface as
+ * PolyphaseResampler
+ *
+ * Interpolating needs the sample after the current one, so the last sample
+ * of each chunk is held back until the next chunk arrives instead of being
+ * interpolated against itself. Decimating works in groups of three, so up to
+ * two leftover samples are carried into the next chunk instead of dropped.
+ */
+class LinearResampler {
+  constructor(inputRate, outputRate) {
+    if (inputRate === SAMPLE_RATE_TWILIO && outputRate === SAMPLE_RATE_OPENAI) {
+      this.direction = 'up';
+    } else if (inputRate === SAMPLE_RATE_OPENAI && outputRate === SAMPLE_RATE_TWILIO) {
+      this.direction = 'down';
+    } else {
+      throw new Error(`Unsupported resampling: ${inputRate}Hz → ${outputRate}Hz`);
+    }
+
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.pending = new Int16Array(0);
+  }
+
+  process(samples) {
+    if (samples.length === 0) {
+      return new Int16Array(0);
+    }
+
+    const input = this.pending.length > 0 ? concatenateBuffers([this.pending, samples]) : samples;
+
+    if (this.direction === 'up') {
+      this.pending = input.slice(input.length - 1);
+      return resample8kTo24k(input).slice(0, (input.length - 1) * RESAMPLE_RATIO);
+    }
+
+    const usable = input.length - (input.length % RESAMPLE_RATIO);
+    this.pending = input.slice(usable);
+    return resample24kTo8k(input.subarray(0, usable));
+  }
+
+  flush() {
+    const pending = this.pending;
+    this.pending = new Int16Array(0);
+
+    if (pending.length === 0) {
+      return pending;
+    }
+    if (this.direction === 'up') {
+      return resample8kTo24k(pending);
+    }
+
+    let sum = 0;
+    for (let i = 0; i < pending.length; i++) {
+      sum += pending[i];
+    }
+    return new Int16Array([Math.round(sum / pending.length)]);
+  }
+
+  reset() {
+    this.pending = new Int16Array(0);
+  }
+
+  get delaySamples() {
+    return 0;
+  }
+}
+
+/**
+ * Choose the quality used by createResampler when none is given
+ *
+ * @param {string} quality - 'fir' or 'linear'
+ */
+export function setResamplerQuality(quality) {
+  if (!RESAMPLER_QUALITIES.includes(quality)) {
+    throw new Error(`Resampler quality must be one of: ${RESAMPLER_QUALITIES.join(', ')}`);
+  }
+  defaultResamplerQuality = quality;
+  logger.debug('Resampler quality set', { quality });
+}
+
+/**
+ * @returns {string} The default resampler quality
+ */
+export function getResamplerQuality() {
+  return defaultResamplerQuality;
+}
+
+/**
+ * Create a streaming resampler for one direction of one call
+ *
+ * @param {number} inputRate - Input sample rate
+ * @param {number} outputRate - Output sample rate
+ * @param {string} [quality] - 'fir' or 'linear' (defaults to setResamplerQuality)
+ * @returns {PolyphaseResampler|LinearResampler} Resampler with process(samples)
+ */
+export function createResampler(inputRate, outputRate, quality = defaultResamplerQuality) {
+  if (quality === 'fir') {
+    return new PolyphaseResampler(inputRate, outputRate);
+  }
+  return new LinearResampler(inputRate, outputRate);
+}
+
+/**
+ * Measure resampler throughput
+ * Converts `durationMs` of speech-band noise in 20ms chunks (the size Twilio
+ * and the OpenAI handler work in) through each quality and direction.
+ *
+ * @param {number} [durationMs=10000] - Audio to convert per run
+ * @returns {Object[]} {quality, direction, ms, realtimeFactor} per run
+ */
+export function benchmarkResamplers(durationMs = 10000) {
+  const input = {
+    up: generateWhiteNoise(durationMs, SAMPLE_RATE_TWILIO),
+    down: generateWhiteNoise(durationMs, SAMPLE_RATE_OPENAI),
+  };
+  const rates = {
+    up: [SAMPLE_RATE_TWILIO, SAMPLE_RATE_OPENAI],
+    down: [SAMPLE_RATE_OPENAI, SAMPLE_RATE_TWILIO],
+  };
+
+  const results = [];
+  for (const quality of RESAMPLER_QUALITIES) {
+    for (const direction of ['up', 'down']) {
+      const [inputRate, outputRate] = rates[direction];
+      const resampler = createResampler(inputRate, outputRate, quality);
+      const chunkSize = inputRate / 50;
+
+      const start = process.hrtime.bigint();
+      for (let offset = 0; offset < input[direction].length; offset += chunkSize) {
+        resampler.process(input[direction].subarray(offset, offset + chunkSize));
+      }
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+      results.push({
+        quality,
+        direction: `${inputRate / 1000}k→${outputRate / 1000}k`,
+        ms: Math.round(ms * 100) / 100,
+        realtimeFactor: Math.round(durationMs / Math.max(ms, 0.001)),
+      });
+    }
+  }
+
+  return results;
+}
+
 // ============================================================================
 // FULL PIPELINE FUNCTIONS
 // ============================================================================
@@ -296,11 +669,12 @@ export function resample(inputSamples, inputRate, outputRate) {
  * Twilio → OpenAI direction (internal buffer version)
  *
  * @param {Buffer|Uint8Array} mulawBuffer - μ-law audio buffer
+ * @param {Object} [resampler] - Streaming 8k→24k resampler from createResampler (default: linear, stateless)
  * @returns {Int16Array} PCM16 samples at 24kHz
  */
-export function mulawToPCM16_24k(mulawBuffer) {
+export function mulawToPCM16_24k(mulawBuffer, resampler = null) {
   const pcm8k = decodeMulaw(mulawBuffer);
-  const pcm24k = resample8kTo24k(pcm8k);
+  const pcm24k = resampler ? resampler.process(pcm8k) : resample8kTo24k(pcm8k);
   return pcm24k;
 }
 
@@ -309,10 +683,11 @@ export function mulawToPCM16_24k(mulawBuffer) {
  * OpenAI → Twilio direction (internal buffer version)
  *
  * @param {Int16Array} pcm24kBuffer - PCM16 samples at 24kHz
+ * @param {Object} [resampler] - Streaming 24k→8k resampler from createResampler (default: linear, stateless)
  * @returns {Uint8Array} μ-law bytes
  */
-export function pcm16_24kToMulaw(pcm24kBuffer) {
-  const pcm8k = resample24kTo8k(pcm24kBuffer);
+export function pcm16_24kToMulaw(pcm24kBuffer, resampler = null) {
+  const pcm8k = resampler ? resampler.process(pcm24kBuffer) : resample24kTo8k(pcm24kBuffer);
   const mulaw = encodeMulaw(pcm8k);
   return mulaw;
 }
@@ -324,9 +699,10 @@ export function pcm16_24kToMulaw(pcm24kBuffer) {
  * This is called for Twilio → OpenAI direction
  *
  * @param {string} mulawBase64 - Base64 encoded μ-law audio from Twilio
+ * @param {Object} [resampler] - Streaming 8k→24k resampler from createResampler (default: linear, stateless)
  * @returns {string} Base64 encoded PCM16 24kHz audio for OpenAI
  */
-export function mulawToOpenAI(mulawBase64) {
+export function mulawToOpenAI(mulawBase64, resampler = null) {
   // Decode base64 to buffer
   const mulawBuffer = Buffer.from(mulawBase64, 'base64');
 
@@ -334,7 +710,7 @@ export function mulawToOpenAI(mulawBase64) {
   const pcm8k = decodeMulaw(mulawBuffer);
 
   // Resample 8kHz → 24kHz
-  const pcm24k = resample8kTo24k(pcm8k);
+  const pcm24k = resampler ? resampler.process(pcm8k) : resample8kTo24k(pcm8k);
 
   // Convert Int16Array to Buffer and encode as base64
   const pcm24kBuffer = Buffer.from(pcm24k.buffer, pcm24k.byteOffset, pcm24k.byteLength);
@@ -349,9 +725,10 @@ export function mulawToOpenAI(mulawBase64) {
  * This is called for OpenAI → Twilio direction
  *
  * @param {string} pcm24kBase64 - Base64 encoded PCM16 24kHz audio from OpenAI
+ * @param {Object} [resampler] - Streaming 24k→8k resampler from createResampler (default: linear, stateless)
  * @returns {string} Base64 encoded μ-law audio for Twilio
  */
-export function openaiToMulaw(pcm24kBase64) {
+export function openaiToMulaw(pcm24kBase64, resampler = null) {
   // Decode base64 to buffer
   const pcm16Buffer = Buffer.from(pcm24kBase64, 'base64');
 
@@ -363,7 +740,7 @@ export function openaiToMulaw(pcm24kBase64) {
   const pcm24k = new Int16Array(alignedBuffer);
 
   // Resample 24kHz → 8kHz
-  const pcm8k = resample24kTo8k(pcm24k);
+  const pcm8k = resampler ? resampler.process(pcm24k) : resample24kTo8k(pcm24k);
 
   // Encode to μ-law
   const mulaw = encodeMulaw(pcm8k);
@@ -376,6 +753,143 @@ export function openaiToMulaw(pcm24kBase64) {
 export const mulawBase64ToPCM16Base64 = mulawToOpenAI;
 export const pcm16Base64ToMulawBase64 = openaiToMulaw;
 
+// ============================================================================
+// STREAM CONVERTERS
+// ============================================================================
+
+/**
+ * Twilio → OpenAI converter for one call
+ *
+ * Unlike mulawToOpenAI, which converts every 20ms frame in isolation, this
+ * keeps the resampler's state between frames, so converting a stream frame
+ * by frame gives exactly the same samples as converting it in one go.
+ */
+export class MulawToPCM16Stream {
+  /**
+   * Create a MulawToPCM16Stream
+   *
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.quality] - 'fir' or 'linear' (defaults to setResamplerQuality)
+   */
+  constructor(options = {}) {
+    this.resampler = createResampler(SAMPLE_RATE_TWILIO, SAMPLE_RATE_OPENAI, options.quality);
+  }
+
+  /**
+   * Convert the next chunk
+   *
+   * @param {Buffer|Uint8Array} mulawBuffer - μ-law bytes at 8kHz
+   * @returns {Int16Array} PCM16 samples at 24kHz
+   */
+  process(mulawBuffer) {
+    return this.resampler.process(decodeMulaw(mulawBuffer));
+  }
+
+  /**
+   * Convert the next chunk, base64 in and out (Twilio media payload → OpenAI audio)
+   *
+   * @param {string} mulawBase64 - Base64 μ-law
+   * @returns {string} Base64 PCM16 24kHz
+   */
+  processBase64(mulawBase64) {
+    return int16ArrayToBuffer(this.process(Buffer.from(mulawBase64, 'base64'))).toString('base64');
+  }
+
+  /**
+   * Convert whatever the resampler is still holding (end of stream)
+   *
+   * @returns {Int16Array} PCM16 samples at 24kHz
+   */
+  flush() {
+    return this.resampler.flush();
+  }
+
+  /**
+   * Drop held samples and filter history
+   */
+  reset() {
+    this.resampler.reset();
+  }
+}
+
+/**
+ * OpenAI → Twilio converter for one call
+ *
+ * Keeps the resampler's state between audio deltas, and carries a trailing
+ * odd byte over to the next delta when a base64 chunk splits a sample.
+ */
+export class PCM16ToMulawStream {
+  /**
+   * Create a PCM16ToMulawStream
+   *
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.quality] - 'fir' or 'linear' (defaults to setResamplerQuality)
+   */
+  constructor(options = {}) {
+    this.resampler = createResampler(SAMPLE_RATE_OPENAI, SAMPLE_RATE_TWILIO, options.quality);
+    this.partialByte = null;
+  }
+
+  /**
+   * Convert the next chunk
+   *
+   * @param {Int16Array} pcm24k - PCM16 samples at 24kHz
+   * @returns {Uint8Array} μ-law bytes at 8kHz
+   */
+  process(pcm24k) {
+    return encodeMulaw(this.resampler.process(pcm24k));
+  }
+
+  /**
+   * Convert the next chunk of little-endian PCM16 bytes
+   *
+   * @param {Buffer} pcmBytes - PCM16 24kHz bytes; may end mid-sample
+   * @returns {Uint8Array} μ-law bytes at 8kHz
+   */
+  processBytes(pcmBytes) {
+    let bytes = pcmBytes;
+    if (this.partialByte !== null) {
+      bytes = Buffer.concat([Buffer.from([this.partialByte]), pcmBytes]);
+      this.partialByte = null;
+    }
+
+    if (bytes.length % 2 === 1) {
+      this.partialByte = bytes[bytes.length - 1];
+      bytes = bytes.subarray(0, bytes.length - 1);
+    }
+
+    return this.process(bufferToInt16Array(bytes));
+  }
+
+  /**
+   * Convert the next chunk, base64 in and out (OpenAI audio delta → Twilio media payload)
+   *
+   * @param {string} pcm24kBase64 - Base64 PCM16 24kHz
+   * @returns {string} Base64 μ-law; empty if nothing is ready yet
+   */
+  processBase64(pcm24kBase64) {
+    return Buffer.from(this.processBytes(Buffer.from(pcm24kBase64, 'base64'))).toString('base64');
+  }
+
+  /**
+   * Convert whatever the resampler is still holding (end of a response)
+   *
+   * @returns {Uint8Array} μ-law bytes at 8kHz
+   */
+  flush() {
+    this.partialByte = null;
+    return encodeMulaw(this.resampler.flush());
+  }
+
+  /**
+   * Drop held samples and filter history (playback was cleared)
+   */
+  reset() {
+    this.partialByte = null;
+    this.resampler.reset();
+  }
+}
+
 // ============================================================================
 // AUDIO BUFFER CLASS
 // ============================================================================
@@ -992,6 +1506,215 @@ export function runTests() {
     }
   });
 
+  // Amplitude of one frequency in a signal (single-bin DFT), skipping the filter warm-up
+  function toneAmplitude(samples, frequency, sampleRate, skip = 0) {
+    let re = 0;
+    let im = 0;
+    for (let n = skip; n < samples.length; n++) {
+      const angle = (2 * Math.PI * frequency * n) / sampleRate;
+      re += samples[n] * Math.cos(angle);
+      im -= samples[n] * Math.sin(angle);
+    }
+    return (2 * Math.hypot(re, im)) / (samples.length - skip);
+  }
+
+  // SNR of an 8k→24k conversion against the ideal 24kHz tone
+  function upsampleSNR(quality, frequency) {
+    const amplitude = 0.5 * 32767;
+    const resampler = createResampler(SAMPLE_RATE_TWILIO, SAMPLE_RATE_OPENAI, quality);
+    const output = resampler.process(generateTestTone(frequency, 200, SAMPLE_RATE_TWILIO));
+    const delay = resampler.delaySamples;
+
+    let signal = 0;
+    let noise = 0;
+    for (let n = 300; n < output.length - 300; n++) {
+      const ideal = amplitude * Math.sin((2 * Math.PI * frequency * (n - delay)) / SAMPLE_RATE_OPENAI);
+      signal += ideal * ideal;
+      noise += (output[n] - ideal) ** 2;
+    }
+    return 10 * Math.log10(signal / noise);
+  }
+
+  // Test 15: FIR upsampling SNR across the phone band
+  test('FIR resampler 8k→24k SNR beats linear', () => {
+    for (const frequency of [300, 1000, 3000]) {
+      const firSNR = upsampleSNR('fir', frequency);
+      const linearSNR = upsampleSNR('linear', frequency);
+      assertTrue(firSNR > 60, `FIR SNR at ${frequency}Hz too low: ${firSNR.toFixed(1)}dB`);
+      assertTrue(firSNR > linearSNR + 20, `FIR (${firSNR.toFixed(1)}dB) should beat linear (${linearSNR.toFixed(1)}dB) at ${frequency}Hz`);
+    }
+  });
+
+  // Test 16: Interpolation images are suppressed
+  test('FIR resampler 8k→24k rejects images', () => {
+    const tone = generateTestTone(3000, 200, SAMPLE_RATE_TWILIO);
+    const output = createResampler(SAMPLE_RATE_TWILIO, SAMPLE_RATE_OPENAI, 'fir').process(tone);
+
+    const wanted = toneAmplitude(output, 3000, SAMPLE_RATE_OPENAI, FIR_NUM_TAPS);
+    const image = toneAmplitude(output, 5000, SAMPLE_RATE_OPENAI, FIR_NUM_TAPS);
+    const rejectionDB = 20 * Math.log10(wanted / image);
+    assertTrue(rejectionDB > 55, `5kHz image only ${rejectionDB.toFixed(1)}dB down`);
+  });
+
+  // Test 17: Decimation passes the phone band and blocks aliases
+  test('FIR resampler 24k→8k passes speech and rejects aliases', () => {
+    const amplitude = 0.5 * 32767;
+    const skip = FIR_NUM_TAPS / RESAMPLE_RATIO;
+
+    const speech = createResampler(SAMPLE_RATE_OPENAI, SAMPLE_RATE_TWILIO, 'fir')
+      .process(generateTestTone(1000, 200, SAMPLE_RATE_OPENAI));
+    assertClose(toneAmplitude(speech, 1000, SAMPLE_RATE_TWILIO, skip), amplitude, amplitude * 0.02, '1kHz level');
+
+    // 6kHz folds to 2kHz at 8kHz; the box average only takes ~10dB off it
+    const alias = createResampler(SAMPLE_RATE_OPENAI, SAMPLE_RATE_TWILIO, 'fir')
+      .process(generateTestTone(6000, 200, SAMPLE_RATE_OPENAI));
+    const aliasDB = 20 * Math.log10(Math.max(toneAmplitude(alias, 2000, SAMPLE_RATE_TWILIO, skip), 1e-3) / amplitude);
+    assertTrue(aliasDB < -60, `6kHz alias only ${(-aliasDB).toFixed(1)}dB down`);
+  });
+
+  // Test 18: Filter state carries across chunks
+  test('FIR resampler output does not depend on chunking', () => {
+    const cases = [
+      [SAMPLE_RATE_TWILIO, SAMPLE_RATE_OPENAI, generateWhiteNoise(100, SAMPLE_RATE_TWILIO), [160, 7, 1, 33]],
+      [SAMPLE_RATE_OPENAI, SAMPLE_RATE_TWILIO, generateWhiteNoise(100, SAMPLE_RATE_OPENAI), [480, 7, 1, 100]],
+    ];
+
+    for (const [inputRate, outputRate, input, chunkSizes] of cases) {
+      const whole = createResampler(inputRate, outputRate, 'fir').process(input);
+
+      const streamed = createResampler(inputRate, outputRate, 'fir');
+      const parts = [];
+      for (let offset = 0, i = 0; offset < input.length; i++) {
+        const size = chunkSizes[i % chunkSizes.length];
+        parts.push(streamed.process(input.subarray(offset, offset + size)));
+        offset += size;
+      }
+      const joined = concatenateBuffers(parts);
+
+      assertEquals(joined.length, whole.length, `${inputRate}→${outputRate} length`);
+      for (let i = 0; i < whole.length; i++) {
+        assertEquals(joined[i], whole[i], `${inputRate}→${outputRate} sample ${i}`);
+      }
+    }
+  });
+
+  // Test 19: Quality selection
+  test('createResampler honours the selected quality', () => {
+    const previous = getResamplerQuality();
+    try {
+      setResamplerQuality('linear');
+      const input = generateTestTone(1000, 20, SAMPLE_RATE_TWILIO);
+      const resampler = createResampler(SAMPLE_RATE_TWILIO, SAMPLE_RATE_OPENAI);
+      const linear = concatenateBuffers([resampler.process(input), resampler.flush()]);
+      const fast = resample8kTo24k(input);
+      assertEquals(linear.length, fast.length, 'Linear length');
+      for (let i = 0; i < fast.length; i++) {
+        assertEquals(linear[i], fast[i], `Linear sample ${i}`);
+      }
+
+      setResamplerQuality('fir');
+      assertTrue(createResampler(SAMPLE_RATE_TWILIO, SAMPLE_RATE_OPENAI) instanceof PolyphaseResampler, 'FIR resampler');
+
+      let threw = false;
+      try {
+        setResamplerQuality('cubic');
+      } catch (error) {
+        threw = true;
+      }
+      assertTrue(threw, 'Unknown quality should throw');
+    } finally {
+      setResamplerQuality(previous);
+    }
+  });
+
+  // Test 20: FIR throughput
+  test('FIR resampler runs well ahead of real time', () => {
+    const benchmark = benchmarkResamplers(2000);
+    logger.info('Resampler benchmark', { runs: benchmark });
+
+    for (const run of benchmark.filter((r) => r.quality === 'fir')) {
+      assertTrue(run.realtimeFactor > 20, `${run.direction} only ${run.realtimeFactor}x real time`);
+    }
+  });
+
+  // Test 21: Linear stream fixes the per-chunk edge errors
+  test('Linear stream resampler matches whole-signal conversion', () => {
+    const input8k = generateWhiteNoise(100, SAMPLE_RATE_TWILIO);
+    const up = createResampler(SAMPLE_RATE_TWILIO, SAMPLE_RATE_OPENAI, 'linear');
+    const upParts = [];
+    for (let offset = 0; offset < input8k.length; offset += 160) {
+      upParts.push(up.process(input8k.subarray(offset, offset + 160)));
+    }
+    upParts.push(up.flush());
+    const upJoined = concatenateBuffers(upParts);
+    const upWhole = resample8kTo24k(input8k);
+    assertEquals(upJoined.length, upWhole.length, 'Upsampled length');
+    for (let i = 0; i < upWhole.length; i++) {
+      assertEquals(upJoined[i], upWhole[i], `Upsampled sample ${i}`);
+    }
+
+    // 481-sample chunks used to lose one sample each
+    const input24k = generateWhiteNoise(100, SAMPLE_RATE_OPENAI);
+    const down = createResampler(SAMPLE_RATE_OPENAI, SAMPLE_RATE_TWILIO, 'linear');
+    const downParts = [];
+    for (let offset = 0; offset < input24k.length; offset += 481) {
+      downParts.push(down.process(input24k.subarray(offset, offset + 481)));
+    }
+    downParts.push(down.flush());
+    const downJoined = concatenateBuffers(downParts);
+    const downWhole = resample24kTo8k(input24k);
+    assertEquals(downJoined.length, downWhole.length, 'Downsampled length');
+    for (let i = 0; i < downWhole.length; i++) {
+      assertEquals(downJoined[i], downWhole[i], `Downsampled sample ${i}`);
+    }
+  });
+
+  // Test 22: Stream converters give the same output however the stream is split
+  test('Stream converters convert a split stream bit-identically', () => {
+    const mulaw = encodeMulaw(generateWhiteNoise(200, SAMPLE_RATE_TWILIO));
+    const pcmBytes = int16ArrayToBuffer(generateWhiteNoise(200, SAMPLE_RATE_OPENAI));
+
+    for (const quality of RESAMPLER_QUALITIES) {
+      // Twilio → OpenAI: one call for everything vs 20ms frames and odd sizes
+      const inboundWhole = new MulawToPCM16Stream({ quality });
+      const expectedPcm = concatenateBuffers([inboundWhole.process(mulaw), inboundWhole.flush()]);
+
+      const inbound = new MulawToPCM16Stream({ quality });
+      const inboundParts = [];
+      for (let offset = 0, i = 0; offset < mulaw.length; i++) {
+        const size = [160, 1, 77][i % 3];
+        const payload = Buffer.from(mulaw.subarray(offset, offset + size)).toString('base64');
+        inboundParts.push(bufferToInt16Array(Buffer.from(inbound.processBase64(payload), 'base64')));
+        offset += size;
+      }
+      inboundParts.push(inbound.flush());
+      const actualPcm = concatenateBuffers(inboundParts);
+
+      assertEquals(actualPcm.length, expectedPcm.length, `${quality} inbound length`);
+      for (let i = 0; i < expectedPcm.length; i++) {
+        assertEquals(actualPcm[i], expectedPcm[i], `${quality} inbound sample ${i}`);
+      }
+
+      // OpenAI → Twilio: deltas of odd byte counts split samples in half
+      const outboundWhole = new PCM16ToMulawStream({ quality });
+      const expectedMulaw = Buffer.concat([outboundWhole.processBytes(pcmBytes), outboundWhole.flush()]);
+
+      const outbound = new PCM16ToMulawStream({ quality });
+      const outboundParts = [];
+      for (let offset = 0, i = 0; offset < pcmBytes.length; i++) {
+        const size = [961, 3, 4800, 1][i % 4];
+        const delta = pcmBytes.subarray(offset, offset + size).toString('base64');
+        outboundParts.push(Buffer.from(outbound.processBase64(delta), 'base64'));
+        offset += size;
+      }
+      outboundParts.push(outbound.flush());
+      const actualMulaw = Buffer.concat(outboundParts);
+
+      assertTrue(actualMulaw.equals(expectedMulaw), `${quality} outbound bytes differ`);
+      assertTrue(expectedMulaw.length >= pcmBytes.length / 6, `${quality} outbound dropped samples`);
+    }
+  });
+
   // Print summary
   logger.info(`Audio converter tests: ${results.passed} passed, ${results.failed} failed`);
 
@@ -1012,6 +1735,11 @@ export default {
   resample,
   resample8kTo24k,
   resample24kTo8k,
+  PolyphaseResampler,
+  createResampler,
+  setResamplerQuality,
+  getResamplerQuality,
+  RESAMPLER_QUALITIES,
 
   // Pipeline functions
   mulawToPCM16_24k,
@@ -1021,6 +1749,10 @@ export default {
   mulawBase64ToPCM16Base64,
   pcm16Base64ToMulawBase64,
 
+  // Stream converters
+  MulawToPCM16Stream,
+  PCM16ToMulawStream,
+
   // Buffer classes
   AudioBuffer,
   AudioChunkBuffer,
@@ -1038,6 +1770,7 @@ export default {
   generateTestTone,
   generateWhiteNoise,
   hasSignal,
+  benchmarkResamplers,
   runTests,
 
   // Constants
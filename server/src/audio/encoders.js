@@ -0,0 +1,946 @@
+/**
+ * Audio Encoders for VoiceAI Pro
+ *
+ * Pure JavaScript encoders/decoders for recording storage and download:
+ * - wav:   Linear PCM16 WAV (what RecordingSession writes while a call is live)
+ * - mulaw: G.711 μ-law WAV at 8kHz (telephone quality, 1/6 the size of 24kHz PCM16)
+ * - flac:  FLAC, lossless (typically 40-60% of PCM16 for speech)
+ *
+ * All functions work on a PCM container:
+ *   { samples: Int16Array (interleaved), sampleRate: number, channels: number }
+ *
+ * FLAC DETAILS:
+ * - Fixed block size of 4096 samples, independent channels
+ * - Each subframe is CONSTANT, VERBATIM or FIXED (order 0-4), whichever is smallest
+ * - Residuals are Rice coded with the best partition order (0-6)
+ * - STREAMINFO carries the MD5 of the decoded audio
+ * The decoder only understands what this encoder produces (no LPC subframes,
+ * no inter-channel decorrelation); it is used to transcode our own recordings.
+ */
+
+import { createHash } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { encodeMulaw, decodeMulaw, resample } from './converter.js';
+
+const logger = createLogger('audio:encoders');
+
+const SAMPLE_RATE_MULAW = 8000;
+
+// WAV format tags
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_MULAW = 7;
+
+// FLAC settings
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_FIXED_ORDER = 4;
+const FLAC_MAX_PARTITION_ORDER = 6;
+const FLAC_MAX_RICE_PARAM = 14;       // 15 is the escape code
+const FLAC_BITS_PER_SAMPLE = 16;
+
+// Frames encoded/decoded between event loop yields (~10s of 24kHz audio)
+const FRAMES_PER_YIELD = 64;
+
+/**
+ * Formats recordings can be stored in or transcoded to
+ * sampleRate is fixed for lossy telephone formats; null keeps the source rate.
+ */
+export const AUDIO_FORMATS = {
+  wav: { contentType: 'audio/wav', extension: 'wav', sampleRate: null },
+  mulaw: { contentType: 'audio/wav', extension: 'wav', sampleRate: SAMPLE_RATE_MULAW },
+  flac: { contentType: 'audio/flac', extension: 'flac', sampleRate: null },
+};
+
+/**
+ * Check whether a format name is supported
+ *
+ * @param {string} format - Format name
+ * @returns {boolean} True if supported
+ */
+export function isSupportedFormat(format) {
+  return Object.prototype.hasOwnProperty.call(AUDIO_FORMATS, format);
+}
+
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+// ============================================================================
+// CHANNEL HELPERS
+// ============================================================================
+
+/**
+ * Split interleaved samples into one array per channel
+ *
+ * @param {Int16Array} samples - Interleaved samples
+ * @param {number} channels - Channel count
+ * @returns {Int16Array[]} Samples per channel
+ */
+function deinterleave(samples, channels) {
+  if (channels === 1) {
+    return [samples];
+  }
+
+  const frames = Math.floor(samples.length / channels);
+  const planes = Array.from({ length: channels }, () => new Int16Array(frames));
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      planes[ch][i] = samples[i * channels + ch];
+    }
+  }
+  return planes;
+}
+
+/**
+ * Merge per-channel arrays into interleaved samples
+ *
+ * @param {Array<Int16Array|Uint8Array>} planes - Samples per channel
+ * @param {Function} [ArrayType=Int16Array] - Output array type
+ * @returns {Int16Array|Uint8Array} Interleaved samples
+ */
+function interleave(planes, ArrayType = Int16Array) {
+  if (planes.length === 1) {
+    return planes[0];
+  }
+
+  const frames = planes[0].length;
+  const output = new ArrayType(frames * planes.length);
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < planes.length; ch++) {
+      output[i * planes.length + ch] = planes[ch][i];
+    }
+  }
+  return output;
+}
+
+// ============================================================================
+// WAV (PCM16 and μ-law)
+// ============================================================================
+
+/**
+ * Parse the header of a WAV file
+ * Only the first few hundred bytes are needed, so this works on a partial read.
+ *
+ * @param {Buffer} buffer - Start of the WAV file
+ * @returns {{formatTag: number, channels: number, sampleRate: number, bitsPerSample: number,
+ *   blockAlign: number, dataOffset: number, dataSize: number}} Format and data chunk location
+ */
+export function parseWavHeader(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      fmt = {
+        formatTag: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        blockAlign: buffer.readUInt16LE(body + 12),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (chunkId === 'data') {
+      if (!fmt) {
+        throw new Error('WAV data chunk before fmt chunk');
+      }
+      return { ...fmt, dataOffset: body, dataSize: chunkSize };
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Build a WAV header (PCM or μ-law)
+ *
+ * @param {{formatTag: number, channels: number, sampleRate: number, bitsPerSample: number}} fmt - Format
+ * @param {number} dataSize - Size of the audio data in bytes
+ * @returns {Buffer} Header (44 bytes for PCM, 58 with the fact chunk otherwise)
+ */
+export function createWavHeader(fmt, dataSize) {
+  const { formatTag, channels, sampleRate, bitsPerSample } = fmt;
+  const blockAlign = channels * (bitsPerSample / 8);
+  const isPcm = formatTag === WAV_FORMAT_PCM;
+  const header = Buffer.alloc(isPcm ? 44 : 58);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(header.length - 8 + dataSize + (dataSize % 2), 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(isPcm ? 16 : 18, 16);
+  header.writeUInt16LE(formatTag, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+
+  let offset = 36;
+  if (!isPcm) {
+    // Non-PCM WAV: 18-byte fmt chunk (cbSize = 0) and a fact chunk with the frame count
+    header.writeUInt16LE(0, 36);
+    header.write('fact', 38);
+    header.writeUInt32LE(4, 42);
+    header.writeUInt32LE(Math.floor(dataSize / blockAlign), 46);
+    offset = 50;
+  }
+
+  header.write('data', offset);
+  header.writeUInt32LE(dataSize, offset + 4);
+
+  return header;
+}
+
+/**
+ * Parse a WAV file (PCM16 or μ-law)
+ * A zero or oversized data length (file not finalized) is read to the end of the file.
+ *
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {{samples: Int16Array, sampleRate: number, channels: number}} Decoded PCM
+ */
+export function parseWav(buffer) {
+  const fmt = parseWavHeader(buffer);
+  let dataSize = fmt.dataSize;
+
+  if (dataSize === 0 || fmt.dataOffset + dataSize > buffer.length) {
+    dataSize = buffer.length - fmt.dataOffset;
+  }
+
+  return decodeWavData(buffer.subarray(fmt.dataOffset, fmt.dataOffset + dataSize), fmt);
+}
+
+function decodeWavData(data, fmt) {
+  const { formatTag, channels, sampleRate, bitsPerSample } = fmt;
+
+  if (formatTag === WAV_FORMAT_PCM && bitsPerSample === 16) {
+    const samples = new Int16Array(Math.floor(data.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = data.readInt16LE(i * 2);
+    }
+    return { samples, sampleRate, channels };
+  }
+
+  if (formatTag === WAV_FORMAT_MULAW && bitsPerSample === 8) {
+    return { samples: decodeMulaw(data), sampleRate, channels };
+  }
+
+  throw new Error(`Unsupported WAV encoding: format ${formatTag}, ${bitsPerSample} bits`);
+}
+
+/**
+ * Encode PCM16 WAV
+ *
+ * @param {{samples: Int16Array, sampleRate: number, channels: number}} pcm - Audio to encode
+ * @returns {Buffer} WAV file
+ */
+export function encodeWav({ samples, sampleRate, channels }) {
+  const dataSize = samples.length * 2;
+  const header = createWavHeader({ formatTag: WAV_FORMAT_PCM, channels, sampleRate, bitsPerSample: 16 }, dataSize);
+
+  const data = Buffer.alloc(dataSize);
+  for (let i = 0; i < samples.length; i++) {
+    data.writeInt16LE(samples[i], i * 2);
+  }
+
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Encode 8kHz μ-law WAV, downsampling first if needed
+ *
+ * @param {{samples: Int16Array, sampleRate: number, channels: number}} pcm - Audio to encode
+ * @returns {Buffer} WAV file (format tag 7)
+ */
+export function encodeMulawWav({ samples, sampleRate, channels }) {
+  const planes = deinterleave(samples, channels)
+    .map((plane) => encodeMulaw(resample(plane, sampleRate, SAMPLE_RATE_MULAW)));
+  const data = interleave(planes, Uint8Array);
+
+  const header = createWavHeader(
+    { formatTag: WAV_FORMAT_MULAW, channels, sampleRate: SAMPLE_RATE_MULAW, bitsPerSample: 8 },
+    data.length
+  );
+
+  const parts = [header, Buffer.from(data.buffer, data.byteOffset, data.length)];
+  if (data.length % 2) {
+    parts.push(Buffer.alloc(1));
+  }
+  return Buffer.concat(parts);
+}
+
+// ============================================================================
+// FLAC BIT I/O AND CHECKSUMS
+// ============================================================================
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+
+(function initCrcTables() {
+  for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc8 = (crc8 & 0x80) ? ((crc8 << 1) ^ 0x07) & 0xFF : (crc8 << 1) & 0xFF;
+      crc16 = (crc16 & 0x8000) ? ((crc16 << 1) ^ 0x8005) & 0xFFFF : (crc16 << 1) & 0xFFFF;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+  }
+})();
+
+function crc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = CRC8_TABLE[crc ^ bytes[i]];
+  }
+  return crc;
+}
+
+function crc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+  }
+  return crc;
+}
+
+/**
+ * MSB-first bit writer with a growable byte buffer
+ */
+class BitWriter {
+  constructor(capacity = 65536) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;      // Complete bytes written
+    this.acc = 0;         // Pending bits (fewer than 8 between calls)
+    this.accBits = 0;
+  }
+
+  ensureCapacity(extraBytes) {
+    if (this.length + extraBytes <= this.bytes.length) {
+      return;
+    }
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extraBytes));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  /**
+   * Write the low n bits of value (n <= 24)
+   */
+  write(value, n) {
+    this.acc = (this.acc << n) | (value & ((1 << n) - 1));
+    this.accBits += n;
+    while (this.accBits >= 8) {
+      this.accBits -= 8;
+      this.bytes[this.length++] = (this.acc >>> this.accBits) & 0xFF;
+    }
+    this.acc &= (1 << this.accBits) - 1;
+  }
+
+  writeSigned(value, n) {
+    this.write(value < 0 ? value + (1 << n) : value, n);
+  }
+
+  writeUnary(zeros) {
+    while (zeros >= 24) {
+      this.write(0, 24);
+      zeros -= 24;
+    }
+    this.write(1, zeros + 1);
+  }
+
+  alignToByte() {
+    if (this.accBits > 0) {
+      this.write(0, 8 - this.accBits);
+    }
+  }
+}
+
+/**
+ * MSB-first bit reader
+ */
+class BitReader {
+  constructor(bytes, offset = 0) {
+    this.bytes = bytes;
+    this.pos = offset;    // Next byte to load
+    this.acc = 0;
+    this.accBits = 0;
+  }
+
+  /**
+   * Read n bits as an unsigned value (n <= 24)
+   */
+  read(n) {
+    while (this.accBits < n) {
+      if (this.pos >= this.bytes.length) {
+        throw new Error('Unexpected end of FLAC data');
+      }
+      this.acc = ((this.acc << 8) | this.bytes[this.pos++]) & 0x7FFFFFFF;
+      this.accBits += 8;
+    }
+    this.accBits -= n;
+    return (this.acc >>> this.accBits) & ((1 << n) - 1);
+  }
+
+  readSigned(n) {
+    const value = this.read(n);
+    return value >= (1 << (n - 1)) ? value - (1 << n) : value;
+  }
+
+  readUnary() {
+    let zeros = 0;
+    while (this.read(1) === 0) {
+      zeros++;
+    }
+    return zeros;
+  }
+
+  alignToByte() {
+    this.accBits -= this.accBits % 8;
+  }
+
+  /** Byte offset of the next unread bit (must be byte aligned) */
+  get bytePosition() {
+    return this.pos - this.accBits / 8;
+  }
+}
+
+// ============================================================================
+// FLAC ENCODER
+// ============================================================================
+
+/**
+ * Compute FIXED predictor residuals for a block
+ */
+function fixedResidual(block, order) {
+  const residual = new Int32Array(block.length - order);
+  for (let i = order; i < block.length; i++) {
+    let prediction;
+    switch (order) {
+      case 0: prediction = 0; break;
+      case 1: prediction = block[i - 1]; break;
+      case 2: prediction = 2 * block[i - 1] - block[i - 2]; break;
+      case 3: prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3]; break;
+      default: prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4];
+    }
+    residual[i - order] = block[i] - prediction;
+  }
+  return residual;
+}
+
+/**
+ * Zigzag-fold residuals to unsigned values for Rice coding
+ */
+function foldResidual(residual) {
+  const folded = new Uint32Array(residual.length);
+  for (let i = 0; i < residual.length; i++) {
+    const v = residual[i];
+    folded[i] = v >= 0 ? v * 2 : -v * 2 - 1;
+  }
+  return folded;
+}
+
+/**
+ * Best Rice parameter for a run of folded residuals
+ *
+ * @returns {{param: number, bits: number}} Parameter and encoded size in bits
+ */
+function bestRiceParam(folded, start, end) {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += folded[i];
+  }
+
+  const count = end - start;
+  const mean = count > 0 ? sum / count : 0;
+  const guess = mean > 1 ? Math.min(FLAC_MAX_RICE_PARAM, Math.floor(Math.log2(mean))) : 0;
+
+  let best = null;
+  for (let param = Math.max(0, guess - 1); param <= Math.min(FLAC_MAX_RICE_PARAM, guess + 1); param++) {
+    let bits = count * (param + 1);
+    for (let i = start; i < end; i++) {
+      bits += folded[i] >>> param;
+    }
+    if (!best || bits < best.bits) {
+      best = { param, bits };
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick the partition order and Rice parameters for a residual
+ *
+ * @returns {{bits: number, order: number, params: number[]}} Coding plan
+ */
+function planResidual(folded, blockSize, predictorOrder) {
+  let best = null;
+
+  for (let order = 0; order <= FLAC_MAX_PARTITION_ORDER; order++) {
+    const partitionSize = blockSize >> order;
+    if ((blockSize % (1 << order)) !== 0 || partitionSize <= predictorOrder) {
+      break;
+    }
+
+    let bits = 6;   // Coding method + partition order
+    const params = [];
+    let start = 0;
+    for (let p = 0; p < (1 << order); p++) {
+      const end = start + (p === 0 ? partitionSize - predictorOrder : partitionSize);
+      const rice = bestRiceParam(folded, start, end);
+      bits += 4 + rice.bits;
+      params.push(rice.param);
+      start = end;
+    }
+
+    if (!best || bits < best.bits) {
+      best = { bits, order, params };
+    }
+  }
+
+  return best;
+}
+
+function writeResidual(writer, folded, blockSize, predictorOrder, plan) {
+  writer.write(0, 2);                   // Rice coding, 4-bit parameters
+  writer.write(plan.order, 4);
+
+  const partitionSize = blockSize >> plan.order;
+  let index = 0;
+  for (let p = 0; p < plan.params.length; p++) {
+    const param = plan.params[p];
+    const end = index + (p === 0 ? partitionSize - predictorOrder : partitionSize);
+    writer.write(param, 4);
+    for (; index < end; index++) {
+      const value = folded[index];
+      writer.writeUnary(value >>> param);
+      if (param > 0) {
+        writer.write(value, param);
+      }
+    }
+  }
+}
+
+function writeSubframe(writer, block) {
+  const blockSize = block.length;
+
+  let constant = true;
+  for (let i = 1; i < blockSize && constant; i++) {
+    constant = block[i] === block[0];
+  }
+  if (constant) {
+    writer.write(0, 8);                 // Padding bit, type CONSTANT, no wasted bits
+    writer.writeSigned(block[0], FLAC_BITS_PER_SAMPLE);
+    return;
+  }
+
+  let best = null;
+  for (let order = 0; order <= Math.min(FLAC_MAX_FIXED_ORDER, blockSize - 1); order++) {
+    const folded = foldResidual(fixedResidual(block, order));
+    const plan = planResidual(folded, blockSize, order);
+    if (!plan) {
+      continue;
+    }
+    const bits = order * FLAC_BITS_PER_SAMPLE + plan.bits;
+    if (!best || bits < best.bits) {
+      best = { bits, order, folded, plan };
+    }
+  }
+
+  if (!best || best.bits >= blockSize * FLAC_BITS_PER_SAMPLE) {
+    writer.write(0b00000010, 8);        // VERBATIM
+    for (let i = 0; i < blockSize; i++) {
+      writer.writeSigned(block[i], FLAC_BITS_PER_SAMPLE);
+    }
+    return;
+  }
+
+  writer.write((0b001000 | best.order) << 1, 8);    // FIXED, order in low bits
+  for (let i = 0; i < best.order; i++) {
+    writer.writeSigned(block[i], FLAC_BITS_PER_SAMPLE);
+  }
+  writeResidual(writer, best.folded, blockSize, best.order, best.plan);
+}
+
+/**
+ * Write a frame number in FLAC's UTF-8 style variable length coding
+ */
+function writeCodedNumber(writer, value) {
+  if (value < 0x80) {
+    writer.write(value, 8);
+    return;
+  }
+
+  let continuationBytes = 1;
+  while (value >= 2 ** (6 + 5 * continuationBytes) && continuationBytes < 6) {
+    continuationBytes++;
+  }
+
+  const prefix = (0xFF << (7 - continuationBytes)) & 0xFF;
+  writer.write(prefix | Math.floor(value / 2 ** (6 * continuationBytes)), 8);
+  for (let i = continuationBytes - 1; i >= 0; i--) {
+    writer.write(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3F), 8);
+  }
+}
+
+function writeFrame(writer, planes, frameNumber, offset, blockSize) {
+  const channels = planes.length;
+  writer.ensureCapacity(32 + channels * (blockSize * 2 + 16));
+
+  const frameStart = writer.length;
+  writer.write(0b11111111111110, 14);   // Sync code
+  writer.write(0, 2);                   // Reserved, fixed block size stream
+  writer.write(0b0111, 4);              // Block size: 16-bit (n-1) at end of header
+  writer.write(0b0000, 4);              // Sample rate: from STREAMINFO
+  writer.write(channels - 1, 4);        // Independent channels
+  writer.write(0b100, 3);               // 16 bits per sample
+  writer.write(0, 1);
+  writeCodedNumber(writer, frameNumber);
+  writer.write(blockSize - 1, 16);
+  writer.write(crc8(writer.bytes, frameStart, writer.length), 8);
+
+  for (const plane of planes) {
+    writeSubframe(writer, plane.subarray(offset, offset + blockSize));
+  }
+
+  writer.alignToByte();
+  writer.write(crc16(writer.bytes, frameStart, writer.length), 16);
+
+  return writer.length - frameStart;
+}
+
+/**
+ * Compute the MD5 FLAC stores for the decoded audio (interleaved little-endian PCM16)
+ */
+function pcmMd5(samples) {
+  const bytes = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    bytes.writeInt16LE(samples[i], i * 2);
+  }
+  return createHash('md5').update(bytes).digest();
+}
+
+/**
+ * Encode FLAC
+ * Yields to the event loop between batches of frames so live calls keep flowing.
+ *
+ * @param {{samples: Int16Array, sampleRate: number, channels: number}} pcm - Audio to encode
+ * @returns {Promise<Buffer>} FLAC file
+ */
+export async function encodeFlac({ samples, sampleRate, channels }) {
+  if (channels < 1 || channels > 8) {
+    throw new Error(`FLAC supports 1-8 channels, got ${channels}`);
+  }
+
+  const planes = deinterleave(samples, channels);
+  const totalFrames = planes[0].length;
+
+  const writer = new BitWriter(Math.max(65536, Math.floor(samples.length * 1.2)));
+
+  // fLaC marker + STREAMINFO block (last metadata block)
+  writer.ensureCapacity(42);
+  writer.write(0x664C, 16);
+  writer.write(0x6143, 16);
+  writer.write(0x80, 8);
+  writer.write(34, 24);
+  const streamInfoOffset = writer.length;
+  for (let i = 0; i < 34; i++) {
+    writer.write(0, 8);
+  }
+
+  let minFrameSize = Infinity;
+  let maxFrameSize = 0;
+  let frameNumber = 0;
+
+  for (let offset = 0; offset < totalFrames; offset += FLAC_BLOCK_SIZE) {
+    const blockSize = Math.min(FLAC_BLOCK_SIZE, totalFrames - offset);
+    const frameSize = writeFrame(writer, planes, frameNumber++, offset, blockSize);
+    minFrameSize = Math.min(minFrameSize, frameSize);
+    maxFrameSize = Math.max(maxFrameSize, frameSize);
+
+    if (frameNumber % FRAMES_PER_YIELD === 0) {
+      await yieldToEventLoop();
+    }
+  }
+
+  // Fill in STREAMINFO now that frame sizes are known
+  const info = new BitWriter(34);
+  const minBlockSize = totalFrames > FLAC_BLOCK_SIZE ? FLAC_BLOCK_SIZE : Math.max(16, totalFrames);
+  info.write(minBlockSize, 16);
+  info.write(FLAC_BLOCK_SIZE, 16);
+  info.write(Number.isFinite(minFrameSize) ? minFrameSize : 0, 24);
+  info.write(maxFrameSize, 24);
+  info.write(sampleRate >>> 4, 16);
+  info.write(sampleRate & 0xF, 4);
+  info.write(channels - 1, 3);
+  info.write(FLAC_BITS_PER_SAMPLE - 1, 5);
+  info.write(Math.floor(totalFrames / 2 ** 32) & 0xF, 4);
+  info.write(Math.floor(totalFrames / 2 ** 16) & 0xFFFF, 16);
+  info.write(totalFrames & 0xFFFF, 16);
+  writer.bytes.set(info.bytes.subarray(0, info.length), streamInfoOffset);
+  writer.bytes.set(pcmMd5(samples), streamInfoOffset + 18);
+
+  return Buffer.from(writer.bytes.buffer, writer.bytes.byteOffset, writer.length);
+}
+
+// ============================================================================
+// FLAC DECODER (for files produced by encodeFlac)
+// ============================================================================
+
+function readCodedNumber(reader) {
+  const first = reader.read(8);
+  if (first < 0x80) {
+    return first;
+  }
+
+  let continuationBytes = 0;
+  while (first & (0x40 >> continuationBytes)) {
+    continuationBytes++;
+  }
+
+  let value = first & (0x3F >> continuationBytes);
+  for (let i = 0; i < continuationBytes; i++) {
+    value = value * 64 + (reader.read(8) & 0x3F);
+  }
+  return value;
+}
+
+function readResidual(reader, output, blockSize, predictorOrder) {
+  if (reader.read(2) !== 0) {
+    throw new Error('Unsupported FLAC residual coding method');
+  }
+
+  const partitionOrder = reader.read(4);
+  const partitionSize = blockSize >> partitionOrder;
+  let index = predictorOrder;
+
+  for (let p = 0; p < (1 << partitionOrder); p++) {
+    const param = reader.read(4);
+    const end = index + (p === 0 ? partitionSize - predictorOrder : partitionSize);
+
+    if (param === 15) {
+      const rawBits = reader.read(5);
+      for (; index < end; index++) {
+        output[index] = rawBits ? reader.readSigned(rawBits) : 0;
+      }
+      continue;
+    }
+
+    for (; index < end; index++) {
+      const folded = reader.readUnary() * (1 << param) + (param ? reader.read(param) : 0);
+      output[index] = folded & 1 ? -((folded + 1) / 2) : folded / 2;
+    }
+  }
+}
+
+function readSubframe(reader, blockSize) {
+  const header = reader.read(8);
+  const type = (header >> 1) & 0x3F;
+  if (header & 1) {
+    throw new Error('Unsupported FLAC wasted-bits subframe');
+  }
+
+  const block = new Int32Array(blockSize);
+
+  if (type === 0) {
+    block.fill(reader.readSigned(FLAC_BITS_PER_SAMPLE));
+  } else if (type === 1) {
+    for (let i = 0; i < blockSize; i++) {
+      block[i] = reader.readSigned(FLAC_BITS_PER_SAMPLE);
+    }
+  } else if ((type & 0b111000) === 0b001000 && (type & 0b111) <= FLAC_MAX_FIXED_ORDER) {
+    const order = type & 0b111;
+    for (let i = 0; i < order; i++) {
+      block[i] = reader.readSigned(FLAC_BITS_PER_SAMPLE);
+    }
+    readResidual(reader, block, blockSize, order);
+    for (let i = order; i < blockSize; i++) {
+      switch (order) {
+        case 0: break;
+        case 1: block[i] += block[i - 1]; break;
+        case 2: block[i] += 2 * block[i - 1] - block[i - 2]; break;
+        case 3: block[i] += 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3]; break;
+        default: block[i] += 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4];
+      }
+    }
+  } else {
+    throw new Error(`Unsupported FLAC subframe type ${type}`);
+  }
+
+  return block;
+}
+
+/**
+ * Decode a FLAC file written by encodeFlac
+ *
+ * @param {Buffer} buffer - FLAC file contents
+ * @returns {Promise<{samples: Int16Array, sampleRate: number, channels: number}>} Decoded PCM
+ */
+export async function decodeFlac(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'fLaC') {
+    throw new Error('Not a FLAC file');
+  }
+
+  // Walk metadata blocks; STREAMINFO is always first
+  let offset = 4;
+  let streamInfo = null;
+  let isLast = false;
+  while (!isLast) {
+    isLast = (buffer[offset] & 0x80) !== 0;
+    const type = buffer[offset] & 0x7F;
+    const length = buffer.readUIntBE(offset + 1, 3);
+    if (type === 0) {
+      const info = new BitReader(buffer, offset + 4);
+      info.read(16);
+      info.read(16);
+      info.read(24);
+      info.read(24);
+      const sampleRate = info.read(20);
+      const channels = info.read(3) + 1;
+      const bitsPerSample = info.read(5) + 1;
+      const totalFrames = info.read(4) * 2 ** 32 + info.read(16) * 2 ** 16 + info.read(16);
+      streamInfo = { sampleRate, channels, bitsPerSample, totalFrames };
+    }
+    offset += 4 + length;
+  }
+
+  if (!streamInfo || streamInfo.bitsPerSample !== FLAC_BITS_PER_SAMPLE) {
+    throw new Error('Unsupported FLAC stream (16-bit only)');
+  }
+
+  const { sampleRate, channels, totalFrames } = streamInfo;
+  const planes = Array.from({ length: channels }, () => new Int16Array(totalFrames));
+  const reader = new BitReader(buffer, offset);
+  let written = 0;
+  let frameCount = 0;
+
+  while (written < totalFrames) {
+    const frameStart = reader.bytePosition;
+    if (reader.read(14) !== 0b11111111111110) {
+      throw new Error(`Lost FLAC frame sync at byte ${reader.bytePosition}`);
+    }
+    reader.read(2);
+    const blockSizeCode = reader.read(4);
+    reader.read(4);
+    const channelAssignment = reader.read(4);
+    reader.read(4);
+    readCodedNumber(reader);
+
+    let blockSize;
+    if (blockSizeCode === 0b0110) blockSize = reader.read(8) + 1;
+    else if (blockSizeCode === 0b0111) blockSize = reader.read(16) + 1;
+    else if (blockSizeCode >= 0b1000) blockSize = 256 << (blockSizeCode - 8);
+    else throw new Error(`Unsupported FLAC block size code ${blockSizeCode}`);
+
+    if (channelAssignment !== channels - 1) {
+      throw new Error('Unsupported FLAC channel assignment');
+    }
+    if (crc8(buffer, frameStart, reader.bytePosition) !== reader.read(8)) {
+      throw new Error(`FLAC frame header CRC mismatch in frame ${frameCount}`);
+    }
+
+    for (let ch = 0; ch < channels; ch++) {
+      planes[ch].set(readSubframe(reader, blockSize), written);
+    }
+
+    reader.alignToByte();
+    if (crc16(buffer, frameStart, reader.bytePosition) !== reader.read(16)) {
+      throw new Error(`FLAC frame CRC mismatch in frame ${frameCount}`);
+    }
+    written += blockSize;
+
+    if (++frameCount % FRAMES_PER_YIELD === 0) {
+      await yieldToEventLoop();
+    }
+  }
+
+  return { samples: interleave(planes), sampleRate, channels };
+}
+
+// ============================================================================
+// FORMAT DISPATCH
+// ============================================================================
+
+/**
+ * Decode a stored recording to PCM
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - Stored format (wav, mulaw, flac)
+ * @returns {Promise<{samples: Int16Array, sampleRate: number, channels: number}>} Decoded PCM
+ */
+export async function decodeAudio(buffer, format) {
+  switch (format) {
+    case 'wav':
+    case 'mulaw':
+      return parseWav(buffer);
+    case 'flac':
+      return decodeFlac(buffer);
+    default:
+      throw new Error(`Unsupported audio format: ${format}`);
+  }
+}
+
+/**
+ * Encode PCM in a storage/download format
+ *
+ * @param {{samples: Int16Array, sampleRate: number, channels: number}} pcm - Audio to encode
+ * @param {string} format - Target format (wav, mulaw, flac)
+ * @returns {Promise<Buffer>} Encoded file
+ */
+export async function encodeAudio(pcm, format) {
+  switch (format) {
+    case 'wav':
+      return encodeWav(pcm);
+    case 'mulaw':
+      return encodeMulawWav(pcm);
+    case 'flac':
+      return encodeFlac(pcm);
+    default:
+      throw new Error(`Unsupported audio format: ${format}`);
+  }
+}
+
+/**
+ * Convert a recording between formats
+ *
+ * @param {Buffer} buffer - Source file contents
+ * @param {string} fromFormat - Source format
+ * @param {string} toFormat - Target format
+ * @returns {Promise<Buffer>} Encoded file
+ */
+export async function transcode(buffer, fromFormat, toFormat) {
+  const startTime = Date.now();
+  const pcm = await decodeAudio(buffer, fromFormat);
+  const output = await encodeAudio(pcm, toFormat);
+
+  logger.debug('Audio transcoded', {
+    fromFormat,
+    toFormat,
+    inputBytes: buffer.length,
+    outputBytes: output.length,
+    durationMs: Date.now() - startTime,
+  });
+
+  return output;
+}
+
+export default {
+  AUDIO_FORMATS,
+  isSupportedFormat,
+  parseWavHeader,
+  createWavHeader,
+  parseWav,
+  encodeWav,
+  encodeMulawWav,
+  encodeFlac,
+  decodeFlac,
+  decodeAudio,
+  encodeAudio,
+  transcode,
+};
@@ -0,0 +1,235 @@
+/**
+ * Playback Tracker for VoiceAI Pro
+ *
+ * Works out how much of each assistant item the caller has actually heard.
+ * AI audio reaches Twilio faster than real time and waits in Twilio's
+ * buffer, so "sent" is not "heard". Every chunk sent to Twilio is followed
+ * by a mark; Twilio echoes a mark once the audio before it has played, which
+ * moves that item's played position up to the end of the chunk. Within the
+ * chunk that is playing, the position is interpolated from the clock.
+ *
+ * On barge-in, truncate() gives the position to cut each item at. Twilio
+ * also echoes every outstanding mark when its buffer is cleared; clear()
+ * forgets them first so they do not count as played.
+ */
+
+export const PLAYBACK_MARK_PREFIX = 'playback_';
+
+// Assistant items remembered after they finish (late transcripts, stats)
+const MAX_TRACKED_ITEMS = 16;
+
+// Treat playback as over this long after it should have ended, even if marks
+// are missing (stream not connected, marks lost)
+const MARK_GRACE_MS = 2000;
+
+export class PlaybackTracker {
+  constructor() {
+    // itemId -> {itemId, contentIndex, sentMs, playedMs, truncatedAtMs}
+    this.items = new Map();
+
+    // Marks sent but not yet echoed, oldest first:
+    // [{name, itemId, startMs, endMs, sentAt}]
+    this.pendingMarks = [];
+
+    this.markSequence = 0;
+    this.lastMarkAt = 0;
+
+    // When everything sent so far should finish playing (wall-clock ms)
+    this.endsAt = 0;
+  }
+
+  /**
+   * Record a chunk of an item's audio sent to Twilio
+   *
+   * @param {string} itemId - Assistant item the audio belongs to
+   * @param {number} contentIndex - Content part of the item
+   * @param {number} durationMs - Audio duration
+   * @param {number} [now=Date.now()] - Wall-clock time (ms)
+   * @returns {{markName: string, startsAt: number}} Mark to send after the audio,
+   *   and when the caller should start hearing it
+   */
+  addChunk(itemId, contentIndex, durationMs, now = Date.now()) {
+    let item = this.items.get(itemId);
+    if (!item) {
+      item = { itemId, contentIndex, sentMs: 0, playedMs: 0, truncatedAtMs: null };
+      this.items.set(itemId, item);
+      this.pruneItems();
+    }
+
+    const startsAt = Math.max(now, this.endsAt);
+    this.endsAt = startsAt + durationMs;
+
+    const markName = `${PLAYBACK_MARK_PREFIX}${++this.markSequence}`;
+    this.pendingMarks.push({
+      name: markName,
+      itemId,
+      startMs: item.sentMs,
+      endMs: item.sentMs + durationMs,
+      sentAt: now,
+    });
+    item.sentMs += durationMs;
+
+    return { markName, startsAt };
+  }
+
+  /**
+   * Twilio echoed a mark: the audio before it has played
+   *
+   * @param {string} markName - Mark name from Twilio
+   * @param {number} [now=Date.now()] - Wall-clock time (ms)
+   * @returns {boolean} True if the mark was one of ours (even if stale)
+   */
+  handleMark(markName, now = Date.now()) {
+    if (!markName?.startsWith(PLAYBACK_MARK_PREFIX)) {
+      return false;
+    }
+
+    const index = this.pendingMarks.findIndex((mark) => mark.name === markName);
+    if (index === -1) {
+      return true;
+    }
+
+    // Marks come back in order; anything before this one has played too
+    for (const mark of this.pendingMarks.splice(0, index + 1)) {
+      const item = this.items.get(mark.itemId);
+      if (item) {
+        item.playedMs = Math.max(item.playedMs, mark.endMs);
+      }
+    }
+    this.lastMarkAt = now;
+
+    return true;
+  }
+
+  /**
+   * Whether the caller can still hear AI audio
+   *
+   * @param {number} [now=Date.now()] - Wall-clock time (ms)
+   * @returns {boolean} True while marks are outstanding
+   */
+  isPlaying(now = Date.now()) {
+    return this.pendingMarks.length > 0 && now < this.endsAt + MARK_GRACE_MS;
+  }
+
+  /**
+   * Milliseconds of an item the caller has heard
+   *
+   * @param {string} itemId - Assistant item
+   * @param {number} [now=Date.now()] - Wall-clock time (ms)
+   * @returns {number} Played position, rounded to the millisecond
+   */
+  getPlayedMs(itemId, now = Date.now()) {
+    const item = this.items.get(itemId);
+    if (!item) {
+      return 0;
+    }
+
+    let playedMs = item.playedMs;
+
+    // The oldest outstanding chunk is the one playing now
+    const current = this.pendingMarks[0];
+    if (current?.itemId === itemId) {
+      const playingFor = now - Math.max(this.lastMarkAt, current.sentAt);
+      playedMs = current.startMs + Math.min(Math.max(playingFor, 0), current.endMs - current.startMs);
+    }
+
+    return Math.round(playedMs);
+  }
+
+  /**
+   * The item the caller is hearing, or last heard
+   *
+   * @returns {string|null} Item ID
+   */
+  get currentItemId() {
+    if (this.pendingMarks.length > 0) {
+      return this.pendingMarks[0].itemId;
+    }
+    return [...this.items.keys()].pop() ?? null;
+  }
+
+  /**
+   * Cut off every item that has not finished playing
+   * Call before clear(); afterwards, audio for these items should be dropped.
+   *
+   * @param {number} [now=Date.now()] - Wall-clock time (ms)
+   * @returns {Array<{itemId: string, contentIndex: number, playedMs: number, sentMs: number}>}
+   *   Items to truncate, in playback order
+   */
+  truncate(now = Date.now()) {
+    const truncated = [];
+    const seen = new Set();
+
+    for (const mark of this.pendingMarks) {
+      if (seen.has(mark.itemId)) {
+        continue;
+      }
+      seen.add(mark.itemId);
+
+      const item = this.items.get(mark.itemId);
+      if (!item || item.truncatedAtMs !== null) {
+        continue;
+      }
+
+      item.truncatedAtMs = this.getPlayedMs(item.itemId, now);
+      truncated.push({
+        itemId: item.itemId,
+        contentIndex: item.contentIndex,
+        playedMs: item.truncatedAtMs,
+        sentMs: Math.round(item.sentMs),
+      });
+    }
+
+    return truncated;
+  }
+
+  /**
+   * Look up an item
+   *
+   * @param {string} itemId - Assistant item
+   * @returns {Object|null} {itemId, contentIndex, sentMs, playedMs, truncatedAtMs}
+   */
+  getItem(itemId) {
+    return this.items.get(itemId) || null;
+  }
+
+  /**
+   * Whether an item was cut off (its remaining audio must not be played)
+   *
+   * @param {string} itemId - Assistant item
+   * @returns {boolean} True after truncate() cut the item
+   */
+  isTruncated(itemId) {
+    return this.items.get(itemId)?.truncatedAtMs != null;
+  }
+
+  /**
+   * Twilio's buffer was cleared: nothing outstanding will play
+   */
+  clear() {
+    this.pendingMarks = [];
+    this.endsAt = 0;
+  }
+
+  reset() {
+    this.items.clear();
+    this.clear();
+    this.lastMarkAt = 0;
+  }
+
+  pruneItems() {
+    for (const itemId of this.items.keys()) {
+      if (this.items.size <= MAX_TRACKED_ITEMS) {
+        break;
+      }
+      if (!this.pendingMarks.some((mark) => mark.itemId === itemId)) {
+        this.items.delete(itemId);
+      }
+    }
+  }
+}
+
+export default {
+  PLAYBACK_MARK_PREFIX,
+  PlaybackTracker,
+};
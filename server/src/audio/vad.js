@@ -0,0 +1,179 @@
+/**
+ * Local Voice Activity Detection for VoiceAI Pro
+ *
+ * An energy-based detector that runs on the caller's audio as it arrives
+ * from Twilio, so the bridge can react to barge-in without waiting for
+ * OpenAI's speech_started to make the round trip.
+ *
+ * A frame counts as speech when its level is above all of:
+ * - thresholdDb, an absolute floor
+ * - the running noise floor plus noiseMarginDb
+ * - while the AI is audible, the AI's own level minus echoGuardDb, so the
+ *   caller's handset or speakerphone echoing the AI back does not count
+ *
+ * speech_start fires after minSpeechMs of speech (short dips are tolerated);
+ * speech_end fires after silenceMs without speech.
+ */
+
+import { calculateRMS, rmsToDB } from './converter.js';
+
+const DEFAULT_OPTIONS = {
+  thresholdDb: -45,
+  noiseMarginDb: 10,
+  minSpeechMs: 200,
+  silenceMs: 700,
+  echoGuardDb: 10,
+};
+
+// A gap this short does not reset a speech run that has not started yet
+const SPEECH_GAP_TOLERANCE_MS = 60;
+
+// The echo path (network + handset) lags what we send by up to this much
+const ECHO_TAIL_MS = 300;
+
+const INITIAL_NOISE_FLOOR_DB = -70;
+
+export class VoiceActivityDetector {
+  /**
+   * Create a VoiceActivityDetector
+   *
+   * @param {Object} [options] - Detector settings (see DEFAULT_OPTIONS)
+   * @param {number} [options.thresholdDb=-45] - Minimum speech level (dBFS)
+   * @param {number} [options.noiseMarginDb=10] - How far speech must rise above the noise floor
+   * @param {number} [options.minSpeechMs=200] - Sustained speech needed for speech_start
+   * @param {number} [options.silenceMs=700] - Silence needed for speech_end
+   * @param {number} [options.echoGuardDb=10] - While the AI is audible, speech must be within this much of its level
+   * @param {number} [sampleRate=24000] - Sample rate of the caller audio
+   */
+  constructor(options = {}, sampleRate = 24000) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sampleRate = sampleRate;
+
+    this.noiseFloorDb = INITIAL_NOISE_FLOOR_DB;
+    this.speaking = false;
+    this.speechMs = 0;
+    this.silenceRunMs = 0;
+
+    // What the caller is hearing: [{start, end, levelDb}] in wall-clock ms
+    this.playback = [];
+  }
+
+  /**
+   * Record outbound (AI) audio and when the caller will hear it
+   *
+   * @param {Int16Array} samples - Outbound audio
+   * @param {number} startsAt - Wall-clock time playback of this audio starts (ms)
+   * @param {number} durationMs - Playback duration
+   */
+  notePlayback(samples, startsAt, durationMs) {
+    this.playback.push({
+      start: startsAt,
+      end: startsAt + durationMs,
+      levelDb: rmsToDB(calculateRMS(samples)),
+    });
+  }
+
+  /**
+   * Forget outbound audio (playback was cleared)
+   */
+  clearPlayback() {
+    this.playback = [];
+  }
+
+  /**
+   * Loudest AI audio the caller may be hearing, echo delay included
+   *
+   * @param {number} now - Wall-clock time (ms)
+   * @returns {number} Level in dBFS, or -Infinity if nothing is playing
+   */
+  playbackLevelDb(now) {
+    // Drop segments whose echo has died away
+    while (this.playback.length > 0 && this.playback[0].end + ECHO_TAIL_MS < now) {
+      this.playback.shift();
+    }
+
+    let level = -Infinity;
+    for (const segment of this.playback) {
+      if (segment.start > now) {
+        break;
+      }
+      level = Math.max(level, segment.levelDb);
+    }
+    return level;
+  }
+
+  /**
+   * Analyse one frame of caller audio
+   *
+   * @param {Int16Array} samples - Caller audio frame
+   * @param {number} [now=Date.now()] - Wall-clock time (ms)
+   * @returns {'speech_start'|'speech_end'|null} Transition caused by this frame
+   */
+  process(samples, now = Date.now()) {
+    if (samples.length === 0) {
+      return null;
+    }
+
+    const { thresholdDb, noiseMarginDb, minSpeechMs, silenceMs, echoGuardDb } = this.options;
+    const frameMs = (samples.length / this.sampleRate) * 1000;
+    const levelDb = rmsToDB(calculateRMS(samples));
+    const playbackDb = this.playbackLevelDb(now);
+
+    const requiredDb = Math.max(thresholdDb, this.noiseFloorDb + noiseMarginDb, playbackDb - echoGuardDb);
+    const voiced = levelDb > requiredDb;
+
+    // Learn the noise floor from the caller's silence only; AI echo would inflate it
+    if (!voiced && !this.speaking && playbackDb === -Infinity && levelDb > -Infinity) {
+      const rate = levelDb < this.noiseFloorDb ? 0.3 : 0.02;
+      this.noiseFloorDb += (levelDb - this.noiseFloorDb) * rate;
+    }
+
+    if (voiced) {
+      this.speechMs += frameMs;
+      this.silenceRunMs = 0;
+
+      if (!this.speaking && this.speechMs >= minSpeechMs) {
+        this.speaking = true;
+        return 'speech_start';
+      }
+      return null;
+    }
+
+    this.silenceRunMs += frameMs;
+
+    if (!this.speaking) {
+      if (this.silenceRunMs > SPEECH_GAP_TOLERANCE_MS) {
+        this.speechMs = 0;
+      }
+      return null;
+    }
+
+    if (this.silenceRunMs >= silenceMs) {
+      this.speaking = false;
+      this.speechMs = 0;
+      return 'speech_end';
+    }
+    return null;
+  }
+
+  /**
+   * Whether the caller is currently speaking
+   *
+   * @returns {boolean} True between speech_start and speech_end
+   */
+  get isSpeaking() {
+    return this.speaking;
+  }
+
+  reset() {
+    this.noiseFloorDb = INITIAL_NOISE_FLOOR_DB;
+    this.speaking = false;
+    this.speechMs = 0;
+    this.silenceRunMs = 0;
+    this.playback = [];
+  }
+}
+
+export default {
+  VoiceActivityDetector,
+};
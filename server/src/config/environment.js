@@ -1,5 +1,7 @@
 import 'dotenv/config';
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 class EnvironmentError extends Error {
   constructor(message) {
     super(message);
@@ -42,15 +44,34 @@ const config = {
     apiSecret: process.env.TWILIO_API_SECRET || null,     // Optional: needed for iOS SDK tokens
     twimlAppSid: process.env.TWIML_APP_SID || null,       // Optional: needed for iOS SDK tokens
     phoneNumber: requireEnv('TWILIO_PHONE_NUMBER'),
+    // Check X-Twilio-Signature on webhooks and signed media stream parameters
+    validateWebhooks: requireEnvBool('TWILIO_VALIDATE_WEBHOOKS', true),
+    // Owns inbound calls to numbers assigned to nobody, so they are logged and analyzed
+    defaultCallOwnerId: process.env.DEFAULT_CALL_OWNER_ID || null,
   },
 
   openai: {
     apiKey: requireEnv('OPENAI_API_KEY'),
     // Base URL - voice and turn_detection will be added dynamically per session
     realtimeBaseUrl: 'wss://api.openai.com/v1/realtime',
+    apiBaseUrl: 'https://api.openai.com/v1',
+    // Used outside live calls: voicemail transcription and structured extraction
+    transcriptionModel: requireEnv('OPENAI_TRANSCRIPTION_MODEL', 'gpt-4o-transcribe'),
+    textModel: requireEnv('OPENAI_TEXT_MODEL', 'gpt-4o-mini'),
+    ttsModel: requireEnv('OPENAI_TTS_MODEL', 'gpt-4o-mini-tts'),
     defaultModel: 'gpt-realtime',
     defaultVoice: 'marin',
     defaultVadType: 'semantic_vad',
+    // After a dropped realtime connection: play a short holding line to the caller
+    reconnectFiller: requireEnvBool('OPENAI_RECONNECT_FILLER', false),
+    reconnectFillerText: requireEnv('OPENAI_RECONNECT_FILLER_TEXT', 'Sorry, one moment.'),
+  },
+
+  realtime: {
+    // Speech-to-speech backend: 'openai', or 'mock' for offline testing
+    provider: requireEnv('REALTIME_PROVIDER', 'openai'),
+    // JSON script for the mock provider (see src/realtime/mockProvider.js)
+    mockScript: process.env.MOCK_REALTIME_SCRIPT || null,
   },
 
   database: {
@@ -61,10 +82,53 @@ const config = {
     connectionTimeoutMs: requireEnvInt('DB_CONNECTION_TIMEOUT_MS', 5000),
   },
 
+  audio: {
+    // 8kHz ⇄ 24kHz resampling: 'fir' (band-limited) or 'linear' (cheaper, audible artifacts)
+    resampler: requireEnv('AUDIO_RESAMPLER', 'fir'),
+    // Bridge-side VAD on caller audio for fast barge-in; calls can override via config.localVad
+    localVad: {
+      enabled: requireEnvBool('LOCAL_VAD_ENABLED', true),
+      // Also end caller turns when OpenAI turn detection is off (vadType 'none')
+      turnDetection: requireEnvBool('LOCAL_VAD_TURN_DETECTION', false),
+      thresholdDb: requireEnvInt('LOCAL_VAD_THRESHOLD_DB', -45),
+      minSpeechMs: requireEnvInt('LOCAL_VAD_MIN_SPEECH_MS', 200),
+      silenceMs: requireEnvInt('LOCAL_VAD_SILENCE_MS', 700),
+      // While the AI is audible, caller audio this far below its level is treated as echo
+      echoGuardDb: requireEnvInt('LOCAL_VAD_ECHO_GUARD_DB', 10),
+    },
+  },
+
   recording: {
     storagePath: requireEnv('RECORDING_STORAGE_PATH', './data/recordings'),
     enabled: requireEnvBool('RECORDING_ENABLED', true),
+    // Calls are captured as WAV and converted to this format when the recording stops
     format: requireEnv('RECORDING_FORMAT', 'wav'),
+    // 'mono' mixes both parties; 'stereo' puts the caller left and the AI right
+    mode: requireEnv('RECORDING_MODE', 'mono'),
+    // Where finalized recordings are kept: 'local' (storagePath) or 's3'
+    storageBackend: requireEnv('RECORDING_STORAGE_BACKEND', 'local'),
+    signedUrlTtlSeconds: requireEnvInt('RECORDING_URL_TTL_SECONDS', 900),
+    // Signs local download URLs; falls back to the Twilio auth token
+    urlSigningSecret: process.env.RECORDING_URL_SECRET || process.env.TWILIO_AUTH_TOKEN,
+  },
+
+  auth: {
+    // Signs device session tokens; falls back to the Twilio auth token outside production
+    tokenSecret: process.env.AUTH_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN,
+    accessTokenTtlSeconds: requireEnvInt('AUTH_ACCESS_TOKEN_TTL_SECONDS', 3600),
+    refreshTokenTtlSeconds: requireEnvInt('AUTH_REFRESH_TOKEN_TTL_SECONDS', 30 * 24 * 60 * 60),
+    // User IDs allowed to use operator endpoints (phone number assignment, server stats)
+    adminUserIds: requireEnv('ADMIN_USER_IDS', '').split(',').map(s => s.trim()).filter(Boolean),
+  },
+
+  s3: {
+    bucket: process.env.S3_BUCKET || null,
+    region: requireEnv('S3_REGION', 'us-east-1'),
+    endpoint: process.env.S3_ENDPOINT || null,            // Optional: MinIO, R2, etc.
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+    forcePathStyle: requireEnvBool('S3_FORCE_PATH_STYLE', false),
+    prefix: requireEnv('S3_PREFIX', 'recordings/'),
   },
 
   server: {
@@ -77,6 +141,32 @@ const config = {
       : process.env.NODE_ENV === 'production',
   },
 
+  analysis: {
+    // Summarize and extract fields from each call's transcript when it ends
+    enabled: requireEnvBool('CALL_ANALYSIS_ENABLED', true),
+    // 'openai' (OPENAI_TEXT_MODEL) or 'rules' (offline, keyword-based)
+    backend: requireEnv('CALL_ANALYSIS_BACKEND', 'openai'),
+  },
+
+  callControl: {
+    // Where transfer_to_human may send callers, as label=+E164 pairs separated by commas;
+    // a prompt's transfer_to_human binding can list its own instead
+    transferTargets: Object.fromEntries(
+      (process.env.TRANSFER_TARGETS || '').split(',').map(s => s.trim()).filter(Boolean)
+        .map(pair => pair.split('=').map(s => s.trim()))
+    ),
+    // Looped to callers put on hold by put_on_hold
+    holdMusicUrl: requireEnv('CALL_HOLD_MUSIC_URL', 'http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3'),
+    // Callers left on hold this long are taken off hold automatically
+    maxHoldSeconds: requireEnvInt('CALL_HOLD_MAX_SECONDS', 300),
+  },
+
+  campaigns: {
+    tickIntervalMs: requireEnvInt('CAMPAIGN_TICK_INTERVAL_MS', 5000),
+    // Contacts still 'dialing' after this long without a final status are failed
+    staleDialMinutes: requireEnvInt('CAMPAIGN_STALE_DIAL_MINUTES', 120),
+  },
+
   logging: {
     level: requireEnv('LOG_LEVEL', 'info'),
     prettyPrint: requireEnvBool('LOG_PRETTY', false),
@@ -131,6 +221,61 @@ export function validateEnvironment() {
     throw new EnvironmentError('OPENAI_API_KEY must start with "sk-"');
   }
 
+  if (!['openai', 'mock'].includes(config.realtime.provider)) {
+    throw new EnvironmentError('REALTIME_PROVIDER must be "openai" or "mock"');
+  }
+
+  if (!['openai', 'rules'].includes(config.analysis.backend)) {
+    throw new EnvironmentError('CALL_ANALYSIS_BACKEND must be "openai" or "rules"');
+  }
+
+  if (!['fir', 'linear'].includes(config.audio.resampler)) {
+    throw new EnvironmentError('AUDIO_RESAMPLER must be "fir" or "linear"');
+  }
+
+  if (!['wav', 'flac', 'mulaw'].includes(config.recording.format)) {
+    throw new EnvironmentError('RECORDING_FORMAT must be "wav", "flac" or "mulaw"');
+  }
+
+  if (!['mono', 'stereo'].includes(config.recording.mode)) {
+    throw new EnvironmentError('RECORDING_MODE must be "mono" or "stereo"');
+  }
+
+  if (!['local', 's3'].includes(config.recording.storageBackend)) {
+    throw new EnvironmentError('RECORDING_STORAGE_BACKEND must be "local" or "s3"');
+  }
+
+  if (config.recording.storageBackend === 's3') {
+    const missingS3 = ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY'].filter(name => !process.env[name]);
+    if (missingS3.length > 0) {
+      throw new EnvironmentError(`RECORDING_STORAGE_BACKEND=s3 requires: ${missingS3.join(', ')}`);
+    }
+  }
+
+  for (const [label, number] of Object.entries(config.callControl.transferTargets)) {
+    if (!/^[a-zA-Z0-9_-]{1,40}$/.test(label) || !/^\+[1-9]\d{1,14}$/.test(number || '')) {
+      throw new EnvironmentError(`TRANSFER_TARGETS entries must be label=+E164 (e.g. sales=+14155551234), got: ${label}=${number}`);
+    }
+  }
+
+  for (const userId of config.auth.adminUserIds) {
+    if (!UUID_PATTERN.test(userId)) {
+      throw new EnvironmentError(`ADMIN_USER_IDS entries must be user UUIDs, got: ${userId}`);
+    }
+  }
+
+  if (config.twilio.defaultCallOwnerId && !UUID_PATTERN.test(config.twilio.defaultCallOwnerId)) {
+    throw new EnvironmentError(`DEFAULT_CALL_OWNER_ID must be a user UUID, got: ${config.twilio.defaultCallOwnerId}`);
+  }
+
+  if (config.isProduction() && !config.twilio.validateWebhooks) {
+    throw new EnvironmentError('TWILIO_VALIDATE_WEBHOOKS cannot be disabled in production');
+  }
+
+  if (config.isProduction() && !process.env.AUTH_TOKEN_SECRET) {
+    throw new EnvironmentError('AUTH_TOKEN_SECRET is required in production');
+  }
+
   if (!config.database.url.startsWith('postgresql://') && !config.database.url.startsWith('postgres://')) {
     throw new EnvironmentError('DATABASE_URL must be a valid PostgreSQL connection string');
   }
@@ -0,0 +1,8 @@
+-- VoiceAI Bridge Server - Prompt Tool Attachments
+-- Migration: 002_prompt_tools
+-- Created: 2026-10-19
+
+-- Tool definitions attached to a prompt (JSON schema plus handler binding)
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS tools JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN prompts.tools IS 'Function tools available to the AI: [{name, description, parameters, handler: {type: builtin|webhook, ...}}]';
@@ -0,0 +1,89 @@
+-- VoiceAI Bridge Server - Outbound Campaigns
+-- Migration: 003_campaigns
+-- Created: 2026-10-19
+
+-- Campaigns table
+CREATE TABLE IF NOT EXISTS campaigns (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    prompt_id UUID REFERENCES prompts(id) ON DELETE SET NULL,
+    from_number VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'running', 'paused', 'completed', 'cancelled')),
+    max_concurrent INTEGER NOT NULL DEFAULT 1 CHECK (max_concurrent > 0),
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    calling_windows JSONB NOT NULL DEFAULT '[]'::jsonb,
+    retry_policy JSONB NOT NULL DEFAULT '{}'::jsonb,
+    session_config JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+COMMENT ON TABLE campaigns IS 'Outbound calling campaigns (batch dialer)';
+COMMENT ON COLUMN campaigns.timezone IS 'IANA timezone for calling windows when a contact has none';
+COMMENT ON COLUMN campaigns.calling_windows IS 'Allowed local calling times: [{days: [1-7], start: "HH:MM", end: "HH:MM"}]; empty = any time';
+COMMENT ON COLUMN campaigns.retry_policy IS 'Retry rules: {maxAttempts, retryDelayMinutes, retryOn: [busy, no-answer, failed]}';
+
+-- Campaign contacts table
+CREATE TABLE IF NOT EXISTS campaign_contacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    phone_number VARCHAR(50) NOT NULL,
+    variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+    timezone VARCHAR(64),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'dialing', 'retry_scheduled', 'completed', 'failed', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_call_sid VARCHAR(255),
+    last_outcome VARCHAR(50),
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_id, phone_number)
+);
+
+COMMENT ON TABLE campaign_contacts IS 'Numbers to dial for a campaign with per-contact variables';
+COMMENT ON COLUMN campaign_contacts.variables IS 'Per-contact values made available to the prompt';
+COMMENT ON COLUMN campaign_contacts.last_outcome IS 'Twilio CallStatus of the latest attempt (completed, busy, no-answer, failed, canceled)';
+
+-- Campaign call attempts table
+CREATE TABLE IF NOT EXISTS campaign_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    contact_id UUID NOT NULL REFERENCES campaign_contacts(id) ON DELETE CASCADE,
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    call_sid VARCHAR(255) UNIQUE,
+    attempt_number INTEGER NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'initiated',
+    outcome VARCHAR(50),
+    duration_seconds INTEGER,
+    error_message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP WITH TIME ZONE
+);
+
+COMMENT ON TABLE campaign_attempts IS 'One row per dial attempt, updated from the Twilio status callback';
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_user ON campaigns(user_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_campaign_status ON campaign_contacts(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_next_attempt ON campaign_contacts(next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_call_sid ON campaign_contacts(last_call_sid);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_attempts_contact ON campaign_attempts(contact_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_attempts_campaign ON campaign_attempts(campaign_id);
+
+DROP TRIGGER IF EXISTS update_campaigns_updated_at ON campaigns;
+CREATE TRIGGER update_campaigns_updated_at
+    BEFORE UPDATE ON campaigns
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_campaign_contacts_updated_at ON campaign_contacts;
+CREATE TRIGGER update_campaign_contacts_updated_at
+    BEFORE UPDATE ON campaign_contacts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,28 @@
+-- VoiceAI Bridge Server - Caller Variables for Prompt Templates
+-- Migration: 004_caller_variables
+-- Created: 2026-10-19
+
+-- Stored template variables per phone number (used for inbound callers)
+CREATE TABLE IF NOT EXISTS caller_variables (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    phone_number VARCHAR(50) NOT NULL,
+    variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE caller_variables IS 'Prompt template variables looked up by caller phone number';
+COMMENT ON COLUMN caller_variables.user_id IS 'Owner; NULL entries are shared by all users';
+
+-- One entry per number per owner (NULL owner treated as a single shared owner)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_caller_variables_owner_phone
+    ON caller_variables ((COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid)), phone_number);
+
+CREATE INDEX IF NOT EXISTS idx_caller_variables_phone ON caller_variables(phone_number);
+
+DROP TRIGGER IF EXISTS update_caller_variables_updated_at ON caller_variables;
+CREATE TRIGGER update_caller_variables_updated_at
+    BEFORE UPDATE ON caller_variables
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,14 @@
+-- VoiceAI Bridge Server - Stereo Recordings
+-- Migration: 005_stereo_recordings
+-- Created: 2026-10-19
+
+-- Channel count of the recording file (1 = mixed mono, 2 = caller left / AI right)
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS channels SMALLINT NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN recordings.channels IS '1 = caller and AI mixed, 2 = caller on left channel, AI on right channel';
+
+-- Recording mode for calls using a prompt (NULL = server default)
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS recording_mode VARCHAR(10)
+    CHECK (recording_mode IN ('mono', 'stereo'));
+
+COMMENT ON COLUMN prompts.recording_mode IS 'mono or stereo; NULL uses RECORDING_MODE';
@@ -0,0 +1,15 @@
+-- VoiceAI Bridge Server - Recording Storage Backends
+-- Migration: 006_recording_storage_backend
+-- Created: 2026-10-19
+
+-- Recordings can live on local disk or in S3-compatible object storage.
+-- storage_path is a file system path for 'local' and an object key for 's3'.
+
+ALTER TABLE recordings
+    ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20) NOT NULL DEFAULT 'local'
+        CHECK (storage_backend IN ('local', 's3'));
+
+CREATE INDEX IF NOT EXISTS idx_recordings_storage_backend ON recordings(storage_backend);
+
+COMMENT ON COLUMN recordings.storage_path IS 'File system path (local) or object key (s3) for recording';
+COMMENT ON COLUMN recordings.storage_backend IS 'Storage driver holding the recording: local or s3';
@@ -0,0 +1,24 @@
+-- VoiceAI Bridge Server - Device Sessions
+-- Migration: 007_auth_sessions
+-- Created: 2026-10-19
+
+-- Each registered device holds one or more sessions. Access tokens are signed
+-- and short-lived; the refresh token for a session is stored only as a SHA-256
+-- hash and is replaced every time it is used.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions(expires_at);
+
+COMMENT ON TABLE auth_sessions IS 'Refreshable device sessions';
+COMMENT ON COLUMN auth_sessions.refresh_token_hash IS 'SHA-256 (hex) of the current refresh token';
+COMMENT ON COLUMN auth_sessions.revoked_at IS 'Set on logout; revoked sessions cannot be refreshed';
@@ -0,0 +1,41 @@
+-- VoiceAI Bridge Server - Inbound Routing Rules
+-- Migration: 008_routing_rules
+-- Created: 2026-10-19
+
+-- Rules are evaluated for every inbound call in priority order (lowest first);
+-- the first enabled rule whose conditions and schedule match decides what
+-- happens to the call. Calls matching no rule go to the default AI.
+CREATE TABLE IF NOT EXISTS routing_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 100,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    schedule JSONB,
+    action VARCHAR(20) NOT NULL DEFAULT 'ai'
+        CHECK (action IN ('ai', 'forward', 'voicemail')),
+    prompt_id UUID REFERENCES prompts(id) ON DELETE SET NULL,
+    voice VARCHAR(50),
+    greeting TEXT,
+    forward_to VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (action <> 'forward' OR forward_to IS NOT NULL)
+);
+
+COMMENT ON TABLE routing_rules IS 'Inbound call routing: which prompt, human number or voicemail handles a call';
+COMMENT ON COLUMN routing_rules.user_id IS 'Owner; calls routed by this rule belong to this user';
+COMMENT ON COLUMN routing_rules.conditions IS 'Match conditions: {toNumbers, callers, excludeCallers, countries}; empty = every call';
+COMMENT ON COLUMN routing_rules.schedule IS 'Business hours: {timezone, windows: [{days, start, end}], holidays: ["YYYY-MM-DD"], when: open|closed}';
+COMMENT ON COLUMN routing_rules.action IS 'ai (connect to the AI), forward (dial forward_to) or voicemail';
+COMMENT ON COLUMN routing_rules.greeting IS 'Spoken before connecting (ai) or before the beep (voicemail)';
+
+CREATE INDEX IF NOT EXISTS idx_routing_rules_user ON routing_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_routing_rules_priority ON routing_rules(priority, created_at) WHERE enabled = true;
+
+DROP TRIGGER IF EXISTS update_routing_rules_updated_at ON routing_rules;
+CREATE TRIGGER update_routing_rules_updated_at
+    BEFORE UPDATE ON routing_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
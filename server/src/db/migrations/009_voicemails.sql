@@ -0,0 +1,40 @@
+-- VoiceAI Bridge Server - Voicemail
+-- Migration: 009_voicemails
+-- Created: 2026-10-19
+
+-- One message per inbound call answered by a voicemail routing rule, either
+-- recorded with <Record> or taken by the AI. The audio is a normal recording
+-- and the transcript lives in transcripts; this table holds what was extracted.
+CREATE TABLE IF NOT EXISTS voicemails (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    call_session_id UUID NOT NULL UNIQUE REFERENCES call_sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recording_id UUID REFERENCES recordings(id) ON DELETE SET NULL,
+    capture_mode VARCHAR(20) NOT NULL CHECK (capture_mode IN ('record', 'ai')),
+    from_number VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'ready', 'failed')),
+    transcript TEXT,
+    caller_name VARCHAR(255),
+    callback_number VARCHAR(50),
+    reason TEXT,
+    error TEXT,
+    listened_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE voicemails IS 'Voicemail messages with caller details extracted from the transcript';
+COMMENT ON COLUMN voicemails.capture_mode IS 'record (Twilio <Record>) or ai (message taken by the AI)';
+COMMENT ON COLUMN voicemails.from_number IS 'Caller ID as delivered by Twilio';
+COMMENT ON COLUMN voicemails.callback_number IS 'Number the caller asked to be called back on, if they gave one';
+COMMENT ON COLUMN voicemails.listened_at IS 'Set when the owner marks the message as heard';
+
+CREATE INDEX IF NOT EXISTS idx_voicemails_user ON voicemails(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_voicemails_unheard ON voicemails(user_id) WHERE listened_at IS NULL;
+
+DROP TRIGGER IF EXISTS update_voicemails_updated_at ON voicemails;
+CREATE TRIGGER update_voicemails_updated_at
+    BEFORE UPDATE ON voicemails
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
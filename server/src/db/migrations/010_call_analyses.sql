@@ -0,0 +1,39 @@
+-- VoiceAI Bridge Server - Call Analysis
+-- Migration: 010_call_analyses
+-- Created: 2026-10-19
+
+-- Fields to pull out of each call's transcript, as a JSON schema object
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS analysis_schema JSONB;
+
+COMMENT ON COLUMN prompts.analysis_schema IS 'Extraction fields for post-call analysis: {type: object, properties: {name: {type, description, enum, format}}}';
+
+-- One analysis per finished call, produced from the stored transcript
+CREATE TABLE IF NOT EXISTS call_analyses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    call_session_id UUID NOT NULL UNIQUE REFERENCES call_sessions(id) ON DELETE CASCADE,
+    analyzer VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'ready', 'failed')),
+    summary TEXT,
+    intent VARCHAR(255),
+    sentiment VARCHAR(20) CHECK (sentiment IN ('positive', 'neutral', 'negative')),
+    sentiment_score REAL,
+    sentiment_trajectory JSONB NOT NULL DEFAULT '[]'::jsonb,
+    action_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    extracted_fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE call_analyses IS 'Post-call summary, intent, sentiment, action items and extracted fields';
+COMMENT ON COLUMN call_analyses.analyzer IS 'Backend that produced the analysis (openai or rules)';
+COMMENT ON COLUMN call_analyses.sentiment_score IS 'Caller sentiment over the whole call, -1 (negative) to 1 (positive)';
+COMMENT ON COLUMN call_analyses.sentiment_trajectory IS 'Caller sentiment per turn: [{turn, timestamp_ms, score}]';
+COMMENT ON COLUMN call_analyses.extracted_fields IS 'Values for the prompt''s analysis_schema fields (null when not mentioned)';
+
+DROP TRIGGER IF EXISTS update_call_analyses_updated_at ON call_analyses;
+CREATE TRIGGER update_call_analyses_updated_at
+    BEFORE UPDATE ON call_analyses
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
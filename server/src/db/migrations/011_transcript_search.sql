@@ -0,0 +1,16 @@
+-- VoiceAI Bridge Server - Transcript Search
+-- Migration: 011_transcript_search
+-- Created: 2026-10-19
+
+-- English full-text vector of each transcript segment, kept in step with content
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('english', content)) STORED;
+
+COMMENT ON COLUMN transcripts.search_vector IS 'Full-text search vector of content (english configuration)';
+
+CREATE INDEX IF NOT EXISTS idx_transcripts_search ON transcripts USING GIN (search_vector);
+
+-- Search results are a user's calls, newest first, paged by (started_at, id)
+CREATE INDEX IF NOT EXISTS idx_call_sessions_user_started ON call_sessions(user_id, started_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_user_phone ON call_sessions(user_id, phone_number);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_prompt ON call_sessions(prompt_id);
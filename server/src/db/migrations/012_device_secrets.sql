@@ -0,0 +1,12 @@
+-- VoiceAI Bridge Server - Device Secrets
+-- Migration: 012_device_secrets
+-- Created: 2026-10-19
+
+-- A device ID is not a credential: it is issued a random secret the first time
+-- it registers and must present it to register again. Only a SHA-256 hash is
+-- stored. Devices registered before this migration claim a secret on their
+-- next registration.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS device_secret_hash VARCHAR(64);
+
+COMMENT ON COLUMN users.device_secret_hash IS 'SHA-256 (hex) of the device secret issued at first registration';
@@ -0,0 +1,19 @@
+-- VoiceAI Bridge Server - Phone Number Ownership
+-- Migration: 013_phone_numbers
+-- Created: 2026-10-19
+
+-- Which user owns each Twilio number on the account, as assigned by an
+-- operator. An inbound call is only routed by rules belonging to the owner of
+-- the number that was dialed; calls to unassigned numbers go to the default AI.
+CREATE TABLE IF NOT EXISTS phone_numbers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    phone_number VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE phone_numbers IS 'Twilio numbers assigned to users by an operator; a number has at most one owner';
+COMMENT ON COLUMN phone_numbers.phone_number IS 'E.164 number as Twilio sends it in To';
+
+CREATE INDEX IF NOT EXISTS idx_phone_numbers_user ON phone_numbers(user_id);
@@ -0,0 +1,144 @@
+/**
+ * Call Analysis Database Queries
+ *
+ * Operations for the call_analyses table. Rows are written by the post-call
+ * analysis pipeline; the API reads them through the owning call session.
+ */
+
+import { query } from '../pool.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('db:call-analyses');
+
+const ANALYSIS_COLUMNS = `a.id, a.call_session_id, a.analyzer, a.status, a.summary, a.intent,
+  a.sentiment, a.sentiment_score, a.sentiment_trajectory, a.action_items, a.extracted_fields,
+  a.error, a.created_at, a.updated_at`;
+
+/**
+ * Start the analysis of a call, once per call
+ * An analysis still processing since before claimedBefore was abandoned (the
+ * process running it died) and is claimed again.
+ *
+ * @param {string} callSessionId - Call session UUID
+ * @param {string} analyzer - Analyzer backend name
+ * @param {Date} claimedBefore - Processing claims older than this are taken over
+ * @returns {Promise<Object|null>} Created or reclaimed analysis, or null if the call already has one
+ */
+export async function createAnalysis(callSessionId, analyzer, claimedBefore) {
+  const result = await query(
+    `INSERT INTO call_analyses AS a (call_session_id, analyzer)
+     VALUES ($1, $2)
+     ON CONFLICT (call_session_id) DO UPDATE
+       SET analyzer = EXCLUDED.analyzer, error = NULL
+       WHERE a.status = 'processing' AND a.updated_at < $3
+     RETURNING ${ANALYSIS_COLUMNS}`,
+    [callSessionId, analyzer, claimedBefore]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  logger.debug('Call analysis claimed', { id: result.rows[0].id, callSessionId, analyzer });
+
+  return result.rows[0];
+}
+
+/**
+ * Store the analyzer's results
+ *
+ * @param {string} id - Analysis UUID
+ * @param {Object} fields - Analysis results
+ * @param {string|null} fields.summary - Call summary
+ * @param {string|null} fields.intent - Caller intent
+ * @param {string} fields.sentiment - 'positive', 'neutral' or 'negative'
+ * @param {number} fields.sentimentScore - Overall caller sentiment, -1 to 1
+ * @param {Object[]} fields.sentimentTrajectory - [{turn, timestamp_ms, score}]
+ * @param {string[]} fields.actionItems - Follow-ups
+ * @param {Object} fields.extracted - Extraction field values
+ * @returns {Promise<Object|null>} Updated analysis
+ */
+export async function completeAnalysis(id, fields) {
+  const result = await query(
+    `UPDATE call_analyses AS a
+     SET status = 'ready', summary = $2, intent = $3, sentiment = $4, sentiment_score = $5,
+         sentiment_trajectory = $6, action_items = $7, extracted_fields = $8, error = NULL
+     WHERE a.id = $1
+     RETURNING ${ANALYSIS_COLUMNS}`,
+    [
+      id,
+      fields.summary || null,
+      fields.intent || null,
+      fields.sentiment,
+      fields.sentimentScore,
+      JSON.stringify(fields.sentimentTrajectory || []),
+      JSON.stringify(fields.actionItems || []),
+      JSON.stringify(fields.extracted || {}),
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark an analysis as failed
+ *
+ * @param {string} id - Analysis UUID
+ * @param {string} error - Failure description
+ * @returns {Promise<Object|null>} Updated analysis
+ */
+export async function failAnalysis(id, error) {
+  const result = await query(
+    `UPDATE call_analyses AS a
+     SET status = 'failed', error = $2
+     WHERE a.id = $1
+     RETURNING ${ANALYSIS_COLUMNS}`,
+    [id, error]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Find analyses left processing since before a given time
+ *
+ * @param {Date} claimedBefore - Claim cutoff
+ * @returns {Promise<string[]>} Call SIDs of the abandoned analyses
+ */
+export async function listAbandonedAnalyses(claimedBefore) {
+  const result = await query(
+    `SELECT cs.call_sid
+     FROM call_analyses a
+     JOIN call_sessions cs ON a.call_session_id = cs.id
+     WHERE a.status = 'processing' AND a.updated_at < $1
+     ORDER BY a.updated_at ASC`,
+    [claimedBefore]
+  );
+
+  return result.rows.map((row) => row.call_sid);
+}
+
+/**
+ * Get the analysis of a call
+ *
+ * @param {string} callSessionId - Call session UUID
+ * @returns {Promise<Object|null>} Analysis, or null if the call has none
+ */
+export async function getAnalysisByCall(callSessionId) {
+  const result = await query(
+    `SELECT ${ANALYSIS_COLUMNS}
+     FROM call_analyses a
+     WHERE a.call_session_id = $1`,
+    [callSessionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+export default {
+  createAnalysis,
+  completeAnalysis,
+  failAnalysis,
+  listAbandonedAnalyses,
+  getAnalysisByCall,
+};
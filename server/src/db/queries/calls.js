@@ -2,6 +2,10 @@
  * Call Session Database Queries
  *
  * CRUD operations for call_sessions and call_events tables
+ *
+ * Reads that serve API clients take the owner's userId and only match that
+ * user's calls. Writes keyed by Call SID come from Twilio webhooks and the
+ * media stream, and are not scoped.
  */
 
 import { query, transaction } from '../pool.js';
@@ -91,9 +95,10 @@ export async function updateCallSession(callSid, updates) {
  * Get a call session by Call SID
  *
  * @param {string} callSid - Twilio Call SID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object|null>} Call session or null if not found
  */
-export async function getCallSession(callSid) {
+export async function getCallSession(callSid, userId) {
   const result = await query(
     `SELECT cs.id, cs.call_sid, cs.direction, cs.phone_number, cs.user_id,
             cs.prompt_id, cs.status, cs.started_at, cs.ended_at,
@@ -101,8 +106,8 @@ export async function getCallSession(callSid) {
             p.name as prompt_name, p.instructions as prompt_instructions
      FROM call_sessions cs
      LEFT JOIN prompts p ON cs.prompt_id = p.id
-     WHERE cs.call_sid = $1`,
-    [callSid]
+     WHERE cs.call_sid = $1 AND cs.user_id = $2`,
+    [callSid, userId]
   );
 
   return result.rows.length > 0 ? result.rows[0] : null;
@@ -112,9 +117,10 @@ export async function getCallSession(callSid) {
  * Get a call session by ID
  *
  * @param {string} id - Call session UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object|null>} Call session or null if not found
  */
-export async function getCallSessionById(id) {
+export async function getCallSessionById(id, userId) {
   const result = await query(
     `SELECT cs.id, cs.call_sid, cs.direction, cs.phone_number, cs.user_id,
             cs.prompt_id, cs.status, cs.started_at, cs.ended_at,
@@ -122,8 +128,8 @@ export async function getCallSessionById(id) {
             p.name as prompt_name, p.instructions as prompt_instructions
      FROM call_sessions cs
      LEFT JOIN prompts p ON cs.prompt_id = p.id
-     WHERE cs.id = $1`,
-    [id]
+     WHERE cs.id = $1 AND cs.user_id = $2`,
+    [id, userId]
   );
 
   return result.rows.length > 0 ? result.rows[0] : null;
@@ -133,7 +139,7 @@ export async function getCallSessionById(id) {
  * Get call history with pagination
  *
  * @param {Object} options - Query options
- * @param {string} [options.userId] - Filter by user ID
+ * @param {string} options.userId - Owner user ID
  * @param {string} [options.direction] - Filter by direction ('inbound' or 'outbound')
  * @param {string} [options.status] - Filter by status
  * @param {number} [options.limit=50] - Maximum results
@@ -155,21 +161,14 @@ export async function getCallHistory(options = {}) {
            p.name as prompt_name
     FROM call_sessions cs
     LEFT JOIN prompts p ON cs.prompt_id = p.id
-    WHERE 1=1
+    WHERE cs.user_id = $1
   `;
 
-  let countQuery = 'SELECT COUNT(*) as total FROM call_sessions WHERE 1=1';
-  const params = [];
-  const countParams = [];
-  let paramIndex = 1;
-  let countParamIndex = 1;
-
-  if (userId) {
-    queryText += ` AND cs.user_id = $${paramIndex++}`;
-    countQuery += ` AND user_id = $${countParamIndex++}`;
-    params.push(userId);
-    countParams.push(userId);
-  }
+  let countQuery = 'SELECT COUNT(*) as total FROM call_sessions WHERE user_id = $1';
+  const params = [userId];
+  const countParams = [userId];
+  let paramIndex = 2;
+  let countParamIndex = 2;
 
   if (direction) {
     queryText += ` AND cs.direction = $${paramIndex++}`;
@@ -203,10 +202,11 @@ export async function getCallHistory(options = {}) {
  * Get full call details including events and transcripts
  *
  * @param {string} callSid - Twilio Call SID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object|null>} Full call details or null if not found
  */
-export async function getFullCallDetails(callSid) {
-  const session = await getCallSession(callSid);
+export async function getFullCallDetails(callSid, userId) {
+  const session = await getCallSession(callSid, userId);
 
   if (!session) {
     return null;
@@ -248,22 +248,24 @@ export async function getFullCallDetails(callSid) {
  * Get events for a call session
  *
  * @param {string} callSessionId - Call session UUID
+ * @param {string} userId - Owner user ID
  * @param {Object} [options] - Query options
  * @param {string} [options.eventType] - Filter by event type
  * @param {number} [options.limit=100] - Maximum results
  * @param {number} [options.offset=0] - Offset for pagination
  * @returns {Promise<Object[]>} Call events
  */
-export async function getCallEvents(callSessionId, options = {}) {
+export async function getCallEvents(callSessionId, userId, options = {}) {
   const { eventType, limit = 100, offset = 0 } = options;
 
   let queryText = `
     SELECT id, event_type, direction, payload, created_at
     FROM call_events
     WHERE call_session_id = $1
+      AND EXISTS (SELECT 1 FROM call_sessions WHERE id = $1 AND user_id = $2)
   `;
-  const params = [callSessionId];
-  let paramIndex = 2;
+  const params = [callSessionId, userId];
+  let paramIndex = 3;
 
   if (eventType) {
     queryText += ` AND event_type = $${paramIndex++}`;
@@ -318,8 +320,8 @@ export async function endCallSession(callSid, durationSeconds) {
 /**
  * Get call statistics
  *
- * @param {Object} [options] - Filter options
- * @param {string} [options.userId] - Filter by user ID
+ * @param {Object} options - Filter options
+ * @param {string} options.userId - Owner user ID
  * @param {Date} [options.startDate] - Start date filter
  * @param {Date} [options.endDate] - End date filter
  * @returns {Promise<Object>} Call statistics
@@ -337,15 +339,10 @@ export async function getCallStats(options = {}) {
       COALESCE(AVG(duration_seconds) FILTER (WHERE duration_seconds IS NOT NULL), 0) as avg_duration,
       COALESCE(SUM(duration_seconds) FILTER (WHERE duration_seconds IS NOT NULL), 0) as total_duration
     FROM call_sessions
-    WHERE 1=1
+    WHERE user_id = $1
   `;
-  const params = [];
-  let paramIndex = 1;
-
-  if (userId) {
-    queryText += ` AND user_id = $${paramIndex++}`;
-    params.push(userId);
-  }
+  const params = [userId];
+  let paramIndex = 2;
 
   if (startDate) {
     queryText += ` AND started_at >= $${paramIndex++}`;
@@ -0,0 +1,518 @@
+/**
+ * Campaign Database Queries
+ *
+ * CRUD operations for campaigns, campaign_contacts and campaign_attempts tables
+ */
+
+import { query, transaction } from '../pool.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('db:campaigns');
+
+const CAMPAIGN_COLUMNS = `id, user_id, name, prompt_id, from_number, status, max_concurrent, timezone,
+  calling_windows, retry_policy, session_config, created_at, updated_at, started_at, completed_at`;
+
+const CONTACT_COLUMNS = `id, campaign_id, phone_number, variables, timezone, status, attempts,
+  last_call_sid, last_outcome, next_attempt_at, created_at, updated_at`;
+
+// Contact statuses that still need dialing
+const OPEN_CONTACT_STATUSES = ['pending', 'dialing', 'retry_scheduled'];
+
+/**
+ * Insert contacts, skipping numbers already in the campaign
+ */
+async function insertContacts(client, campaignId, contacts) {
+  let inserted = 0;
+
+  for (const contact of contacts) {
+    const result = await client.query(
+      `INSERT INTO campaign_contacts (campaign_id, phone_number, variables, timezone)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (campaign_id, phone_number) DO NOTHING`,
+      [campaignId, contact.phoneNumber, JSON.stringify(contact.variables || {}), contact.timezone || null]
+    );
+    inserted += result.rowCount;
+  }
+
+  return inserted;
+}
+
+/**
+ * Create a campaign with its contacts
+ *
+ * @param {Object} data - Campaign data
+ * @param {string} data.name - Campaign name
+ * @param {string} [data.userId] - Owner user ID
+ * @param {string} [data.promptId] - Prompt used for every call
+ * @param {string} [data.fromNumber] - Caller ID
+ * @param {number} [data.maxConcurrent=1] - Concurrent call limit
+ * @param {string} [data.timezone='UTC'] - Default timezone for calling windows
+ * @param {Object[]} [data.callingWindows] - Allowed local calling times
+ * @param {Object} [data.retryPolicy] - Retry rules
+ * @param {Object} [data.sessionConfig] - Session config for every call
+ * @param {Object[]} [contacts] - Contacts ({phoneNumber, variables, timezone})
+ * @returns {Promise<{campaign: Object, contactsAdded: number}>}
+ */
+export async function createCampaign(data, contacts = []) {
+  const {
+    name,
+    userId,
+    promptId,
+    fromNumber,
+    maxConcurrent = 1,
+    timezone = 'UTC',
+    callingWindows = [],
+    retryPolicy = {},
+    sessionConfig,
+  } = data;
+
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO campaigns (user_id, name, prompt_id, from_number, max_concurrent, timezone,
+                              calling_windows, retry_policy, session_config)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${CAMPAIGN_COLUMNS}`,
+      [
+        userId || null,
+        name,
+        promptId || null,
+        fromNumber || null,
+        maxConcurrent,
+        timezone,
+        JSON.stringify(callingWindows),
+        JSON.stringify(retryPolicy),
+        sessionConfig ? JSON.stringify(sessionConfig) : null,
+      ]
+    );
+
+    const campaign = result.rows[0];
+    const contactsAdded = await insertContacts(client, campaign.id, contacts);
+
+    logger.info('Campaign created', { id: campaign.id, name, contactsAdded });
+
+    return { campaign, contactsAdded };
+  });
+}
+
+/**
+ * Add contacts to an existing campaign
+ *
+ * @param {string} campaignId - Campaign UUID
+ * @param {Object[]} contacts - Contacts ({phoneNumber, variables, timezone})
+ * @returns {Promise<number>} Number of contacts added
+ */
+export async function addContacts(campaignId, contacts) {
+  const contactsAdded = await transaction((client) => insertContacts(client, campaignId, contacts));
+
+  logger.info('Campaign contacts added', { campaignId, contactsAdded });
+
+  return contactsAdded;
+}
+
+/**
+ * Get a campaign by ID
+ *
+ * @param {string} id - Campaign UUID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object|null>} Campaign or null if not found
+ */
+export async function getCampaign(id, userId) {
+  const result = await query(
+    `SELECT ${CAMPAIGN_COLUMNS} FROM campaigns WHERE id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List campaigns
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.userId - Owner user ID
+ * @param {string} [options.status] - Filter by status
+ * @param {number} [options.limit=50] - Max results
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @returns {Promise<Object[]>} Campaigns
+ */
+export async function listCampaigns(options = {}) {
+  const { userId, status, limit = 50, offset = 0 } = options;
+
+  let queryText = `SELECT ${CAMPAIGN_COLUMNS} FROM campaigns WHERE user_id = $1`;
+  const params = [userId];
+  let paramIndex = 2;
+
+  if (status) {
+    queryText += ` AND status = $${paramIndex++}`;
+    params.push(status);
+  }
+
+  queryText += ` ORDER BY created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex}`;
+  params.push(limit, offset);
+
+  const result = await query(queryText, params);
+  return result.rows;
+}
+
+/**
+ * Count contacts by status for a campaign
+ *
+ * @param {string} campaignId - Campaign UUID
+ * @returns {Promise<Object>} Map of status to count
+ */
+export async function getContactCounts(campaignId) {
+  const result = await query(
+    `SELECT status, COUNT(*)::int AS count
+     FROM campaign_contacts
+     WHERE campaign_id = $1
+     GROUP BY status`,
+    [campaignId]
+  );
+
+  const counts = {};
+  for (const row of result.rows) {
+    counts[row.status] = row.count;
+  }
+  return counts;
+}
+
+/**
+ * Change a campaign's status if it is currently in one of the given statuses
+ *
+ * @param {string} id - Campaign UUID
+ * @param {string} status - New status
+ * @param {string[]} fromStatuses - Statuses the campaign may currently be in
+ * @returns {Promise<Object|null>} Updated campaign or null if not found/not allowed
+ */
+export async function transitionCampaign(id, status, fromStatuses) {
+  const result = await query(
+    `UPDATE campaigns
+     SET status = $2,
+         started_at = CASE WHEN $2 = 'running' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+         completed_at = CASE WHEN $2 IN ('completed', 'cancelled') THEN CURRENT_TIMESTAMP ELSE completed_at END
+     WHERE id = $1 AND status = ANY($3)
+     RETURNING ${CAMPAIGN_COLUMNS}`,
+    [id, status, fromStatuses]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info('Campaign status changed', { id, status });
+    return result.rows[0];
+  }
+
+  return null;
+}
+
+/**
+ * Mark a running campaign completed once no contact is left to dial
+ *
+ * @param {string} id - Campaign UUID
+ * @returns {Promise<boolean>} True if the campaign was completed
+ */
+export async function completeCampaignIfDone(id) {
+  const result = await query(
+    `UPDATE campaigns
+     SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'running'
+       AND NOT EXISTS (
+         SELECT 1 FROM campaign_contacts
+         WHERE campaign_id = $1 AND status = ANY($2)
+       )`,
+    [id, OPEN_CONTACT_STATUSES]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info('Campaign completed', { id });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Cancel every contact that has not been dialed yet
+ *
+ * @param {string} campaignId - Campaign UUID
+ * @returns {Promise<number>} Number of contacts cancelled
+ */
+export async function cancelOpenContacts(campaignId) {
+  const result = await query(
+    `UPDATE campaign_contacts
+     SET status = 'cancelled', next_attempt_at = NULL
+     WHERE campaign_id = $1 AND status IN ('pending', 'retry_scheduled')`,
+    [campaignId]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Get contacts for a campaign
+ *
+ * @param {string} campaignId - Campaign UUID
+ * @param {string} userId - Owner user ID
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Filter by status
+ * @param {number} [options.limit=100] - Max results
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @returns {Promise<Object[]>} Contacts
+ */
+export async function getContacts(campaignId, userId, options = {}) {
+  const { status, limit = 100, offset = 0 } = options;
+
+  let queryText = `
+    SELECT ${CONTACT_COLUMNS} FROM campaign_contacts
+    WHERE campaign_id = $1
+      AND EXISTS (SELECT 1 FROM campaigns WHERE id = $1 AND user_id = $2)
+  `;
+  const params = [campaignId, userId];
+  let paramIndex = 3;
+
+  if (status) {
+    queryText += ` AND status = $${paramIndex++}`;
+    params.push(status);
+  }
+
+  queryText += ` ORDER BY created_at ASC LIMIT $${paramIndex++} OFFSET $${paramIndex}`;
+  params.push(limit, offset);
+
+  const result = await query(queryText, params);
+  return result.rows;
+}
+
+/**
+ * Get attempts for a contact
+ *
+ * @param {string} campaignId - Campaign UUID
+ * @param {string} contactId - Contact UUID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object[]>} Attempts, oldest first
+ */
+export async function getContactAttempts(campaignId, contactId, userId) {
+  const result = await query(
+    `SELECT a.id, a.call_sid, a.attempt_number, a.status, a.outcome, a.duration_seconds,
+            a.error_message, a.started_at, a.ended_at
+     FROM campaign_attempts a
+     JOIN campaigns c ON c.id = a.campaign_id
+     WHERE a.campaign_id = $1 AND a.contact_id = $2 AND c.user_id = $3
+     ORDER BY a.attempt_number ASC`,
+    [campaignId, contactId, userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get running campaigns
+ *
+ * @returns {Promise<Object[]>} Running campaigns
+ */
+export async function getRunningCampaigns() {
+  const result = await query(
+    `SELECT ${CAMPAIGN_COLUMNS} FROM campaigns WHERE status = 'running' ORDER BY started_at ASC`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Count contacts currently being dialed or on a call
+ *
+ * @param {string} campaignId - Campaign UUID
+ * @returns {Promise<number>} In-flight call count
+ */
+export async function countDialingContacts(campaignId) {
+  const result = await query(
+    `SELECT COUNT(*)::int AS count FROM campaign_contacts
+     WHERE campaign_id = $1 AND status = 'dialing'`,
+    [campaignId]
+  );
+
+  return result.rows[0].count;
+}
+
+/**
+ * Get contacts that are due for a dial attempt
+ *
+ * @param {string} campaignId - Campaign UUID
+ * @param {number} limit - Max results
+ * @returns {Promise<Object[]>} Due contacts, retries in schedule order first
+ */
+export async function getDueContacts(campaignId, limit) {
+  const result = await query(
+    `SELECT ${CONTACT_COLUMNS} FROM campaign_contacts
+     WHERE campaign_id = $1
+       AND status IN ('pending', 'retry_scheduled')
+       AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+     ORDER BY next_attempt_at ASC NULLS LAST, created_at ASC
+     LIMIT $2`,
+    [campaignId, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Claim a contact for dialing
+ * Only succeeds if the contact is still waiting, so a contact is never dialed twice.
+ *
+ * @param {string} contactId - Contact UUID
+ * @returns {Promise<Object|null>} Claimed contact or null
+ */
+export async function claimContact(contactId) {
+  const result = await query(
+    `UPDATE campaign_contacts
+     SET status = 'dialing', attempts = attempts + 1, next_attempt_at = NULL
+     WHERE id = $1 AND status IN ('pending', 'retry_scheduled')
+     RETURNING ${CONTACT_COLUMNS}`,
+    [contactId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a dial attempt for a claimed contact
+ *
+ * @param {Object} contact - Claimed contact
+ * @param {Object} data - Attempt data
+ * @param {string} [data.callSid] - Twilio Call SID (absent if the dial failed)
+ * @param {string} [data.status='initiated'] - Attempt status
+ * @param {string} [data.errorMessage] - Dial error
+ * @returns {Promise<Object>} Created attempt
+ */
+export async function createAttempt(contact, data) {
+  const { callSid, status = 'initiated', errorMessage } = data;
+
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO campaign_attempts (contact_id, campaign_id, call_sid, attempt_number, status, error_message,
+                                      ended_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $3::varchar IS NULL THEN CURRENT_TIMESTAMP END)
+       RETURNING id, call_sid, attempt_number, status, started_at`,
+      [contact.id, contact.campaign_id, callSid || null, contact.attempts, status, errorMessage || null]
+    );
+
+    if (callSid) {
+      await client.query(
+        'UPDATE campaign_contacts SET last_call_sid = $2 WHERE id = $1',
+        [contact.id, callSid]
+      );
+    }
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Get an attempt with its contact and campaign by Call SID
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @returns {Promise<Object|null>} Attempt joined with contact and campaign fields
+ */
+export async function getAttemptByCallSid(callSid) {
+  const result = await query(
+    `SELECT a.id, a.call_sid, a.attempt_number, a.status, a.outcome,
+            c.id AS contact_id, c.status AS contact_status, c.attempts,
+            p.id AS campaign_id, p.status AS campaign_status, p.retry_policy
+     FROM campaign_attempts a
+     JOIN campaign_contacts c ON c.id = a.contact_id
+     JOIN campaigns p ON p.id = a.campaign_id
+     WHERE a.call_sid = $1`,
+    [callSid]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Update an attempt from a Twilio status callback
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} data - Attempt fields
+ * @param {string} data.status - Twilio CallStatus
+ * @param {string} [data.outcome] - Final outcome (terminal statuses only)
+ * @param {number} [data.durationSeconds] - Call duration
+ * @returns {Promise<void>}
+ */
+export async function updateAttempt(callSid, data) {
+  const { status, outcome = null, durationSeconds = null } = data;
+
+  await query(
+    `UPDATE campaign_attempts
+     SET status = $2,
+         outcome = COALESCE($3, outcome),
+         duration_seconds = COALESCE($4, duration_seconds),
+         ended_at = CASE WHEN $3::varchar IS NOT NULL THEN CURRENT_TIMESTAMP ELSE ended_at END
+     WHERE call_sid = $1`,
+    [callSid, status, outcome, durationSeconds]
+  );
+}
+
+/**
+ * Record the outcome of a contact's latest attempt
+ *
+ * @param {string} contactId - Contact UUID
+ * @param {Object} data - Outcome
+ * @param {string} data.status - New contact status
+ * @param {string} data.outcome - Outcome of the attempt
+ * @param {Date} [data.nextAttemptAt] - When to retry
+ * @returns {Promise<boolean>} True if the contact was still being dialed
+ */
+export async function setContactOutcome(contactId, data) {
+  const { status, outcome, nextAttemptAt = null } = data;
+
+  const result = await query(
+    `UPDATE campaign_contacts
+     SET status = $2, last_outcome = $3, next_attempt_at = $4
+     WHERE id = $1 AND status = 'dialing'`,
+    [contactId, status, outcome, nextAttemptAt]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Fail contacts whose call never reported a final status
+ *
+ * @param {number} olderThanMinutes - Minutes since the contact was claimed
+ * @returns {Promise<Object[]>} Contacts that were failed ({id, campaign_id})
+ */
+export async function failStaleDialingContacts(olderThanMinutes) {
+  const result = await query(
+    `UPDATE campaign_contacts
+     SET status = 'failed', last_outcome = 'unknown'
+     WHERE status = 'dialing'
+       AND updated_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 minute'
+     RETURNING id, campaign_id`,
+    [olderThanMinutes]
+  );
+
+  if (result.rowCount > 0) {
+    logger.warn('Stale campaign contacts failed', { count: result.rowCount, olderThanMinutes });
+  }
+
+  return result.rows;
+}
+
+export default {
+  createCampaign,
+  addContacts,
+  getCampaign,
+  listCampaigns,
+  getContactCounts,
+  transitionCampaign,
+  completeCampaignIfDone,
+  cancelOpenContacts,
+  getContacts,
+  getContactAttempts,
+  getRunningCampaigns,
+  countDialingContacts,
+  getDueContacts,
+  claimContact,
+  createAttempt,
+  getAttemptByCallSid,
+  updateAttempt,
+  setContactOutcome,
+  failStaleDialingContacts,
+};
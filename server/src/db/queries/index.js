@@ -9,6 +9,11 @@ export * as recordings from './recordings.js';
 export * as prompts from './prompts.js';
 export * as transcripts from './transcripts.js';
 export * as users from './users.js';
+export * as campaigns from './campaigns.js';
+export * as routingRules from './routingRules.js';
+export * as voicemails from './voicemails.js';
+export * as callAnalyses from './callAnalyses.js';
+export * as phoneNumbers from './phoneNumbers.js';
 
 // Also export individual modules as defaults
 export { default as callQueries } from './calls.js';
@@ -16,3 +21,8 @@ export { default as recordingQueries } from './recordings.js';
 export { default as promptQueries } from './prompts.js';
 export { default as transcriptQueries } from './transcripts.js';
 export { default as userQueries } from './users.js';
+export { default as campaignQueries } from './campaigns.js';
+export { default as routingRuleQueries } from './routingRules.js';
+export { default as voicemailQueries } from './voicemails.js';
+export { default as callAnalysisQueries } from './callAnalyses.js';
+export { default as phoneNumberQueries } from './phoneNumbers.js';
@@ -0,0 +1,98 @@
+/**
+ * Phone Number Database Queries
+ *
+ * Ownership of the account's Twilio numbers. A number belongs to at most one
+ * user and is assigned by an operator; inbound routing only considers that
+ * user's rules.
+ */
+
+import { query } from '../pool.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('db:phone-numbers');
+
+const NUMBER_COLUMNS = 'id, user_id, phone_number, label, created_at';
+
+/**
+ * Assign a number to a user
+ *
+ * @param {string} userId - Owner user ID
+ * @param {string} phoneNumber - E.164 number
+ * @param {string|null} [label] - Display name
+ * @returns {Promise<Object|null>} Assigned number, or null if it is already assigned
+ */
+export async function assignNumber(userId, phoneNumber, label = null) {
+  const result = await query(
+    `INSERT INTO phone_numbers (user_id, phone_number, label)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (phone_number) DO NOTHING
+     RETURNING ${NUMBER_COLUMNS}`,
+    [userId, phoneNumber, label]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info('Phone number assigned', { id: result.rows[0].id, userId, phoneNumber });
+    return result.rows[0];
+  }
+
+  return null;
+}
+
+/**
+ * Remove a number's assignment
+ *
+ * @param {string} id - phone_numbers UUID
+ * @returns {Promise<boolean>} True if removed
+ */
+export async function unassignNumber(id) {
+  const result = await query(
+    'DELETE FROM phone_numbers WHERE id = $1 RETURNING user_id, phone_number',
+    [id]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info('Phone number unassigned', { id, userId: result.rows[0].user_id, phoneNumber: result.rows[0].phone_number });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * List a user's numbers
+ *
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object[]>} Numbers
+ */
+export async function listNumbers(userId) {
+  const result = await query(
+    `SELECT ${NUMBER_COLUMNS} FROM phone_numbers
+     WHERE user_id = $1
+     ORDER BY created_at ASC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get the user a number is assigned to
+ *
+ * @param {string} phoneNumber - E.164 number
+ * @returns {Promise<string|null>} Owner user ID, or null if the number is assigned to nobody
+ */
+export async function getNumberOwner(phoneNumber) {
+  const result = await query(
+    'SELECT user_id FROM phone_numbers WHERE phone_number = $1',
+    [phoneNumber]
+  );
+
+  return result.rows[0]?.user_id || null;
+}
+
+export default {
+  assignNumber,
+  unassignNumber,
+  listNumbers,
+  getNumberOwner,
+};
@@ -2,6 +2,9 @@
  * Prompts Database Queries
  *
  * CRUD operations for prompts table
+ *
+ * Prompts with a null user_id are shared: every user can read and duplicate
+ * them, but only the owner of a prompt can change or delete it.
  */
 
 import { query, transaction } from '../pool.js';
@@ -18,6 +21,9 @@ const logger = createLogger('db:prompts');
  * @param {string} [data.userId] - Owner user ID
  * @param {string} [data.voice='marin'] - Voice to use
  * @param {Object} [data.vadConfig] - VAD configuration
+ * @param {Array} [data.tools=[]] - Tool bindings exposed to the model
+ * @param {string} [data.recordingMode] - 'mono' or 'stereo' (null uses server default)
+ * @param {Object} [data.analysisSchema] - Fields to extract after each call (see src/analysis/analysisSchema.js)
  * @param {boolean} [data.isDefault=false] - Is default prompt
  * @returns {Promise<Object>} Created prompt
  */
@@ -28,14 +34,20 @@ export async function createPrompt(data) {
     userId,
     voice = 'marin',
     vadConfig,
+    tools = [],
+    recordingMode,
+    analysisSchema,
     isDefault = false,
   } = data;
 
   const result = await query(
-    `INSERT INTO prompts (user_id, name, instructions, voice, vad_config, is_default)
-     VALUES ($1, $2, $3, $4, $5, $6)
-     RETURNING id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at`,
-    [userId || null, name, instructions, voice, vadConfig || null, isDefault]
+    `INSERT INTO prompts (user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at`,
+    [
+      userId || null, name, instructions, voice, vadConfig || null, JSON.stringify(tools), recordingMode || null,
+      analysisSchema ? JSON.stringify(analysisSchema) : null, isDefault,
+    ]
   );
 
   logger.info('Prompt created', { id: result.rows[0].id, name });
@@ -47,11 +59,12 @@ export async function createPrompt(data) {
  * Update a prompt
  *
  * @param {string} id - Prompt UUID
+ * @param {string} userId - Owner user ID
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object|null>} Updated prompt or null if not found
  */
-export async function updatePrompt(id, updates) {
-  const allowedFields = ['name', 'instructions', 'voice', 'vad_config', 'is_default'];
+export async function updatePrompt(id, userId, updates) {
+  const allowedFields = ['name', 'instructions', 'voice', 'vad_config', 'tools', 'recording_mode', 'analysis_schema', 'is_default'];
   const updateParts = [];
   const params = [];
   let paramIndex = 1;
@@ -59,7 +72,8 @@ export async function updatePrompt(id, updates) {
   for (const [key, value] of Object.entries(updates)) {
     if (allowedFields.includes(key)) {
       updateParts.push(`${key} = $${paramIndex++}`);
-      params.push(value);
+      // JSONB arrays must be serialized or pg sends them as Postgres arrays
+      params.push((key === 'tools' || key === 'analysis_schema') && value !== null ? JSON.stringify(value) : value);
     }
   }
 
@@ -69,12 +83,12 @@ export async function updatePrompt(id, updates) {
 
   // updated_at is handled by trigger, but include explicitly for safety
   updateParts.push('updated_at = CURRENT_TIMESTAMP');
-  params.push(id);
+  params.push(id, userId);
 
   const result = await query(
     `UPDATE prompts SET ${updateParts.join(', ')}
-     WHERE id = $${paramIndex}
-     RETURNING id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at`,
+     WHERE id = $${paramIndex++} AND user_id = $${paramIndex}
+     RETURNING id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at`,
     params
   );
 
@@ -90,12 +104,13 @@ export async function updatePrompt(id, updates) {
  * Delete a prompt
  *
  * @param {string} id - Prompt UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<{id: string, name: string}|null>} Deleted prompt info or null
  */
-export async function deletePrompt(id) {
+export async function deletePrompt(id, userId) {
   const result = await query(
-    'DELETE FROM prompts WHERE id = $1 RETURNING id, name',
-    [id]
+    'DELETE FROM prompts WHERE id = $1 AND user_id = $2 RETURNING id, name',
+    [id, userId]
   );
 
   if (result.rows.length > 0) {
@@ -110,14 +125,15 @@ export async function deletePrompt(id) {
  * Get a prompt by ID
  *
  * @param {string} id - Prompt UUID
+ * @param {string|null} userId - Requesting user ID; only their own and shared prompts match
  * @returns {Promise<Object|null>} Prompt or null if not found
  */
-export async function getPrompt(id) {
+export async function getPrompt(id, userId) {
   const result = await query(
-    `SELECT id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at
+    `SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at
      FROM prompts
-     WHERE id = $1`,
-    [id]
+     WHERE id = $1 AND (user_id = $2 OR user_id IS NULL)`,
+    [id, userId || null]
   );
 
   return result.rows.length > 0 ? result.rows[0] : null;
@@ -135,7 +151,7 @@ export async function getPromptsByUser(userId, options = {}) {
   const { includeDefaults = true } = options;
 
   let queryText = `
-    SELECT id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at
+    SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at
     FROM prompts
     WHERE user_id = $1
   `;
@@ -152,7 +168,7 @@ export async function getPromptsByUser(userId, options = {}) {
 }
 
 /**
- * Get all prompts (admin function)
+ * Get all prompts (admin function, not scoped to a user and not exposed over the API)
  *
  * @param {Object} [options] - Query options
  * @param {number} [options.limit=100] - Maximum results
@@ -164,7 +180,7 @@ export async function getAllPrompts(options = {}) {
 
   const [promptsResult, countResult] = await Promise.all([
     query(
-      `SELECT id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at
+      `SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at
        FROM prompts
        ORDER BY is_default DESC, name ASC
        LIMIT $1 OFFSET $2`,
@@ -182,13 +198,13 @@ export async function getAllPrompts(options = {}) {
 /**
  * Get default prompts (system-wide)
  *
- * @returns {Promise<Object[]>} Default prompts
+ * @returns {Promise<Object[]>} Shared default prompts
  */
 export async function getDefaultPrompts() {
   const result = await query(
-    `SELECT id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at
+    `SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at
      FROM prompts
-     WHERE is_default = true
+     WHERE user_id IS NULL AND is_default = true
      ORDER BY name ASC`
   );
 
@@ -204,7 +220,7 @@ export async function getDefaultPrompts() {
 export async function getUserDefaultPrompt(userId) {
   // First try to find user's specific default
   const userResult = await query(
-    `SELECT id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at
+    `SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at
      FROM prompts
      WHERE user_id = $1 AND is_default = true
      LIMIT 1`,
@@ -217,7 +233,7 @@ export async function getUserDefaultPrompt(userId) {
 
   // Fall back to system default
   const systemResult = await query(
-    `SELECT id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at
+    `SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at
      FROM prompts
      WHERE user_id IS NULL AND is_default = true
      LIMIT 1`
@@ -245,8 +261,8 @@ export async function setDefaultPrompt(userId, promptId) {
     // Set new default
     const result = await client.query(
       `UPDATE prompts SET is_default = true, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1 AND (user_id = $2 OR user_id IS NULL)
-       RETURNING id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at`,
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at`,
       [promptId, userId]
     );
 
@@ -278,28 +294,31 @@ export async function clearDefaultPrompt(userId) {
  * Duplicate a prompt
  *
  * @param {string} id - Prompt UUID to duplicate
+ * @param {string} userId - User who will own the duplicate (must be able to read the original)
  * @param {Object} [options] - Options
  * @param {string} [options.newName] - New name for the duplicate
- * @param {string} [options.userId] - User ID for the duplicate
  * @returns {Promise<Object|null>} Duplicated prompt or null if original not found
  */
-export async function duplicatePrompt(id, options = {}) {
-  const original = await getPrompt(id);
+export async function duplicatePrompt(id, userId, options = {}) {
+  const original = await getPrompt(id, userId);
 
   if (!original) {
     return null;
   }
 
-  const { newName, userId } = options;
+  const { newName } = options;
 
   const duplicatedName = newName || `${original.name} (Copy)`;
 
   return createPrompt({
     name: duplicatedName,
     instructions: original.instructions,
-    userId: userId || original.user_id,
+    userId,
     voice: original.voice,
     vadConfig: original.vad_config,
+    tools: original.tools || [],
+    recordingMode: original.recording_mode,
+    analysisSchema: original.analysis_schema,
     isDefault: false,
   });
 }
@@ -308,31 +327,22 @@ export async function duplicatePrompt(id, options = {}) {
  * Search prompts by name
  *
  * @param {string} searchTerm - Search term
- * @param {Object} [options] - Query options
- * @param {string} [options.userId] - Filter by user ID
+ * @param {Object} options - Query options
+ * @param {string} options.userId - Requesting user ID; own and shared prompts are searched
  * @param {number} [options.limit=20] - Maximum results
  * @returns {Promise<Object[]>} Matching prompts
  */
 export async function searchPrompts(searchTerm, options = {}) {
   const { userId, limit = 20 } = options;
 
-  let queryText = `
-    SELECT id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at
-    FROM prompts
-    WHERE name ILIKE $1
-  `;
-  const params = [`%${searchTerm}%`];
-  let paramIndex = 2;
-
-  if (userId) {
-    queryText += ` AND (user_id = $${paramIndex++} OR user_id IS NULL)`;
-    params.push(userId);
-  }
-
-  queryText += ` ORDER BY is_default DESC, name ASC LIMIT $${paramIndex}`;
-  params.push(limit);
-
-  const result = await query(queryText, params);
+  const result = await query(
+    `SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at
+     FROM prompts
+     WHERE name ILIKE $1 AND (user_id = $2 OR user_id IS NULL)
+     ORDER BY is_default DESC, name ASC
+     LIMIT $3`,
+    [`%${searchTerm}%`, userId, limit]
+  );
 
   return result.rows;
 }
@@ -341,9 +351,10 @@ export async function searchPrompts(searchTerm, options = {}) {
  * Get prompt usage statistics
  *
  * @param {string} promptId - Prompt UUID
+ * @param {string} userId - Only this user's calls are counted
  * @returns {Promise<Object>} Usage statistics
  */
-export async function getPromptUsageStats(promptId) {
+export async function getPromptUsageStats(promptId, userId) {
   const result = await query(
     `SELECT
       COUNT(*) as total_calls,
@@ -351,8 +362,8 @@ export async function getPromptUsageStats(promptId) {
       COALESCE(SUM(duration_seconds), 0) as total_duration,
       COALESCE(AVG(duration_seconds) FILTER (WHERE duration_seconds IS NOT NULL), 0) as avg_duration
      FROM call_sessions
-     WHERE prompt_id = $1`,
-    [promptId]
+     WHERE prompt_id = $1 AND user_id = $2`,
+    [promptId, userId]
   );
 
   const row = result.rows[0];
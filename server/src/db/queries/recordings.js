@@ -2,6 +2,9 @@
  * Recordings Database Queries
  *
  * CRUD operations for recordings table
+ *
+ * Recordings belong to the user who owns their call session; every lookup
+ * other than createRecording and getOrphanedRecordings takes that userId.
  */
 
 import { query } from '../pool.js';
@@ -45,17 +48,18 @@ export async function createRecording(data) {
  * Get a recording by ID
  *
  * @param {string} id - Recording UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object|null>} Recording or null if not found
  */
-export async function getRecording(id) {
+export async function getRecording(id, userId) {
   const result = await query(
     `SELECT r.id, r.call_session_id, r.storage_path, r.duration_seconds,
             r.file_size_bytes, r.format, r.created_at,
             cs.call_sid, cs.phone_number, cs.direction, cs.started_at, cs.ended_at
      FROM recordings r
      JOIN call_sessions cs ON r.call_session_id = cs.id
-     WHERE r.id = $1`,
-    [id]
+     WHERE r.id = $1 AND cs.user_id = $2`,
+    [id, userId]
   );
 
   return result.rows.length > 0 ? result.rows[0] : null;
@@ -65,16 +69,18 @@ export async function getRecording(id) {
  * Get recordings by call session ID
  *
  * @param {string} callSessionId - Call session UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object[]>} Recordings for the call
  */
-export async function getRecordingsByCall(callSessionId) {
+export async function getRecordingsByCall(callSessionId, userId) {
   const result = await query(
-    `SELECT id, call_session_id, storage_path, duration_seconds,
-            file_size_bytes, format, created_at
-     FROM recordings
-     WHERE call_session_id = $1
-     ORDER BY created_at ASC`,
-    [callSessionId]
+    `SELECT r.id, r.call_session_id, r.storage_path, r.duration_seconds,
+            r.file_size_bytes, r.format, r.created_at
+     FROM recordings r
+     JOIN call_sessions cs ON r.call_session_id = cs.id
+     WHERE r.call_session_id = $1 AND cs.user_id = $2
+     ORDER BY r.created_at ASC`,
+    [callSessionId, userId]
   );
 
   return result.rows;
@@ -84,17 +90,18 @@ export async function getRecordingsByCall(callSessionId) {
  * Get recordings by Call SID
  *
  * @param {string} callSid - Twilio Call SID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object[]>} Recordings for the call
  */
-export async function getRecordingsByCallSid(callSid) {
+export async function getRecordingsByCallSid(callSid, userId) {
   const result = await query(
     `SELECT r.id, r.call_session_id, r.storage_path, r.duration_seconds,
             r.file_size_bytes, r.format, r.created_at
      FROM recordings r
      JOIN call_sessions cs ON r.call_session_id = cs.id
-     WHERE cs.call_sid = $1
+     WHERE cs.call_sid = $1 AND cs.user_id = $2
      ORDER BY r.created_at ASC`,
-    [callSid]
+    [callSid, userId]
   );
 
   return result.rows;
@@ -142,10 +149,10 @@ export async function getRecordingsByUser(userId, options = {}) {
 }
 
 /**
- * List all recordings with optional filters
+ * List a user's recordings with optional filters
  *
- * @param {Object} [options] - Query options
- * @param {string} [options.userId] - Filter by user ID
+ * @param {Object} options - Query options
+ * @param {string} options.userId - Owner user ID
  * @param {string} [options.callSid] - Filter by call SID
  * @param {number} [options.limit=50] - Maximum results
  * @param {number} [options.offset=0] - Offset for pagination
@@ -160,27 +167,20 @@ export async function listRecordings(options = {}) {
            cs.call_sid, cs.phone_number, cs.direction
     FROM recordings r
     JOIN call_sessions cs ON r.call_session_id = cs.id
-    WHERE 1=1
+    WHERE cs.user_id = $1
   `;
 
   let countQuery = `
     SELECT COUNT(*) as total
     FROM recordings r
     JOIN call_sessions cs ON r.call_session_id = cs.id
-    WHERE 1=1
+    WHERE cs.user_id = $1
   `;
 
-  const params = [];
-  const countParams = [];
-  let paramIndex = 1;
-  let countParamIndex = 1;
-
-  if (userId) {
-    queryText += ` AND cs.user_id = $${paramIndex++}`;
-    countQuery += ` AND cs.user_id = $${countParamIndex++}`;
-    params.push(userId);
-    countParams.push(userId);
-  }
+  const params = [userId];
+  const countParams = [userId];
+  let paramIndex = 2;
+  let countParamIndex = 2;
 
   if (callSid) {
     queryText += ` AND cs.call_sid = $${paramIndex++}`;
@@ -207,10 +207,11 @@ export async function listRecordings(options = {}) {
  * Update a recording
  *
  * @param {string} id - Recording UUID
+ * @param {string} userId - Owner user ID
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object|null>} Updated recording or null if not found
  */
-export async function updateRecording(id, updates) {
+export async function updateRecording(id, userId, updates) {
   const allowedFields = ['duration_seconds', 'file_size_bytes', 'format'];
   const updateParts = [];
   const params = [];
@@ -227,12 +228,13 @@ export async function updateRecording(id, updates) {
     return null;
   }
 
-  params.push(id);
+  params.push(id, userId);
 
   const result = await query(
-    `UPDATE recordings SET ${updateParts.join(', ')}
-     WHERE id = $${paramIndex}
-     RETURNING id, call_session_id, storage_path, duration_seconds, file_size_bytes, format, created_at`,
+    `UPDATE recordings r SET ${updateParts.join(', ')}
+     FROM call_sessions cs
+     WHERE r.id = $${paramIndex++} AND r.call_session_id = cs.id AND cs.user_id = $${paramIndex}
+     RETURNING r.id, r.call_session_id, r.storage_path, r.duration_seconds, r.file_size_bytes, r.format, r.created_at`,
     params
   );
 
@@ -243,16 +245,20 @@ export async function updateRecording(id, updates) {
  * Delete a recording
  *
  * @param {string} id - Recording UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<{id: string, storage_path: string}|null>} Deleted recording info or null
  */
-export async function deleteRecording(id) {
+export async function deleteRecording(id, userId) {
   const result = await query(
-    'DELETE FROM recordings WHERE id = $1 RETURNING id, storage_path',
-    [id]
+    `DELETE FROM recordings r
+     USING call_sessions cs
+     WHERE r.id = $1 AND r.call_session_id = cs.id AND cs.user_id = $2
+     RETURNING r.id, r.storage_path`,
+    [id, userId]
   );
 
   if (result.rows.length > 0) {
-    logger.info('Recording deleted', { id });
+    logger.info('Recording deleted', { id, userId });
     return result.rows[0];
   }
 
@@ -263,12 +269,16 @@ export async function deleteRecording(id) {
  * Delete recordings by call session
  *
  * @param {string} callSessionId - Call session UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object[]>} Deleted recordings with storage paths
  */
-export async function deleteRecordingsByCall(callSessionId) {
+export async function deleteRecordingsByCall(callSessionId, userId) {
   const result = await query(
-    'DELETE FROM recordings WHERE call_session_id = $1 RETURNING id, storage_path',
-    [callSessionId]
+    `DELETE FROM recordings r
+     USING call_sessions cs
+     WHERE r.call_session_id = $1 AND r.call_session_id = cs.id AND cs.user_id = $2
+     RETURNING r.id, r.storage_path`,
+    [callSessionId, userId]
   );
 
   if (result.rows.length > 0) {
@@ -281,33 +291,25 @@ export async function deleteRecordingsByCall(callSessionId) {
 /**
  * Get recording storage statistics
  *
- * @param {Object} [options] - Filter options
- * @param {string} [options.userId] - Filter by user ID
+ * @param {Object} options - Filter options
+ * @param {string} options.userId - Owner user ID
  * @returns {Promise<Object>} Storage statistics
  */
 export async function getStorageStats(options = {}) {
   const { userId } = options;
 
-  let queryText = `
-    SELECT
-      COUNT(*) as total_recordings,
-      COALESCE(SUM(duration_seconds), 0) as total_duration,
-      COALESCE(SUM(file_size_bytes), 0) as total_size_bytes,
-      COALESCE(AVG(duration_seconds) FILTER (WHERE duration_seconds IS NOT NULL), 0) as avg_duration,
-      COALESCE(AVG(file_size_bytes) FILTER (WHERE file_size_bytes IS NOT NULL), 0) as avg_size
-    FROM recordings r
-  `;
-  const params = [];
-
-  if (userId) {
-    queryText += `
-      JOIN call_sessions cs ON r.call_session_id = cs.id
-      WHERE cs.user_id = $1
-    `;
-    params.push(userId);
-  }
-
-  const result = await query(queryText, params);
+  const result = await query(
+    `SELECT
+       COUNT(*) as total_recordings,
+       COALESCE(SUM(r.duration_seconds), 0) as total_duration,
+       COALESCE(SUM(r.file_size_bytes), 0) as total_size_bytes,
+       COALESCE(AVG(r.duration_seconds) FILTER (WHERE r.duration_seconds IS NOT NULL), 0) as avg_duration,
+       COALESCE(AVG(r.file_size_bytes) FILTER (WHERE r.file_size_bytes IS NOT NULL), 0) as avg_size
+     FROM recordings r
+     JOIN call_sessions cs ON r.call_session_id = cs.id
+     WHERE cs.user_id = $1`,
+    [userId]
+  );
 
   const row = result.rows[0];
   return {
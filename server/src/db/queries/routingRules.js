@@ -0,0 +1,180 @@
+/**
+ * Routing Rule Database Queries
+ *
+ * CRUD operations for the routing_rules table, all scoped to the owning user.
+ * getEnabledRules is used by /twiml/incoming before anyone is authenticated:
+ * it takes the dialed number and returns only the rules of that number's
+ * owner (phone_numbers), so no account can route another account's calls.
+ */
+
+import { query } from '../pool.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('db:routing-rules');
+
+const RULE_COLUMNS = `id, user_id, name, priority, enabled, conditions, schedule, action,
+  prompt_id, voice, greeting, forward_to, created_at, updated_at`;
+
+// Request fields (camelCase) to columns; JSONB columns must be serialized
+const FIELD_COLUMNS = {
+  name: 'name',
+  priority: 'priority',
+  enabled: 'enabled',
+  conditions: 'conditions',
+  schedule: 'schedule',
+  action: 'action',
+  promptId: 'prompt_id',
+  voice: 'voice',
+  greeting: 'greeting',
+  forwardTo: 'forward_to',
+};
+
+const JSON_FIELDS = ['conditions', 'schedule'];
+
+function toColumnValue(field, value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return JSON_FIELDS.includes(field) ? JSON.stringify(value) : value;
+}
+
+/**
+ * Create a routing rule
+ *
+ * @param {Object} data - Rule fields (camelCase, validated)
+ * @param {string} data.userId - Owner user ID
+ * @returns {Promise<Object>} Created rule
+ */
+export async function createRule(data) {
+  const fields = Object.keys(FIELD_COLUMNS).filter((field) => data[field] !== undefined);
+  const columns = ['user_id', ...fields.map((field) => FIELD_COLUMNS[field])];
+  const params = [data.userId, ...fields.map((field) => toColumnValue(field, data[field]))];
+  const placeholders = params.map((_, index) => `$${index + 1}`);
+
+  const result = await query(
+    `INSERT INTO routing_rules (${columns.join(', ')})
+     VALUES (${placeholders.join(', ')})
+     RETURNING ${RULE_COLUMNS}`,
+    params
+  );
+
+  logger.info('Routing rule created', { id: result.rows[0].id, userId: data.userId, action: result.rows[0].action });
+
+  return result.rows[0];
+}
+
+/**
+ * Update a routing rule
+ *
+ * @param {string} id - Rule UUID
+ * @param {string} userId - Owner user ID
+ * @param {Object} updates - Fields to update (camelCase, validated)
+ * @returns {Promise<Object|null>} Updated rule or null if not found
+ */
+export async function updateRule(id, userId, updates) {
+  const fields = Object.keys(FIELD_COLUMNS).filter((field) => updates[field] !== undefined);
+  if (fields.length === 0) {
+    return getRule(id, userId);
+  }
+
+  const setParts = fields.map((field, index) => `${FIELD_COLUMNS[field]} = $${index + 3}`);
+  const params = [id, userId, ...fields.map((field) => toColumnValue(field, updates[field]))];
+
+  const result = await query(
+    `UPDATE routing_rules SET ${setParts.join(', ')}
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${RULE_COLUMNS}`,
+    params
+  );
+
+  if (result.rows.length > 0) {
+    logger.debug('Routing rule updated', { id, updates: fields });
+    return result.rows[0];
+  }
+
+  return null;
+}
+
+/**
+ * Delete a routing rule
+ *
+ * @param {string} id - Rule UUID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteRule(id, userId) {
+  const result = await query(
+    'DELETE FROM routing_rules WHERE id = $1 AND user_id = $2 RETURNING id',
+    [id, userId]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info('Routing rule deleted', { id, userId });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Get a routing rule by ID
+ *
+ * @param {string} id - Rule UUID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object|null>} Rule or null if not found
+ */
+export async function getRule(id, userId) {
+  const result = await query(
+    `SELECT ${RULE_COLUMNS} FROM routing_rules WHERE id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List a user's routing rules in evaluation order
+ *
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object[]>} Rules
+ */
+export async function listRules(userId) {
+  const result = await query(
+    `SELECT ${RULE_COLUMNS} FROM routing_rules
+     WHERE user_id = $1
+     ORDER BY priority ASC, created_at ASC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get the enabled rules for a dialed number in evaluation order
+ * Only the number's owner's rules are returned; unassigned numbers have none.
+ *
+ * @param {string} toNumber - Dialed number (Twilio To)
+ * @returns {Promise<Object[]>} Rules
+ */
+export async function getEnabledRules(toNumber) {
+  const result = await query(
+    `SELECT r.id, r.user_id, r.name, r.priority, r.enabled, r.conditions, r.schedule, r.action,
+            r.prompt_id, r.voice, r.greeting, r.forward_to, r.created_at, r.updated_at
+     FROM routing_rules r
+     JOIN phone_numbers n ON n.user_id = r.user_id
+     WHERE n.phone_number = $1 AND r.enabled = true
+     ORDER BY r.priority ASC, r.created_at ASC`,
+    [toNumber]
+  );
+
+  return result.rows;
+}
+
+export default {
+  createRule,
+  updateRule,
+  deleteRule,
+  getRule,
+  listRules,
+  getEnabledRules,
+};
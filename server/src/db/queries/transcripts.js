@@ -2,6 +2,9 @@
  * Transcripts Database Queries
  *
  * CRUD operations for transcripts table
+ *
+ * Transcripts belong to the user who owns their call session. Reads, edits and
+ * deletes take that userId; inserts come from the media stream and are not scoped.
  */
 
 import { query } from '../pool.js';
@@ -77,29 +80,31 @@ export async function addTranscriptsBatch(transcripts) {
  * Get transcripts for a call session
  *
  * @param {string} callSessionId - Call session UUID
+ * @param {string} userId - Owner user ID
  * @param {Object} [options] - Query options
  * @param {string} [options.speaker] - Filter by speaker
  * @param {number} [options.limit] - Maximum results
  * @param {number} [options.offset=0] - Offset for pagination
  * @returns {Promise<Object[]>} Transcripts for the call
  */
-export async function getTranscriptsByCall(callSessionId, options = {}) {
+export async function getTranscriptsByCall(callSessionId, userId, options = {}) {
   const { speaker, limit, offset = 0 } = options;
 
   let queryText = `
-    SELECT id, call_session_id, speaker, content, timestamp_ms, created_at
-    FROM transcripts
-    WHERE call_session_id = $1
+    SELECT t.id, t.call_session_id, t.speaker, t.content, t.timestamp_ms, t.created_at
+    FROM transcripts t
+    JOIN call_sessions cs ON t.call_session_id = cs.id
+    WHERE t.call_session_id = $1 AND cs.user_id = $2
   `;
-  const params = [callSessionId];
-  let paramIndex = 2;
+  const params = [callSessionId, userId];
+  let paramIndex = 3;
 
   if (speaker) {
-    queryText += ` AND speaker = $${paramIndex++}`;
+    queryText += ` AND t.speaker = $${paramIndex++}`;
     params.push(speaker);
   }
 
-  queryText += ' ORDER BY timestamp_ms ASC, created_at ASC';
+  queryText += ' ORDER BY t.timestamp_ms ASC, t.created_at ASC';
 
   if (limit) {
     queryText += ` LIMIT $${paramIndex++}`;
@@ -120,20 +125,21 @@ export async function getTranscriptsByCall(callSessionId, options = {}) {
  * Get transcripts by Call SID
  *
  * @param {string} callSid - Twilio Call SID
+ * @param {string} userId - Owner user ID
  * @param {Object} [options] - Query options
  * @returns {Promise<Object[]>} Transcripts for the call
  */
-export async function getTranscriptsByCallSid(callSid, options = {}) {
+export async function getTranscriptsByCallSid(callSid, userId, options = {}) {
   const { speaker } = options;
 
   let queryText = `
     SELECT t.id, t.call_session_id, t.speaker, t.content, t.timestamp_ms, t.created_at
     FROM transcripts t
     JOIN call_sessions cs ON t.call_session_id = cs.id
-    WHERE cs.call_sid = $1
+    WHERE cs.call_sid = $1 AND cs.user_id = $2
   `;
-  const params = [callSid];
-  let paramIndex = 2;
+  const params = [callSid, userId];
+  let paramIndex = 3;
 
   if (speaker) {
     queryText += ` AND t.speaker = $${paramIndex++}`;
@@ -151,14 +157,16 @@ export async function getTranscriptsByCallSid(callSid, options = {}) {
  * Get a single transcript by ID
  *
  * @param {string} id - Transcript UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object|null>} Transcript or null if not found
  */
-export async function getTranscript(id) {
+export async function getTranscript(id, userId) {
   const result = await query(
-    `SELECT id, call_session_id, speaker, content, timestamp_ms, created_at
-     FROM transcripts
-     WHERE id = $1`,
-    [id]
+    `SELECT t.id, t.call_session_id, t.speaker, t.content, t.timestamp_ms, t.created_at
+     FROM transcripts t
+     JOIN call_sessions cs ON t.call_session_id = cs.id
+     WHERE t.id = $1 AND cs.user_id = $2`,
+    [id, userId]
   );
 
   return result.rows.length > 0 ? result.rows[0] : null;
@@ -168,10 +176,11 @@ export async function getTranscript(id) {
  * Update a transcript
  *
  * @param {string} id - Transcript UUID
+ * @param {string} userId - Owner user ID
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object|null>} Updated transcript or null if not found
  */
-export async function updateTranscript(id, updates) {
+export async function updateTranscript(id, userId, updates) {
   const allowedFields = ['content', 'timestamp_ms'];
   const updateParts = [];
   const params = [];
@@ -188,12 +197,13 @@ export async function updateTranscript(id, updates) {
     return null;
   }
 
-  params.push(id);
+  params.push(id, userId);
 
   const result = await query(
-    `UPDATE transcripts SET ${updateParts.join(', ')}
-     WHERE id = $${paramIndex}
-     RETURNING id, call_session_id, speaker, content, timestamp_ms, created_at`,
+    `UPDATE transcripts t SET ${updateParts.join(', ')}
+     FROM call_sessions cs
+     WHERE t.id = $${paramIndex++} AND t.call_session_id = cs.id AND cs.user_id = $${paramIndex}
+     RETURNING t.id, t.call_session_id, t.speaker, t.content, t.timestamp_ms, t.created_at`,
     params
   );
 
@@ -204,12 +214,16 @@ export async function updateTranscript(id, updates) {
  * Delete a transcript
  *
  * @param {string} id - Transcript UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<boolean>} True if deleted, false if not found
  */
-export async function deleteTranscript(id) {
+export async function deleteTranscript(id, userId) {
   const result = await query(
-    'DELETE FROM transcripts WHERE id = $1 RETURNING id',
-    [id]
+    `DELETE FROM transcripts t
+     USING call_sessions cs
+     WHERE t.id = $1 AND t.call_session_id = cs.id AND cs.user_id = $2
+     RETURNING t.id`,
+    [id, userId]
   );
 
   return result.rows.length > 0;
@@ -219,12 +233,16 @@ export async function deleteTranscript(id) {
  * Delete all transcripts for a call
  *
  * @param {string} callSessionId - Call session UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<number>} Number of deleted transcripts
  */
-export async function deleteTranscriptsByCall(callSessionId) {
+export async function deleteTranscriptsByCall(callSessionId, userId) {
   const result = await query(
-    'DELETE FROM transcripts WHERE call_session_id = $1 RETURNING id',
-    [callSessionId]
+    `DELETE FROM transcripts t
+     USING call_sessions cs
+     WHERE t.call_session_id = $1 AND t.call_session_id = cs.id AND cs.user_id = $2
+     RETURNING t.id`,
+    [callSessionId, userId]
   );
 
   if (result.rowCount > 0) {
@@ -238,15 +256,16 @@ export async function deleteTranscriptsByCall(callSessionId) {
  * Get full transcript text for a call
  *
  * @param {string} callSessionId - Call session UUID
+ * @param {string} userId - Owner user ID
  * @param {Object} [options] - Options
  * @param {boolean} [options.includeTimestamps=false] - Include timestamps
  * @param {boolean} [options.includeSpeaker=true] - Include speaker labels
  * @returns {Promise<string>} Formatted transcript text
  */
-export async function getFullTranscriptText(callSessionId, options = {}) {
+export async function getFullTranscriptText(callSessionId, userId, options = {}) {
   const { includeTimestamps = false, includeSpeaker = true } = options;
 
-  const transcripts = await getTranscriptsByCall(callSessionId);
+  const transcripts = await getTranscriptsByCall(callSessionId, userId);
 
   return transcripts.map(t => {
     let line = '';
@@ -272,8 +291,8 @@ export async function getFullTranscriptText(callSessionId, options = {}) {
  * Search transcripts by content
  *
  * @param {string} searchTerm - Text to search for
- * @param {Object} [options] - Query options
- * @param {string} [options.userId] - Filter by user ID
+ * @param {Object} options - Query options
+ * @param {string} options.userId - Owner user ID
  * @param {number} [options.limit=50] - Maximum results
  * @returns {Promise<Object[]>} Matching transcripts with call info
  */
@@ -285,15 +304,10 @@ export async function searchTranscripts(searchTerm, options = {}) {
            cs.call_sid, cs.phone_number, cs.direction, cs.started_at
     FROM transcripts t
     JOIN call_sessions cs ON t.call_session_id = cs.id
-    WHERE t.content ILIKE $1
+    WHERE t.content ILIKE $1 AND cs.user_id = $2
   `;
-  const params = [`%${searchTerm}%`];
-  let paramIndex = 2;
-
-  if (userId) {
-    queryText += ` AND cs.user_id = $${paramIndex++}`;
-    params.push(userId);
-  }
+  const params = [`%${searchTerm}%`, userId];
+  let paramIndex = 3;
 
   queryText += ` ORDER BY cs.started_at DESC, t.timestamp_ms ASC LIMIT $${paramIndex}`;
   params.push(limit);
@@ -303,25 +317,184 @@ export async function searchTranscripts(searchTerm, options = {}) {
   return result.rows;
 }
 
+// Matching segments returned per call; match_count has the full number
+const MAX_MATCHES_PER_CALL = 3;
+
+// ts_headline marks matches with control characters, not tags, so the transcript
+// text around them can be HTML-escaped before they become <mark></mark>
+const HEADLINE_START = '\u0002';
+const HEADLINE_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HEADLINE_START}, StopSel=${HEADLINE_STOP}, MinWords=8, MaxWords=24, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Turn a ts_headline fragment into HTML: transcript text escaped, matches in <mark></mark>
+ */
+function toSnippetHtml(headline) {
+  return headline
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .replaceAll(HEADLINE_START, '<mark>')
+    .replaceAll(HEADLINE_STOP, '</mark>');
+}
+
+/**
+ * Full-text search over a user's transcripts, grouped by call
+ * The query uses web search syntax: quoted phrases, OR, and -word to exclude.
+ * Calls come newest first; pass the last row's cursor_started_at and id as
+ * after to get the next page.
+ *
+ * @param {Object} options - Search options
+ * @param {string} options.userId - Owner user ID
+ * @param {string} options.text - Search text
+ * @param {string} [options.speaker] - Only match 'user' or 'assistant' segments
+ * @param {Date} [options.from] - Calls started at or after
+ * @param {Date} [options.to] - Calls started before (exclusive)
+ * @param {string} [options.phoneNumber] - Calls with this number
+ * @param {string} [options.promptId] - Calls that used this prompt
+ * @param {number} [options.minDuration] - Minimum call duration (seconds)
+ * @param {number} [options.maxDuration] - Maximum call duration (seconds)
+ * @param {{startedAt: string, id: string}} [options.after] - Continue after this call
+ * @param {number} [options.limit=20] - Maximum calls
+ * @returns {Promise<Object[]>} Calls with match_count and matches [{transcript_id, speaker, timestamp_ms, snippet}];
+ *   snippets are HTML-escaped transcript text with the matched words in <mark></mark>
+ */
+export async function searchTranscriptCalls(options) {
+  const {
+    userId,
+    text,
+    speaker,
+    from,
+    to,
+    phoneNumber,
+    promptId,
+    minDuration,
+    maxDuration,
+    after,
+    limit = 20,
+  } = options;
+
+  const params = [userId, text];
+  const callFilters = [];
+  let speakerFilter = '';
+
+  if (speaker) {
+    params.push(speaker);
+    speakerFilter = ` AND t.speaker = $${params.length}`;
+  }
+
+  if (from) {
+    params.push(from);
+    callFilters.push(`cs.started_at >= $${params.length}`);
+  }
+
+  if (to) {
+    params.push(to);
+    callFilters.push(`cs.started_at < $${params.length}`);
+  }
+
+  if (phoneNumber) {
+    params.push(phoneNumber);
+    callFilters.push(`cs.phone_number = $${params.length}`);
+  }
+
+  if (promptId) {
+    params.push(promptId);
+    callFilters.push(`cs.prompt_id = $${params.length}`);
+  }
+
+  if (minDuration !== undefined) {
+    params.push(minDuration);
+    callFilters.push(`cs.duration_seconds >= $${params.length}`);
+  }
+
+  if (maxDuration !== undefined) {
+    params.push(maxDuration);
+    callFilters.push(`cs.duration_seconds <= $${params.length}`);
+  }
+
+  if (after) {
+    params.push(after.startedAt, after.id);
+    callFilters.push(`(cs.started_at, cs.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`);
+  }
+
+  params.push(HEADLINE_OPTIONS);
+  const headlineParam = params.length;
+
+  params.push(limit);
+
+  const result = await query(
+    `WITH search AS (
+       SELECT websearch_to_tsquery('english', $2) AS query
+     ),
+     matched AS (
+       SELECT cs.id, cs.call_sid, cs.direction, cs.phone_number, cs.status,
+              cs.started_at, cs.ended_at, cs.duration_seconds, cs.prompt_id,
+              cs.started_at::text AS cursor_started_at,
+              COUNT(t.id) AS match_count
+       FROM call_sessions cs
+       JOIN transcripts t ON t.call_session_id = cs.id
+       CROSS JOIN search s
+       WHERE cs.user_id = $1 AND t.search_vector @@ s.query${speakerFilter}
+         ${callFilters.map((filter) => `AND ${filter}`).join('\n         ')}
+       GROUP BY cs.id
+       ORDER BY cs.started_at DESC, cs.id DESC
+       LIMIT $${params.length}
+     )
+     SELECT m.*, p.name AS prompt_name, snippets.matches
+     FROM matched m
+     CROSS JOIN search s
+     LEFT JOIN prompts p ON m.prompt_id = p.id
+     CROSS JOIN LATERAL (
+       SELECT COALESCE(json_agg(json_build_object(
+                'transcript_id', x.id,
+                'speaker', x.speaker,
+                'timestamp_ms', x.timestamp_ms,
+                'snippet', x.snippet
+              ) ORDER BY x.timestamp_ms, x.created_at), '[]'::json) AS matches
+       FROM (
+         SELECT t.id, t.speaker, t.timestamp_ms, t.created_at,
+                ts_headline('english', t.content, s.query, $${headlineParam}) AS snippet
+         FROM transcripts t
+         WHERE t.call_session_id = m.id AND t.search_vector @@ s.query${speakerFilter}
+         ORDER BY t.timestamp_ms ASC, t.created_at ASC
+         LIMIT ${MAX_MATCHES_PER_CALL}
+       ) x
+     ) snippets
+     ORDER BY m.started_at DESC, m.id DESC`,
+    params
+  );
+
+  logger.debug('Transcript search', { userId, results: result.rows.length });
+
+  return result.rows.map((row) => ({
+    ...row,
+    match_count: parseInt(row.match_count, 10),
+    matches: row.matches.map((match) => ({ ...match, snippet: toSnippetHtml(match.snippet) })),
+  }));
+}
+
 /**
  * Get transcript statistics for a call
  *
  * @param {string} callSessionId - Call session UUID
+ * @param {string} userId - Owner user ID
  * @returns {Promise<Object>} Transcript statistics
  */
-export async function getTranscriptStats(callSessionId) {
+export async function getTranscriptStats(callSessionId, userId) {
   const result = await query(
     `SELECT
       COUNT(*) as total_entries,
-      COUNT(*) FILTER (WHERE speaker = 'user') as user_entries,
-      COUNT(*) FILTER (WHERE speaker = 'assistant') as assistant_entries,
-      COALESCE(SUM(LENGTH(content)), 0) as total_characters,
-      COALESCE(SUM(LENGTH(content)) FILTER (WHERE speaker = 'user'), 0) as user_characters,
-      COALESCE(SUM(LENGTH(content)) FILTER (WHERE speaker = 'assistant'), 0) as assistant_characters,
-      COALESCE(MAX(timestamp_ms), 0) as last_timestamp_ms
-     FROM transcripts
-     WHERE call_session_id = $1`,
-    [callSessionId]
+      COUNT(*) FILTER (WHERE t.speaker = 'user') as user_entries,
+      COUNT(*) FILTER (WHERE t.speaker = 'assistant') as assistant_entries,
+      COALESCE(SUM(LENGTH(t.content)), 0) as total_characters,
+      COALESCE(SUM(LENGTH(t.content)) FILTER (WHERE t.speaker = 'user'), 0) as user_characters,
+      COALESCE(SUM(LENGTH(t.content)) FILTER (WHERE t.speaker = 'assistant'), 0) as assistant_characters,
+      COALESCE(MAX(t.timestamp_ms), 0) as last_timestamp_ms
+     FROM transcripts t
+     JOIN call_sessions cs ON t.call_session_id = cs.id
+     WHERE t.call_session_id = $1 AND cs.user_id = $2`,
+    [callSessionId, userId]
   );
 
   const row = result.rows[0];
@@ -347,5 +520,6 @@ export default {
   deleteTranscriptsByCall,
   getFullTranscriptText,
   searchTranscripts,
+  searchTranscriptCalls,
   getTranscriptStats,
 };
@@ -32,6 +32,38 @@ export async function getOrCreateUser(deviceId) {
   return user;
 }
 
+/**
+ * Create or sign in a user for device registration
+ * A new device (or one registered before device secrets existed) takes the
+ * offered secret; a known device must present the secret it was issued.
+ *
+ * @param {string} deviceId - Unique device identifier from iOS app
+ * @param {string} offeredSecretHash - Hash of a newly generated secret, kept if the device has none
+ * @param {string|null} presentedSecretHash - Hash of the secret the device sent, if any
+ * @returns {Promise<Object|null>} User record with secret_issued, or null if the secret is missing or wrong
+ */
+export async function registerDeviceUser(deviceId, offeredSecretHash, presentedSecretHash) {
+  const result = await query(
+    `INSERT INTO users (device_id, device_secret_hash, last_active)
+     VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (device_id)
+     DO UPDATE SET last_active = CURRENT_TIMESTAMP,
+                   device_secret_hash = COALESCE(users.device_secret_hash, EXCLUDED.device_secret_hash)
+     WHERE users.device_secret_hash IS NULL OR users.device_secret_hash = $3
+     RETURNING id, device_id, created_at, last_active, device_secret_hash = $2 AS secret_issued`,
+    [deviceId, offeredSecretHash, presentedSecretHash]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const user = result.rows[0];
+  logger.debug('User accessed', { userId: user.id, deviceId, secretIssued: user.secret_issued });
+
+  return user;
+}
+
 /**
  * Get a user by ID
  *
@@ -246,6 +278,7 @@ export async function getGlobalStats() {
 
 export default {
   getOrCreateUser,
+  registerDeviceUser,
   getUser,
   getUserByDeviceId,
   updateLastActive,
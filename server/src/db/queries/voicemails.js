@@ -0,0 +1,205 @@
+/**
+ * Voicemail Database Queries
+ *
+ * CRUD operations for the voicemails table. Lookups made for the API take the
+ * owning userId; createVoicemail, completeVoicemail and failVoicemail are used
+ * by the voicemail pipeline, which already knows the owner from the call.
+ */
+
+import { query } from '../pool.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('db:voicemails');
+
+const VOICEMAIL_COLUMNS = `v.id, v.call_session_id, v.user_id, v.recording_id, v.capture_mode,
+  v.from_number, v.status, v.transcript, v.caller_name, v.callback_number, v.reason,
+  v.error, v.listened_at, v.created_at, v.updated_at`;
+
+/**
+ * Create a voicemail for a call, once per call
+ *
+ * @param {Object} data - Voicemail data
+ * @param {string} data.callSessionId - Call session UUID
+ * @param {string} data.userId - Owner user ID
+ * @param {string} data.captureMode - 'record' or 'ai'
+ * @param {string} [data.fromNumber] - Caller ID
+ * @returns {Promise<Object|null>} Created voicemail, or null if the call already has one
+ */
+export async function createVoicemail(data) {
+  const { callSessionId, userId, captureMode, fromNumber } = data;
+
+  const result = await query(
+    `INSERT INTO voicemails AS v (call_session_id, user_id, capture_mode, from_number)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (call_session_id) DO NOTHING
+     RETURNING ${VOICEMAIL_COLUMNS}`,
+    [callSessionId, userId, captureMode, fromNumber || null]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  logger.info('Voicemail created', { id: result.rows[0].id, callSessionId, captureMode });
+
+  return result.rows[0];
+}
+
+/**
+ * Store the processed message
+ *
+ * @param {string} id - Voicemail UUID
+ * @param {Object} fields - Processing results
+ * @param {string|null} fields.recordingId - Recording UUID
+ * @param {string} fields.transcript - Message transcript
+ * @param {string|null} fields.callerName - Extracted caller name
+ * @param {string|null} fields.callbackNumber - Extracted callback number
+ * @param {string|null} fields.reason - Extracted reason for calling
+ * @returns {Promise<Object|null>} Updated voicemail
+ */
+export async function completeVoicemail(id, fields) {
+  const result = await query(
+    `UPDATE voicemails AS v
+     SET status = 'ready', recording_id = $2, transcript = $3,
+         caller_name = $4, callback_number = $5, reason = $6, error = NULL
+     WHERE v.id = $1
+     RETURNING ${VOICEMAIL_COLUMNS}`,
+    [
+      id,
+      fields.recordingId || null,
+      fields.transcript,
+      fields.callerName || null,
+      fields.callbackNumber || null,
+      fields.reason || null,
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a voicemail as failed, keeping whatever was stored so far
+ *
+ * @param {string} id - Voicemail UUID
+ * @param {string} error - Failure description
+ * @param {Object} [fields] - Partial results ({recordingId, transcript})
+ * @returns {Promise<Object|null>} Updated voicemail
+ */
+export async function failVoicemail(id, error, fields = {}) {
+  const result = await query(
+    `UPDATE voicemails AS v
+     SET status = 'failed', error = $2,
+         recording_id = COALESCE($3, recording_id),
+         transcript = COALESCE($4, transcript)
+     WHERE v.id = $1
+     RETURNING ${VOICEMAIL_COLUMNS}`,
+    [id, error, fields.recordingId || null, fields.transcript || null]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a voicemail by ID
+ *
+ * @param {string} id - Voicemail UUID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object|null>} Voicemail with call details, or null if not found
+ */
+export async function getVoicemail(id, userId) {
+  const result = await query(
+    `SELECT ${VOICEMAIL_COLUMNS}, cs.call_sid, cs.started_at, cs.duration_seconds
+     FROM voicemails v
+     JOIN call_sessions cs ON v.call_session_id = cs.id
+     WHERE v.id = $1 AND v.user_id = $2`,
+    [id, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List a user's voicemails, newest first
+ *
+ * @param {string} userId - Owner user ID
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.unheard] - Only messages not yet marked as heard
+ * @param {number} [options.limit=50] - Max results
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @returns {Promise<{voicemails: Object[], total: number}>} Voicemails and total count
+ */
+export async function listVoicemails(userId, options = {}) {
+  const { unheard = false, limit = 50, offset = 0 } = options;
+
+  const filter = `WHERE v.user_id = $1${unheard ? ' AND v.listened_at IS NULL' : ''}`;
+
+  const [listResult, countResult] = await Promise.all([
+    query(
+      `SELECT ${VOICEMAIL_COLUMNS}, cs.call_sid, cs.started_at, cs.duration_seconds
+       FROM voicemails v
+       JOIN call_sessions cs ON v.call_session_id = cs.id
+       ${filter}
+       ORDER BY v.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    ),
+    query(`SELECT COUNT(*) as total FROM voicemails v ${filter}`, [userId]),
+  ]);
+
+  return {
+    voicemails: listResult.rows,
+    total: parseInt(countResult.rows[0].total, 10),
+  };
+}
+
+/**
+ * Mark a voicemail as heard or unheard
+ *
+ * @param {string} id - Voicemail UUID
+ * @param {string} userId - Owner user ID
+ * @param {boolean} listened - True to mark heard
+ * @returns {Promise<Object|null>} Updated voicemail with call details, or null if not found
+ */
+export async function setListened(id, userId, listened) {
+  const result = await query(
+    `UPDATE voicemails AS v
+     SET listened_at = CASE WHEN $3 THEN COALESCE(v.listened_at, CURRENT_TIMESTAMP) ELSE NULL END
+     FROM call_sessions cs
+     WHERE v.id = $1 AND v.user_id = $2 AND cs.id = v.call_session_id
+     RETURNING ${VOICEMAIL_COLUMNS}, cs.call_sid, cs.started_at, cs.duration_seconds`,
+    [id, userId, listened]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a voicemail (the call, recording and transcript are kept)
+ *
+ * @param {string} id - Voicemail UUID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteVoicemail(id, userId) {
+  const result = await query(
+    'DELETE FROM voicemails WHERE id = $1 AND user_id = $2 RETURNING id',
+    [id, userId]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info('Voicemail deleted', { id, userId });
+    return true;
+  }
+
+  return false;
+}
+
+export default {
+  createVoicemail,
+  completeVoicemail,
+  failVoicemail,
+  getVoicemail,
+  listVoicemails,
+  setListened,
+  deleteVoicemail,
+};
@@ -11,13 +11,25 @@ import logger, { requestLogger, createLogger } from './utils/logger.js';
 import { testConnection, closePool, getPoolStats } from './db/pool.js';
 import connectionManager from './websocket/connectionManager.js';
 import { handleTwilioMediaStream } from './websocket/twilioMediaHandler.js';
-import { handleIOSClientConnection, handleEventStreamConnection } from './websocket/iosClientHandler.js';
-
+import { handleIOSClientConnection, handleEventStreamConnection, handleMonitorConnection } from './websocket/iosClientHandler.js';
+import { registerCallControlTools } from './services/callControlTools.js';
+import { requireAuth, requireAdmin, authenticateUpgrade, rejectUpgrade } from './middleware/auth.js';
+import { startCampaignDialer, stopCampaignDialer } from './services/campaignDialer.js';
+import { retryAbandonedAnalyses } from './services/callAnalysisService.js';
+import { validateSessionConfig } from './services/promptTemplate.js';
+import { setResamplerQuality } from './audio/converter.js';
+
+import authRouter from './routes/auth.js';
 import tokenRouter from './routes/token.js';
 import twimlRouter from './routes/twiml.js';
 import callsRouter from './routes/calls.js';
 import recordingsRouter from './routes/recordings.js';
 import promptsRouter from './routes/prompts.js';
+import campaignsRouter from './routes/campaigns.js';
+import routingRulesRouter from './routes/routingRules.js';
+import phoneNumbersRouter from './routes/phoneNumbers.js';
+import voicemailsRouter from './routes/voicemails.js';
+import callersRouter from './routes/callers.js';
 
 const appLogger = createLogger('app');
 
@@ -29,6 +41,11 @@ try {
   process.exit(1);
 }
 
+// Built-in tools must be registered before prompts referencing them are validated
+registerCallControlTools();
+
+setResamplerQuality(config.audio.resampler);
+
 const app = express();
 const server = createServer(app);
 
@@ -122,16 +139,23 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       api: {
+        auth: '/api/auth',
         token: '/api/token',
         calls: '/api/calls',
         recordings: '/api/recordings',
         prompts: '/api/prompts',
+        campaigns: '/api/campaigns',
+        routingRules: '/api/routing-rules',
+        phoneNumbers: '/api/phone-numbers',
+        voicemails: '/api/voicemails',
+        callers: '/api/callers',
         session: '/api/session',
       },
       websocket: {
         mediaStream: '/media-stream',
         iosClient: '/ios-client',
         events: '/events/:callId',
+        monitor: '/monitor/:callId',
       },
       twiml: {
         outgoing: '/twiml/outgoing',
@@ -142,44 +166,83 @@ app.get('/', (req, res) => {
   });
 });
 
+// Everything under /api needs a session token except registration/refresh and
+// signed recording links, which carry their own signature
+const PUBLIC_API_PATHS = [/^\/auth\//, /^\/recordings\/[^/]+\/signed$/];
+
+app.use('/api/auth', authRouter);
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.some((pattern) => pattern.test(req.path))) {
+    return next();
+  }
+  requireAuth(req, res, next);
+});
+
 app.use('/api/token', tokenRouter);
 app.use('/twiml', twimlRouter);
 app.use('/api/calls', callsRouter);
 app.use('/api/recordings', recordingsRouter);
 app.use('/api/prompts', promptsRouter);
+app.use('/api/campaigns', campaignsRouter);
+app.use('/api/routing-rules', routingRulesRouter);
+app.use('/api/phone-numbers', phoneNumbersRouter);
+app.use('/api/voicemails', voicemailsRouter);
+app.use('/api/callers', callersRouter);
+
+app.post('/api/session/config', async (req, res) => {
+  try {
+    const { call_sid, config: sessionConfig } = req.body;
+
+    if (!call_sid) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_CALL_SID',
+          message: 'call_sid is required',
+        },
+      });
+    }
 
-app.post('/api/session/config', (req, res) => {
-  const { call_sid, config: sessionConfig } = req.body;
+    const session = connectionManager.getSession(call_sid);
+    if (!session?.isOwnedBy(req.user.id)) {
+      return res.status(404).json({
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: `No active session for call: ${call_sid}`,
+        },
+      });
+    }
 
-  if (!call_sid) {
-    return res.status(400).json({
-      error: {
-        code: 'MISSING_CALL_SID',
-        message: 'call_sid is required',
-      },
-    });
-  }
+    const configValidation = await validateSessionConfig(sessionConfig);
+    if (!configValidation.valid) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_CONFIG',
+          message: 'Invalid session config',
+          details: configValidation.errors,
+        },
+      });
+    }
+
+    session.updateConfig(sessionConfig);
 
-  const session = connectionManager.getSession(call_sid);
-  if (!session) {
-    return res.status(404).json({
+    res.json({
+      success: true,
+      call_sid,
+      config: session.config,
+    });
+  } catch (error) {
+    appLogger.error('Failed to update session config', error);
+    res.status(500).json({
       error: {
-        code: 'SESSION_NOT_FOUND',
-        message: `No active session for call: ${call_sid}`,
+        code: 'SESSION_CONFIG_FAILED',
+        message: 'Failed to update session config',
+        details: error.message,
       },
     });
   }
-
-  session.updateConfig(sessionConfig);
-
-  res.json({
-    success: true,
-    call_sid,
-    config: session.config,
-  });
 });
 
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', requireAdmin, (req, res) => {
   const poolStats = getPoolStats();
   const connectionStats = connectionManager.getStats();
 
@@ -227,13 +290,30 @@ server.on('upgrade', (request, socket, head) => {
       handleTwilioMediaStream(ws, request);
     });
   } else if (pathname === '/ios-client') {
+    const user = authenticateUpgrade(request, url);
+    if (!user) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
     wss.handleUpgrade(request, socket, head, (ws) => {
-      handleIOSClientConnection(ws, request);
+      handleIOSClientConnection(ws, request, user);
     });
   } else if (pathname.startsWith('/events/')) {
+    const user = authenticateUpgrade(request, url);
+    if (!user) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
     const callId = pathname.replace('/events/', '');
     wss.handleUpgrade(request, socket, head, (ws) => {
-      handleEventStreamConnection(ws, request, callId);
+      handleEventStreamConnection(ws, request, callId, user);
+    });
+  } else if (pathname.startsWith('/monitor/')) {
+    const user = authenticateUpgrade(request, url);
+    if (!user) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+    const callId = pathname.replace('/monitor/', '');
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      handleMonitorConnection(ws, request, callId, user, url.searchParams.get('mode') || undefined);
     });
   } else {
     appLogger.warn('Unknown WebSocket path', { pathname });
@@ -258,6 +338,9 @@ async function gracefulShutdown(signal) {
   }, 30000);
 
   try {
+    appLogger.info('Stopping campaign dialer');
+    stopCampaignDialer();
+
     appLogger.info('Closing active connections');
     connectionManager.cleanup();
 
@@ -330,10 +413,19 @@ async function startServer() {
         appLogger.info('Twilio SDK configured - iOS client tokens enabled');
       }
 
+      if (!config.twilio.validateWebhooks) {
+        appLogger.warn('TWILIO_VALIDATE_WEBHOOKS=false - /twiml and /media-stream accept unsigned requests');
+      }
+
+      if (config.realtime.provider === 'mock') {
+        appLogger.warn('REALTIME_PROVIDER=mock - calls are answered by scripted responses, not OpenAI');
+      }
+
       appLogger.info('WebSocket endpoints available', {
         mediaStream: `/media-stream`,
         iosClient: `/ios-client`,
         events: `/events/:callId`,
+        monitor: `/monitor/:callId`,
       });
 
       appLogger.info('REST API endpoints available', {
@@ -341,6 +433,15 @@ async function startServer() {
         health: `/health`,
         twiml: `/twiml`,
       });
+
+      if (dbConnected) {
+        startCampaignDialer();
+        retryAbandonedAnalyses().catch((error) => {
+          appLogger.error('Failed to retry abandoned call analyses', { error: error.message });
+        });
+      } else {
+        appLogger.warn('Campaign dialer disabled - database not connected');
+      }
     });
 
     server.on('error', (error) => {
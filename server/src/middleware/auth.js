@@ -0,0 +1,99 @@
+/**
+ * Authentication Middleware
+ *
+ * REST requests carry the access token as "Authorization: Bearer <token>".
+ * WebSocket clients may use the same header or, where they cannot set headers,
+ * a ?token= query parameter on the upgrade URL.
+ */
+
+import config from '../config/environment.js';
+import { verifyAccessToken } from '../services/authService.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('auth');
+
+/**
+ * Extract a bearer token from an Authorization header
+ *
+ * @param {string|undefined} header - Authorization header value
+ * @returns {string|null} Token or null
+ */
+function getBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Require a valid access token; sets req.user = { id, deviceId, sessionId }
+ */
+export function requireAuth(req, res, next) {
+  const token = getBearerToken(req.headers.authorization);
+  const user = token ? verifyAccessToken(token) : null;
+
+  if (!user) {
+    res.set('WWW-Authenticate', token ? 'Bearer error="invalid_token"' : 'Bearer');
+    return res.status(401).json({
+      error: {
+        code: token ? 'INVALID_TOKEN' : 'UNAUTHORIZED',
+        message: token ? 'Access token is invalid or has expired' : 'Authorization bearer token is required',
+      },
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Require an operator (a user listed in ADMIN_USER_IDS); use after requireAuth
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.user || !config.auth.adminUserIds.includes(req.user.id)) {
+    logger.warn('Rejected non-admin request', { userId: req.user?.id, path: req.originalUrl });
+    return res.status(403).json({
+      error: {
+        code: 'FORBIDDEN',
+        message: 'This endpoint is restricted to operators',
+      },
+    });
+  }
+
+  next();
+}
+
+/**
+ * Authenticate a WebSocket upgrade request
+ *
+ * @param {IncomingMessage} request - Upgrade request
+ * @param {URL} url - Parsed request URL
+ * @returns {{id: string, deviceId: string, sessionId: string}|null} User, or null if unauthenticated
+ */
+export function authenticateUpgrade(request, url) {
+  const token = getBearerToken(request.headers.authorization) || url.searchParams.get('token');
+  const user = token ? verifyAccessToken(token) : null;
+
+  if (!user) {
+    logger.warn('Rejected unauthenticated WebSocket upgrade', { pathname: url.pathname });
+  }
+
+  return user;
+}
+
+/**
+ * Refuse a WebSocket upgrade with an HTTP error
+ *
+ * @param {Duplex} socket - Upgrade socket
+ * @param {number} status - HTTP status code
+ * @param {string} reason - Status text
+ */
+export function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+export default {
+  requireAuth,
+  requireAdmin,
+  authenticateUpgrade,
+  rejectUpgrade,
+};
@@ -0,0 +1,121 @@
+/**
+ * Twilio Request Validation
+ *
+ * Webhooks: Twilio signs every request with X-Twilio-Signature, an HMAC of the
+ * public URL it called plus the POST parameters, keyed by the account auth token.
+ * Behind a proxy (TRUST_PROXY=true) the URL is rebuilt from X-Forwarded-Proto and
+ * X-Forwarded-Host so it matches what Twilio called.
+ *
+ * Media streams: the WebSocket upgrade carries no form parameters, so the TwiML
+ * that opens a stream adds a "signature" <Parameter> signed over the other stream
+ * parameters. Twilio echoes them back in the 'start' message, where the media
+ * handler checks them before trusting callSid, userId or promptId.
+ *
+ * Local testing: TWILIO_VALIDATE_WEBHOOKS=false skips both checks, e.g. when
+ * posting to /twiml with curl or driving /media-stream from a script. It is
+ * refused in production.
+ */
+
+import crypto from 'crypto';
+import twilio from 'twilio';
+import config from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('twilio-signature');
+
+export const STREAM_SIGNATURE_PARAMETER = 'signature';
+
+/**
+ * Rebuild the URL Twilio requested
+ *
+ * @param {Request} req - Express request
+ * @returns {string} Absolute URL including the query string
+ */
+export function getPublicUrl(req) {
+  // req.protocol already honours X-Forwarded-Proto when trust proxy is set
+  const forwardedHost = config.server.trustProxy ? req.get('x-forwarded-host') : null;
+  const host = forwardedHost ? forwardedHost.split(',')[0].trim() : req.get('host');
+
+  return `${req.protocol}://${host}${req.originalUrl}`;
+}
+
+/**
+ * Reject requests without a valid X-Twilio-Signature
+ */
+export function validateTwilioRequest(req, res, next) {
+  if (!config.twilio.validateWebhooks) {
+    return next();
+  }
+
+  const signature = req.get('x-twilio-signature');
+  const url = getPublicUrl(req);
+
+  if (!signature || !twilio.validateRequest(config.twilio.authToken, signature, url, req.body || {})) {
+    logger.warn('Rejected unsigned Twilio webhook', {
+      url,
+      hasSignature: Boolean(signature),
+      callSid: req.body?.CallSid,
+    });
+
+    return res.status(403).json({
+      error: {
+        code: 'INVALID_TWILIO_SIGNATURE',
+        message: 'Request signature does not match',
+      },
+    });
+  }
+
+  next();
+}
+
+// JSON keeps names and values apart whatever characters they contain;
+// values arrive from Twilio as strings, so they are signed as strings
+function streamDigest(parameters) {
+  const canonical = JSON.stringify(Object.keys(parameters)
+    .filter((name) => name !== STREAM_SIGNATURE_PARAMETER)
+    .sort()
+    .map((name) => [name, String(parameters[name])]));
+
+  return crypto.createHmac('sha256', config.twilio.authToken).update(canonical).digest();
+}
+
+/**
+ * Sign media stream parameters
+ *
+ * @param {Object<string, string>} parameters - <Parameter> names and values (must include callSid)
+ * @returns {string} Hex signature to send as the "signature" parameter
+ */
+export function signStreamParameters(parameters) {
+  return streamDigest(parameters).toString('hex');
+}
+
+/**
+ * Check the signature on a media stream's custom parameters
+ *
+ * @param {Object<string, string>} parameters - customParameters from the 'start' message
+ * @param {string} callSid - Call SID reported by Twilio in the same message
+ * @returns {boolean} True if the parameters were signed by this server for this call
+ */
+export function verifyStreamParameters(parameters, callSid) {
+  if (!config.twilio.validateWebhooks) {
+    return true;
+  }
+
+  const signature = parameters?.[STREAM_SIGNATURE_PARAMETER];
+  if (typeof signature !== 'string' || parameters.callSid !== callSid) {
+    return false;
+  }
+
+  const expected = streamDigest(parameters);
+  const actual = Buffer.from(signature, 'hex');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+export default {
+  STREAM_SIGNATURE_PARAMETER,
+  getPublicUrl,
+  validateTwilioRequest,
+  signStreamParameters,
+  verifyStreamParameters,
+};
@@ -0,0 +1,99 @@
+/**
+ * Realtime Connection
+ *
+ * What the bridge holds for a call's model session, whichever provider is
+ * behind it. The surface deliberately matches the `ws` WebSocket the bridge
+ * used to hold directly, so connection-level code (session.sendToOpenAI,
+ * readyState checks) does not care which provider it is talking to:
+ *
+ *   readyState               - CONNECTING, OPEN, CLOSING or CLOSED
+ *   send(text)               - send one client event, already JSON-encoded
+ *   close(code, reason)
+ *   'open'                   - ready to send
+ *   'message' (data)         - one server event, JSON text
+ *   'close' (code, reason)   - reason is a Buffer, as with `ws`
+ *   'error' (error)
+ *
+ * Events in both directions use the OpenAI Realtime protocol. Providers for
+ * other backends translate to and from it.
+ */
+
+import { EventEmitter } from 'node:events';
+
+export class RealtimeConnection extends EventEmitter {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  constructor() {
+    super();
+    this.readyState = RealtimeConnection.CONNECTING;
+  }
+
+  /**
+   * Send one JSON-encoded client event
+   *
+   * @param {string} data - Event as JSON text
+   */
+  send(data) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  /**
+   * Close the connection
+   *
+   * @param {number} [code=1000] - Close code
+   * @param {string} [reason] - Close reason
+   */
+  close(code = 1000, reason = '') {
+    throw new Error(`${this.constructor.name} does not implement close()`);
+  }
+
+  /**
+   * Send a client event
+   *
+   * @param {Object} event - Realtime client event
+   * @returns {boolean} False if the connection is not open
+   */
+  sendEvent(event) {
+    if (this.readyState !== RealtimeConnection.OPEN) {
+      return false;
+    }
+    this.send(JSON.stringify(event));
+    return true;
+  }
+
+  /**
+   * Append caller audio to the input buffer
+   *
+   * @param {string} audioBase64 - PCM16 24kHz audio, base64
+   * @returns {boolean} False if the connection is not open
+   */
+  sendAudio(audioBase64) {
+    return this.sendEvent({ type: 'input_audio_buffer.append', audio: audioBase64 });
+  }
+
+  /**
+   * Change session settings (instructions, tools, turn detection)
+   *
+   * @param {Object} sessionConfig - Realtime session object
+   * @returns {boolean} False if the connection is not open
+   */
+  updateSession(sessionConfig) {
+    return this.sendEvent({ type: 'session.update', session: sessionConfig });
+  }
+
+  /**
+   * Stop the response being generated
+   *
+   * @returns {boolean} False if the connection is not open
+   */
+  cancelResponse() {
+    return this.sendEvent({ type: 'response.cancel' });
+  }
+}
+
+export default {
+  RealtimeConnection,
+};
@@ -0,0 +1,62 @@
+/**
+ * Realtime Model Providers for VoiceAI Pro
+ *
+ * The bridge talks to the speech-to-speech model through a provider, chosen
+ * with REALTIME_PROVIDER. Every provider implements:
+ *
+ *   connect(session) → RealtimeConnection (see connection.js)
+ *   describe(session) → where the call is connecting, for logs
+ *
+ * and speaks the OpenAI Realtime event protocol over the connection.
+ *
+ *   openai - the OpenAI Realtime API
+ *   mock   - scripted local responses for offline and end-to-end tests
+ *            (MOCK_REALTIME_SCRIPT, see mockProvider.js)
+ */
+
+import config from '../config/environment.js';
+import { OpenAIRealtimeProvider } from './openaiProvider.js';
+import { MockRealtimeProvider } from './mockProvider.js';
+
+export const REALTIME_PROVIDERS = ['openai', 'mock'];
+
+// Providers are created on first use
+const providers = new Map();
+
+function createProvider(name) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIRealtimeProvider({
+        apiKey: config.openai.apiKey,
+        baseUrl: config.openai.realtimeBaseUrl,
+        defaultModel: config.openai.defaultModel,
+        defaultVoice: config.openai.defaultVoice,
+        defaultVadType: config.openai.defaultVadType,
+      });
+    case 'mock':
+      return new MockRealtimeProvider({
+        scriptPath: config.realtime.mockScript,
+        defaultVadType: config.openai.defaultVadType,
+      });
+    default:
+      throw new Error(`Unknown realtime provider: ${name}`);
+  }
+}
+
+/**
+ * Get a realtime provider
+ *
+ * @param {string} [name] - Provider name (defaults to REALTIME_PROVIDER)
+ * @returns {OpenAIRealtimeProvider|MockRealtimeProvider} Provider
+ */
+export function getRealtimeProvider(name = config.realtime.provider) {
+  if (!providers.has(name)) {
+    providers.set(name, createProvider(name));
+  }
+  return providers.get(name);
+}
+
+export default {
+  REALTIME_PROVIDERS,
+  getRealtimeProvider,
+};
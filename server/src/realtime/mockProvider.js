@@ -0,0 +1,521 @@
+/**
+ * Mock Realtime Provider
+ *
+ * A local, deterministic stand-in for the OpenAI Realtime API that speaks the
+ * same event protocol, so whole calls can run offline. Nothing is generated:
+ * what the caller "says" and how the assistant answers come from a script.
+ *
+ *   {
+ *     "greeting": "Thanks for calling, how can I help?",
+ *     "fallback": "Sorry, could you say that again?",
+ *     "turns": [
+ *       { "user": "What time do you open?", "assistant": "We open at nine." },
+ *       { "user": "Book me in for Tuesday",
+ *         "tool": { "name": "book_appointment", "arguments": { "day": "tuesday" } },
+ *         "assistant": "You're booked in for Tuesday.",
+ *         "audioMs": 1500 }
+ *     ]
+ *   }
+ *
+ * Each time the caller finishes speaking, the next turn supplies their
+ * transcript and the assistant's reply. A turn with a tool first calls it and
+ * gives the reply in the response that follows the tool result. greeting
+ * answers a response.create before the caller has said anything; fallback
+ * answers once the turns run out. User messages added with
+ * conversation.item.create (history replayed after a reconnect) use up a turn
+ * too, so a restored call carries on with the next one.
+ *
+ * Turn detection is a plain energy gate on the appended audio: speech_started
+ * at the first frame above -40dBFS, speech_stopped after 500ms below it. The
+ * assistant's audio is a 24kHz PCM16 tone, 60ms per character of its reply
+ * unless the turn sets audioMs. Events are delivered one per event-loop turn
+ * with no real-time pacing, and IDs count up per provider, so a given script
+ * and input always produce the same events.
+ */
+
+import fs from 'node:fs';
+import { RealtimeConnection } from './connection.js';
+import { calculateRMS, rmsToDB, generateTestTone } from '../audio/converter.js';
+
+const SAMPLE_RATE = 24000;
+
+const SPEECH_THRESHOLD_DB = -40;
+const SILENCE_DURATION_MS = 500;
+
+const MS_PER_CHARACTER = 60;
+const AUDIO_CHUNK_MS = 100;
+const TONE_FREQUENCY = 440;
+const TONE_AMPLITUDE = 0.25;
+
+const DEFAULT_SCRIPT = {
+  greeting: 'Hello, you are talking to the mock assistant.',
+  fallback: 'I heard you.',
+  turns: [],
+};
+
+/**
+ * Check a mock script
+ *
+ * @param {Object} script - Script to check
+ * @returns {Object} The script, with defaults for missing fields
+ * @throws {Error} If the script is malformed
+ */
+export function validateMockScript(script) {
+  if (!script || typeof script !== 'object' || Array.isArray(script)) {
+    throw new Error('Mock script must be an object');
+  }
+
+  const turns = script.turns ?? [];
+  if (!Array.isArray(turns)) {
+    throw new Error('Mock script turns must be an array');
+  }
+
+  turns.forEach((turn, index) => {
+    if (typeof turn?.user !== 'string') {
+      throw new Error(`Mock script turn ${index}: user must be a string`);
+    }
+    if (turn.assistant !== undefined && typeof turn.assistant !== 'string') {
+      throw new Error(`Mock script turn ${index}: assistant must be a string`);
+    }
+    if (turn.tool !== undefined && typeof turn.tool?.name !== 'string') {
+      throw new Error(`Mock script turn ${index}: tool.name must be a string`);
+    }
+  });
+
+  return { ...DEFAULT_SCRIPT, ...script, turns };
+}
+
+class MockRealtimeConnection extends RealtimeConnection {
+  constructor(provider, session) {
+    super();
+
+    this.provider = provider;
+    this.script = provider.script;
+    this.turnIndex = 0;
+    this.greetingUsed = false;
+
+    const vadType = session.config.vadType || provider.options.defaultVadType;
+    this.turnDetection = vadType === 'none' || vadType === 'disabled'
+      ? null
+      : { type: vadType, create_response: true, interrupt_response: true };
+
+    this.session = {
+      id: provider.nextId('sess'),
+      type: 'realtime',
+      model: 'mock',
+      voice: session.config.voice || null,
+      instructions: null,
+      tools: [],
+    };
+
+    // Caller audio as the energy gate sees it
+    this.audioMs = 0;
+    this.speaking = false;
+    this.silenceMs = 0;
+    this.speechStartMs = 0;
+    this.userItemId = null;
+    this.uncommittedMs = 0;
+
+    // Turn whose reply is owed, and the reply owed after a tool result
+    this.replyTurn = null;
+    this.afterTool = null;
+
+    this.response = null;
+
+    setImmediate(() => {
+      if (this.readyState !== RealtimeConnection.CONNECTING) {
+        return;
+      }
+      this.readyState = RealtimeConnection.OPEN;
+      this.emit('open');
+      this.emitEvent({ type: 'session.created', session: { ...this.session } });
+    });
+  }
+
+  send(data) {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      this.emitError('invalid_json', 'Client event is not valid JSON');
+      return;
+    }
+
+    switch (event.type) {
+      case 'session.update':
+        this.applySessionUpdate(event.session);
+        break;
+      case 'input_audio_buffer.append':
+        this.appendAudio(event.audio);
+        break;
+      case 'input_audio_buffer.commit':
+        this.commitUserTurn();
+        break;
+      case 'input_audio_buffer.clear':
+        this.uncommittedMs = 0;
+        this.speaking = false;
+        this.emitEvent({ type: 'input_audio_buffer.cleared' });
+        break;
+      case 'conversation.item.create':
+        this.createItem(event.item);
+        break;
+      case 'conversation.item.truncate':
+        this.emitEvent({
+          type: 'conversation.item.truncated',
+          item_id: event.item_id,
+          content_index: event.content_index,
+          audio_end_ms: event.audio_end_ms,
+        });
+        break;
+      case 'response.create':
+        this.startResponse();
+        break;
+      case 'response.cancel':
+        this.cancelActiveResponse('client_cancelled');
+        break;
+      default:
+        this.emitError('unknown_event', `Mock provider does not handle ${event.type}`);
+    }
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === RealtimeConnection.CLOSED || this.readyState === RealtimeConnection.CLOSING) {
+      return;
+    }
+
+    this.readyState = RealtimeConnection.CLOSING;
+    if (this.response) {
+      this.response.cancelled = true;
+    }
+
+    setImmediate(() => {
+      this.readyState = RealtimeConnection.CLOSED;
+      this.emit('close', code, Buffer.from(reason));
+    });
+  }
+
+  /**
+   * Lose the connection the way a network failure would (tests)
+   *
+   * @param {number} [code=1006] - Close code reported to the bridge
+   */
+  drop(code = 1006) {
+    this.close(code, 'mock connection dropped');
+  }
+
+  emitEvent(event) {
+    setImmediate(() => {
+      if (this.readyState === RealtimeConnection.OPEN) {
+        this.emit('message', JSON.stringify({ event_id: this.provider.nextId('event'), ...event }));
+      }
+    });
+  }
+
+  emitError(code, message) {
+    this.emitEvent({ type: 'error', error: { type: 'invalid_request_error', code, message } });
+  }
+
+  applySessionUpdate(update = {}) {
+    if (update.instructions !== undefined) {
+      this.session.instructions = update.instructions;
+    }
+    if (update.tools !== undefined) {
+      this.session.tools = update.tools;
+    }
+
+    const turnDetection = update.audio?.input?.turn_detection;
+    if (turnDetection !== undefined) {
+      this.turnDetection = turnDetection && { ...this.turnDetection, ...turnDetection };
+    }
+
+    this.emitEvent({
+      type: 'session.updated',
+      session: { ...this.session, audio: { input: { turn_detection: this.turnDetection } } },
+    });
+  }
+
+  appendAudio(audioBase64) {
+    const bytes = Buffer.from(audioBase64 || '', 'base64');
+    const samples = new Int16Array(new Uint8Array(bytes).buffer, 0, bytes.length >> 1);
+    const frameMs = (samples.length / SAMPLE_RATE) * 1000;
+    const voiced = samples.length > 0 && rmsToDB(calculateRMS(samples)) > SPEECH_THRESHOLD_DB;
+
+    this.audioMs += frameMs;
+    this.uncommittedMs += frameMs;
+
+    if (!this.turnDetection) {
+      return;
+    }
+
+    if (voiced) {
+      this.silenceMs = 0;
+      if (!this.speaking) {
+        this.speaking = true;
+        this.speechStartMs = Math.round(this.audioMs - frameMs);
+        this.userItemId = this.provider.nextId('item');
+        this.emitEvent({
+          type: 'input_audio_buffer.speech_started',
+          audio_start_ms: this.speechStartMs,
+          item_id: this.userItemId,
+        });
+
+        if (this.response && this.turnDetection.interrupt_response) {
+          this.cancelActiveResponse('turn_detected');
+        }
+      }
+      return;
+    }
+
+    if (!this.speaking) {
+      return;
+    }
+
+    this.silenceMs += frameMs;
+    if (this.silenceMs >= SILENCE_DURATION_MS) {
+      this.speaking = false;
+      this.emitEvent({
+        type: 'input_audio_buffer.speech_stopped',
+        audio_end_ms: Math.round(this.audioMs),
+        item_id: this.userItemId,
+      });
+
+      this.commitUserTurn(this.userItemId);
+      if (this.turnDetection.create_response) {
+        this.startResponse();
+      }
+    }
+  }
+
+  /**
+   * The caller's turn is over: their transcript is the next scripted line
+   */
+  commitUserTurn(itemId = this.provider.nextId('item')) {
+    if (this.uncommittedMs === 0) {
+      this.emitError('input_audio_buffer_commit_empty', 'Input audio buffer is empty');
+      return;
+    }
+    this.uncommittedMs = 0;
+
+    const turn = this.script.turns[this.turnIndex] || null;
+    this.turnIndex++;
+    this.replyTurn = turn || { user: '', assistant: this.script.fallback };
+
+    this.emitEvent({ type: 'input_audio_buffer.committed', item_id: itemId });
+    this.emitEvent({
+      type: 'conversation.item.created',
+      item: { id: itemId, type: 'message', role: 'user', content: [{ type: 'input_audio', transcript: null }] },
+    });
+    this.emitEvent({
+      type: 'conversation.item.input_audio_transcription.completed',
+      item_id: itemId,
+      content_index: 0,
+      transcript: this.replyTurn.user,
+    });
+  }
+
+  createItem(item = {}) {
+    // A caller message replayed into the conversation has had its turn
+    if (item.type === 'message' && item.role === 'user') {
+      this.turnIndex++;
+    }
+
+    const created = { ...item, id: item.id || this.provider.nextId('item'), status: 'completed' };
+    this.emitEvent({ type: 'conversation.item.created', item: created });
+  }
+
+  startResponse() {
+    if (this.response) {
+      this.emitError('conversation_already_has_active_response', 'Conversation already has an active response');
+      return;
+    }
+
+    const response = { id: this.provider.nextId('resp'), cancelled: false };
+    this.response = response;
+    this.emitEvent({ type: 'response.created', response: { id: response.id, status: 'in_progress', output: [] } });
+
+    let text;
+    let audioMs;
+    if (this.afterTool) {
+      ({ text, audioMs } = this.afterTool);
+      this.afterTool = null;
+    } else if (this.replyTurn) {
+      const turn = this.replyTurn;
+      this.replyTurn = null;
+
+      if (turn.tool) {
+        this.afterTool = { text: turn.assistant ?? this.script.fallback, audioMs: turn.audioMs };
+        this.respondWithToolCall(response, turn.tool);
+        return;
+      }
+      text = turn.assistant ?? this.script.fallback;
+      audioMs = turn.audioMs;
+    } else if (!this.greetingUsed && this.script.greeting) {
+      this.greetingUsed = true;
+      text = this.script.greeting;
+    } else {
+      text = this.script.fallback;
+    }
+
+    this.respondWithAudio(response, text, audioMs);
+  }
+
+  respondWithToolCall(response, tool) {
+    const item = {
+      id: this.provider.nextId('item'),
+      type: 'function_call',
+      call_id: this.provider.nextId('call'),
+      name: tool.name,
+      arguments: '',
+    };
+    const args = JSON.stringify(tool.arguments ?? {});
+
+    this.emitResponseEvent(response, { type: 'response.output_item.added', response_id: response.id, output_index: 0, item });
+    this.emitResponseEvent(response, { type: 'conversation.item.created', item });
+    this.emitResponseEvent(response, {
+      type: 'response.function_call_arguments.done',
+      response_id: response.id,
+      item_id: item.id,
+      output_index: 0,
+      call_id: item.call_id,
+      name: item.name,
+      arguments: args,
+    });
+    this.finishResponse(response, args.length);
+  }
+
+  respondWithAudio(response, text, audioMs) {
+    const itemId = this.provider.nextId('item');
+    const item = { id: itemId, type: 'message', role: 'assistant', content: [] };
+    const durationMs = audioMs ?? Math.max(text.length * MS_PER_CHARACTER, AUDIO_CHUNK_MS);
+    const chunkCount = Math.ceil(durationMs / AUDIO_CHUNK_MS);
+    const words = text.split(' ');
+    const common = { response_id: response.id, item_id: itemId, output_index: 0, content_index: 0 };
+
+    this.emitResponseEvent(response, { type: 'response.output_item.added', response_id: response.id, output_index: 0, item });
+    this.emitResponseEvent(response, { type: 'conversation.item.created', item });
+
+    // Spread the transcript over the audio, roughly in step with it
+    let wordsSent = 0;
+    for (let chunk = 0; chunk < chunkCount; chunk++) {
+      const chunkMs = Math.min(AUDIO_CHUNK_MS, durationMs - chunk * AUDIO_CHUNK_MS);
+      const tone = generateTestTone(TONE_FREQUENCY, chunkMs, SAMPLE_RATE, TONE_AMPLITUDE);
+
+      const wordsDue = Math.ceil((words.length * (chunk + 1)) / chunkCount);
+      if (wordsDue > wordsSent) {
+        const delta = (wordsSent > 0 ? ' ' : '') + words.slice(wordsSent, wordsDue).join(' ');
+        wordsSent = wordsDue;
+        this.emitResponseEvent(response, { type: 'response.output_audio_transcript.delta', ...common, delta });
+      }
+
+      this.emitResponseEvent(response, {
+        type: 'response.output_audio.delta',
+        ...common,
+        delta: Buffer.from(tone.buffer, tone.byteOffset, tone.byteLength).toString('base64'),
+      });
+    }
+
+    this.emitResponseEvent(response, { type: 'response.output_audio.done', ...common });
+    this.emitResponseEvent(response, { type: 'response.output_audio_transcript.done', ...common, transcript: text });
+    this.finishResponse(response, text.length);
+  }
+
+  /**
+   * Queue an event that is skipped if the response is cancelled first
+   */
+  emitResponseEvent(response, event) {
+    setImmediate(() => {
+      if (!response.cancelled && this.readyState === RealtimeConnection.OPEN) {
+        this.emit('message', JSON.stringify({ event_id: this.provider.nextId('event'), ...event }));
+      }
+    });
+  }
+
+  finishResponse(response, outputLength) {
+    setImmediate(() => {
+      if (response.cancelled) {
+        return;
+      }
+      this.response = null;
+      this.emitEvent({
+        type: 'response.done',
+        response: {
+          id: response.id,
+          status: 'completed',
+          usage: { input_tokens: 0, output_tokens: Math.ceil(outputLength / 4) },
+        },
+      });
+    });
+  }
+
+  cancelActiveResponse(reason) {
+    const response = this.response;
+    if (!response) {
+      this.emitError('response_cancel_not_active', 'There is no active response to cancel');
+      return;
+    }
+
+    response.cancelled = true;
+    this.response = null;
+    this.emitEvent({
+      type: 'response.done',
+      response: {
+        id: response.id,
+        status: 'cancelled',
+        status_details: { type: 'cancelled', reason },
+        usage: { input_tokens: 0, output_tokens: 0 },
+      },
+    });
+  }
+}
+
+export class MockRealtimeProvider {
+  /**
+   * @param {Object} [options] - Provider settings
+   * @param {Object} [options.script] - Script object (see the file header)
+   * @param {string} [options.scriptPath] - JSON file with the script (MOCK_REALTIME_SCRIPT)
+   * @param {string} [options.defaultVadType='semantic_vad'] - Turn detection when the call does not pick one
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.options = { defaultVadType: 'semantic_vad', ...options };
+    this.sequence = 0;
+
+    let script = options.script ?? DEFAULT_SCRIPT;
+    if (options.scriptPath) {
+      script = JSON.parse(fs.readFileSync(options.scriptPath, 'utf8'));
+    }
+    this.script = validateMockScript(script);
+  }
+
+  nextId(prefix) {
+    return `${prefix}_mock_${++this.sequence}`;
+  }
+
+  /**
+   * Use a different script for calls connected from now on
+   *
+   * @param {Object} script - Script object (see the file header)
+   */
+  setScript(script) {
+    this.script = validateMockScript(script);
+  }
+
+  /**
+   * Open a mock session for a call
+   *
+   * @param {Object} session - The call session
+   * @returns {RealtimeConnection} Connection; emits 'open', then session.created
+   */
+  connect(session) {
+    return new MockRealtimeConnection(this, session);
+  }
+
+  describe() {
+    return `mock (${this.script.turns.length} scripted turns)`;
+  }
+}
+
+export default {
+  MockRealtimeProvider,
+  validateMockScript,
+};
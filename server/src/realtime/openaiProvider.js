@@ -0,0 +1,117 @@
+/**
+ * OpenAI Realtime Provider
+ *
+ * Connects a call to wss://api.openai.com/v1/realtime. Model, voice, audio
+ * formats and turn detection go in the URL; instructions and tools follow
+ * in a session.update once the session is created.
+ */
+
+import WebSocket from 'ws';
+import { RealtimeConnection } from './connection.js';
+
+class OpenAIRealtimeConnection extends RealtimeConnection {
+  constructor(url, apiKey) {
+    super();
+
+    this.ws = new WebSocket(url, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+      },
+    });
+
+    this.ws.on('open', () => {
+      this.readyState = RealtimeConnection.OPEN;
+      this.emit('open');
+    });
+    this.ws.on('message', (data) => this.emit('message', data));
+    this.ws.on('close', (code, reason) => {
+      this.readyState = RealtimeConnection.CLOSED;
+      this.emit('close', code, reason);
+    });
+    this.ws.on('error', (error) => this.emit('error', error));
+  }
+
+  send(data) {
+    this.ws.send(data);
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === RealtimeConnection.CLOSED) {
+      return;
+    }
+    this.readyState = RealtimeConnection.CLOSING;
+    this.ws.close(code, reason);
+  }
+}
+
+export class OpenAIRealtimeProvider {
+  /**
+   * @param {Object} options - Provider settings
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.baseUrl - Realtime WebSocket URL
+   * @param {string} options.defaultModel - Model when the call does not pick one
+   * @param {string} options.defaultVoice - Voice when the call does not pick one
+   * @param {string} options.defaultVadType - Turn detection when the call does not pick one
+   */
+  constructor(options) {
+    this.name = 'openai';
+    this.options = options;
+  }
+
+  /**
+   * Build the Realtime WebSocket URL with session config
+   * Voice, audio format, and turn detection are passed as URL parameters
+   *
+   * @param {Object} sessionConfig - The call's session config
+   * @returns {string} URL
+   */
+  buildUrl(sessionConfig) {
+    const params = new URLSearchParams();
+
+    // Model
+    params.set('model', sessionConfig.model || this.options.defaultModel);
+
+    // Voice - use session config or default
+    params.set('voice', sessionConfig.voice || this.options.defaultVoice);
+
+    // Audio formats for Twilio (μ-law 8kHz)
+    params.set('input_audio_format', 'g711_ulaw');
+    params.set('output_audio_format', 'g711_ulaw');
+
+    // Turn detection (VAD)
+    const vadType = sessionConfig.vadType || this.options.defaultVadType;
+    if (vadType === 'disabled' || vadType === 'none') {
+      // No turn detection - manual mode
+      params.set('turn_detection', 'none');
+    } else {
+      // semantic_vad or server_vad
+      params.set('turn_detection', vadType);
+    }
+
+    return `${this.options.baseUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Open a realtime session for a call
+   *
+   * @param {Object} session - The call session
+   * @returns {RealtimeConnection} Connection; emits 'open', then session.created
+   */
+  connect(session) {
+    return new OpenAIRealtimeConnection(this.buildUrl(session.config), this.options.apiKey);
+  }
+
+  /**
+   * Where a call would connect, for logs
+   *
+   * @param {Object} session - The call session
+   * @returns {string} URL
+   */
+  describe(session) {
+    return this.buildUrl(session.config);
+  }
+}
+
+export default {
+  OpenAIRealtimeProvider,
+};
@@ -0,0 +1,114 @@
+import { Router } from 'express';
+import { createLogger } from '../utils/logger.js';
+import { requireAuth } from '../middleware/auth.js';
+import { AuthError, registerDevice, refreshSession, revokeSession } from '../services/authService.js';
+
+const router = Router();
+const logger = createLogger('routes:auth');
+
+function formatTokens(tokens) {
+  const body = {
+    access_token: tokens.accessToken,
+    token_type: 'Bearer',
+    expires_in: tokens.expiresIn,
+    refresh_token: tokens.refreshToken,
+    refresh_expires_at: tokens.refreshExpiresAt.toISOString(),
+    user: {
+      id: tokens.user.id,
+      device_id: tokens.user.deviceId,
+    },
+  };
+
+  // Only returned once, by the registration that issued it
+  if (tokens.deviceSecret) {
+    body.device_secret = tokens.deviceSecret;
+  }
+  return body;
+}
+
+/**
+ * Register a device and open a session
+ * A device's first registration returns device_secret; later registrations must send it.
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const tokens = await registerDevice(req.body?.device_id, req.body?.device_secret);
+    res.status(201).json(formatTokens(tokens));
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.code === 'INVALID_DEVICE_SECRET' ? 401 : 400).json({
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+
+    logger.error('Device registration failed', error);
+    res.status(500).json({
+      error: {
+        code: 'REGISTRATION_FAILED',
+        message: 'Failed to register device',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body?.refresh_token);
+    res.json(formatTokens(tokens));
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+
+    logger.error('Session refresh failed', error);
+    res.status(500).json({
+      error: {
+        code: 'REFRESH_FAILED',
+        message: 'Failed to refresh session',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * Revoke the current session's refresh token
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Logout failed', { userId: req.user.id, error });
+    res.status(500).json({
+      error: {
+        code: 'LOGOUT_FAILED',
+        message: 'Failed to log out',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    user: {
+      id: req.user.id,
+      device_id: req.user.deviceId,
+    },
+  });
+});
+
+export default router;
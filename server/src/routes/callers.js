@@ -0,0 +1,178 @@
+import { Router } from 'express';
+import { createLogger } from '../utils/logger.js';
+import { query } from '../db/pool.js';
+import { validatePhoneNumber } from '../services/twilioService.js';
+import { validateVariables } from '../services/promptTemplate.js';
+
+const router = Router();
+const logger = createLogger('routes:callers');
+
+// Stored variables for prompt templates, looked up by caller phone number
+
+function formatCallerVariables(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    phone_number: row.phone_number,
+    variables: row.variables,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const result = await query(
+      `SELECT id, user_id, phone_number, variables, created_at, updated_at
+       FROM caller_variables
+       WHERE user_id = $1 OR user_id IS NULL
+       ORDER BY updated_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, parseInt(limit), parseInt(offset)]
+    );
+
+    res.json({
+      callers: result.rows.map(formatCallerVariables),
+      count: result.rows.length,
+    });
+  } catch (error) {
+    logger.error('Failed to list caller variables', error);
+    res.status(500).json({
+      error: {
+        code: 'LIST_CALLERS_FAILED',
+        message: 'Failed to retrieve caller variables',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.get('/:phoneNumber', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+
+    const result = await query(
+      `SELECT id, user_id, phone_number, variables, created_at, updated_at
+       FROM caller_variables
+       WHERE phone_number = $1 AND (user_id = $2 OR user_id IS NULL)
+       ORDER BY user_id NULLS LAST
+       LIMIT 1`,
+      [phoneNumber, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'CALLER_NOT_FOUND',
+          message: `No variables stored for: ${phoneNumber}`,
+        },
+      });
+    }
+
+    res.json({ caller: formatCallerVariables(result.rows[0]) });
+  } catch (error) {
+    logger.error('Failed to get caller variables', { phoneNumber: req.params.phoneNumber, error });
+    res.status(500).json({
+      error: {
+        code: 'GET_CALLER_FAILED',
+        message: 'Failed to retrieve caller variables',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.put('/:phoneNumber', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const { variables } = req.body;
+
+    const phoneValidation = validatePhoneNumber(phoneNumber);
+    if (!phoneValidation.valid) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_PHONE_NUMBER',
+          message: phoneValidation.error,
+        },
+      });
+    }
+
+    const variableValidation = validateVariables(variables);
+    if (!variables || !variableValidation.valid) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'variables must be an object of template values',
+          details: variableValidation.errors,
+        },
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO caller_variables (user_id, phone_number, variables)
+       VALUES ($1, $2, $3)
+       ON CONFLICT ((COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid)), phone_number)
+       DO UPDATE SET variables = EXCLUDED.variables
+       RETURNING id, user_id, phone_number, variables, created_at, updated_at`,
+      [req.user.id, phoneNumber, JSON.stringify(variables)]
+    );
+
+    logger.info('Caller variables saved', { phoneNumber, userId: req.user.id });
+
+    res.json({
+      success: true,
+      caller: formatCallerVariables(result.rows[0]),
+    });
+  } catch (error) {
+    logger.error('Failed to save caller variables', { phoneNumber: req.params.phoneNumber, error });
+    res.status(500).json({
+      error: {
+        code: 'SAVE_CALLER_FAILED',
+        message: 'Failed to save caller variables',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.delete('/:phoneNumber', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+
+    const result = await query(
+      `DELETE FROM caller_variables
+       WHERE phone_number = $1 AND user_id = $2
+       RETURNING id`,
+      [phoneNumber, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'CALLER_NOT_FOUND',
+          message: `No variables stored for: ${phoneNumber}`,
+        },
+      });
+    }
+
+    logger.info('Caller variables deleted', { phoneNumber, userId: req.user.id });
+
+    res.json({
+      success: true,
+      deleted_id: result.rows[0].id,
+    });
+  } catch (error) {
+    logger.error('Failed to delete caller variables', { phoneNumber: req.params.phoneNumber, error });
+    res.status(500).json({
+      error: {
+        code: 'DELETE_CALLER_FAILED',
+        message: 'Failed to delete caller variables',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
@@ -5,19 +5,40 @@ import { createLogger } from '../utils/logger.js';
 import connectionManager from '../websocket/connectionManager.js';
 import * as callService from '../services/twilioService.js';
 import { query } from '../db/pool.js';
+import { getPrompt } from '../db/queries/prompts.js';
+import { getAnalysisByCall } from '../db/queries/callAnalyses.js';
+import { searchTranscriptCalls } from '../db/queries/transcripts.js';
+import {
+  validateVariables,
+  validateSessionConfig,
+  renderTemplate,
+  resolveCallVariables,
+} from '../services/promptTemplate.js';
+import { resumeFromHold, isOnHold } from '../services/callControlTools.js';
 
 const router = Router();
 const logger = createLogger('routes:calls');
 
+/**
+ * Get the live session for a call if it belongs to the user
+ */
+function getOwnedSession(callSid, userId) {
+  const session = connectionManager.getSession(callSid);
+  return session?.isOwnedBy(userId) ? session : null;
+}
+
 router.post('/outgoing', async (req, res) => {
   try {
     const {
       to,
       from,
-      user_id,
       prompt_id,
       config: sessionConfig,
+      variables,
+      allow_unresolved_variables = false,
+      recording_mode,
     } = req.body;
+    const userId = req.user.id;
 
     if (!to) {
       return res.status(400).json({
@@ -28,21 +49,75 @@ router.post('/outgoing', async (req, res) => {
       });
     }
 
+    if (recording_mode !== undefined && !['mono', 'stereo'].includes(recording_mode)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'recording_mode must be one of: mono, stereo',
+        },
+      });
+    }
+
+    const configValidation = await validateSessionConfig(sessionConfig);
+    if (!configValidation.valid) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_CONFIG',
+          message: 'Invalid session config',
+          details: configValidation.errors,
+        },
+      });
+    }
+
+    const variableValidation = validateVariables(variables);
+    if (!variableValidation.valid) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_VARIABLES',
+          message: 'Invalid template variables',
+          details: variableValidation.errors,
+        },
+      });
+    }
+
+    // Refuse to dial if the instructions would be rendered with gaps
+    const template = sessionConfig?.instructions || (prompt_id ? (await getPrompt(prompt_id, userId))?.instructions : null);
+    if (template && !allow_unresolved_variables) {
+      const resolved = await resolveCallVariables({
+        phoneNumber: to,
+        direction: 'outbound',
+        userId,
+        variables,
+      });
+      const { missing } = renderTemplate(template, resolved);
+
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'UNRESOLVED_VARIABLES',
+            message: `Missing values for template variables: ${missing.join(', ')}`,
+            details: { unresolved_variables: missing },
+          },
+        });
+      }
+    }
+
     const fromNumber = from || config.twilio.phoneNumber;
 
     logger.info('Initiating outgoing call', {
       to,
       from: fromNumber,
-      userId: user_id,
+      userId,
       promptId: prompt_id,
     });
 
     const call = await callService.initiateOutgoingCall({
       to,
       from: fromNumber,
-      userId: user_id,
+      userId,
       promptId: prompt_id,
-      sessionConfig,
+      sessionConfig: recording_mode ? { ...sessionConfig, recordingMode: recording_mode } : sessionConfig,
+      variables,
     });
 
     res.json({
@@ -70,6 +145,21 @@ router.post('/:callSid/end', async (req, res) => {
     const { callSid } = req.params;
     const { reason } = req.body;
 
+    if (!getOwnedSession(callSid, req.user.id)) {
+      const owned = await query(
+        'SELECT 1 FROM call_sessions WHERE call_sid = $1 AND user_id = $2',
+        [callSid, req.user.id]
+      );
+      if (owned.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: 'CALL_NOT_FOUND',
+            message: `Call not found: ${callSid}`,
+          },
+        });
+      }
+    }
+
     logger.info('Ending call', { callSid, reason });
 
     await callService.endCall(callSid, reason);
@@ -93,8 +183,51 @@ router.post('/:callSid/end', async (req, res) => {
   }
 });
 
+/**
+ * Take a call the AI put on hold off hold; it reconnects to the AI
+ */
+router.post('/:callSid/resume', async (req, res) => {
+  try {
+    const { callSid } = req.params;
+
+    if (!getOwnedSession(callSid, req.user.id)) {
+      return res.status(404).json({
+        error: {
+          code: 'CALL_NOT_FOUND',
+          message: `Call not found: ${callSid}`,
+        },
+      });
+    }
+
+    if (!isOnHold(callSid) || !await resumeFromHold(callSid, 'api')) {
+      return res.status(409).json({
+        error: {
+          code: 'NOT_ON_HOLD',
+          message: `Call is not on hold: ${callSid}`,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      call_sid: callSid,
+      resumed_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Failed to resume call', { callSid: req.params.callSid, error });
+    res.status(500).json({
+      error: {
+        code: 'CALL_RESUME_FAILED',
+        message: 'Failed to take call off hold',
+        details: error.message,
+      },
+    });
+  }
+});
+
 router.get('/active', (req, res) => {
-  const activeSessions = connectionManager.getActiveSessions();
+  const activeSessions = connectionManager.getActiveSessions()
+    .filter((session) => session.isOwnedBy(req.user.id));
 
   res.json({
     count: activeSessions.length,
@@ -116,7 +249,6 @@ router.get('/history', async (req, res) => {
     const {
       limit = 50,
       offset = 0,
-      user_id,
       direction,
       status,
     } = req.query;
@@ -125,15 +257,10 @@ router.get('/history', async (req, res) => {
       SELECT id, call_sid, direction, phone_number, status,
              started_at, ended_at, duration_seconds
       FROM call_sessions
-      WHERE 1=1
+      WHERE user_id = $1
     `;
-    const params = [];
-    let paramIndex = 1;
-
-    if (user_id) {
-      queryText += ` AND user_id = $${paramIndex++}`;
-      params.push(user_id);
-    }
+    const params = [req.user.id];
+    let paramIndex = 2;
 
     if (direction) {
       queryText += ` AND direction = $${paramIndex++}`;
@@ -151,7 +278,8 @@ router.get('/history', async (req, res) => {
     const result = await query(queryText, params);
 
     const countResult = await query(
-      'SELECT COUNT(*) as total FROM call_sessions WHERE 1=1'
+      'SELECT COUNT(*) as total FROM call_sessions WHERE user_id = $1',
+      [req.user.id]
     );
 
     res.json({
@@ -183,12 +311,159 @@ router.get('/history', async (req, res) => {
   }
 });
 
+const SEARCH_SPEAKERS = ['user', 'assistant'];
+const MAX_SEARCH_LIMIT = 100;
+const MAX_SEARCH_TEXT_LENGTH = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cursors are opaque to clients: the last call's sort position, base64url-encoded
+function encodeSearchCursor(row) {
+  return Buffer.from(JSON.stringify([row.cursor_started_at, row.id])).toString('base64url');
+}
+
+function decodeSearchCursor(cursor) {
+  try {
+    const [startedAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof startedAt === 'string' && !Number.isNaN(Date.parse(startedAt)) && UUID_PATTERN.test(id)) {
+      return { startedAt, id };
+    }
+  } catch {
+    // Falls through to null
+  }
+  return null;
+}
+
+/**
+ * Check /search query parameters and turn them into search options
+ * from is inclusive and to exclusive, except that a date-only to
+ * (to=2026-10-19) includes that whole day (UTC).
+ */
+function parseSearchQuery(params) {
+  const errors = [];
+  const options = {};
+
+  const text = typeof params.q === 'string' ? params.q.trim() : '';
+  if (!text) {
+    errors.push('q is required');
+  } else if (text.length > MAX_SEARCH_TEXT_LENGTH) {
+    errors.push(`q must be at most ${MAX_SEARCH_TEXT_LENGTH} characters`);
+  }
+  options.text = text;
+
+  if (params.speaker !== undefined) {
+    if (!SEARCH_SPEAKERS.includes(params.speaker)) {
+      errors.push(`speaker must be one of: ${SEARCH_SPEAKERS.join(', ')}`);
+    }
+    options.speaker = params.speaker;
+  }
+
+  for (const name of ['from', 'to']) {
+    if (params[name] !== undefined) {
+      const date = new Date(params[name]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${name} must be an ISO 8601 date or timestamp`);
+      } else if (name === 'to' && DATE_ONLY_PATTERN.test(params.to)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+      }
+      options[name] = date;
+    }
+  }
+
+  for (const [name, key] of [['min_duration', 'minDuration'], ['max_duration', 'maxDuration']]) {
+    if (params[name] !== undefined) {
+      const seconds = Number(params[name]);
+      if (!Number.isInteger(seconds) || seconds < 0) {
+        errors.push(`${name} must be a whole number of seconds`);
+      }
+      options[key] = seconds;
+    }
+  }
+
+  if (params.phone_number) {
+    options.phoneNumber = params.phone_number;
+  }
+
+  if (params.prompt_id !== undefined) {
+    if (!UUID_PATTERN.test(params.prompt_id)) {
+      errors.push('prompt_id must be a UUID');
+    }
+    options.promptId = params.prompt_id;
+  }
+
+  const limit = params.limit === undefined ? 20 : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_SEARCH_LIMIT}`);
+  }
+  options.limit = limit;
+
+  if (params.cursor !== undefined) {
+    options.after = decodeSearchCursor(params.cursor);
+    if (!options.after) {
+      errors.push('cursor is invalid');
+    }
+  }
+
+  return { options, errors };
+}
+
+// Transcript search - must be before /:callSid to avoid route conflict
+router.get('/search', async (req, res) => {
+  try {
+    const { options, errors } = parseSearchQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid search',
+          details: errors,
+        },
+      });
+    }
+
+    // One extra row tells whether there is another page
+    const rows = await searchTranscriptCalls({ ...options, userId: req.user.id, limit: options.limit + 1 });
+    const page = rows.slice(0, options.limit);
+    const hasMore = rows.length > options.limit;
+
+    res.json({
+      calls: page.map((row) => ({
+        id: row.id,
+        call_sid: row.call_sid,
+        direction: row.direction,
+        phone_number: row.phone_number,
+        status: row.status,
+        started_at: row.started_at,
+        ended_at: row.ended_at,
+        duration_seconds: row.duration_seconds,
+        prompt: row.prompt_id ? { id: row.prompt_id, name: row.prompt_name } : null,
+        match_count: row.match_count,
+        matches: row.matches,
+      })),
+      pagination: {
+        limit: options.limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeSearchCursor(page[page.length - 1]) : null,
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to search transcripts', error);
+    res.status(500).json({
+      error: {
+        code: 'SEARCH_FAILED',
+        message: 'Failed to search transcripts',
+        details: error.message,
+      },
+    });
+  }
+});
+
 router.get('/:callSid', async (req, res) => {
   try {
     const { callSid } = req.params;
     const { include } = req.query; // include=events,transcripts,recordings for full details
 
-    const activeSession = connectionManager.getSession(callSid);
+    const activeSession = getOwnedSession(callSid, req.user.id);
 
     if (activeSession) {
       const response = {
@@ -229,8 +504,8 @@ router.get('/:callSid', async (req, res) => {
               p.name as prompt_name, p.instructions as prompt_instructions, p.voice as prompt_voice
        FROM call_sessions cs
        LEFT JOIN prompts p ON cs.prompt_id = p.id
-       WHERE cs.call_sid = $1`,
-      [callSid]
+       WHERE cs.call_sid = $1 AND cs.user_id = $2`,
+      [callSid, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -336,8 +611,8 @@ router.get('/:callSid/full', async (req, res) => {
               p.name as prompt_name, p.instructions as prompt_instructions, p.voice as prompt_voice
        FROM call_sessions cs
        LEFT JOIN prompts p ON cs.prompt_id = p.id
-       WHERE cs.call_sid = $1`,
-      [callSid]
+       WHERE cs.call_sid = $1 AND cs.user_id = $2`,
+      [callSid, req.user.id]
     );
 
     if (sessionResult.rows.length === 0) {
@@ -351,8 +626,8 @@ router.get('/:callSid/full', async (req, res) => {
 
     const session = sessionResult.rows[0];
 
-    // Get events, transcripts, and recordings in parallel
-    const [eventsResult, transcriptsResult, recordingsResult] = await Promise.all([
+    // Get events, transcripts, recordings and the post-call analysis in parallel
+    const [eventsResult, transcriptsResult, recordingsResult, analysis] = await Promise.all([
       query(
         `SELECT id, event_type, direction, payload, created_at
          FROM call_events
@@ -373,6 +648,7 @@ router.get('/:callSid/full', async (req, res) => {
          WHERE call_session_id = $1`,
         [session.id]
       ),
+      getAnalysisByCall(session.id),
     ]);
 
     res.json({
@@ -403,6 +679,21 @@ router.get('/:callSid/full', async (req, res) => {
         format: r.format,
         created_at: r.created_at,
       })),
+      analysis: analysis ? {
+        id: analysis.id,
+        status: analysis.status,
+        analyzer: analysis.analyzer,
+        summary: analysis.summary,
+        intent: analysis.intent,
+        sentiment: analysis.sentiment,
+        sentiment_score: analysis.sentiment_score,
+        sentiment_trajectory: analysis.sentiment_trajectory,
+        action_items: analysis.action_items,
+        extracted_fields: analysis.extracted_fields,
+        error: analysis.error,
+        created_at: analysis.created_at,
+        updated_at: analysis.updated_at,
+      } : null,
       statistics: {
         event_count: eventsResult.rows.length,
         transcript_count: transcriptsResult.rows.length,
@@ -428,7 +719,7 @@ router.get('/:callSid/events', async (req, res) => {
     const { callSid } = req.params;
     const { limit = 100, offset = 0, type } = req.query;
 
-    const activeSession = connectionManager.getSession(callSid);
+    const activeSession = getOwnedSession(callSid, req.user.id);
 
     if (activeSession) {
       let events = activeSession.events;
@@ -457,11 +748,11 @@ router.get('/:callSid/events', async (req, res) => {
       SELECT id, event_type, direction, payload, created_at
       FROM call_events
       WHERE call_session_id = (
-        SELECT id FROM call_sessions WHERE call_sid = $1
+        SELECT id FROM call_sessions WHERE call_sid = $1 AND user_id = $2
       )
     `;
-    const params = [callSid];
-    let paramIndex = 2;
+    const params = [callSid, req.user.id];
+    let paramIndex = 3;
 
     if (type) {
       queryText += ` AND event_type = $${paramIndex++}`;
@@ -504,7 +795,7 @@ router.get('/:callSid/transcripts', async (req, res) => {
   try {
     const { callSid } = req.params;
 
-    const activeSession = connectionManager.getSession(callSid);
+    const activeSession = getOwnedSession(callSid, req.user.id);
 
     if (activeSession) {
       return res.json({
@@ -517,10 +808,10 @@ router.get('/:callSid/transcripts', async (req, res) => {
       `SELECT id, speaker, content, timestamp_ms, created_at
        FROM transcripts
        WHERE call_session_id = (
-         SELECT id FROM call_sessions WHERE call_sid = $1
+         SELECT id FROM call_sessions WHERE call_sid = $1 AND user_id = $2
        )
        ORDER BY timestamp_ms ASC`,
-      [callSid]
+      [callSid, req.user.id]
     );
 
     res.json({
@@ -0,0 +1,375 @@
+import { Router } from 'express';
+import { createLogger } from '../utils/logger.js';
+import campaignQueries from '../db/queries/campaigns.js';
+import { getPrompt } from '../db/queries/prompts.js';
+import {
+  CampaignError,
+  normalizeRetryPolicy,
+  validateCampaign,
+  validateContacts,
+  controlCampaign,
+} from '../services/campaignDialer.js';
+
+const router = Router();
+const logger = createLogger('routes:campaigns');
+
+const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed', 'cancelled'];
+const CONTACT_STATUSES = ['pending', 'dialing', 'retry_scheduled', 'completed', 'failed', 'cancelled'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// HTTP status for each CampaignError code
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_STATE: 409,
+  INVALID_ACTION: 400,
+  INVALID_PROMPT: 400,
+};
+
+function formatCampaign(row, contactCounts = undefined) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    name: row.name,
+    prompt_id: row.prompt_id,
+    from: row.from_number,
+    status: row.status,
+    max_concurrent: row.max_concurrent,
+    timezone: row.timezone,
+    calling_windows: row.calling_windows,
+    retry_policy: normalizeRetryPolicy(row.retry_policy),
+    config: row.session_config,
+    ...(contactCounts && { contact_counts: contactCounts }),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    started_at: row.started_at,
+    completed_at: row.completed_at,
+  };
+}
+
+/**
+ * Whether the prompt exists and the user may use it
+ * Calls look the prompt up as the campaign's owner, so any other prompt
+ * would silently be replaced by the default AI.
+ */
+async function isUsablePrompt(promptId, userId) {
+  return typeof promptId === 'string' && UUID_PATTERN.test(promptId) && Boolean(await getPrompt(promptId, userId));
+}
+
+function formatContact(row) {
+  return {
+    id: row.id,
+    phone_number: row.phone_number,
+    variables: row.variables,
+    timezone: row.timezone,
+    status: row.status,
+    attempts: row.attempts,
+    last_call_sid: row.last_call_sid,
+    last_outcome: row.last_outcome,
+    next_attempt_at: row.next_attempt_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    if (status && !CAMPAIGN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_STATUS',
+          message: `status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`,
+        },
+      });
+    }
+
+    const campaigns = await campaignQueries.listCampaigns({
+      userId: req.user.id,
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({
+      campaigns: campaigns.map((row) => formatCampaign(row)),
+      count: campaigns.length,
+    });
+  } catch (error) {
+    logger.error('Failed to list campaigns', error);
+    res.status(500).json({
+      error: {
+        code: 'LIST_CAMPAIGNS_FAILED',
+        message: 'Failed to retrieve campaigns',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const {
+      name,
+      prompt_id,
+      from,
+      max_concurrent,
+      timezone,
+      calling_windows,
+      retry_policy,
+      config: sessionConfig,
+      contacts = [],
+    } = req.body;
+
+    const data = {
+      name,
+      userId: req.user.id,
+      promptId: prompt_id,
+      fromNumber: from,
+      maxConcurrent: max_concurrent,
+      timezone,
+      callingWindows: calling_windows,
+      retryPolicy: retry_policy,
+      sessionConfig,
+    };
+
+    const validation = validateCampaign(data);
+    const contactValidation = validateContacts(contacts);
+    const errors = [...validation.errors, ...contactValidation.errors];
+
+    if (prompt_id !== undefined && prompt_id !== null && !(await isUsablePrompt(prompt_id, req.user.id))) {
+      errors.push(`prompt_id not found: ${prompt_id}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid campaign',
+          details: errors,
+        },
+      });
+    }
+
+    // Drop undefined fields so the query defaults apply
+    const fields = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+
+    const { campaign, contactsAdded } = await campaignQueries.createCampaign(fields, contactValidation.contacts);
+
+    res.status(201).json({
+      success: true,
+      campaign: formatCampaign(campaign),
+      contacts_added: contactsAdded,
+      contacts_skipped: contactValidation.contacts.length - contactsAdded,
+    });
+  } catch (error) {
+    logger.error('Failed to create campaign', error);
+    res.status(500).json({
+      error: {
+        code: 'CREATE_CAMPAIGN_FAILED',
+        message: 'Failed to create campaign',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = await campaignQueries.getCampaign(id, req.user.id);
+    if (!campaign) {
+      return res.status(404).json({
+        error: {
+          code: 'CAMPAIGN_NOT_FOUND',
+          message: `Campaign not found: ${id}`,
+        },
+      });
+    }
+
+    const contactCounts = await campaignQueries.getContactCounts(id);
+
+    res.json({
+      campaign: formatCampaign(campaign, contactCounts),
+    });
+  } catch (error) {
+    logger.error('Failed to get campaign', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'GET_CAMPAIGN_FAILED',
+        message: 'Failed to retrieve campaign',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.get('/:id/contacts', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, limit = 100, offset = 0 } = req.query;
+
+    if (status && !CONTACT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_STATUS',
+          message: `status must be one of: ${CONTACT_STATUSES.join(', ')}`,
+        },
+      });
+    }
+
+    const campaign = await campaignQueries.getCampaign(id, req.user.id);
+    if (!campaign) {
+      return res.status(404).json({
+        error: {
+          code: 'CAMPAIGN_NOT_FOUND',
+          message: `Campaign not found: ${id}`,
+        },
+      });
+    }
+
+    const contacts = await campaignQueries.getContacts(id, req.user.id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({
+      campaign_id: id,
+      contacts: contacts.map(formatContact),
+      count: contacts.length,
+    });
+  } catch (error) {
+    logger.error('Failed to get campaign contacts', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'GET_CONTACTS_FAILED',
+        message: 'Failed to retrieve campaign contacts',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.get('/:id/contacts/:contactId/attempts', async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+
+    const attempts = await campaignQueries.getContactAttempts(id, contactId, req.user.id);
+
+    res.json({
+      contact_id: contactId,
+      attempts: attempts.map((row) => ({
+        id: row.id,
+        call_sid: row.call_sid,
+        attempt_number: row.attempt_number,
+        status: row.status,
+        outcome: row.outcome,
+        duration_seconds: row.duration_seconds,
+        error_message: row.error_message,
+        started_at: row.started_at,
+        ended_at: row.ended_at,
+      })),
+    });
+  } catch (error) {
+    logger.error('Failed to get contact attempts', { contactId: req.params.contactId, error });
+    res.status(500).json({
+      error: {
+        code: 'GET_ATTEMPTS_FAILED',
+        message: 'Failed to retrieve contact attempts',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.post('/:id/contacts', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { contacts } = req.body;
+
+    const contactValidation = validateContacts(contacts);
+    if (contactValidation.errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid contacts',
+          details: contactValidation.errors,
+        },
+      });
+    }
+
+    const campaign = await campaignQueries.getCampaign(id, req.user.id);
+    if (!campaign) {
+      return res.status(404).json({
+        error: {
+          code: 'CAMPAIGN_NOT_FOUND',
+          message: `Campaign not found: ${id}`,
+        },
+      });
+    }
+
+    if (campaign.status === 'completed' || campaign.status === 'cancelled') {
+      return res.status(409).json({
+        error: {
+          code: 'CAMPAIGN_CLOSED',
+          message: `Cannot add contacts to a ${campaign.status} campaign`,
+        },
+      });
+    }
+
+    const contactsAdded = await campaignQueries.addContacts(id, contactValidation.contacts);
+
+    res.json({
+      success: true,
+      campaign_id: id,
+      contacts_added: contactsAdded,
+      contacts_skipped: contactValidation.contacts.length - contactsAdded,
+    });
+  } catch (error) {
+    logger.error('Failed to add campaign contacts', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'ADD_CONTACTS_FAILED',
+        message: 'Failed to add campaign contacts',
+        details: error.message,
+      },
+    });
+  }
+});
+
+for (const action of ['start', 'pause', 'resume', 'cancel']) {
+  router.post(`/:id/${action}`, async (req, res) => {
+    try {
+      const campaign = await controlCampaign(req.params.id, action, req.user.id);
+
+      res.json({
+        success: true,
+        campaign: formatCampaign(campaign),
+      });
+    } catch (error) {
+      if (error instanceof CampaignError) {
+        return res.status(ERROR_STATUS[error.code] || 400).json({
+          error: {
+            code: error.code === 'NOT_FOUND' ? 'CAMPAIGN_NOT_FOUND' : error.code,
+            message: error.message,
+            details: error.details,
+          },
+        });
+      }
+
+      logger.error(`Failed to ${action} campaign`, { id: req.params.id, error });
+      res.status(500).json({
+        error: {
+          code: 'CAMPAIGN_CONTROL_FAILED',
+          message: `Failed to ${action} campaign`,
+          details: error.message,
+        },
+      });
+    }
+  });
+}
+
+export default router;
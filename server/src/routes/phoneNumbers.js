@@ -0,0 +1,143 @@
+import { Router } from 'express';
+import { createLogger } from '../utils/logger.js';
+import { requireAdmin } from '../middleware/auth.js';
+import phoneNumberQueries from '../db/queries/phoneNumbers.js';
+import userQueries from '../db/queries/users.js';
+import twilioService, { validatePhoneNumber } from '../services/twilioService.js';
+
+const router = Router();
+const logger = createLogger('routes:phone-numbers');
+
+const MAX_LABEL_LENGTH = 255;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function formatNumber(row) {
+  return {
+    id: row.id,
+    phone_number: row.phone_number,
+    label: row.label,
+    created_at: row.created_at,
+  };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const numbers = await phoneNumberQueries.listNumbers(req.user.id);
+
+    res.json({
+      phone_numbers: numbers.map(formatNumber),
+      count: numbers.length,
+    });
+  } catch (error) {
+    logger.error('Failed to list phone numbers', error);
+    res.status(500).json({
+      error: {
+        code: 'LIST_NUMBERS_FAILED',
+        message: 'Failed to retrieve phone numbers',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * Assign one of the Twilio account's numbers to a user (operators only); its
+ * inbound calls are then routed by that user's routing rules
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { phone_number: phoneNumber, user_id: userId, label = null } = req.body;
+
+    const errors = [];
+    if (!validatePhoneNumber(phoneNumber || '').valid) {
+      errors.push('phone_number must be an E.164 number');
+    }
+    if (typeof userId !== 'string' || !UUID_PATTERN.test(userId)) {
+      errors.push('user_id must be a UUID');
+    }
+    if (label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+      errors.push(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid phone number assignment',
+          details: errors,
+        },
+      });
+    }
+
+    if (!(await userQueries.getUser(userId))) {
+      return res.status(400).json({
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: `User not found: ${userId}`,
+        },
+      });
+    }
+
+    if (!(await twilioService.isAccountNumber(phoneNumber))) {
+      return res.status(400).json({
+        error: {
+          code: 'NUMBER_NOT_ON_ACCOUNT',
+          message: `${phoneNumber} is not a number on this Twilio account`,
+        },
+      });
+    }
+
+    const number = await phoneNumberQueries.assignNumber(userId, phoneNumber, label);
+    if (!number) {
+      return res.status(409).json({
+        error: {
+          code: 'NUMBER_ALREADY_ASSIGNED',
+          message: `${phoneNumber} is already assigned; unassign it first`,
+        },
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      phone_number: { ...formatNumber(number), user_id: number.user_id },
+    });
+  } catch (error) {
+    logger.error('Failed to assign phone number', error);
+    res.status(500).json({
+      error: {
+        code: 'ASSIGN_NUMBER_FAILED',
+        message: 'Failed to assign phone number',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const removed = await phoneNumberQueries.unassignNumber(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        error: {
+          code: 'NUMBER_NOT_FOUND',
+          message: `Phone number not found: ${req.params.id}`,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted_id: req.params.id,
+    });
+  } catch (error) {
+    logger.error('Failed to unassign phone number', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'UNASSIGN_NUMBER_FAILED',
+        message: 'Failed to unassign phone number',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
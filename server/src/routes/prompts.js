@@ -2,48 +2,82 @@ import { Router } from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { createLogger } from '../utils/logger.js';
 import { query, transaction } from '../db/pool.js';
+import { validateToolDefinitions } from '../services/toolRegistry.js';
+import { validateAnalysisSchema } from '../analysis/analysisSchema.js';
+import {
+  extractVariables,
+  validateTemplate,
+  validateVariables,
+  renderTemplate,
+  resolveCallVariables,
+} from '../services/promptTemplate.js';
 
 const router = Router();
 const logger = createLogger('routes:prompts');
 
+const RECORDING_MODES = ['mono', 'stereo'];
+
+// Users see their own prompts plus shared ones (no owner) but may only change their own
+const VISIBLE_TO_USER = '(user_id = $2 OR user_id IS NULL)';
+
+// null clears the prompt's mode so the server default (RECORDING_MODE) applies
+function isValidRecordingMode(mode) {
+  return mode === undefined || mode === null || RECORDING_MODES.includes(mode);
+}
+
+function recordingModeError() {
+  return {
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: `recording_mode must be one of: ${RECORDING_MODES.join(', ')}`,
+    },
+  };
+}
+
+function formatPrompt(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    name: row.name,
+    instructions: row.instructions,
+    voice: row.voice,
+    vad_config: row.vad_config,
+    tools: row.tools || [],
+    recording_mode: row.recording_mode,
+    analysis_schema: row.analysis_schema,
+    variables: extractVariables(row.instructions),
+    is_default: row.is_default,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function analysisSchemaError(validation) {
+  return {
+    error: {
+      code: 'INVALID_ANALYSIS_SCHEMA',
+      message: 'Invalid analysis_schema',
+      details: validation.errors,
+    },
+  };
+}
+
 router.get('/', async (req, res) => {
   try {
-    const { user_id, include_default = 'true' } = req.query;
-
-    let queryText = `
-      SELECT id, user_id, name, instructions, voice, vad_config,
-             is_default, created_at, updated_at
-      FROM prompts
-      WHERE 1=1
-    `;
-    const params = [];
-    let paramIndex = 1;
-
-    if (user_id) {
-      if (include_default === 'true') {
-        queryText += ` AND (user_id = $${paramIndex++} OR is_default = true)`;
-      } else {
-        queryText += ` AND user_id = $${paramIndex++}`;
-      }
-      params.push(user_id);
-    }
+    const { include_default = 'true' } = req.query;
 
-    queryText += ' ORDER BY is_default DESC, name ASC';
-
-    const result = await query(queryText, params);
+    // include_default=false limits the list to the user's own prompts
+    const result = await query(
+      `SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema,
+              is_default, created_at, updated_at
+       FROM prompts
+       WHERE user_id = $1 ${include_default === 'true' ? 'OR user_id IS NULL' : ''}
+       ORDER BY is_default DESC, name ASC`,
+      [req.user.id]
+    );
 
     res.json({
-      prompts: result.rows.map((row) => ({
-        id: row.id,
-        user_id: row.user_id,
-        name: row.name,
-        instructions: row.instructions,
-        voice: row.voice,
-        vad_config: row.vad_config,
-        is_default: row.is_default,
-        created_at: row.created_at,
-        updated_at: row.updated_at,
-      })),
+      prompts: result.rows.map(formatPrompt),
     });
   } catch (error) {
     logger.error('Failed to list prompts', error);
@@ -62,11 +96,11 @@ router.get('/:id', async (req, res) => {
     const { id } = req.params;
 
     const result = await query(
-      `SELECT id, user_id, name, instructions, voice, vad_config,
+      `SELECT id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema,
               is_default, created_at, updated_at
        FROM prompts
-       WHERE id = $1`,
-      [id]
+       WHERE id = $1 AND ${VISIBLE_TO_USER}`,
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -80,17 +114,7 @@ router.get('/:id', async (req, res) => {
 
     const row = result.rows[0];
     res.json({
-      prompt: {
-        id: row.id,
-        user_id: row.user_id,
-        name: row.name,
-        instructions: row.instructions,
-        voice: row.voice,
-        vad_config: row.vad_config,
-        is_default: row.is_default,
-        created_at: row.created_at,
-        updated_at: row.updated_at,
-      },
+      prompt: formatPrompt(row),
     });
   } catch (error) {
     logger.error('Failed to get prompt', { id: req.params.id, error });
@@ -107,11 +131,13 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const {
-      user_id,
       name,
       instructions,
       voice = 'marin',
       vad_config,
+      tools = [],
+      recording_mode,
+      analysis_schema = null,
       is_default = false,
     } = req.body;
 
@@ -124,31 +150,55 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const templateValidation = validateTemplate(instructions);
+    if (!templateValidation.valid) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TEMPLATE',
+          message: 'Invalid template variables in instructions',
+          details: templateValidation.errors,
+        },
+      });
+    }
+
+    const toolValidation = await validateToolDefinitions(tools);
+    if (!toolValidation.valid) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TOOLS',
+          message: 'Invalid tool definitions',
+          details: toolValidation.errors,
+        },
+      });
+    }
+
+    if (!isValidRecordingMode(recording_mode)) {
+      return res.status(400).json(recordingModeError());
+    }
+
+    const schemaValidation = validateAnalysisSchema(analysis_schema);
+    if (!schemaValidation.valid) {
+      return res.status(400).json(analysisSchemaError(schemaValidation));
+    }
+
     const id = uuidv4();
 
     const result = await query(
-      `INSERT INTO prompts (id, user_id, name, instructions, voice, vad_config, is_default)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at`,
-      [id, user_id || null, name, instructions, voice, vad_config || null, is_default]
+      `INSERT INTO prompts (id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at`,
+      [
+        id, req.user.id, name, instructions, voice, vad_config || null, JSON.stringify(tools), recording_mode || null,
+        analysis_schema === null ? null : JSON.stringify(analysis_schema), is_default,
+      ]
     );
 
     const row = result.rows[0];
 
-    logger.info('Prompt created', { id: row.id, name: row.name, userId: user_id });
+    logger.info('Prompt created', { id: row.id, name: row.name, userId: req.user.id });
 
     res.status(201).json({
-      prompt: {
-        id: row.id,
-        user_id: row.user_id,
-        name: row.name,
-        instructions: row.instructions,
-        voice: row.voice,
-        vad_config: row.vad_config,
-        is_default: row.is_default,
-        created_at: row.created_at,
-        updated_at: row.updated_at,
-      },
+      prompt: formatPrompt(row),
     });
   } catch (error) {
     logger.error('Failed to create prompt', error);
@@ -170,10 +220,50 @@ router.put('/:id', async (req, res) => {
       instructions,
       voice,
       vad_config,
+      tools,
+      recording_mode,
+      analysis_schema,
       is_default,
     } = req.body;
 
-    const existing = await query('SELECT id FROM prompts WHERE id = $1', [id]);
+    if (instructions !== undefined) {
+      const templateValidation = validateTemplate(instructions);
+      if (!templateValidation.valid) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_TEMPLATE',
+            message: 'Invalid template variables in instructions',
+            details: templateValidation.errors,
+          },
+        });
+      }
+    }
+
+    if (tools !== undefined) {
+      const toolValidation = await validateToolDefinitions(tools);
+      if (!toolValidation.valid) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_TOOLS',
+            message: 'Invalid tool definitions',
+            details: toolValidation.errors,
+          },
+        });
+      }
+    }
+
+    if (!isValidRecordingMode(recording_mode)) {
+      return res.status(400).json(recordingModeError());
+    }
+
+    if (analysis_schema !== undefined) {
+      const schemaValidation = validateAnalysisSchema(analysis_schema);
+      if (!schemaValidation.valid) {
+        return res.status(400).json(analysisSchemaError(schemaValidation));
+      }
+    }
+
+    const existing = await query('SELECT id FROM prompts WHERE id = $1 AND user_id = $2', [id, req.user.id]);
     if (existing.rows.length === 0) {
       return res.status(404).json({
         error: {
@@ -207,6 +297,21 @@ router.put('/:id', async (req, res) => {
       params.push(vad_config);
     }
 
+    if (tools !== undefined) {
+      updates.push(`tools = $${paramIndex++}`);
+      params.push(JSON.stringify(tools));
+    }
+
+    if (recording_mode !== undefined) {
+      updates.push(`recording_mode = $${paramIndex++}`);
+      params.push(recording_mode);
+    }
+
+    if (analysis_schema !== undefined) {
+      updates.push(`analysis_schema = $${paramIndex++}`);
+      params.push(analysis_schema === null ? null : JSON.stringify(analysis_schema));
+    }
+
     if (is_default !== undefined) {
       updates.push(`is_default = $${paramIndex++}`);
       params.push(is_default);
@@ -222,12 +327,12 @@ router.put('/:id', async (req, res) => {
     }
 
     updates.push('updated_at = CURRENT_TIMESTAMP');
-    params.push(id);
+    params.push(id, req.user.id);
 
     const result = await query(
       `UPDATE prompts SET ${updates.join(', ')}
-       WHERE id = $${paramIndex}
-       RETURNING id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at`,
+       WHERE id = $${paramIndex} AND user_id = $${paramIndex + 1}
+       RETURNING id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at`,
       params
     );
 
@@ -236,17 +341,7 @@ router.put('/:id', async (req, res) => {
     logger.info('Prompt updated', { id: row.id, name: row.name });
 
     res.json({
-      prompt: {
-        id: row.id,
-        user_id: row.user_id,
-        name: row.name,
-        instructions: row.instructions,
-        voice: row.voice,
-        vad_config: row.vad_config,
-        is_default: row.is_default,
-        created_at: row.created_at,
-        updated_at: row.updated_at,
-      },
+      prompt: formatPrompt(row),
     });
   } catch (error) {
     logger.error('Failed to update prompt', { id: req.params.id, error });
@@ -264,7 +359,10 @@ router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('DELETE FROM prompts WHERE id = $1 RETURNING id, name', [id]);
+    const result = await query(
+      'DELETE FROM prompts WHERE id = $1 AND user_id = $2 RETURNING id, name',
+      [id, req.user.id]
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -296,31 +394,22 @@ router.delete('/:id', async (req, res) => {
 router.post('/:id/default', async (req, res) => {
   try {
     const { id } = req.params;
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'user_id is required',
-        },
-      });
-    }
+    const userId = req.user.id;
 
     // Clear existing user defaults and set new one
     await transaction(async (client) => {
       // Clear existing defaults for this user
       await client.query(
         'UPDATE prompts SET is_default = false, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND is_default = true',
-        [user_id]
+        [userId]
       );
 
-      // Set new default
+      // Set new default (shared prompts are not the user's to change)
       const result = await client.query(
         `UPDATE prompts SET is_default = true, updated_at = CURRENT_TIMESTAMP
-         WHERE id = $1 AND (user_id = $2 OR user_id IS NULL)
-         RETURNING id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at`,
-        [id, user_id]
+         WHERE id = $1 AND user_id = $2
+         RETURNING id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at`,
+        [id, userId]
       );
 
       if (result.rows.length === 0) {
@@ -329,21 +418,11 @@ router.post('/:id/default', async (req, res) => {
 
       return result.rows[0];
     }).then((row) => {
-      logger.info('Default prompt set', { promptId: id, userId: user_id });
+      logger.info('Default prompt set', { promptId: id, userId });
 
       res.json({
         success: true,
-        prompt: {
-          id: row.id,
-          user_id: row.user_id,
-          name: row.name,
-          instructions: row.instructions,
-          voice: row.voice,
-          vad_config: row.vad_config,
-          is_default: row.is_default,
-          created_at: row.created_at,
-          updated_at: row.updated_at,
-        },
+        prompt: formatPrompt(row),
       });
     }).catch((error) => {
       if (error.message === 'PROMPT_NOT_FOUND') {
@@ -371,11 +450,13 @@ router.post('/:id/default', async (req, res) => {
 router.post('/:id/duplicate', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name: newName, user_id } = req.body;
+    const { name: newName } = req.body;
 
     const original = await query(
-      'SELECT name, instructions, voice, vad_config FROM prompts WHERE id = $1',
-      [id]
+      `SELECT name, instructions, voice, vad_config, tools, recording_mode, analysis_schema
+       FROM prompts
+       WHERE id = $1 AND ${VISIBLE_TO_USER}`,
+      [id, req.user.id]
     );
 
     if (original.rows.length === 0) {
@@ -387,15 +468,18 @@ router.post('/:id/duplicate', async (req, res) => {
       });
     }
 
-    const { name, instructions, voice, vad_config } = original.rows[0];
+    const { name, instructions, voice, vad_config, tools, recording_mode, analysis_schema } = original.rows[0];
     const duplicateName = newName || `${name} (Copy)`;
     const newId = uuidv4();
 
     const result = await query(
-      `INSERT INTO prompts (id, user_id, name, instructions, voice, vad_config, is_default)
-       VALUES ($1, $2, $3, $4, $5, $6, false)
-       RETURNING id, user_id, name, instructions, voice, vad_config, is_default, created_at, updated_at`,
-      [newId, user_id || null, duplicateName, instructions, voice, vad_config]
+      `INSERT INTO prompts (id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, false)
+       RETURNING id, user_id, name, instructions, voice, vad_config, tools, recording_mode, analysis_schema, is_default, created_at, updated_at`,
+      [
+        newId, req.user.id, duplicateName, instructions, voice, vad_config, JSON.stringify(tools || []), recording_mode,
+        analysis_schema === null ? null : JSON.stringify(analysis_schema),
+      ]
     );
 
     const row = result.rows[0];
@@ -403,17 +487,7 @@ router.post('/:id/duplicate', async (req, res) => {
     logger.info('Prompt duplicated', { originalId: id, newId: row.id, name: row.name });
 
     res.status(201).json({
-      prompt: {
-        id: row.id,
-        user_id: row.user_id,
-        name: row.name,
-        instructions: row.instructions,
-        voice: row.voice,
-        vad_config: row.vad_config,
-        is_default: row.is_default,
-        created_at: row.created_at,
-        updated_at: row.updated_at,
-      },
+      prompt: formatPrompt(row),
     });
   } catch (error) {
     logger.error('Failed to duplicate prompt', { id: req.params.id, error });
@@ -427,4 +501,100 @@ router.post('/:id/duplicate', async (req, res) => {
   }
 });
 
+/**
+ * Render instructions for a preview request
+ * Sample variables override any stored caller variables for phone_number.
+ */
+async function renderPreview(req, res, instructions) {
+  const { variables = {}, phone_number, direction } = req.body;
+
+  const templateValidation = validateTemplate(instructions);
+  const variableValidation = validateVariables(variables);
+  const errors = [...templateValidation.errors, ...variableValidation.errors];
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_TEMPLATE',
+        message: 'Invalid template or variables',
+        details: errors,
+      },
+    });
+  }
+
+  const resolved = await resolveCallVariables({
+    phoneNumber: phone_number,
+    direction,
+    userId: req.user.id,
+    variables,
+  });
+
+  const { rendered, used, missing } = renderTemplate(instructions, resolved);
+
+  res.json({
+    rendered_instructions: rendered,
+    variables: templateValidation.variables,
+    resolved_variables: used,
+    unresolved_variables: missing,
+    valid: missing.length === 0,
+  });
+}
+
+router.post('/preview', async (req, res) => {
+  try {
+    const { instructions } = req.body;
+
+    if (typeof instructions !== 'string') {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'instructions is required',
+        },
+      });
+    }
+
+    await renderPreview(req, res, instructions);
+  } catch (error) {
+    logger.error('Failed to preview instructions', error);
+    res.status(500).json({
+      error: {
+        code: 'PREVIEW_FAILED',
+        message: 'Failed to render instructions preview',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(
+      `SELECT instructions FROM prompts WHERE id = $1 AND ${VISIBLE_TO_USER}`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'PROMPT_NOT_FOUND',
+          message: `Prompt not found: ${id}`,
+        },
+      });
+    }
+
+    await renderPreview(req, res, result.rows[0].instructions);
+  } catch (error) {
+    logger.error('Failed to preview prompt', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'PREVIEW_FAILED',
+        message: 'Failed to render prompt preview',
+        details: error.message,
+      },
+    });
+  }
+});
+
 export default router;
@@ -1,35 +1,207 @@
+import crypto from 'crypto';
 import { Router } from 'express';
 import { createLogger } from '../utils/logger.js';
+import { parseRangeHeader, matchesEtag, isRangeFresh } from '../utils/httpRange.js';
 import { query } from '../db/pool.js';
 import * as recordingService from '../services/recordingService.js';
+import { AUDIO_FORMATS, isSupportedFormat, transcode } from '../audio/encoders.js';
+import { getStorageDriver } from '../storage/index.js';
 
 const router = Router();
 const logger = createLogger('routes:recordings');
 
+/**
+ * Content type and file extension for a stored format
+ */
+function getFormatInfo(format) {
+  return AUDIO_FORMATS[format] || { contentType: 'application/octet-stream', extension: format };
+}
+
+/**
+ * Advertise the channel layout of a recording on an audio response
+ */
+function setChannelHeaders(res, channels) {
+  res.set('X-Audio-Channels', String(channels));
+  res.set('X-Audio-Channel-Layout', recordingService.getChannelLayout(channels).join(','));
+  res.set(
+    'Access-Control-Expose-Headers',
+    'X-Audio-Channels, X-Audio-Channel-Layout, Accept-Ranges, Content-Range, Content-Length, ETag'
+  );
+}
+
+/**
+ * Read ?start= and ?end= (seconds) for a time slice
+ *
+ * @returns {{start: number, end: number}|null|false} Slice, null if none requested, false if invalid
+ */
+function parseSliceParams(queryParams) {
+  const { start, end } = queryParams;
+  if (start === undefined && end === undefined) {
+    return null;
+  }
+
+  const slice = {
+    start: start === undefined ? 0 : Number(start),
+    end: end === undefined ? Infinity : Number(end),
+  };
+
+  if (!Number.isFinite(slice.start) || slice.start < 0 || Number.isNaN(slice.end) || slice.end <= slice.start) {
+    return false;
+  }
+  return slice;
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Send a recording with ETag revalidation and single byte-range support
+ * The stored file is streamed straight from the storage backend and time slices
+ * are built in memory; both can be ranged. Transcoded output is sent whole with
+ * Accept-Ranges: none, so players fetch it once instead of re-transcoding the
+ * recording for every range they ask for.
+ *
+ * @param {Request} req - Express request (Range, If-None-Match, If-Range, ?start, ?end)
+ * @param {Response} res - Express response
+ * @param {Object} recording - Row with id, storage_path, storage_backend, format, channels
+ * @param {Object} options - Response options
+ * @param {string} options.disposition - 'inline' or 'attachment'
+ * @param {string} options.basename - Filename without extension
+ * @param {string} [options.outputFormat] - Format to send (defaults to the stored format)
+ */
+async function sendRecording(req, res, recording, options) {
+  const { id, storage_path, storage_backend, format, channels } = recording;
+  const { disposition, basename, outputFormat = format } = options;
+
+  const slice = parseSliceParams(req.query);
+  if (slice === false) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_RANGE',
+        message: 'start and end must be seconds with 0 <= start < end',
+      },
+    });
+  }
+
+  if (outputFormat !== format && !isSupportedFormat(format)) {
+    return res.status(422).json({
+      error: {
+        code: 'TRANSCODE_UNSUPPORTED',
+        message: `Recordings stored as ${format} cannot be converted`,
+      },
+    });
+  }
+
+  const stored = await getStorageDriver(storage_backend).stat(storage_path);
+  if (!stored) {
+    throw new Error(`Recording file not found: ${storage_path}`);
+  }
+
+  // The stored object never changes in place, so its location and size identify it
+  const variant = slice ? `${outputFormat}:${slice.start}-${slice.end}` : outputFormat;
+  const etag = `"${crypto
+    .createHash('sha1')
+    .update(`${id}:${storage_backend}:${storage_path}:${stored.size}:${variant}`)
+    .digest('hex')}"`;
+
+  const { contentType, extension } = getFormatInfo(outputFormat);
+  const filename = slice
+    ? `${basename}-${slice.start}-${Number.isFinite(slice.end) ? slice.end : 'end'}.${extension}`
+    : `${basename}.${extension}`;
+
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+  setChannelHeaders(res, channels);
+
+  if (matchesEtag(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+
+  // Either a buffer built here or the stored file opened per range
+  let body = null;
+  let transcoded = false;
+
+  if (slice) {
+    const sliced = await recordingService.getRecordingSlice(recording, slice.start, slice.end);
+    if (!sliced) {
+      return res.status(416).json({
+        error: {
+          code: 'RANGE_NOT_SATISFIABLE',
+          message: `Recording has no audio between ${slice.start}s and ${slice.end}s`,
+        },
+      });
+    }
+
+    body = await streamToBuffer(sliced.stream);
+    if (sliced.format !== outputFormat) {
+      body = await transcode(body, sliced.format, outputFormat);
+      transcoded = true;
+    }
+  } else if (outputFormat !== format) {
+    const source = await recordingService.getRecordingBuffer(storage_path, storage_backend);
+    body = await transcode(source, format, outputFormat);
+    transcoded = true;
+    logger.info('Recording transcoded', { id, from: format, to: outputFormat });
+  }
+
+  const size = body ? body.length : stored.size;
+  const range = !transcoded && isRangeFresh(req.headers['if-range'], etag)
+    ? parseRangeHeader(req.headers.range, size)
+    : null;
+
+  res.set('Accept-Ranges', transcoded ? 'none' : 'bytes');
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+
+  if (range === 'unsatisfiable') {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).json({
+      error: {
+        code: 'RANGE_NOT_SATISFIABLE',
+        message: `Requested range is outside the ${size}-byte recording`,
+      },
+    });
+  }
+
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.set('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.set('Content-Length', String(size));
+  }
+
+  if (body) {
+    return res.end(range ? body.subarray(range.start, range.end + 1) : body);
+  }
+
+  const audioStream = await recordingService.getRecordingStream(storage_path, storage_backend, range || undefined);
+  audioStream.pipe(res);
+}
+
 router.get('/', async (req, res) => {
   try {
     const {
       limit = 50,
       offset = 0,
-      user_id,
       call_sid,
     } = req.query;
 
     let queryText = `
       SELECT r.id, r.call_session_id, r.storage_path, r.duration_seconds,
-             r.file_size_bytes, r.format, r.created_at,
+             r.file_size_bytes, r.format, r.channels, r.storage_backend, r.created_at,
              cs.call_sid, cs.phone_number, cs.direction
       FROM recordings r
       JOIN call_sessions cs ON r.call_session_id = cs.id
-      WHERE 1=1
+      WHERE cs.user_id = $1
     `;
-    const params = [];
-    let paramIndex = 1;
-
-    if (user_id) {
-      queryText += ` AND cs.user_id = $${paramIndex++}`;
-      params.push(user_id);
-    }
+    const params = [req.user.id];
+    let paramIndex = 2;
 
     if (call_sid) {
       queryText += ` AND cs.call_sid = $${paramIndex++}`;
@@ -41,7 +213,13 @@ router.get('/', async (req, res) => {
 
     const result = await query(queryText, params);
 
-    const countResult = await query('SELECT COUNT(*) as total FROM recordings');
+    const countResult = await query(
+      `SELECT COUNT(*) as total
+       FROM recordings r
+       JOIN call_sessions cs ON r.call_session_id = cs.id
+       WHERE cs.user_id = $1`,
+      [req.user.id]
+    );
 
     res.json({
       recordings: result.rows.map((row) => ({
@@ -53,8 +231,10 @@ router.get('/', async (req, res) => {
         duration: row.duration_seconds,        // iOS expects 'duration'
         file_size: row.file_size_bytes,        // iOS expects 'file_size'
         format: row.format,
-        sample_rate: 24000,                     // PCM16 sample rate
-        channels: 1,                            // Mono audio
+        sample_rate: recordingService.getRecordingSampleRate(row.format),
+        channels: row.channels,                 // 1 = mixed, 2 = caller left / AI right
+        channel_layout: recordingService.getChannelLayout(row.channels),
+        storage_backend: row.storage_backend,
         has_transcript: false,                  // Placeholder for future
         created_at: row.created_at,
       })),
@@ -80,12 +260,12 @@ router.get('/:id', async (req, res) => {
 
     const result = await query(
       `SELECT r.id, r.call_session_id, r.storage_path, r.duration_seconds,
-              r.file_size_bytes, r.format, r.created_at,
+              r.file_size_bytes, r.format, r.channels, r.storage_backend, r.created_at,
               cs.call_sid, cs.phone_number, cs.direction, cs.started_at, cs.ended_at
        FROM recordings r
        JOIN call_sessions cs ON r.call_session_id = cs.id
-       WHERE r.id = $1`,
-      [id]
+       WHERE r.id = $1 AND cs.user_id = $2`,
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -108,8 +288,10 @@ router.get('/:id', async (req, res) => {
         duration: row.duration_seconds,         // iOS expects 'duration'
         file_size: row.file_size_bytes,         // iOS expects 'file_size'
         format: row.format,
-        sample_rate: 24000,                      // PCM16 sample rate
-        channels: 1,                             // Mono audio
+        sample_rate: recordingService.getRecordingSampleRate(row.format),
+        channels: row.channels,                  // 1 = mixed, 2 = caller left / AI right
+        channel_layout: recordingService.getChannelLayout(row.channels),
+        storage_backend: row.storage_backend,
         has_transcript: false,                   // Placeholder for future
         created_at: row.created_at,
         call_started_at: row.started_at,
@@ -133,8 +315,11 @@ router.get('/:id/audio', async (req, res) => {
     const { id } = req.params;
 
     const result = await query(
-      'SELECT storage_path, format FROM recordings WHERE id = $1',
-      [id]
+      `SELECT r.storage_path, r.storage_backend, r.format, r.channels
+       FROM recordings r
+       JOIN call_sessions cs ON r.call_session_id = cs.id
+       WHERE r.id = $1 AND cs.user_id = $2`,
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -146,15 +331,10 @@ router.get('/:id/audio', async (req, res) => {
       });
     }
 
-    const { storage_path, format } = result.rows[0];
-
-    const audioStream = await recordingService.getRecordingStream(storage_path);
-
-    const contentType = format === 'wav' ? 'audio/wav' : 'audio/mpeg';
-    res.set('Content-Type', contentType);
-    res.set('Content-Disposition', `inline; filename="recording-${id}.${format}"`);
-
-    audioStream.pipe(res);
+    await sendRecording(req, res, { id, ...result.rows[0] }, {
+      disposition: 'inline',
+      basename: `recording-${id}`,
+    });
   } catch (error) {
     logger.error('Failed to stream recording', { id: req.params.id, error });
     res.status(500).json({
@@ -172,8 +352,11 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
 
     const result = await query(
-      'SELECT storage_path FROM recordings WHERE id = $1',
-      [id]
+      `SELECT r.storage_path, r.storage_backend
+       FROM recordings r
+       JOIN call_sessions cs ON r.call_session_id = cs.id
+       WHERE r.id = $1 AND cs.user_id = $2`,
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -185,9 +368,9 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    const { storage_path } = result.rows[0];
+    const { storage_path, storage_backend } = result.rows[0];
 
-    await recordingService.deleteRecording(storage_path);
+    await recordingService.deleteRecording(storage_path, storage_backend);
 
     await query('DELETE FROM recordings WHERE id = $1', [id]);
 
@@ -209,16 +392,31 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Download a recording, optionally transcoded or sliced
+ * ?format=wav|flac|mulaw converts on the fly when it differs from the stored format.
+ * ?start=&end= (seconds) returns just that segment as a standalone file.
+ */
 router.get('/:id/download', async (req, res) => {
   try {
     const { id } = req.params;
+    const { format: requestedFormat } = req.query;
+
+    if (requestedFormat !== undefined && !isSupportedFormat(requestedFormat)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_FORMAT',
+          message: `format must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`,
+        },
+      });
+    }
 
     const result = await query(
-      `SELECT r.storage_path, r.format, cs.call_sid
+      `SELECT r.storage_path, r.storage_backend, r.format, r.channels, cs.call_sid
        FROM recordings r
        JOIN call_sessions cs ON r.call_session_id = cs.id
-       WHERE r.id = $1`,
-      [id]
+       WHERE r.id = $1 AND cs.user_id = $2`,
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -230,19 +428,127 @@ router.get('/:id/download', async (req, res) => {
       });
     }
 
-    const { storage_path, format, call_sid } = result.rows[0];
+    const { call_sid, ...recording } = result.rows[0];
 
-    const audioStream = await recordingService.getRecordingStream(storage_path);
+    await sendRecording(req, res, { id, ...recording }, {
+      disposition: 'attachment',
+      basename: `recording-${call_sid}-${id}`,
+      outputFormat: requestedFormat,
+    });
+  } catch (error) {
+    logger.error('Failed to download recording', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'DOWNLOAD_RECORDING_FAILED',
+        message: 'Failed to download recording',
+        details: error.message,
+      },
+    });
+  }
+});
 
-    const contentType = format === 'wav' ? 'audio/wav' : 'audio/mpeg';
-    const filename = `recording-${call_sid}-${id}.${format}`;
+/**
+ * Create a time-limited download URL
+ * S3 recordings get a presigned object URL; local ones a signed link to /:id/signed.
+ */
+router.get('/:id/url', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const expiresIn = parseInt(req.query.expires_in) || undefined;
 
-    res.set('Content-Type', contentType);
-    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (expiresIn !== undefined && (expiresIn < 1 || expiresIn > 7 * 24 * 60 * 60)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'expires_in must be between 1 and 604800 seconds',
+        },
+      });
+    }
 
-    audioStream.pipe(res);
+    const result = await query(
+      `SELECT r.id, r.storage_path, r.storage_backend, r.format, cs.call_sid
+       FROM recordings r
+       JOIN call_sessions cs ON r.call_session_id = cs.id
+       WHERE r.id = $1 AND cs.user_id = $2`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'RECORDING_NOT_FOUND',
+          message: `Recording not found: ${id}`,
+        },
+      });
+    }
+
+    const recording = result.rows[0];
+    const { extension } = getFormatInfo(recording.format);
+
+    const { url, expiresAt } = await recordingService.getRecordingUrl(recording, {
+      expiresIn,
+      filename: `recording-${recording.call_sid}-${id}.${extension}`,
+    });
+
+    res.json({
+      url,
+      expires_at: expiresAt,
+      storage_backend: recording.storage_backend,
+    });
   } catch (error) {
-    logger.error('Failed to download recording', { id: req.params.id, error });
+    logger.error('Failed to create recording URL', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'RECORDING_URL_FAILED',
+        message: 'Failed to create download URL',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * Serve a recording through a signed URL from /:id/url (local backend)
+ */
+router.get('/:id/signed', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!getStorageDriver('local').verifySignedUrl(id, expires, signature)) {
+      return res.status(403).json({
+        error: {
+          code: 'INVALID_SIGNATURE',
+          message: 'Download link is invalid or has expired',
+        },
+      });
+    }
+
+    const result = await query(
+      `SELECT r.storage_path, r.storage_backend, r.format, r.channels, cs.call_sid
+       FROM recordings r
+       JOIN call_sessions cs ON r.call_session_id = cs.id
+       WHERE r.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'RECORDING_NOT_FOUND',
+          message: `Recording not found: ${id}`,
+        },
+      });
+    }
+
+    const { call_sid, ...recording } = result.rows[0];
+
+    await sendRecording(req, res, { id, ...recording }, {
+      disposition: 'attachment',
+      basename: `recording-${call_sid}-${id}`,
+    });
+  } catch (error) {
+    logger.error('Failed to serve signed recording', { id: req.params.id, error });
     res.status(500).json({
       error: {
         code: 'DOWNLOAD_RECORDING_FAILED',
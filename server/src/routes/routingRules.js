@@ -0,0 +1,272 @@
+import { Router } from 'express';
+import { createLogger } from '../utils/logger.js';
+import routingRuleQueries from '../db/queries/routingRules.js';
+import phoneNumberQueries from '../db/queries/phoneNumbers.js';
+import { getPrompt } from '../db/queries/prompts.js';
+import { validateRoutingRule, resolveRoute } from '../services/callRouter.js';
+
+const router = Router();
+const logger = createLogger('routes:routing-rules');
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    priority: row.priority,
+    enabled: row.enabled,
+    conditions: row.conditions,
+    schedule: row.schedule,
+    action: row.action,
+    prompt_id: row.prompt_id,
+    voice: row.voice,
+    greeting: row.greeting,
+    forward_to: row.forward_to,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Map request body fields to rule fields (camelCase); absent fields stay undefined
+ */
+function readRuleFields(body) {
+  return {
+    name: body.name,
+    priority: body.priority,
+    enabled: body.enabled,
+    conditions: body.conditions,
+    schedule: body.schedule,
+    action: body.action,
+    promptId: body.prompt_id,
+    voice: body.voice,
+    greeting: body.greeting,
+    forwardTo: body.forward_to,
+  };
+}
+
+/**
+ * Validate rule fields, including that the prompt is one the user can use and
+ * that every number in toNumbers is one assigned to the user
+ */
+async function checkRule(data, userId) {
+  const { errors } = validateRoutingRule(data);
+
+  if (data.promptId && !(await getPrompt(data.promptId, userId))) {
+    errors.push(`prompt_id not found: ${data.promptId}`);
+  }
+
+  const toNumbers = data.conditions?.toNumbers;
+  if (Array.isArray(toNumbers) && toNumbers.length > 0) {
+    const owned = new Set((await phoneNumberQueries.listNumbers(userId)).map((row) => row.phone_number));
+    toNumbers.forEach((number, index) => {
+      if (typeof number === 'string' && !owned.has(number)) {
+        errors.push(`conditions.toNumbers[${index}] is not one of your phone numbers: ${number}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid routing rule',
+      details: errors,
+    },
+  });
+}
+
+function sendNotFound(res, id) {
+  return res.status(404).json({
+    error: {
+      code: 'RULE_NOT_FOUND',
+      message: `Routing rule not found: ${id}`,
+    },
+  });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const rules = await routingRuleQueries.listRules(req.user.id);
+
+    res.json({
+      rules: rules.map(formatRule),
+      count: rules.length,
+    });
+  } catch (error) {
+    logger.error('Failed to list routing rules', error);
+    res.status(500).json({
+      error: {
+        code: 'LIST_RULES_FAILED',
+        message: 'Failed to retrieve routing rules',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const data = readRuleFields(req.body);
+
+    const errors = await checkRule(data, req.user.id);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const rule = await routingRuleQueries.createRule({ ...data, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      rule: formatRule(rule),
+    });
+  } catch (error) {
+    logger.error('Failed to create routing rule', error);
+    res.status(500).json({
+      error: {
+        code: 'CREATE_RULE_FAILED',
+        message: 'Failed to create routing rule',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * Show which rule a call would hit, without placing or changing anything
+ */
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { to, from, country, at } = req.body;
+
+    const date = at ? new Date(at) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TIME',
+          message: 'at must be an ISO 8601 date-time',
+        },
+      });
+    }
+
+    // As for a live call, the user's rules only apply to numbers they own.
+    // Disabled rules are included so the result explains why they were skipped
+    const owned = (await phoneNumberQueries.listNumbers(req.user.id)).some((row) => row.phone_number === to);
+    const rules = owned ? await routingRuleQueries.listRules(req.user.id) : [];
+    const { rule, evaluations } = resolveRoute(rules, { to, from, country }, date);
+
+    res.json({
+      call: { to, from, country, at: date.toISOString() },
+      matched_rule: rule ? formatRule(rule) : null,
+      action: rule ? rule.action : 'ai',
+      evaluations: evaluations.map((evaluation) => ({
+        rule_id: evaluation.rule.id,
+        name: evaluation.rule.name,
+        priority: evaluation.rule.priority,
+        matched: evaluation.matched,
+        reason: evaluation.reason,
+      })),
+    });
+  } catch (error) {
+    logger.error('Routing dry run failed', error);
+    res.status(500).json({
+      error: {
+        code: 'DRY_RUN_FAILED',
+        message: 'Failed to evaluate routing rules',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await routingRuleQueries.getRule(req.params.id, req.user.id);
+    if (!rule) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({ rule: formatRule(rule) });
+  } catch (error) {
+    logger.error('Failed to get routing rule', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'GET_RULE_FAILED',
+        message: 'Failed to retrieve routing rule',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await routingRuleQueries.getRule(id, req.user.id);
+    if (!existing) {
+      return sendNotFound(res, id);
+    }
+
+    const updates = readRuleFields(req.body);
+
+    // Validate the rule as it will be stored, so e.g. switching to forward requires forward_to
+    const merged = { ...readRuleFields(formatRule(existing)) };
+    for (const [field, value] of Object.entries(updates)) {
+      if (value !== undefined) {
+        merged[field] = value;
+      }
+    }
+
+    const errors = await checkRule(merged, req.user.id);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const rule = await routingRuleQueries.updateRule(id, req.user.id, updates);
+    if (!rule) {
+      return sendNotFound(res, id);
+    }
+
+    res.json({
+      success: true,
+      rule: formatRule(rule),
+    });
+  } catch (error) {
+    logger.error('Failed to update routing rule', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'UPDATE_RULE_FAILED',
+        message: 'Failed to update routing rule',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await routingRuleQueries.deleteRule(req.params.id, req.user.id);
+    if (!deleted) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      deleted_id: req.params.id,
+    });
+  } catch (error) {
+    logger.error('Failed to delete routing rule', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'DELETE_RULE_FAILED',
+        message: 'Failed to delete routing rule',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
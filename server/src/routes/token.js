@@ -21,18 +21,8 @@ router.post('/', (req, res) => {
       });
     }
 
-    const { identity, device_id } = req.body;
-
-    if (!identity && !device_id) {
-      return res.status(400).json({
-        error: {
-          code: 'MISSING_IDENTITY',
-          message: 'Either identity or device_id is required',
-        },
-      });
-    }
-
-    const tokenIdentity = identity || device_id;
+    // The Twilio client identity is always the authenticated user, whatever the body says
+    const tokenIdentity = req.user.id;
 
     const accessToken = new AccessToken(
       config.twilio.accountSid,
@@ -87,16 +77,7 @@ router.post('/refresh', (req, res) => {
       });
     }
 
-    const { identity } = req.body;
-
-    if (!identity) {
-      return res.status(400).json({
-        error: {
-          code: 'MISSING_IDENTITY',
-          message: 'Identity is required for token refresh',
-        },
-      });
-    }
+    const identity = req.user.id;
 
     const accessToken = new AccessToken(
       config.twilio.accountSid,
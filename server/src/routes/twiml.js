@@ -4,21 +4,65 @@ import config from '../config/environment.js';
 import { createLogger } from '../utils/logger.js';
 import { query } from '../db/pool.js';
 import connectionManager from '../websocket/connectionManager.js';
+import { handleCampaignCallStatus } from '../services/campaignDialer.js';
+import { STREAM_VARIABLE_PREFIX } from '../services/promptTemplate.js';
+import { routeInboundCall, getInboundCallOwner } from '../services/callRouter.js';
+import { startRecordedVoicemail, processRecordedVoicemail } from '../services/voicemailService.js';
+import { endRedirectedCall } from '../websocket/twilioMediaHandler.js';
+import {
+  getPublicUrl,
+  validateTwilioRequest,
+  signStreamParameters,
+  STREAM_SIGNATURE_PARAMETER,
+} from '../middleware/twilioSignature.js';
 
 const router = Router();
 const logger = createLogger('routes:twiml');
 
 const VoiceResponse = twilio.twiml.VoiceResponse;
 
+// Twilio text-to-speech voice for greetings spoken before a call is connected
+const SAY_VOICE = 'Polly.Amy';
+const DEFAULT_VOICEMAIL_GREETING = 'Please leave a message after the beep.';
+const VOICEMAIL_MAX_SECONDS = 120;
+
+router.use(validateTwilioRequest);
+
+// Same public host Twilio used for this webhook, so streams work behind a proxy
+function getMediaStreamUrl(req) {
+  return `wss://${new URL(getPublicUrl(req)).host}/media-stream`;
+}
+
+/**
+ * Add <Parameter> elements to a stream, plus a signature over all of them
+ * so the media stream handler can trust the values it gets back
+ */
+function addStreamParameters(stream, parameters) {
+  const signed = { ...parameters, [STREAM_SIGNATURE_PARAMETER]: signStreamParameters(parameters) };
+
+  for (const [name, value] of Object.entries(signed)) {
+    stream.parameter({ name, value });
+  }
+}
+
+// A single value from the TwiML URL query string (repeated keys are ignored)
+function getQueryValue(req, name) {
+  const value = req.query[name];
+  return typeof value === 'string' && value ? value : undefined;
+}
+
 router.post('/outgoing', (req, res) => {
-  const {
-    To,
-    From,
-    CallSid,
-    userId,
-    promptId,
-    direction = 'outbound',
-  } = req.body;
+  const { To, From, CallSid } = req.body;
+
+  // Calls placed from the app arrive as client:<identity>, and access tokens use
+  // the user ID as identity; the app's connect params (promptId) are in the body.
+  // REST-initiated calls carry userId, promptId and direction on the TwiML URL
+  // query string, which Twilio keeps out of the POST body but covers with its
+  // request signature.
+  const fromClient = From?.startsWith('client:');
+  const userId = fromClient ? From.slice('client:'.length) : getQueryValue(req, 'userId');
+  const promptId = getQueryValue(req, 'promptId') || (fromClient ? req.body.promptId : undefined);
+  const direction = getQueryValue(req, 'direction') || 'outbound';
 
   logger.info('Outgoing call TwiML requested', {
     to: To,
@@ -32,27 +76,38 @@ router.post('/outgoing', (req, res) => {
 
   const connect = response.connect();
   const stream = connect.stream({
-    url: `wss://${req.headers.host}/media-stream`,
+    url: getMediaStreamUrl(req),
   });
 
-  stream.parameter({ name: 'callSid', value: CallSid });
-  stream.parameter({ name: 'direction', value: direction });
-  stream.parameter({ name: 'to', value: To });
-  stream.parameter({ name: 'from', value: From || config.twilio.phoneNumber });
+  const parameters = {
+    callSid: CallSid,
+    direction,
+    to: To,
+    from: From || config.twilio.phoneNumber,
+  };
   if (userId) {
-    stream.parameter({ name: 'userId', value: userId });
+    parameters.userId = userId;
   }
   if (promptId) {
-    stream.parameter({ name: 'promptId', value: promptId });
+    parameters.promptId = promptId;
   }
 
+  // Template variables are passed on the TwiML URL query string
+  for (const [name, value] of Object.entries(req.query)) {
+    if (name.startsWith(STREAM_VARIABLE_PREFIX) && typeof value === 'string') {
+      parameters[name] = value;
+    }
+  }
+
+  addStreamParameters(stream, parameters);
+
   res.type('text/xml');
   res.send(response.toString());
 
   logger.debug('Outgoing TwiML generated', { callSid: CallSid });
 });
 
-router.post('/incoming', (req, res) => {
+router.post('/incoming', async (req, res) => {
   const {
     From,
     To,
@@ -69,23 +124,177 @@ router.post('/incoming', (req, res) => {
     callerLocation: `${CallerCity}, ${CallerState}, ${CallerCountry}`,
   });
 
+  // A routing failure must not drop the call; fall back to the default AI
+  let rule = null;
+  try {
+    rule = await routeInboundCall({ to: To, from: From, country: CallerCountry });
+  } catch (error) {
+    logger.error('Inbound routing failed, using default AI', { callSid: CallSid, error: error.message });
+  }
+
   const response = new VoiceResponse();
 
-  // Connect directly to AI without greeting message
-  const connect = response.connect();
-  const stream = connect.stream({
-    url: `wss://${req.headers.host}/media-stream`,
+  if (rule?.action === 'forward') {
+    if (rule.greeting) {
+      response.say({ voice: SAY_VOICE }, rule.greeting);
+    }
+    response.dial(rule.forward_to);
+  } else if (rule?.action === 'voicemail' && !rule.prompt_id) {
+    // Without a prompt the caller records after the beep; with one the AI takes the message
+    try {
+      await startRecordedVoicemail({ callSid: CallSid, from: From, userId: rule.user_id, routingRuleId: rule.id });
+    } catch (error) {
+      logger.error('Failed to create voicemail call session', { callSid: CallSid, error: error.message });
+    }
+
+    response.say({ voice: SAY_VOICE }, rule.greeting || DEFAULT_VOICEMAIL_GREETING);
+    response.record({
+      action: 'voicemail/complete',
+      maxLength: VOICEMAIL_MAX_SECONDS,
+      playBeep: true,
+      recordingStatusCallback: new URL('voicemail/recording', getPublicUrl(req)).toString(),
+      recordingStatusCallbackEvent: 'completed',
+    });
+  } else {
+    if (rule?.greeting) {
+      response.say({ voice: SAY_VOICE }, rule.greeting);
+    }
+
+    const connect = response.connect();
+    const stream = connect.stream({
+      url: getMediaStreamUrl(req),
+    });
+
+    const parameters = {
+      callSid: CallSid,
+      direction: 'inbound',
+      from: From,
+      to: To,
+    };
+    // The rule's owner owns the call; unrouted calls go to the number's owner
+    if (rule) {
+      parameters.userId = rule.user_id;
+      parameters.routingRuleId = rule.id;
+    } else {
+      try {
+        const ownerId = await getInboundCallOwner(To);
+        if (ownerId) {
+          parameters.userId = ownerId;
+        }
+      } catch (error) {
+        logger.error('Failed to look up inbound call owner', { callSid: CallSid, error: error.message });
+      }
+    }
+    if (rule?.prompt_id) {
+      parameters.promptId = rule.prompt_id;
+    }
+    if (rule?.voice) {
+      parameters.voice = rule.voice;
+    }
+    if (rule?.action === 'voicemail') {
+      parameters.mode = 'voicemail';
+    }
+
+    addStreamParameters(stream, parameters);
+  }
+
+  res.type('text/xml');
+  res.send(response.toString());
+
+  logger.debug('Incoming TwiML generated', { callSid: CallSid, action: rule?.action || 'ai', ruleId: rule?.id });
+});
+
+/**
+ * Reconnect a call to the AI after it was redirected off its stream
+ * (digits played, taken off hold). The media stream handler hands the new
+ * stream the call's existing session; the owner and prompt are signed in
+ * too, in case the session is gone (e.g. after a restart).
+ */
+router.post('/resume', async (req, res) => {
+  const { CallSid, From, To } = req.body;
+
+  let call = connectionManager.getSession(CallSid);
+  if (!call) {
+    try {
+      const result = await query(
+        `SELECT direction, user_id AS "userId", prompt_id AS "promptId"
+         FROM call_sessions WHERE call_sid = $1`,
+        [CallSid]
+      );
+      call = result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to look up resumed call', { callSid: CallSid, error: error.message });
+    }
+  }
+
+  logger.info('Resume TwiML requested', { callSid: CallSid, known: Boolean(call) });
+
+  const response = new VoiceResponse();
+  const stream = response.connect().stream({
+    url: getMediaStreamUrl(req),
+  });
+
+  const parameters = {
+    callSid: CallSid,
+    direction: call?.direction || 'inbound',
+    from: From,
+    to: To,
+  };
+  if (call?.userId) {
+    parameters.userId = call.userId;
+  }
+  if (call?.promptId) {
+    parameters.promptId = call.promptId;
+  }
+
+  addStreamParameters(stream, parameters);
+
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+/**
+ * Voicemail recording finished (action URL of <Record>)
+ */
+router.post('/voicemail/complete', (req, res) => {
+  const { CallSid, RecordingSid, RecordingDuration } = req.body;
+
+  logger.info('Voicemail recorded', {
+    callSid: CallSid,
+    recordingSid: RecordingSid,
+    duration: RecordingDuration,
   });
 
-  stream.parameter({ name: 'callSid', value: CallSid });
-  stream.parameter({ name: 'direction', value: 'inbound' });
-  stream.parameter({ name: 'from', value: From });
-  stream.parameter({ name: 'to', value: To });
+  const response = new VoiceResponse();
+  response.say({ voice: SAY_VOICE }, 'Thank you. Goodbye.');
+  response.hangup();
 
   res.type('text/xml');
   res.send(response.toString());
+});
+
+/**
+ * Voicemail recording is available (recordingStatusCallback of <Record>)
+ * Answered right away; downloading, transcribing and extraction run afterwards.
+ */
+router.post('/voicemail/recording', (req, res) => {
+  const { CallSid, RecordingSid, RecordingUrl, RecordingStatus } = req.body;
 
-  logger.debug('Incoming TwiML generated', { callSid: CallSid });
+  logger.info('Voicemail recording status', {
+    callSid: CallSid,
+    recordingSid: RecordingSid,
+    status: RecordingStatus,
+  });
+
+  res.status(200).send('OK');
+
+  if (RecordingStatus !== 'completed' || !RecordingUrl) {
+    return;
+  }
+
+  processRecordedVoicemail({ callSid: CallSid, recordingUrl: RecordingUrl }).catch((error) => {
+    logger.error('Failed to process voicemail', { callSid: CallSid, error: error.message });
+  });
 });
 
 router.post('/status', async (req, res) => {
@@ -181,9 +390,12 @@ router.post('/status', async (req, res) => {
       );
     }
 
-    // If call ended, cleanup connection manager session
+    // If call ended, cleanup connection manager session; a call hung up while
+    // away from its stream (on hold) is wrapped up as a stream stop would
     if (CallStatus === 'completed' || CallStatus === 'failed' || CallStatus === 'busy' || CallStatus === 'no-answer' || CallStatus === 'canceled') {
-      connectionManager.destroySession(CallSid, `twilio_status:${CallStatus}`);
+      if (!await endRedirectedCall(CallSid, `twilio_status:${CallStatus}`)) {
+        connectionManager.destroySession(CallSid, `twilio_status:${CallStatus}`);
+      }
     }
 
   } catch (error) {
@@ -194,6 +406,17 @@ router.post('/status', async (req, res) => {
     });
   }
 
+  // Feed the outcome to the campaign dialer (no-op for non-campaign calls)
+  try {
+    await handleCampaignCallStatus(CallSid, CallStatus, CallDuration);
+  } catch (error) {
+    logger.error('Failed to record campaign call status', {
+      callSid: CallSid,
+      status: CallStatus,
+      error: error.message,
+    });
+  }
+
   res.status(200).send('OK');
 });
 
@@ -208,7 +431,7 @@ router.post('/fallback', (req, res) => {
 
   const response = new VoiceResponse();
   response.say(
-    { voice: 'Polly.Amy' },
+    { voice: SAY_VOICE },
     'We are experiencing technical difficulties. Please try again later.'
   );
   response.hangup();
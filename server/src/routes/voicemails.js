@@ -0,0 +1,147 @@
+import { Router } from 'express';
+import { createLogger } from '../utils/logger.js';
+import voicemailQueries from '../db/queries/voicemails.js';
+
+const router = Router();
+const logger = createLogger('routes:voicemails');
+
+function formatVoicemail(row) {
+  return {
+    id: row.id,
+    call_session_id: row.call_session_id,
+    call_sid: row.call_sid,
+    recording_id: row.recording_id,
+    capture_mode: row.capture_mode,
+    status: row.status,
+    from_number: row.from_number,
+    caller_name: row.caller_name,
+    callback_number: row.callback_number,
+    reason: row.reason,
+    transcript: row.transcript,
+    error: row.error,
+    listened: row.listened_at !== null,
+    listened_at: row.listened_at,
+    call_started_at: row.started_at,
+    call_duration_seconds: row.duration_seconds,
+    created_at: row.created_at,
+  };
+}
+
+function sendNotFound(res, id) {
+  return res.status(404).json({
+    error: {
+      code: 'VOICEMAIL_NOT_FOUND',
+      message: `Voicemail not found: ${id}`,
+    },
+  });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, unheard } = req.query;
+
+    const { voicemails, total } = await voicemailQueries.listVoicemails(req.user.id, {
+      unheard: unheard === 'true',
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+    });
+
+    res.json({
+      voicemails: voicemails.map(formatVoicemail),
+      total,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to list voicemails', error);
+    res.status(500).json({
+      error: {
+        code: 'LIST_VOICEMAILS_FAILED',
+        message: 'Failed to retrieve voicemails',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const voicemail = await voicemailQueries.getVoicemail(req.params.id, req.user.id);
+    if (!voicemail) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({ voicemail: formatVoicemail(voicemail) });
+  } catch (error) {
+    logger.error('Failed to get voicemail', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'GET_VOICEMAIL_FAILED',
+        message: 'Failed to retrieve voicemail',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * Mark a voicemail as heard ({ listened: true }) or unheard
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { listened } = req.body;
+
+    if (typeof listened !== 'boolean') {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'listened must be a boolean',
+        },
+      });
+    }
+
+    const voicemail = await voicemailQueries.setListened(req.params.id, req.user.id, listened);
+    if (!voicemail) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      voicemail: formatVoicemail(voicemail),
+    });
+  } catch (error) {
+    logger.error('Failed to update voicemail', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'UPDATE_VOICEMAIL_FAILED',
+        message: 'Failed to update voicemail',
+        details: error.message,
+      },
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await voicemailQueries.deleteVoicemail(req.params.id, req.user.id);
+    if (!deleted) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      deleted_id: req.params.id,
+    });
+  } catch (error) {
+    logger.error('Failed to delete voicemail', { id: req.params.id, error });
+    res.status(500).json({
+      error: {
+        code: 'DELETE_VOICEMAIL_FAILED',
+        message: 'Failed to delete voicemail',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
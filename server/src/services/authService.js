@@ -0,0 +1,247 @@
+/**
+ * Authentication Service for VoiceAI Pro
+ *
+ * Devices register with their device_id and receive a session: a short-lived
+ * access token and a long-lived refresh token. The first registration of a
+ * device_id also issues a device secret, stored only as a hash; registering
+ * that device_id again requires the secret, so knowing a device ID is not
+ * enough to get a session for it.
+ *
+ * - Access tokens are HS256 JWTs ({ sub: userId, did: deviceId, sid: sessionId })
+ *   checked on every request without touching the database.
+ * - Refresh tokens are random, stored only as a hash in auth_sessions, and
+ *   replaced on every refresh, so a copied token stops working as soon as the
+ *   device it was taken from refreshes again.
+ *
+ * Logging out revokes the session; its access token stays valid until it
+ * expires (AUTH_ACCESS_TOKEN_TTL_SECONDS).
+ */
+
+import crypto from 'crypto';
+import config from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+import { query } from '../db/pool.js';
+import { registerDeviceUser } from '../db/queries/users.js';
+
+const logger = createLogger('auth-service');
+
+const TOKEN_HEADER = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+const REFRESH_TOKEN_BYTES = 32;
+const DEVICE_SECRET_BYTES = 32;
+const MAX_DEVICE_ID_LENGTH = 255;
+
+export class AuthError extends Error {
+  constructor(message, code = 'UNAUTHORIZED') {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', config.auth.tokenSecret).update(data).digest();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign an access token for a session
+ *
+ * @param {Object} claims - Token subject
+ * @param {string} claims.userId - User UUID
+ * @param {string} claims.deviceId - Device identifier
+ * @param {string} claims.sessionId - auth_sessions UUID
+ * @returns {{token: string, expiresIn: number}} Signed token and lifetime in seconds
+ */
+export function signAccessToken({ userId, deviceId, sessionId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const expiresIn = config.auth.accessTokenTtlSeconds;
+
+  const payload = base64url(JSON.stringify({
+    sub: userId,
+    did: deviceId,
+    sid: sessionId,
+    iat: now,
+    exp: now + expiresIn,
+  }));
+
+  const signature = hmac(`${TOKEN_HEADER}.${payload}`).toString('base64url');
+
+  return { token: `${TOKEN_HEADER}.${payload}.${signature}`, expiresIn };
+}
+
+/**
+ * Verify an access token
+ *
+ * @param {string} token - Token from the Authorization header or ?token=
+ * @returns {{id: string, deviceId: string, sessionId: string}|null} Authenticated user, or null
+ */
+export function verifyAccessToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_HEADER) {
+    return null;
+  }
+
+  const expected = hmac(`${parts[0]}.${parts[1]}`);
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!claims.sub || typeof claims.exp !== 'number' || claims.exp <= Date.now() / 1000) {
+    return null;
+  }
+
+  return { id: claims.sub, deviceId: claims.did, sessionId: claims.sid };
+}
+
+/**
+ * Build the token response for a session
+ */
+function issueTokens(user, sessionId, refreshToken, refreshExpiresAt) {
+  const { token, expiresIn } = signAccessToken({
+    userId: user.id,
+    deviceId: user.device_id,
+    sessionId,
+  });
+
+  return {
+    accessToken: token,
+    expiresIn,
+    refreshToken,
+    refreshExpiresAt,
+    user: { id: user.id, deviceId: user.device_id },
+  };
+}
+
+/**
+ * Register a device and open a new session
+ *
+ * @param {string} deviceId - Device identifier from the iOS app
+ * @param {string} [deviceSecret] - Secret issued at the device's first registration
+ * @returns {Promise<Object>} Tokens ({accessToken, expiresIn, refreshToken, refreshExpiresAt, user}),
+ *   plus deviceSecret when a secret was issued by this registration
+ * @throws {AuthError} If the device ID is malformed or the device secret is missing or wrong
+ */
+export async function registerDevice(deviceId, deviceSecret) {
+  if (typeof deviceId !== 'string' || !deviceId.trim() || deviceId.length > MAX_DEVICE_ID_LENGTH) {
+    throw new AuthError('device_id must be a non-empty string', 'INVALID_DEVICE_ID');
+  }
+  if (deviceSecret !== undefined && (typeof deviceSecret !== 'string' || !deviceSecret)) {
+    throw new AuthError('device_secret must be a non-empty string', 'INVALID_DEVICE_SECRET');
+  }
+
+  const issuedSecret = crypto.randomBytes(DEVICE_SECRET_BYTES).toString('base64url');
+  const user = await registerDeviceUser(
+    deviceId.trim(),
+    hashToken(issuedSecret),
+    deviceSecret ? hashToken(deviceSecret) : null
+  );
+
+  if (!user) {
+    logger.warn('Device registration rejected: wrong or missing device secret', { deviceId: deviceId.trim() });
+    throw new AuthError('This device is already registered; device_secret is missing or wrong', 'INVALID_DEVICE_SECRET');
+  }
+
+  const refreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+  const refreshExpiresAt = new Date(Date.now() + config.auth.refreshTokenTtlSeconds * 1000);
+
+  const result = await query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, expires_at)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), refreshExpiresAt]
+  );
+
+  logger.info('Device registered', { userId: user.id, sessionId: result.rows[0].id, secretIssued: user.secret_issued });
+
+  const tokens = issueTokens(user, result.rows[0].id, refreshToken, refreshExpiresAt);
+  return user.secret_issued ? { ...tokens, deviceSecret: issuedSecret } : tokens;
+}
+
+/**
+ * Exchange a refresh token for new tokens (the refresh token is rotated)
+ *
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<Object>} Tokens ({accessToken, expiresIn, refreshToken, refreshExpiresAt, user})
+ * @throws {AuthError} If the token is unknown, expired or revoked
+ */
+export async function refreshSession(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw new AuthError('refresh_token is required', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const nextToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+  const refreshExpiresAt = new Date(Date.now() + config.auth.refreshTokenTtlSeconds * 1000);
+
+  // Matching on the old hash makes rotation atomic: a token can only be used once
+  const result = await query(
+    `UPDATE auth_sessions s
+     SET refresh_token_hash = $2, expires_at = $3, last_used_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE s.refresh_token_hash = $1
+       AND s.user_id = u.id
+       AND s.revoked_at IS NULL
+       AND s.expires_at > CURRENT_TIMESTAMP
+     RETURNING s.id, u.id AS user_id, u.device_id`,
+    [hashToken(refreshToken), hashToken(nextToken), refreshExpiresAt]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AuthError('Refresh token is invalid or has expired', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const row = result.rows[0];
+  await query('UPDATE users SET last_active = CURRENT_TIMESTAMP WHERE id = $1', [row.user_id]);
+
+  logger.debug('Session refreshed', { userId: row.user_id, sessionId: row.id });
+
+  return issueTokens({ id: row.user_id, device_id: row.device_id }, row.id, nextToken, refreshExpiresAt);
+}
+
+/**
+ * Revoke a session (logout)
+ *
+ * @param {string} sessionId - auth_sessions UUID
+ * @param {string} userId - Owner; other users' sessions are never touched
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+export async function revokeSession(sessionId, userId) {
+  const result = await query(
+    `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info('Session revoked', { userId, sessionId });
+  }
+
+  return result.rowCount > 0;
+}
+
+export default {
+  AuthError,
+  signAccessToken,
+  verifyAccessToken,
+  registerDevice,
+  refreshSession,
+  revokeSession,
+};
@@ -0,0 +1,177 @@
+/**
+ * Call Analysis Service for VoiceAI Pro
+ *
+ * Post-call processing: once a call has ended and its transcripts are stored,
+ * the configured analyzer (CALL_ANALYSIS_BACKEND, see src/analysis) produces a
+ * summary, the caller's intent, caller sentiment per turn and overall, action
+ * items, and values for the fields in the call prompt's analysis_schema.
+ *
+ * The result is stored in call_analyses, returned with /api/calls/:callSid/full
+ * and pushed to the owner's connected devices as call.analyzed.
+ *
+ * A call's analysis is claimed by inserting it as processing. A claim that is
+ * never finished (the server died mid-analysis) is retried at startup, and is
+ * taken over by any later attempt once it is STALE_CLAIM_MS old.
+ */
+
+import config from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+import { query } from '../db/pool.js';
+import analysisQueries from '../db/queries/callAnalyses.js';
+import { getTranscriptsByCall } from '../db/queries/transcripts.js';
+import { getCallAnalyzer } from '../analysis/index.js';
+import { sentimentLabel, validateAnalysisSchema } from '../analysis/analysisSchema.js';
+import connectionManager from '../websocket/connectionManager.js';
+
+const logger = createLogger('call-analysis');
+
+// Far longer than an analyzer run takes; a claim this old was abandoned
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// Claims made before this process started can't still be running
+const PROCESS_STARTED_AT = new Date();
+
+/**
+ * Get an owned call with its prompt's extraction fields
+ */
+async function getAnalysisCall(callSid) {
+  const result = await query(
+    `SELECT cs.id, cs.user_id, cs.started_at, p.analysis_schema
+     FROM call_sessions cs
+     LEFT JOIN prompts p ON cs.prompt_id = p.id
+     WHERE cs.call_sid = $1`,
+    [callSid]
+  );
+
+  const call = result.rows[0];
+  if (!call) {
+    logger.debug('No call to analyze', { callSid });
+    return null;
+  }
+
+  // Only inbound calls to numbers assigned to nobody, without DEFAULT_CALL_OWNER_ID
+  if (!call.user_id) {
+    logger.warn('Skipping analysis of a call with no owner', { callSid });
+    return null;
+  }
+
+  return call;
+}
+
+function notifyOwner(userId, callSid, analysis) {
+  connectionManager.notifyUser(userId, 'call.analyzed', {
+    callSid,
+    analysisId: analysis.id,
+    status: analysis.status,
+    summary: analysis.summary,
+    intent: analysis.intent,
+    sentiment: analysis.sentiment,
+    actionItems: analysis.action_items,
+    extractedFields: analysis.extracted_fields,
+  });
+}
+
+/**
+ * Analyze a finished call
+ * Runs once per call; calls without caller speech are skipped.
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} [options] - Analysis options
+ * @param {Date} [options.claimedBefore] - Take over a processing claim older than this
+ *   (defaults to STALE_CLAIM_MS ago)
+ * @returns {Promise<Object|null>} Stored analysis, or null if skipped or already analyzed
+ */
+export async function analyzeCall(callSid, options = {}) {
+  const { claimedBefore = new Date(Date.now() - STALE_CLAIM_MS) } = options;
+
+  if (!config.analysis.enabled) {
+    return null;
+  }
+
+  const call = await getAnalysisCall(callSid);
+  if (!call) {
+    return null;
+  }
+
+  const transcripts = await getTranscriptsByCall(call.id, call.user_id);
+  if (!transcripts.some((entry) => entry.speaker === 'user')) {
+    logger.debug('Nothing to analyze', { callSid, transcriptCount: transcripts.length });
+    return null;
+  }
+
+  const analyzer = getCallAnalyzer();
+
+  const analysis = await analysisQueries.createAnalysis(call.id, analyzer.name, claimedBefore);
+  if (!analysis) {
+    logger.debug('Call already analyzed', { callSid });
+    return null;
+  }
+
+  // A schema saved before validation existed is ignored rather than failing the analysis
+  let schema = call.analysis_schema || null;
+  if (schema && !validateAnalysisSchema(schema).valid) {
+    logger.warn('Ignoring invalid analysis_schema', { callSid });
+    schema = null;
+  }
+
+  let stored;
+  try {
+    const result = await analyzer.analyze({
+      transcripts,
+      schema,
+      startedAt: call.started_at ? new Date(call.started_at) : new Date(),
+    });
+
+    stored = await analysisQueries.completeAnalysis(analysis.id, {
+      ...result,
+      sentiment: sentimentLabel(result.sentimentScore),
+    });
+
+    logger.info('Call analyzed', {
+      callSid,
+      analyzer: analyzer.name,
+      intent: stored.intent,
+      sentiment: stored.sentiment,
+      actionItems: stored.action_items.length,
+    });
+  } catch (error) {
+    logger.error('Call analysis failed', { callSid, analyzer: analyzer.name, error: error.message });
+    stored = await analysisQueries.failAnalysis(analysis.id, error.message);
+  }
+
+  notifyOwner(call.user_id, callSid, stored);
+  return stored;
+}
+
+/**
+ * Retry analyses a previous run of the server claimed but never finished
+ *
+ * @returns {Promise<number>} Number of analyses retried
+ */
+export async function retryAbandonedAnalyses() {
+  if (!config.analysis.enabled) {
+    return 0;
+  }
+
+  const callSids = await analysisQueries.listAbandonedAnalyses(PROCESS_STARTED_AT);
+  if (callSids.length === 0) {
+    return 0;
+  }
+
+  logger.info('Retrying abandoned call analyses', { count: callSids.length });
+
+  for (const callSid of callSids) {
+    try {
+      await analyzeCall(callSid, { claimedBefore: PROCESS_STARTED_AT });
+    } catch (error) {
+      logger.error('Abandoned call analysis retry failed', { callSid, error: error.message });
+    }
+  }
+
+  return callSids.length;
+}
+
+export default {
+  analyzeCall,
+  retryAbandonedAnalyses,
+};
@@ -0,0 +1,514 @@
+/**
+ * Built-in Call-Control Tools
+ *
+ * Tool pack that lets the model act on the live call through Twilio:
+ * - transfer_to_human(destination, reason) - dial a human and leave the AI
+ * - end_call(reason)                  - hang up
+ * - press_digits(digits)              - send DTMF to navigate IVRs on outbound calls
+ * - put_on_hold(reason)               - put the caller on hold
+ *
+ * Transfers and hang-ups are deferred: the tool returns immediately so the
+ * model can say goodbye, and the Twilio action runs once that follow-up
+ * response has finished and Twilio reports (via a mark) that its audio has
+ * played out. A safety timeout runs the action if the mark never arrives.
+ *
+ * Digits and hold redirect the call away from its media stream (TwiML
+ * <Play digits> or hold music). The session is kept, and the call comes back
+ * on a new stream through /twiml/resume: straight after the digits, and for
+ * hold when resumeFromHold() is called (API) or CALL_HOLD_MAX_SECONDS pass.
+ *
+ * The model never supplies a phone number: transfer destinations are labels
+ * configured on the prompt's binding ({ type: 'builtin', targets: { sales:
+ * '+14155550100' } }) or server-wide in TRANSFER_TARGETS, so a caller can't
+ * talk the AI into dialing a number of their choosing.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+import { registerTool, ToolError } from './toolRegistry.js';
+import { endCall, holdCall, sendDigits, transferCall, validatePhoneNumber } from './twilioService.js';
+import { logEvent } from './eventLogger.js';
+import { sendMarkToTwilio, expectStreamResume, cancelStreamResume } from '../websocket/twilioMediaHandler.js';
+
+const logger = createLogger('call-control');
+
+// Mark name prefix used to detect the end of the goodbye playback
+const CALL_ACTION_MARK_PREFIX = 'call_action_';
+
+// Run a deferred action even if the goodbye never finishes playing
+const CALL_ACTION_MAX_WAIT_MS = 20000;
+
+// DTMF digits accepted by Twilio; w/W insert 0.5s/1s pauses
+const DTMF_PATTERN = /^[0-9*#wW]{1,32}$/;
+
+// Transfer destinations a prompt can configure
+const TRANSFER_LABEL_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+const MAX_TRANSFER_TARGETS = 20;
+
+// Extra time, past the longest hold, for the call to come back on a stream
+const HOLD_RESUME_GRACE_MS = 30000;
+
+// Deferred transfer/hang-up per call
+const pendingActions = new Map();
+
+// Calls on hold: callSid -> {session, startedAt, timer}
+const activeHolds = new Map();
+
+/**
+ * Register the call-control tools with the tool registry
+ * Prompts enable them with { name, handler: { type: 'builtin' } } entries.
+ */
+export function registerCallControlTools() {
+  registerTool('transfer_to_human', {
+    description: 'Transfer the caller to a human at one of the configured destinations. '
+      + 'Tell the caller you are transferring them before or right after calling this.',
+    parameters: transferParameters(Object.keys(config.callControl.transferTargets)),
+    handler: handleTransferToHuman,
+    validateBinding: validateTransferBinding,
+    definitionFor: (binding) => ({ parameters: transferParameters(Object.keys(getTransferTargets(binding))) }),
+  });
+
+  registerTool('end_call', {
+    description: 'Hang up the call once the conversation is over. '
+      + 'Say a short goodbye; the call ends after you finish speaking.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Why the call is ending',
+        },
+      },
+    },
+    handler: handleEndCall,
+  });
+
+  registerTool('press_digits', {
+    description: 'Press keypad digits (DTMF) to navigate a phone menu on an outbound call.',
+    parameters: {
+      type: 'object',
+      properties: {
+        digits: {
+          type: 'string',
+          description: 'Digits to press: 0-9, * and #; w adds a half-second pause',
+        },
+      },
+      required: ['digits'],
+    },
+    handler: handlePressDigits,
+  });
+
+  registerTool('put_on_hold', {
+    description: 'Put the caller on hold with hold music. Tell the caller first; '
+      + 'the hold starts after you finish speaking, and you hear the caller again when they are taken off hold.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Why the caller is being put on hold',
+        },
+      },
+    },
+    handler: handlePutOnHold,
+  });
+}
+
+/**
+ * Transfer destinations for a binding: the prompt's own, else the server's
+ */
+function getTransferTargets(binding) {
+  return binding?.targets || config.callControl.transferTargets;
+}
+
+/**
+ * transfer_to_human arguments, with the destination limited to the given labels
+ */
+function transferParameters(labels) {
+  return {
+    type: 'object',
+    properties: {
+      destination: {
+        type: 'string',
+        ...(labels.length > 0 ? { enum: labels } : {}),
+        description: labels.length > 0
+          ? 'Which configured destination to transfer to'
+          : 'No transfer destinations are configured for this call',
+      },
+      reason: {
+        type: 'string',
+        description: 'Why the caller is being transferred',
+      },
+    },
+    required: ['destination'],
+  };
+}
+
+/**
+ * Check the targets on a prompt's transfer_to_human binding
+ */
+function validateTransferBinding(binding) {
+  if (binding.targets === undefined) {
+    return [];
+  }
+
+  const { targets } = binding;
+  if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+    return ['targets must be an object of label: phone number'];
+  }
+
+  const errors = [];
+  const entries = Object.entries(targets);
+  if (entries.length === 0 || entries.length > MAX_TRANSFER_TARGETS) {
+    errors.push(`targets must have 1-${MAX_TRANSFER_TARGETS} destinations`);
+  }
+
+  for (const [label, number] of entries) {
+    if (!TRANSFER_LABEL_PATTERN.test(label)) {
+      errors.push(`targets label "${label}" must be 1-40 letters, digits, underscores or dashes`);
+    } else if (typeof number !== 'string' || !validatePhoneNumber(number).valid) {
+      errors.push(`targets.${label} must be a phone number in E.164 format`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * transfer_to_human - look up the destination and defer the transfer
+ */
+async function handleTransferToHuman(args, context) {
+  const targets = getTransferTargets(context.binding);
+  const labels = Object.keys(targets);
+  if (labels.length === 0) {
+    throw new ToolError('No transfer destinations are configured for this call', 'NO_TRANSFER_TARGETS');
+  }
+
+  const destination = typeof args.destination === 'string' ? args.destination.trim() : '';
+  if (!Object.hasOwn(targets, destination)) {
+    throw new ToolError(`Unknown destination "${destination}"; choose one of: ${labels.join(', ')}`, 'UNKNOWN_DESTINATION');
+  }
+
+  const number = targets[destination];
+
+  scheduleCallAction(context, {
+    type: 'transfer',
+    reason: args.reason || null,
+    details: { destination },
+    run: () => transferCall(context.callSid, number),
+  });
+
+  return {
+    status: 'scheduled',
+    message: 'The transfer starts when you finish speaking. Briefly tell the caller they are being transferred.',
+  };
+}
+
+/**
+ * end_call - defer the hang-up until the goodbye has played
+ */
+async function handleEndCall(args, context) {
+  const reason = args.reason || null;
+
+  scheduleCallAction(context, {
+    type: 'end_call',
+    reason,
+    details: {},
+    run: () => endCall(context.callSid, reason || 'ai_ended'),
+  });
+
+  return {
+    status: 'scheduled',
+    message: 'The call ends when you finish speaking. Say a brief goodbye.',
+  };
+}
+
+/**
+ * press_digits - play DTMF right away; the call returns to the AI afterwards
+ */
+async function handlePressDigits(args, context) {
+  const digits = typeof args.digits === 'string' ? args.digits.replace(/\s/g, '') : '';
+  if (!DTMF_PATTERN.test(digits)) {
+    throw new ToolError('Digits may only contain 0-9, *, #, w or W (max 32)', 'INVALID_DIGITS');
+  }
+
+  if (context.session?.direction !== 'outbound') {
+    throw new ToolError('Digits can only be pressed on outbound calls', 'NOT_SUPPORTED');
+  }
+
+  await runCallAction(context, 'press_digits', { digits: digits.replace(/\d/g, '*') }, () =>
+    redirectCall(context.session, 'digits', () => sendDigits(context.callSid, digits)));
+
+  return { status: 'sent', digits };
+}
+
+/**
+ * put_on_hold - defer the hold until the model has told the caller
+ */
+async function handlePutOnHold(args, context) {
+  if (activeHolds.has(context.callSid)) {
+    throw new ToolError('The call is already on hold', 'ALREADY_ON_HOLD');
+  }
+
+  const maxSeconds = config.callControl.maxHoldSeconds;
+
+  scheduleCallAction(context, {
+    type: 'hold',
+    reason: args.reason || null,
+    details: { maxSeconds },
+    run: () => startHold(context.session, maxSeconds),
+  });
+
+  return {
+    status: 'scheduled',
+    message: 'The caller is put on hold when you finish speaking. Briefly tell them they are being put on hold.',
+  };
+}
+
+/**
+ * Redirect the call off its media stream, keeping the session for when it comes back
+ */
+async function redirectCall(session, reason, redirect, timeoutMs) {
+  expectStreamResume(session, reason, timeoutMs);
+
+  try {
+    await redirect();
+  } catch (error) {
+    cancelStreamResume(session.callSid);
+    throw error;
+  }
+}
+
+/**
+ * Play hold music, and take the caller off hold after maxSeconds at most
+ */
+async function startHold(session, maxSeconds) {
+  const { callSid } = session;
+
+  await redirectCall(session, 'hold', () => holdCall(callSid, true), maxSeconds * 1000 + HOLD_RESUME_GRACE_MS);
+
+  activeHolds.set(callSid, {
+    session,
+    startedAt: Date.now(),
+    timer: setTimeout(() => {
+      resumeFromHold(callSid, 'timeout').catch(() => {
+        // Already logged and recorded as a call event
+      });
+    }, maxSeconds * 1000),
+  });
+}
+
+/**
+ * Take a call off hold; it reconnects to the AI on a new stream
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {string} [trigger='api'] - What ended the hold
+ * @returns {Promise<boolean>} False if the call is not on hold
+ */
+export async function resumeFromHold(callSid, trigger = 'api') {
+  const hold = activeHolds.get(callSid);
+  if (!hold) {
+    return false;
+  }
+
+  clearTimeout(hold.timer);
+  activeHolds.delete(callSid);
+
+  await runCallAction({ callSid, session: hold.session }, 'resume', {
+    trigger,
+    heldMs: Date.now() - hold.startedAt,
+  }, () => holdCall(callSid, false));
+
+  return true;
+}
+
+/**
+ * Whether a call is on hold
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @returns {boolean} True if on hold
+ */
+export function isOnHold(callSid) {
+  return activeHolds.has(callSid);
+}
+
+/**
+ * Run a Twilio action for a tool and log it as a call event
+ */
+async function runCallAction(context, type, payload, run) {
+  const { callSid, session } = context;
+
+  try {
+    await run();
+  } catch (error) {
+    logger.error('Call-control action failed', { callSid, type, error: error.message });
+    recordCallControlEvent(session, type, { ...payload, success: false, error: error.message });
+    throw new ToolError(`Twilio rejected ${type}: ${error.message}`, 'CALL_CONTROL_FAILED');
+  }
+
+  logger.info('Call-control action executed', { callSid, type });
+  recordCallControlEvent(session, type, { ...payload, success: true });
+}
+
+/**
+ * Log a call-control event (broadcast to iOS clients by the event logger)
+ */
+function recordCallControlEvent(session, type, payload) {
+  if (!session) {
+    return;
+  }
+
+  logEvent(session.id, `call_control.${type}`, 'outgoing', payload, { callSid: session.callSid })
+    .catch((err) => {
+      logger.error('Failed to log call-control event', { callSid: session.callSid, type, error: err.message });
+    });
+}
+
+/**
+ * Defer a transfer or hang-up until the model's goodbye has played
+ */
+function scheduleCallAction(context, action) {
+  const { callSid, session } = context;
+
+  if (!session) {
+    throw new ToolError('No active session for this call', 'NO_SESSION');
+  }
+
+  if (pendingActions.has(callSid)) {
+    throw new ToolError(`A ${pendingActions.get(callSid).type} is already pending for this call`, 'CALL_ACTION_PENDING');
+  }
+
+  const pending = {
+    ...action,
+    id: uuidv4(),
+    session,
+    armed: false,
+    released: false,
+    scheduledAt: Date.now(),
+    timeout: setTimeout(() => executePendingCallAction(callSid, 'timeout'), CALL_ACTION_MAX_WAIT_MS),
+  };
+
+  pendingActions.set(callSid, pending);
+
+  logger.info('Call-control action scheduled', { callSid, type: action.type, reason: action.reason });
+
+  session.broadcastEvent('call_control.scheduled', {
+    type: action.type,
+    reason: action.reason,
+    ...action.details,
+  });
+}
+
+/**
+ * Arm the pending action once the follow-up response (the goodbye) is requested
+ *
+ * @param {Object} session - Call session
+ */
+export function armPendingCallAction(session) {
+  const pending = pendingActions.get(session.callSid);
+  if (pending && !pending.armed) {
+    pending.armed = true;
+    logger.debug('Call-control action armed', { callSid: session.callSid, type: pending.type });
+  }
+}
+
+/**
+ * Release an armed action after its response is done
+ * Sends a mark so the action runs when Twilio has played the goodbye.
+ *
+ * @param {Object} session - Call session
+ */
+export function releasePendingCallAction(session) {
+  const pending = pendingActions.get(session.callSid);
+  if (!pending || !pending.armed || pending.released) {
+    return;
+  }
+
+  pending.released = true;
+
+  if (!sendMarkToTwilio(session, `${CALL_ACTION_MARK_PREFIX}${pending.id}`)) {
+    executePendingCallAction(session.callSid, 'response_done');
+  }
+}
+
+/**
+ * Handle a Twilio mark; runs the pending action when its mark comes back
+ *
+ * @param {Object} session - Call session
+ * @param {string} markName - Mark name reported by Twilio
+ * @returns {boolean} True if the mark belonged to a call-control action
+ */
+export function handleCallActionMark(session, markName) {
+  if (!markName?.startsWith(CALL_ACTION_MARK_PREFIX)) {
+    return false;
+  }
+
+  const pending = pendingActions.get(session.callSid);
+  if (pending && markName === `${CALL_ACTION_MARK_PREFIX}${pending.id}`) {
+    executePendingCallAction(session.callSid, 'playback_complete');
+  }
+
+  return true;
+}
+
+/**
+ * Drop a pending action without running it, and any hold (call already ended)
+ *
+ * @param {string} callSid - Twilio Call SID
+ */
+export function cancelPendingCallAction(callSid) {
+  const hold = activeHolds.get(callSid);
+  if (hold) {
+    clearTimeout(hold.timer);
+    activeHolds.delete(callSid);
+  }
+
+  const pending = pendingActions.get(callSid);
+  if (!pending) {
+    return;
+  }
+
+  clearTimeout(pending.timeout);
+  pendingActions.delete(callSid);
+
+  logger.debug('Pending call-control action cancelled', { callSid, type: pending.type });
+}
+
+/**
+ * Run the pending action for a call
+ */
+async function executePendingCallAction(callSid, trigger) {
+  const pending = pendingActions.get(callSid);
+  if (!pending) {
+    return;
+  }
+
+  clearTimeout(pending.timeout);
+  pendingActions.delete(callSid);
+
+  if (pending.session.status === 'ended') {
+    return;
+  }
+
+  try {
+    await runCallAction({ callSid, session: pending.session }, pending.type, {
+      reason: pending.reason,
+      ...pending.details,
+      trigger,
+      waitedMs: Date.now() - pending.scheduledAt,
+    }, pending.run);
+  } catch (error) {
+    // Already logged and recorded as a call event
+  }
+}
+
+export default {
+  registerCallControlTools,
+  armPendingCallAction,
+  releasePendingCallAction,
+  handleCallActionMark,
+  cancelPendingCallAction,
+  resumeFromHold,
+  isOnHold,
+};
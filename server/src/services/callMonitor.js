@@ -0,0 +1,349 @@
+/**
+ * Live Call Monitoring
+ *
+ * Lets the owner of a live call listen in from /monitor/:callId. Listeners
+ * hear both sides of the call but cannot be heard.
+ *
+ * Caller audio arrives from Twilio in real time (one 20ms frame at a time),
+ * but the AI's audio arrives in bursts, faster than the caller hears it. The
+ * outbound side (AI, or the operator during a takeover) is therefore queued
+ * and drained at the pace of the caller frames, so both sides reach the
+ * listener the way the caller experiences them. A barge-in that clears
+ * Twilio's buffer clears the queue too.
+ *
+ * Audio is sent as binary WebSocket messages of PCM16 little-endian at 24kHz:
+ *
+ *   mix    - mono, both sides summed
+ *   stereo - interleaved, caller on the left and the AI/operator on the right
+ *
+ * Text messages use the iOS client format ({type, timestamp, payload}):
+ * monitor.started (the audio format), monitor.gap (frames dropped because
+ * the listener fell behind) and monitor.ended.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { logEvent } from './eventLogger.js';
+
+const logger = createLogger('call-monitor');
+
+export const MONITOR_MODES = ['mix', 'stereo'];
+
+const SAMPLE_RATE = 24000;
+
+const MAX_MONITORS_PER_CALL = 5;
+
+// Stop sending to a listener with more than this queued (~1s of stereo audio)
+const MAX_BUFFERED_BYTES = 96 * 1024;
+
+// Disconnect a listener that has not caught up after this long
+const MAX_STALL_MS = 15000;
+
+// Outbound audio the caller has not heard yet; a long answer is ~30s
+const MAX_QUEUED_SAMPLES = SAMPLE_RATE * 60;
+
+// Active monitors per call
+const monitors = new Map();
+
+export class MonitorError extends Error {
+  constructor(message, code = 'MONITOR_ERROR') {
+    super(message);
+    this.name = 'MonitorError';
+    this.code = code;
+  }
+}
+
+function sendToListener(ws, type, payload) {
+  if (ws.readyState !== 1) {
+    return;
+  }
+
+  try {
+    ws.send(JSON.stringify({ type, timestamp: new Date().toISOString(), payload }));
+  } catch (error) {
+    logger.debug('Failed to send to listener', { type, error: error.message });
+  }
+}
+
+function logMonitorEvent(session, type, payload) {
+  logEvent(session.id, `monitor.${type}`, 'outgoing', payload, { callSid: session.callSid })
+    .catch((err) => {
+      logger.error('Failed to log monitor event', { callSid: session.callSid, type, error: err.message });
+    });
+}
+
+/**
+ * Take up to `length` queued outbound samples, zero-padded
+ */
+function takeOutbound(monitor, length) {
+  const output = new Int16Array(length);
+  let filled = 0;
+
+  while (filled < length && monitor.outbound.length > 0) {
+    const chunk = monitor.outbound[0];
+    const count = Math.min(length - filled, chunk.length - monitor.outboundOffset);
+
+    output.set(chunk.subarray(monitor.outboundOffset, monitor.outboundOffset + count), filled);
+    filled += count;
+    monitor.outboundOffset += count;
+    monitor.queuedSamples -= count;
+
+    if (monitor.outboundOffset === chunk.length) {
+      monitor.outbound.shift();
+      monitor.outboundOffset = 0;
+    }
+  }
+
+  return output;
+}
+
+function mixFrame(caller, outbound) {
+  const output = Buffer.alloc(caller.length * 2);
+  for (let i = 0; i < caller.length; i++) {
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, caller[i] + outbound[i])), i * 2);
+  }
+  return output;
+}
+
+function stereoFrame(caller, outbound) {
+  const output = Buffer.alloc(caller.length * 4);
+  for (let i = 0; i < caller.length; i++) {
+    output.writeInt16LE(caller[i], i * 4);
+    output.writeInt16LE(outbound[i], i * 4 + 2);
+  }
+  return output;
+}
+
+/**
+ * Send a frame, or drop it if the listener has fallen behind
+ */
+function deliverFrame(monitor, listener, frame, frameMs) {
+  const { ws } = listener;
+
+  if (ws.readyState !== 1) {
+    return;
+  }
+
+  if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+    listener.stalledSince ??= Date.now();
+    listener.droppedMs += frameMs;
+    listener.gapMs += frameMs;
+
+    if (Date.now() - listener.stalledSince > MAX_STALL_MS) {
+      logger.warn('Disconnecting listener that fell behind', { callSid: monitor.session.callSid, userId: listener.userId });
+      removeMonitor(monitor.session.callSid, ws, 'too_slow');
+      ws.close(1013, 'Listener too slow');
+    }
+    return;
+  }
+
+  if (listener.gapMs > 0) {
+    sendToListener(ws, 'monitor.gap', { dropped_ms: listener.gapMs });
+    listener.gapMs = 0;
+    listener.stalledSince = null;
+  }
+
+  try {
+    ws.send(frame, { binary: true });
+  } catch (error) {
+    logger.debug('Failed to send monitor audio', { error: error.message });
+  }
+}
+
+/**
+ * Start streaming a call's audio to a listener
+ *
+ * @param {Object} session - The call session (already checked to belong to the listener)
+ * @param {WebSocket} ws - Listener socket
+ * @param {Object} listener - {userId, deviceId}
+ * @param {string} [mode='mix'] - mix or stereo
+ * @returns {{encoding: string, sampleRate: number, channels: string[]}} Audio format
+ * @throws {MonitorError} If the mode is unknown or the call has too many listeners
+ */
+export function addMonitor(session, ws, listener, mode = 'mix') {
+  if (!MONITOR_MODES.includes(mode)) {
+    throw new MonitorError(`mode must be one of: ${MONITOR_MODES.join(', ')}`, 'INVALID_MODE');
+  }
+
+  let monitor = monitors.get(session.callSid);
+  if (monitor && monitor.listeners.size >= MAX_MONITORS_PER_CALL) {
+    throw new MonitorError(`A call can have at most ${MAX_MONITORS_PER_CALL} listeners`, 'TOO_MANY_LISTENERS');
+  }
+
+  if (!monitor) {
+    monitor = {
+      session,
+      listeners: new Map(),
+      outbound: [],
+      outboundOffset: 0,
+      queuedSamples: 0,
+    };
+    monitors.set(session.callSid, monitor);
+  }
+
+  monitor.listeners.set(ws, {
+    ws,
+    userId: listener.userId,
+    deviceId: listener.deviceId || null,
+    mode,
+    startedAt: Date.now(),
+    droppedMs: 0,
+    gapMs: 0,
+    stalledSince: null,
+  });
+
+  logMonitorEvent(session, 'started', { userId: listener.userId, deviceId: listener.deviceId || null, mode });
+
+  logger.info('Listener joined call', { callSid: session.callSid, userId: listener.userId, mode });
+
+  return {
+    encoding: 'pcm16le',
+    sampleRate: SAMPLE_RATE,
+    channels: mode === 'stereo' ? ['caller', 'agent'] : ['mix'],
+  };
+}
+
+/**
+ * Stop streaming to a listener
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {WebSocket} ws - Listener socket
+ * @param {string} [reason='listener_closed'] - Why the listener left
+ * @returns {boolean} True if the socket was listening
+ */
+export function removeMonitor(callSid, ws, reason = 'listener_closed') {
+  const monitor = monitors.get(callSid);
+  const listener = monitor?.listeners.get(ws);
+  if (!listener) {
+    return false;
+  }
+
+  monitor.listeners.delete(ws);
+  if (monitor.listeners.size === 0) {
+    monitors.delete(callSid);
+  }
+
+  logMonitorEvent(monitor.session, 'stopped', {
+    userId: listener.userId,
+    deviceId: listener.deviceId,
+    mode: listener.mode,
+    reason,
+    durationSeconds: Math.round((Date.now() - listener.startedAt) / 1000),
+    droppedMs: listener.droppedMs,
+  });
+
+  logger.info('Listener left call', { callSid, userId: listener.userId, reason, droppedMs: listener.droppedMs });
+
+  return true;
+}
+
+/**
+ * Check whether anyone is listening to a call
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @returns {boolean} True if the call has listeners
+ */
+export function isMonitored(callSid) {
+  return monitors.has(callSid);
+}
+
+/**
+ * Queue audio the caller is about to hear (AI or operator)
+ * A no-op for calls nobody is listening to.
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {Int16Array} samples - PCM16 samples at 24kHz
+ */
+export function forkOutboundAudio(callSid, samples) {
+  const monitor = monitors.get(callSid);
+  if (!monitor || samples.length === 0) {
+    return;
+  }
+
+  monitor.outbound.push(Int16Array.from(samples));
+  monitor.queuedSamples += samples.length;
+
+  // Keep the most recent audio if the AI gets far ahead of the caller
+  while (monitor.queuedSamples > MAX_QUEUED_SAMPLES && monitor.outbound.length > 1) {
+    const dropped = monitor.outbound.shift();
+    monitor.queuedSamples -= dropped.length - monitor.outboundOffset;
+    monitor.outboundOffset = 0;
+  }
+}
+
+/**
+ * Forget queued outbound audio (Twilio's playback buffer was cleared)
+ *
+ * @param {string} callSid - Twilio Call SID
+ */
+export function clearOutboundAudio(callSid) {
+  const monitor = monitors.get(callSid);
+  if (!monitor) {
+    return;
+  }
+
+  monitor.outbound = [];
+  monitor.outboundOffset = 0;
+  monitor.queuedSamples = 0;
+}
+
+/**
+ * Send one caller frame, with the matching slice of outbound audio, to every listener
+ * Called for every Twilio media frame; a no-op for calls nobody is listening to.
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {Int16Array} samples - Decoded caller audio, PCM16 at 24kHz
+ */
+export function forkCallerAudio(callSid, samples) {
+  const monitor = monitors.get(callSid);
+  if (!monitor || samples.length === 0) {
+    return;
+  }
+
+  const outbound = takeOutbound(monitor, samples.length);
+  const frameMs = Math.round((samples.length / SAMPLE_RATE) * 1000);
+
+  let mixed = null;
+  let stereo = null;
+
+  for (const listener of [...monitor.listeners.values()]) {
+    let frame;
+    if (listener.mode === 'stereo') {
+      frame = stereo ??= stereoFrame(samples, outbound);
+    } else {
+      frame = mixed ??= mixFrame(samples, outbound);
+    }
+    deliverFrame(monitor, listener, frame, frameMs);
+  }
+}
+
+/**
+ * Disconnect every listener of a call (it ended)
+ *
+ * @param {string} callSid - Twilio Call SID
+ */
+export function clearMonitors(callSid) {
+  const monitor = monitors.get(callSid);
+  if (!monitor) {
+    return;
+  }
+
+  for (const ws of [...monitor.listeners.keys()]) {
+    removeMonitor(callSid, ws, 'call_ended');
+    sendToListener(ws, 'monitor.ended', { call_sid: callSid, reason: 'call_ended' });
+    ws.close(1000, 'Call ended');
+  }
+
+  logger.debug('Monitors cleared', { callSid });
+}
+
+export default {
+  MONITOR_MODES,
+  MonitorError,
+  addMonitor,
+  removeMonitor,
+  isMonitored,
+  forkOutboundAudio,
+  clearOutboundAudio,
+  forkCallerAudio,
+  clearMonitors,
+};
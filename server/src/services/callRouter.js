@@ -0,0 +1,296 @@
+/**
+ * Inbound Call Router for VoiceAI Pro
+ *
+ * Decides what happens to an inbound call from the routing_rules table.
+ * Only the rules of the user who owns the dialed number (phone_numbers) are
+ * considered. They are tried in priority order and the first one that matches wins:
+ *
+ *   conditions  - toNumbers (dialed number), callers / excludeCallers
+ *                 (caller ID allow and deny lists; "*" matches any digits),
+ *                 countries (Twilio CallerCountry)
+ *   schedule    - business hours in a timezone with holidays; a rule applies
+ *                 while the schedule is open or, with when: "closed", outside it
+ *   action      - ai (optional prompt, voice and greeting), forward (dial a
+ *                 human) or voicemail (a recorded message, or one taken by
+ *                 the AI when the rule has a prompt)
+ *
+ * An empty condition list matches every call. Calls that match no rule, or
+ * dial a number assigned to nobody, are connected to the default AI, as before
+ * routing rules existed. They belong to the number's owner, or to
+ * DEFAULT_CALL_OWNER_ID for numbers assigned to nobody.
+ */
+
+import config from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+import { validatePhoneNumber } from './twilioService.js';
+import { AVAILABLE_VOICES } from './openaiService.js';
+import routingRuleQueries from '../db/queries/routingRules.js';
+import phoneNumberQueries from '../db/queries/phoneNumbers.js';
+import { isValidTimezone, validateWindows, getLocalTime, isWithinWindows } from '../utils/schedule.js';
+
+const logger = createLogger('call-router');
+
+export const ROUTING_ACTIONS = ['ai', 'forward', 'voicemail'];
+
+const CONDITION_LISTS = ['toNumbers', 'callers', 'excludeCallers', 'countries'];
+const CALLER_PATTERN = /^(\+?[\d*]{1,16}|anonymous)$/i;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const MAX_LIST_ENTRIES = 1000;
+const MAX_GREETING_LENGTH = 1000;
+
+/**
+ * Validate a routing rule definition
+ *
+ * @param {Object} data - Rule fields (camelCase)
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateRoutingRule(data) {
+  const errors = [];
+
+  if (!data.name || typeof data.name !== 'string') {
+    errors.push('name is required');
+  }
+
+  if (data.priority !== undefined && !Number.isInteger(data.priority)) {
+    errors.push('priority must be an integer');
+  }
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  if (data.action !== undefined && !ROUTING_ACTIONS.includes(data.action)) {
+    errors.push(`action must be one of: ${ROUTING_ACTIONS.join(', ')}`);
+  }
+
+  if (data.action === 'forward' && !validatePhoneNumber(data.forwardTo || '').valid) {
+    errors.push('forward_to must be an E.164 number when action is forward');
+  }
+
+  if (data.voice != null && !AVAILABLE_VOICES.some((voice) => voice.id === data.voice)) {
+    errors.push(`voice must be one of: ${AVAILABLE_VOICES.map((voice) => voice.id).join(', ')}`);
+  }
+
+  if (data.greeting != null
+    && (typeof data.greeting !== 'string' || data.greeting.length > MAX_GREETING_LENGTH)) {
+    errors.push(`greeting must be a string of at most ${MAX_GREETING_LENGTH} characters`);
+  }
+
+  errors.push(...validateConditions(data.conditions));
+  errors.push(...validateSchedule(data.schedule));
+
+  return { valid: errors.length === 0, errors };
+}
+
+function validateConditions(conditions) {
+  if (conditions === undefined) {
+    return [];
+  }
+
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return ['conditions must be an object'];
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(conditions)) {
+    if (!CONDITION_LISTS.includes(key)) {
+      errors.push(`conditions.${key} is not supported (use ${CONDITION_LISTS.join(', ')})`);
+      continue;
+    }
+
+    const list = conditions[key];
+    if (!Array.isArray(list) || list.length > MAX_LIST_ENTRIES) {
+      errors.push(`conditions.${key} must be an array of at most ${MAX_LIST_ENTRIES} entries`);
+      continue;
+    }
+
+    list.forEach((entry, index) => {
+      const label = `conditions.${key}[${index}]`;
+      if (key === 'toNumbers' && !validatePhoneNumber(entry).valid) {
+        errors.push(`${label} must be an E.164 number`);
+      } else if ((key === 'callers' || key === 'excludeCallers')
+        && (typeof entry !== 'string' || !CALLER_PATTERN.test(entry))) {
+        errors.push(`${label} must be a number, a pattern using * or "anonymous"`);
+      } else if (key === 'countries' && (typeof entry !== 'string' || !COUNTRY_PATTERN.test(entry))) {
+        errors.push(`${label} must be an ISO 3166 alpha-2 code like "US"`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function validateSchedule(schedule) {
+  if (schedule == null) {
+    return [];
+  }
+
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['schedule must be an object'];
+  }
+
+  const errors = [];
+
+  if (!isValidTimezone(schedule.timezone)) {
+    errors.push('schedule.timezone must be a valid IANA timezone');
+  }
+
+  errors.push(...validateWindows(schedule.windows ?? [], 'schedule.windows'));
+
+  if (schedule.holidays !== undefined
+    && (!Array.isArray(schedule.holidays) || schedule.holidays.some((day) => !DATE_PATTERN.test(day)))) {
+    errors.push('schedule.holidays must be an array of YYYY-MM-DD dates');
+  }
+
+  if (schedule.when !== undefined && !['open', 'closed'].includes(schedule.when)) {
+    errors.push('schedule.when must be "open" or "closed"');
+  }
+
+  return errors;
+}
+
+/**
+ * Check if a caller ID matches a number or pattern
+ */
+function matchesCaller(pattern, caller) {
+  if (pattern.toLowerCase() === 'anonymous') {
+    return !caller || caller.toLowerCase() === 'anonymous';
+  }
+
+  const regex = new RegExp(`^${pattern.replace(/\+/g, '\\+').replace(/\*/g, '\\d*')}$`);
+  return regex.test(caller || '');
+}
+
+/**
+ * Check if a schedule is open at a moment
+ *
+ * @param {Object} schedule - {timezone, windows, holidays}
+ * @param {Date} [date] - Moment to check
+ * @returns {boolean} True during business hours on a non-holiday
+ */
+export function isScheduleOpen(schedule, date = new Date()) {
+  const { date: localDate } = getLocalTime(schedule.timezone, date);
+
+  if (schedule.holidays?.includes(localDate)) {
+    return false;
+  }
+
+  return isWithinWindows(schedule.windows, schedule.timezone, date);
+}
+
+/**
+ * Check one rule against a call
+ *
+ * @param {Object} rule - routing_rules row
+ * @param {Object} call - {to, from, country}
+ * @param {Date} [date] - Moment of the call
+ * @returns {{matched: boolean, reason: string|null}} Reason names the first check that failed
+ */
+export function evaluateRule(rule, call, date = new Date()) {
+  const conditions = rule.conditions || {};
+
+  if (!rule.enabled) {
+    return { matched: false, reason: 'disabled' };
+  }
+
+  if (conditions.toNumbers?.length && !conditions.toNumbers.includes(call.to)) {
+    return { matched: false, reason: 'to_number' };
+  }
+
+  if (conditions.callers?.length && !conditions.callers.some((pattern) => matchesCaller(pattern, call.from))) {
+    return { matched: false, reason: 'caller_not_listed' };
+  }
+
+  if (conditions.excludeCallers?.some((pattern) => matchesCaller(pattern, call.from))) {
+    return { matched: false, reason: 'caller_excluded' };
+  }
+
+  if (conditions.countries?.length && !conditions.countries.includes(call.country)) {
+    return { matched: false, reason: 'country' };
+  }
+
+  if (rule.schedule) {
+    const open = isScheduleOpen(rule.schedule, date);
+    const wantOpen = (rule.schedule.when || 'open') === 'open';
+    if (open !== wantOpen) {
+      return { matched: false, reason: wantOpen ? 'schedule_closed' : 'schedule_open' };
+    }
+  }
+
+  return { matched: true, reason: null };
+}
+
+/**
+ * Find the first matching rule
+ *
+ * @param {Object[]} rules - Rules in priority order
+ * @param {Object} call - {to, from, country}
+ * @param {Date} [date] - Moment of the call
+ * @returns {{rule: Object|null, evaluations: Object[]}} Winning rule and every rule checked
+ */
+export function resolveRoute(rules, call, date = new Date()) {
+  const evaluations = [];
+
+  for (const rule of rules) {
+    const result = evaluateRule(rule, call, date);
+    evaluations.push({ rule, ...result });
+
+    if (result.matched) {
+      return { rule, evaluations };
+    }
+  }
+
+  return { rule: null, evaluations };
+}
+
+/**
+ * Pick the rule for a live inbound call
+ *
+ * @param {Object} call - {to, from, country} from the Twilio webhook
+ * @returns {Promise<Object|null>} Matching rule, or null for the default AI
+ */
+export async function routeInboundCall(call) {
+  const rules = call.to ? await routingRuleQueries.getEnabledRules(call.to) : [];
+  const { rule } = resolveRoute(rules, call);
+
+  logger.info('Inbound call routed', {
+    to: call.to,
+    from: call.from,
+    ruleId: rule?.id || null,
+    action: rule?.action || 'ai',
+  });
+
+  return rule;
+}
+
+/**
+ * Get the owner of an inbound call that no rule matched
+ * That is the dialed number's owner or, for numbers assigned to nobody,
+ * DEFAULT_CALL_OWNER_ID.
+ *
+ * @param {string} toNumber - Dialed number (Twilio To)
+ * @returns {Promise<string|null>} Owner user ID, or null if the call belongs to nobody
+ */
+export async function getInboundCallOwner(toNumber) {
+  const owner = (toNumber && await phoneNumberQueries.getNumberOwner(toNumber))
+    || config.twilio.defaultCallOwnerId;
+
+  if (!owner) {
+    logger.warn('Inbound call has no owner; it will not be logged to a user or analyzed', { to: toNumber });
+  }
+
+  return owner;
+}
+
+export default {
+  ROUTING_ACTIONS,
+  validateRoutingRule,
+  isScheduleOpen,
+  evaluateRule,
+  resolveRoute,
+  routeInboundCall,
+  getInboundCallOwner,
+};
@@ -0,0 +1,475 @@
+/**
+ * Campaign Dialer for VoiceAI Pro
+ *
+ * Works through outbound campaigns in the background. On every tick it looks
+ * at running campaigns, fills free concurrency slots with contacts that are
+ * due and inside their local calling window, and dials them through
+ * twilioService. Outcomes arrive through the /twiml/status callback and
+ * decide whether a contact is done, failed, or scheduled for a retry.
+ *
+ * Contact lifecycle:
+ *   pending -> dialing -> completed | failed | retry_scheduled -> dialing ...
+ * Cancelling a campaign moves contacts that are not yet dialing to cancelled.
+ */
+
+import config from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+import { initiateOutgoingCall, validatePhoneNumber } from './twilioService.js';
+import campaignQueries from '../db/queries/campaigns.js';
+import { getPrompt } from '../db/queries/prompts.js';
+import { validateVariables } from './promptTemplate.js';
+import { isValidTimezone, validateWindows, isWithinWindows } from '../utils/schedule.js';
+
+const logger = createLogger('campaign-dialer');
+
+// Twilio CallStatus values that end an attempt
+const TERMINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Outcomes that may be retried
+const RETRYABLE_OUTCOMES = ['busy', 'no-answer', 'failed'];
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  retryDelayMinutes: 30,
+  retryOn: ['busy', 'no-answer'],
+};
+
+// Limits for campaign definitions
+const MAX_CONCURRENT_LIMIT = 50;
+const MAX_ATTEMPTS_LIMIT = 10;
+const MAX_CONTACTS_PER_REQUEST = 5000;
+
+// Allowed status transitions for campaign control
+const TRANSITIONS = {
+  start: { to: 'running', from: ['draft'] },
+  pause: { to: 'paused', from: ['running'] },
+  resume: { to: 'running', from: ['paused'] },
+  cancel: { to: 'cancelled', from: ['draft', 'running', 'paused'] },
+};
+
+let tickInterval = null;
+let tickInProgress = false;
+let tickRequested = false;
+
+/**
+ * Error raised for invalid campaign definitions or control actions
+ */
+export class CampaignError extends Error {
+  constructor(message, code = 'CAMPAIGN_ERROR', details = null) {
+    super(message);
+    this.name = 'CampaignError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Fill in defaults for a retry policy
+ *
+ * @param {Object} [policy] - Stored or requested retry policy
+ * @returns {{maxAttempts: number, retryDelayMinutes: number, retryOn: string[]}}
+ */
+export function normalizeRetryPolicy(policy = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+}
+
+/**
+ * Validate a campaign definition
+ *
+ * @param {Object} data - Campaign fields (camelCase)
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateCampaign(data) {
+  const errors = [];
+
+  if (!data.name || typeof data.name !== 'string') {
+    errors.push('name is required');
+  }
+
+  if (data.maxConcurrent !== undefined
+    && (!Number.isInteger(data.maxConcurrent) || data.maxConcurrent < 1 || data.maxConcurrent > MAX_CONCURRENT_LIMIT)) {
+    errors.push(`max_concurrent must be an integer between 1 and ${MAX_CONCURRENT_LIMIT}`);
+  }
+
+  if (data.fromNumber !== undefined && data.fromNumber !== null && !validatePhoneNumber(data.fromNumber).valid) {
+    errors.push('from must be in E.164 format');
+  }
+
+  if (data.timezone !== undefined && !isValidTimezone(data.timezone)) {
+    errors.push(`timezone "${data.timezone}" is not a valid IANA timezone`);
+  }
+
+  if (data.callingWindows !== undefined) {
+    errors.push(...validateWindows(data.callingWindows, 'calling_windows'));
+  }
+
+  if (data.retryPolicy !== undefined) {
+    const policy = data.retryPolicy;
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      errors.push('retry_policy must be an object');
+    } else {
+      if (policy.maxAttempts !== undefined
+        && (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1 || policy.maxAttempts > MAX_ATTEMPTS_LIMIT)) {
+        errors.push(`retry_policy.maxAttempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}`);
+      }
+      if (policy.retryDelayMinutes !== undefined
+        && (typeof policy.retryDelayMinutes !== 'number' || policy.retryDelayMinutes < 0)) {
+        errors.push('retry_policy.retryDelayMinutes must be a non-negative number');
+      }
+      if (policy.retryOn !== undefined
+        && (!Array.isArray(policy.retryOn) || policy.retryOn.some((o) => !RETRYABLE_OUTCOMES.includes(o)))) {
+        errors.push(`retry_policy.retryOn may only contain: ${RETRYABLE_OUTCOMES.join(', ')}`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate and normalize contacts from a request body
+ *
+ * @param {Object[]} contacts - [{phone_number, variables, timezone}]
+ * @returns {{contacts: Object[], errors: string[]}} Normalized contacts and errors
+ */
+export function validateContacts(contacts) {
+  const errors = [];
+
+  if (!Array.isArray(contacts)) {
+    return { contacts: [], errors: ['contacts must be an array'] };
+  }
+
+  if (contacts.length > MAX_CONTACTS_PER_REQUEST) {
+    return { contacts: [], errors: [`At most ${MAX_CONTACTS_PER_REQUEST} contacts can be added per request`] };
+  }
+
+  const normalized = [];
+
+  contacts.forEach((contact, index) => {
+    const label = `contacts[${index}]`;
+    const phoneNumber = typeof contact === 'string' ? contact : contact?.phone_number;
+
+    if (!validatePhoneNumber(phoneNumber || '').valid) {
+      errors.push(`${label}.phone_number must be in E.164 format`);
+      return;
+    }
+
+    const variables = contact?.variables ?? {};
+    const variableValidation = validateVariables(variables);
+    if (!variableValidation.valid) {
+      errors.push(...variableValidation.errors.map((error) => `${label}.variables: ${error}`));
+      return;
+    }
+
+    if (contact?.timezone !== undefined && !isValidTimezone(contact.timezone)) {
+      errors.push(`${label}.timezone "${contact.timezone}" is not a valid IANA timezone`);
+      return;
+    }
+
+    normalized.push({ phoneNumber, variables, timezone: contact?.timezone || null });
+  });
+
+  return { contacts: normalized, errors };
+}
+
+/**
+ * Check if a moment falls inside any calling window in a timezone
+ *
+ * @param {Object[]} windows - [{days, start, end}]; empty means any time
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [date] - Moment to check
+ * @returns {boolean} True if calling is allowed
+ */
+export function isWithinCallingWindows(windows, timezone, date = new Date()) {
+  return isWithinWindows(windows, timezone, date);
+}
+
+/**
+ * Change a campaign's status
+ *
+ * @param {string} campaignId - Campaign UUID
+ * @param {'start'|'pause'|'resume'|'cancel'} action - Control action
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object>} Updated campaign
+ * @throws {CampaignError} If the campaign is missing or the action is not allowed
+ */
+export async function controlCampaign(campaignId, action, userId) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new CampaignError(`Unknown campaign action: ${action}`, 'INVALID_ACTION');
+  }
+
+  const campaign = await campaignQueries.getCampaign(campaignId, userId);
+  if (!campaign) {
+    throw new CampaignError(`Campaign not found: ${campaignId}`, 'NOT_FOUND');
+  }
+
+  // Calls would silently run on the default AI without the campaign's prompt
+  if ((action === 'start' || action === 'resume') && campaign.prompt_id
+    && !(await getPrompt(campaign.prompt_id, campaign.user_id))) {
+    throw new CampaignError(`Campaign prompt not found: ${campaign.prompt_id}`, 'INVALID_PROMPT', { prompt_id: campaign.prompt_id });
+  }
+
+  const updated = await campaignQueries.transitionCampaign(campaignId, transition.to, transition.from);
+  if (!updated) {
+    throw new CampaignError(
+      `Cannot ${action} a campaign that is ${campaign.status}`,
+      'INVALID_STATE',
+      { status: campaign.status, allowedFrom: transition.from }
+    );
+  }
+
+  // Calls already in progress are left to finish; only waiting contacts are cancelled
+  if (action === 'cancel') {
+    const cancelled = await campaignQueries.cancelOpenContacts(campaignId);
+    logger.info('Campaign cancelled', { campaignId, contactsCancelled: cancelled });
+  }
+
+  if (updated.status === 'running') {
+    requestTick();
+  }
+
+  return updated;
+}
+
+/**
+ * Dial one claimed contact
+ */
+async function dialContact(campaign, contact) {
+  try {
+    const call = await initiateOutgoingCall({
+      to: contact.phone_number,
+      from: campaign.from_number || config.twilio.phoneNumber,
+      userId: campaign.user_id,
+      promptId: campaign.prompt_id,
+      sessionConfig: campaign.session_config || undefined,
+      variables: contact.variables,
+    });
+
+    await campaignQueries.createAttempt(contact, { callSid: call.sid });
+
+    logger.info('Campaign contact dialed', {
+      campaignId: campaign.id,
+      contactId: contact.id,
+      callSid: call.sid,
+      attempt: contact.attempts,
+    });
+  } catch (error) {
+    logger.error('Campaign dial failed', {
+      campaignId: campaign.id,
+      contactId: contact.id,
+      error: error.message,
+    });
+
+    await campaignQueries.createAttempt(contact, { status: 'failed', errorMessage: error.message });
+    await applyOutcome({
+      contactId: contact.id,
+      attempts: contact.attempts,
+      retryPolicy: campaign.retry_policy,
+      campaignStatus: campaign.status,
+    }, 'failed');
+  }
+}
+
+/**
+ * Fill free concurrency slots for one running campaign
+ */
+async function processCampaign(campaign) {
+  const dialing = await campaignQueries.countDialingContacts(campaign.id);
+  const available = campaign.max_concurrent - dialing;
+  if (available <= 0) {
+    return;
+  }
+
+  // Fetch extra candidates since some may be outside their calling window
+  const candidates = await campaignQueries.getDueContacts(campaign.id, available * 5);
+  if (candidates.length === 0) {
+    if (dialing === 0) {
+      await campaignQueries.completeCampaignIfDone(campaign.id);
+    }
+    return;
+  }
+
+  let started = 0;
+  for (const candidate of candidates) {
+    if (started >= available) {
+      break;
+    }
+
+    const timezone = candidate.timezone || campaign.timezone;
+    if (!isWithinCallingWindows(campaign.calling_windows, timezone)) {
+      continue;
+    }
+
+    const contact = await campaignQueries.claimContact(candidate.id);
+    if (!contact) {
+      continue;
+    }
+
+    started++;
+    await dialContact(campaign, contact);
+  }
+}
+
+/**
+ * Run one dialer pass over all running campaigns
+ */
+async function tick() {
+  if (tickInProgress) {
+    tickRequested = true;
+    return;
+  }
+
+  tickInProgress = true;
+
+  try {
+    const stale = await campaignQueries.failStaleDialingContacts(config.campaigns.staleDialMinutes);
+    for (const campaignId of new Set(stale.map((c) => c.campaign_id))) {
+      await campaignQueries.completeCampaignIfDone(campaignId);
+    }
+
+    const campaigns = await campaignQueries.getRunningCampaigns();
+    for (const campaign of campaigns) {
+      try {
+        await processCampaign(campaign);
+      } catch (error) {
+        logger.error('Failed to process campaign', { campaignId: campaign.id, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Campaign dialer tick failed', { error: error.message });
+  } finally {
+    tickInProgress = false;
+  }
+
+  if (tickRequested) {
+    tickRequested = false;
+    setImmediate(tick);
+  }
+}
+
+/**
+ * Run a dialer pass soon (e.g. after a slot frees up)
+ */
+function requestTick() {
+  if (tickInterval) {
+    setImmediate(tick);
+  }
+}
+
+/**
+ * Decide what happens to a contact after an attempt ends
+ */
+async function applyOutcome(attempt, outcome) {
+  const policy = normalizeRetryPolicy(attempt.retryPolicy);
+
+  let status;
+  let nextAttemptAt = null;
+
+  if (outcome === 'completed') {
+    status = 'completed';
+  } else if (attempt.campaignStatus === 'cancelled') {
+    status = 'cancelled';
+  } else if (policy.retryOn.includes(outcome) && attempt.attempts < policy.maxAttempts) {
+    status = 'retry_scheduled';
+    nextAttemptAt = new Date(Date.now() + policy.retryDelayMinutes * 60 * 1000);
+  } else {
+    status = 'failed';
+  }
+
+  const updated = await campaignQueries.setContactOutcome(attempt.contactId, { status, outcome, nextAttemptAt });
+
+  if (updated) {
+    logger.info('Campaign contact outcome', {
+      contactId: attempt.contactId,
+      outcome,
+      status,
+      attempts: attempt.attempts,
+      nextAttemptAt,
+    });
+  }
+
+  return status;
+}
+
+/**
+ * Record a Twilio status callback for a campaign call
+ * Calls that were not placed by a campaign are ignored.
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {string} callStatus - Twilio CallStatus
+ * @param {string|number} [callDuration] - CallDuration in seconds
+ * @returns {Promise<boolean>} True if the call belonged to a campaign
+ */
+export async function handleCampaignCallStatus(callSid, callStatus, callDuration) {
+  const attempt = await campaignQueries.getAttemptByCallSid(callSid);
+  if (!attempt) {
+    return false;
+  }
+
+  const isTerminal = TERMINAL_CALL_STATUSES.includes(callStatus);
+
+  await campaignQueries.updateAttempt(callSid, {
+    status: callStatus,
+    outcome: isTerminal ? callStatus : null,
+    durationSeconds: callDuration ? parseInt(callDuration, 10) : null,
+  });
+
+  if (!isTerminal || attempt.outcome) {
+    return true;
+  }
+
+  await applyOutcome({
+    contactId: attempt.contact_id,
+    attempts: attempt.attempts,
+    retryPolicy: attempt.retry_policy,
+    campaignStatus: attempt.campaign_status,
+  }, callStatus);
+
+  await campaignQueries.completeCampaignIfDone(attempt.campaign_id);
+
+  // A concurrency slot just freed up
+  requestTick();
+
+  return true;
+}
+
+/**
+ * Start the background dialer
+ */
+export function startCampaignDialer() {
+  if (tickInterval) {
+    return;
+  }
+
+  tickInterval = setInterval(tick, config.campaigns.tickIntervalMs);
+  logger.info('Campaign dialer started', { tickIntervalMs: config.campaigns.tickIntervalMs });
+
+  setImmediate(tick);
+}
+
+/**
+ * Stop the background dialer
+ * Calls in progress are not affected.
+ */
+export function stopCampaignDialer() {
+  if (!tickInterval) {
+    return;
+  }
+
+  clearInterval(tickInterval);
+  tickInterval = null;
+  logger.info('Campaign dialer stopped');
+}
+
+export default {
+  CampaignError,
+  normalizeRetryPolicy,
+  validateCampaign,
+  validateContacts,
+  isWithinCallingWindows,
+  controlCampaign,
+  handleCampaignCallStatus,
+  startCampaignDialer,
+  stopCampaignDialer,
+};
@@ -0,0 +1,232 @@
+/**
+ * Conversation History
+ *
+ * A running copy of each call's OpenAI conversation, so that a realtime
+ * session opened after a dropped connection can be given the conversation
+ * so far instead of starting from nothing.
+ *
+ * Items are recorded in the order OpenAI creates them (conversation.item.created)
+ * and filled in as their text becomes known: the caller's words when their
+ * transcription completes, the AI's when its transcript is done (cut to what
+ * the caller actually heard if they interrupted). Audio is not kept; replay
+ * turns every message into text.
+ *
+ * Replayed items reuse their original IDs, so the created events they cause
+ * in the new session are recognised and not recorded twice.
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('conversation-history');
+
+// Only the most recent part of a long call is replayed
+const MAX_REPLAY_ITEMS = 60;
+const MAX_REPLAY_CHARS = 24000;
+
+// Items kept per call; older ones could never be replayed anyway
+const MAX_HISTORY_ITEMS = MAX_REPLAY_ITEMS * 2;
+
+// Conversation per call: {items: [], byId: Map}
+const histories = new Map();
+
+function getHistory(callSid) {
+  let history = histories.get(callSid);
+  if (!history) {
+    history = { items: [], byId: new Map() };
+    histories.set(callSid, history);
+  }
+  return history;
+}
+
+function addEntry(history, entry) {
+  history.items.push(entry);
+  history.byId.set(entry.id, entry);
+
+  while (history.items.length > MAX_HISTORY_ITEMS) {
+    history.byId.delete(history.items.shift().id);
+  }
+}
+
+/**
+ * Text of a message item's content parts (typed text, or audio transcripts)
+ */
+function contentText(content) {
+  if (!Array.isArray(content)) {
+    return null;
+  }
+
+  const parts = content
+    .map((part) => part.text ?? part.transcript ?? null)
+    .filter((text) => typeof text === 'string' && text.length > 0);
+
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Record an item OpenAI added to the conversation
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} item - Item from conversation.item.created
+ * @returns {boolean} True if the item was new
+ */
+export function recordItem(callSid, item) {
+  if (!item?.id) {
+    return false;
+  }
+
+  const history = getHistory(callSid);
+  if (history.byId.has(item.id)) {
+    return false;
+  }
+
+  if (item.type === 'message') {
+    addEntry(history, { id: item.id, type: 'message', role: item.role, text: contentText(item.content) });
+  } else if (item.type === 'function_call') {
+    addEntry(history, {
+      id: item.id,
+      type: 'function_call',
+      callId: item.call_id,
+      name: item.name,
+      arguments: item.arguments || null,
+    });
+  } else if (item.type === 'function_call_output') {
+    addEntry(history, { id: item.id, type: 'function_call_output', callId: item.call_id, output: item.output });
+  } else {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Set a message's text once it is known (transcription or transcript done)
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {string} itemId - Conversation item ID
+ * @param {string} role - user or assistant, if the item has to be added
+ * @param {string} text - What was said; empty if nothing was heard
+ */
+export function setItemText(callSid, itemId, role, text) {
+  if (!itemId) {
+    return;
+  }
+
+  const history = getHistory(callSid);
+  const entry = history.byId.get(itemId);
+
+  if (entry) {
+    entry.text = text;
+  } else {
+    addEntry(history, { id: itemId, type: 'message', role, text });
+  }
+}
+
+/**
+ * Fill in a function call's arguments (they stream in after the item is created)
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} call - {itemId, callId, name, arguments}
+ */
+export function setFunctionCall(callSid, { itemId, callId, name, arguments: args }) {
+  const history = getHistory(callSid);
+  const entry = itemId
+    ? history.byId.get(itemId)
+    : history.items.find((item) => item.type === 'function_call' && item.callId === callId);
+
+  if (entry) {
+    entry.arguments = args;
+  } else if (itemId) {
+    addEntry(history, { id: itemId, type: 'function_call', callId, name, arguments: args });
+  }
+}
+
+/**
+ * Build the events that give a new realtime session the conversation so far
+ * Messages with no known text (audio still being transcribed) are left out,
+ * as are tool results whose call did not make the cut.
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @returns {Object[]} conversation.item.create events, oldest first
+ */
+export function buildReplayEvents(callSid) {
+  const history = histories.get(callSid);
+  if (!history) {
+    return [];
+  }
+
+  const selected = [];
+  let chars = 0;
+
+  for (let i = history.items.length - 1; i >= 0 && selected.length < MAX_REPLAY_ITEMS; i--) {
+    const entry = history.items[i];
+    const size = entry.type === 'message'
+      ? entry.text?.length || 0
+      : (entry.arguments?.length || 0) + (entry.output?.length || 0);
+
+    if (entry.type === 'message' && !entry.text) {
+      continue;
+    }
+    if (chars + size > MAX_REPLAY_CHARS) {
+      break;
+    }
+
+    chars += size;
+    selected.unshift(entry);
+  }
+
+  const calls = new Set(selected.filter((entry) => entry.type === 'function_call').map((entry) => entry.callId));
+
+  const events = [];
+  for (const entry of selected) {
+    let item;
+
+    if (entry.type === 'message') {
+      item = {
+        id: entry.id,
+        type: 'message',
+        role: entry.role,
+        content: [{ type: entry.role === 'assistant' ? 'output_text' : 'input_text', text: entry.text }],
+      };
+    } else if (entry.type === 'function_call') {
+      item = {
+        id: entry.id,
+        type: 'function_call',
+        call_id: entry.callId,
+        name: entry.name,
+        arguments: entry.arguments || '{}',
+      };
+    } else if (calls.has(entry.callId)) {
+      item = { id: entry.id, type: 'function_call_output', call_id: entry.callId, output: entry.output };
+    } else {
+      continue;
+    }
+
+    events.push({ type: 'conversation.item.create', item });
+  }
+
+  logger.debug('Built conversation replay', {
+    callSid,
+    items: events.length,
+    skipped: history.items.length - events.length,
+    chars,
+  });
+
+  return events;
+}
+
+/**
+ * Forget a call's conversation (it ended)
+ *
+ * @param {string} callSid - Twilio Call SID
+ */
+export function clearConversation(callSid) {
+  histories.delete(callSid);
+}
+
+export default {
+  recordItem,
+  setItemText,
+  setFunctionCall,
+  buildReplayEvents,
+  clearConversation,
+};
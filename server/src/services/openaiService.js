@@ -246,6 +246,139 @@ export function parseOpenAIEvent(eventData) {
   }
 }
 
+async function readOpenAIError(response) {
+  const body = await response.text();
+  try {
+    return JSON.parse(body).error?.message || body;
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Transcribe a recorded audio file (REST, not the realtime session)
+ *
+ * @param {Buffer} audio - File contents
+ * @param {Object} [options] - Transcription options
+ * @param {string} [options.filename='audio.wav'] - File name; its extension tells OpenAI the format
+ * @param {string} [options.contentType='audio/wav'] - MIME type
+ * @param {string} [options.model] - Transcription model (defaults to OPENAI_TRANSCRIPTION_MODEL)
+ * @returns {Promise<string>} Transcript text
+ */
+export async function transcribeAudio(audio, options = {}) {
+  const {
+    filename = 'audio.wav',
+    contentType = 'audio/wav',
+    model = config.openai.transcriptionModel,
+  } = options;
+
+  const form = new FormData();
+  form.append('model', model);
+  form.append('response_format', 'json');
+  form.append('file', new Blob([audio], { type: contentType }), filename);
+
+  const response = await fetch(`${config.openai.apiBaseUrl}/audio/transcriptions`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${config.openai.apiKey}` },
+    body: form,
+  });
+
+  if (!response.ok) {
+    throw new Error(`OpenAI transcription failed (${response.status}): ${await readOpenAIError(response)}`);
+  }
+
+  const result = await response.json();
+  logger.debug('Audio transcribed', { model, bytes: audio.length, characters: result.text?.length || 0 });
+
+  return result.text || '';
+}
+
+/**
+ * Synthesize speech (REST, not the realtime session)
+ *
+ * @param {string} text - What to say
+ * @param {Object} [options] - Speech options
+ * @param {string} [options.voice] - Voice (defaults to the realtime default voice)
+ * @param {string} [options.model] - Speech model (defaults to OPENAI_TTS_MODEL)
+ * @returns {Promise<Int16Array>} PCM16 mono audio at 24kHz
+ */
+export async function synthesizeSpeech(text, options = {}) {
+  const {
+    voice = config.openai.defaultVoice,
+    model = config.openai.ttsModel,
+  } = options;
+
+  const response = await fetch(`${config.openai.apiBaseUrl}/audio/speech`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${config.openai.apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ model, voice, input: text, response_format: 'pcm' }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`OpenAI speech failed (${response.status}): ${await readOpenAIError(response)}`);
+  }
+
+  const audio = new Uint8Array(await response.arrayBuffer());
+  logger.debug('Speech synthesized', { model, voice, bytes: audio.length });
+
+  return new Int16Array(audio.buffer, 0, audio.length >> 1);
+}
+
+/**
+ * Ask a text model for JSON matching a schema
+ *
+ * @param {Object} options - Extraction options
+ * @param {string} options.instructions - System instructions
+ * @param {string} options.input - Text to extract from
+ * @param {string} options.schemaName - Name for the JSON schema
+ * @param {Object} options.schema - JSON schema (strict mode: every property required, no extras)
+ * @param {string} [options.model] - Text model (defaults to OPENAI_TEXT_MODEL)
+ * @returns {Promise<Object>} Parsed JSON
+ */
+export async function extractStructured(options) {
+  const {
+    instructions,
+    input,
+    schemaName,
+    schema,
+    model = config.openai.textModel,
+  } = options;
+
+  const response = await fetch(`${config.openai.apiBaseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${config.openai.apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model,
+      messages: [
+        { role: 'system', content: instructions },
+        { role: 'user', content: input },
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: schemaName, schema, strict: true },
+      },
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`OpenAI extraction failed (${response.status}): ${await readOpenAIError(response)}`);
+  }
+
+  const result = await response.json();
+  const content = result.choices?.[0]?.message?.content;
+  if (!content) {
+    throw new Error('OpenAI extraction returned no content');
+  }
+
+  return JSON.parse(content);
+}
+
 export const AVAILABLE_VOICES = [
   { id: 'marin', name: 'Marin', description: 'Professional, clear', recommended: 'Assistants' },
   { id: 'cedar', name: 'Cedar', description: 'Natural, conversational', recommended: 'Support agents' },
@@ -293,6 +426,9 @@ export default {
   buildFunctionResultEvent,
   buildTruncateEvent,
   parseOpenAIEvent,
+  transcribeAudio,
+  synthesizeSpeech,
+  extractStructured,
   AVAILABLE_VOICES,
   AVAILABLE_MODELS,
   VAD_TYPES,
@@ -0,0 +1,338 @@
+/**
+ * Operator Takeover and Whisper
+ *
+ * Lets the owner of a live call step in from the iOS app:
+ *
+ *   takeover - the operator talks to the caller directly. Their audio goes down
+ *              the Twilio leg (and into the recording) and the caller's audio is
+ *              relayed back to them. The AI stops speaking and stops
+ *              auto-responding, but its VAD keeps transcribing the caller, so
+ *              the model still has the whole conversation when control returns.
+ *   whisper  - a private instruction to the AI, added to the conversation as a
+ *              system message; the caller hears nothing.
+ *
+ * One operator holds a call at a time. A takeover ends when the operator hands
+ * back, their socket closes, or the call ends.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { logEvent } from './eventLogger.js';
+import { appendAIAudio } from './recordingService.js';
+import { forkOutboundAudio } from './callMonitor.js';
+import { mulawToPCM16_24k, PCM16ToMulawStream } from '../audio/converter.js';
+import {
+  interruptResponse,
+  setAutoResponse,
+  sendTextMessage,
+  createManualResponse,
+} from '../websocket/openaiRealtimeHandler.js';
+import { sendAudioToTwilio } from '../websocket/twilioMediaHandler.js';
+import connectionManager from '../websocket/connectionManager.js';
+
+const logger = createLogger('operator-control');
+
+export const OPERATOR_AUDIO_ENCODINGS = ['pcm16', 'mulaw'];
+
+// One second of 24kHz PCM16; operators should send ~20-100ms chunks
+const MAX_AUDIO_CHUNK_BYTES = 48000;
+
+// Skip relaying caller audio to an operator whose socket has fallen this far behind
+const MAX_OPERATOR_BUFFERED_BYTES = 256 * 1024;
+
+const MAX_WHISPER_LENGTH = 2000;
+
+// Active takeover per call
+const takeovers = new Map();
+
+export class OperatorError extends Error {
+  constructor(message, code = 'OPERATOR_ERROR') {
+    super(message);
+    this.name = 'OperatorError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check whether an operator is talking on a call
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @returns {boolean} True during a takeover
+ */
+export function isTakenOver(callSid) {
+  return takeovers.has(callSid);
+}
+
+function sendToOperator(ws, type, payload) {
+  if (ws.readyState !== 1) {
+    return;
+  }
+
+  try {
+    ws.send(JSON.stringify({ type, timestamp: new Date().toISOString(), payload }));
+  } catch (error) {
+    logger.debug('Failed to send to operator', { type, error: error.message });
+  }
+}
+
+function logOperatorEvent(session, type, payload) {
+  logEvent(session.id, `operator.${type}`, 'outgoing', payload, { callSid: session.callSid })
+    .catch((err) => {
+      logger.error('Failed to log operator event', { callSid: session.callSid, type, error: err.message });
+    });
+}
+
+/**
+ * Hand the call to an operator
+ *
+ * @param {Object} session - The call session (already checked to belong to the operator)
+ * @param {Object} operator - {ws, userId, deviceId}
+ * @returns {{startedAt: Date}} Takeover details
+ * @throws {OperatorError} If someone else already holds the call
+ */
+export function startTakeover(session, operator) {
+  const existing = takeovers.get(session.callSid);
+  if (existing) {
+    if (existing.ws === operator.ws) {
+      return { startedAt: existing.startedAt };
+    }
+    throw new OperatorError('Another operator has already taken over this call', 'TAKEOVER_ACTIVE');
+  }
+
+  if (!session.streamSid) {
+    throw new OperatorError('Call audio is not connected yet', 'CALL_NOT_CONNECTED');
+  }
+
+  const takeover = {
+    ws: operator.ws,
+    userId: operator.userId,
+    deviceId: operator.deviceId,
+    startedAt: new Date(),
+    transcriptCount: session.transcripts.length,
+    converter: new PCM16ToMulawStream(),
+  };
+  takeovers.set(session.callSid, takeover);
+
+  // Silence the AI mid-sentence, then keep it listening but quiet
+  interruptResponse(session);
+  setAutoResponse(session, false);
+
+  session.broadcastEvent('operator.takeover.started', {
+    deviceId: operator.deviceId,
+    startedAt: takeover.startedAt.toISOString(),
+  });
+  logOperatorEvent(session, 'takeover_started', { deviceId: operator.deviceId });
+
+  logger.info('Operator took over call', { callSid: session.callSid, deviceId: operator.deviceId });
+
+  return { startedAt: takeover.startedAt };
+}
+
+/**
+ * Give the call back to the AI
+ *
+ * @param {Object} session - The call session
+ * @param {Object} [options] - Hand-back options
+ * @param {string} [options.note] - What the operator wants the AI to know (e.g. what was agreed)
+ * @param {boolean} [options.respond=false] - Have the AI speak next instead of waiting for the caller
+ * @param {string} [options.reason='operator'] - Why the takeover ended
+ * @returns {{durationSeconds: number}|null} Takeover summary, or null if none was active
+ */
+export function endTakeover(session, options = {}) {
+  const { note, respond = false, reason = 'operator' } = options;
+
+  const takeover = takeovers.get(session.callSid);
+  if (!takeover) {
+    return null;
+  }
+
+  takeovers.delete(session.callSid);
+
+  const durationSeconds = Math.round((Date.now() - takeover.startedAt.getTime()) / 1000);
+  const callerTurns = session.transcripts.length - takeover.transcriptCount;
+
+  // The caller's side is already in the conversation; the operator's is not
+  let context = `A human operator took over this call for ${durationSeconds} seconds and spoke with the caller directly. `
+    + 'The caller\'s words during that time are in the conversation above; the operator\'s words are not. ';
+  if (note) {
+    context += `Operator's note: "${note}". `;
+  }
+  context += 'You are back on the call. Continue naturally without mentioning the handover unless the caller does.';
+
+  sendTextMessage(session, context, 'system');
+  setAutoResponse(session, true);
+
+  if (respond) {
+    createManualResponse(session);
+  }
+
+  session.broadcastEvent('operator.takeover.ended', {
+    deviceId: takeover.deviceId,
+    reason,
+    durationSeconds,
+  });
+  logOperatorEvent(session, 'takeover_ended', {
+    deviceId: takeover.deviceId,
+    reason,
+    durationSeconds,
+    callerTurns,
+    hasNote: !!note,
+  });
+
+  logger.info('Call handed back to AI', { callSid: session.callSid, reason, durationSeconds });
+
+  return { durationSeconds };
+}
+
+/**
+ * Play operator audio to the caller
+ *
+ * @param {Object} session - The call session
+ * @param {WebSocket} ws - Operator socket; must hold the takeover
+ * @param {string} audio - Base64 audio chunk
+ * @param {string} [encoding='pcm16'] - pcm16 (24kHz mono) or mulaw (8kHz)
+ * @throws {OperatorError} If the socket does not hold the call or the chunk is invalid
+ */
+export function sendOperatorAudio(session, ws, audio, encoding = 'pcm16') {
+  const takeover = takeovers.get(session.callSid);
+  if (takeover?.ws !== ws) {
+    throw new OperatorError('Take over the call before sending audio', 'NOT_IN_TAKEOVER');
+  }
+
+  if (!OPERATOR_AUDIO_ENCODINGS.includes(encoding)) {
+    throw new OperatorError(`encoding must be one of: ${OPERATOR_AUDIO_ENCODINGS.join(', ')}`, 'INVALID_AUDIO');
+  }
+
+  const bytes = Buffer.from(audio, 'base64');
+  if (bytes.length === 0 || bytes.length > MAX_AUDIO_CHUNK_BYTES) {
+    throw new OperatorError(`Audio chunks must be 1-${MAX_AUDIO_CHUNK_BYTES} bytes`, 'INVALID_AUDIO');
+  }
+
+  let mulawBase64;
+  let pcm24k;
+
+  if (encoding === 'mulaw') {
+    mulawBase64 = audio;
+    pcm24k = mulawToPCM16_24k(bytes);
+  } else {
+    // Copy to an aligned buffer; base64-decoded Buffers may start at an odd offset
+    pcm24k = new Int16Array(new Uint8Array(bytes).buffer, 0, bytes.length >> 1);
+    mulawBase64 = takeover.converter.processBase64(audio);
+  }
+
+  if (mulawBase64) {
+    sendAudioToTwilio(session, mulawBase64);
+  }
+
+  // The operator replaces the AI on the outbound side of the recording
+  if (session.isRecording) {
+    appendAIAudio(session.callSid, pcm24k);
+  }
+  forkOutboundAudio(session.callSid, pcm24k);
+}
+
+/**
+ * Relay caller audio to the operator holding the call
+ * Called for every Twilio media frame; a no-op outside a takeover.
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {string} mulawBase64 - Twilio media payload (8kHz μ-law)
+ * @param {number} timestamp - Twilio media timestamp (ms)
+ */
+export function relayCallerAudio(callSid, mulawBase64, timestamp) {
+  const takeover = takeovers.get(callSid);
+  if (!takeover || takeover.ws.bufferedAmount > MAX_OPERATOR_BUFFERED_BYTES) {
+    return;
+  }
+
+  sendToOperator(takeover.ws, 'call.takeover.caller_audio', {
+    call_sid: callSid,
+    audio: mulawBase64,
+    encoding: 'mulaw',
+    sample_rate: 8000,
+    media_timestamp: timestamp,
+  });
+}
+
+/**
+ * Give the AI a private instruction
+ *
+ * @param {Object} session - The call session
+ * @param {string} text - Instruction
+ * @param {Object} [options] - Whisper options
+ * @param {boolean} [options.respond=false] - Have the AI act on it right away (ignored during a takeover)
+ * @param {string} [options.deviceId] - Operator device, for the event log
+ * @throws {OperatorError} If the text is empty or too long
+ */
+export function whisper(session, text, options = {}) {
+  const { respond = false, deviceId = null } = options;
+
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_WHISPER_LENGTH) {
+    throw new OperatorError(`text must be 1-${MAX_WHISPER_LENGTH} characters`, 'INVALID_PAYLOAD');
+  }
+
+  sendTextMessage(
+    session,
+    'Private instruction from the person supervising this call. The caller cannot hear this; '
+      + `do not read it out or mention it. Instruction: ${text.trim()}`,
+    'system'
+  );
+
+  if (respond && !isTakenOver(session.callSid)) {
+    createManualResponse(session);
+  }
+
+  session.broadcastEvent('operator.whisper', { deviceId, text: text.trim(), respond });
+  logOperatorEvent(session, 'whisper', { deviceId, textLength: text.length, respond });
+
+  logger.info('Operator whisper sent', { callSid: session.callSid, textLength: text.length, respond });
+}
+
+/**
+ * End every takeover held by an operator socket (it disconnected)
+ *
+ * @param {WebSocket} ws - Operator socket
+ */
+export function releaseOperator(ws) {
+  for (const [callSid, takeover] of takeovers) {
+    if (takeover.ws !== ws) {
+      continue;
+    }
+
+    const session = connectionManager.getSession(callSid);
+    if (session) {
+      endTakeover(session, { reason: 'operator_disconnected' });
+    } else {
+      takeovers.delete(callSid);
+    }
+  }
+}
+
+/**
+ * Drop a call's takeover without handing back (call already ended)
+ *
+ * @param {string} callSid - Twilio Call SID
+ */
+export function clearTakeover(callSid) {
+  const takeover = takeovers.get(callSid);
+  if (!takeover) {
+    return;
+  }
+
+  takeovers.delete(callSid);
+  sendToOperator(takeover.ws, 'call.takeover.ended', { call_sid: callSid, reason: 'call_ended' });
+
+  logger.debug('Takeover cleared', { callSid });
+}
+
+export default {
+  OPERATOR_AUDIO_ENCODINGS,
+  OperatorError,
+  isTakenOver,
+  startTakeover,
+  endTakeover,
+  sendOperatorAudio,
+  relayCallerAudio,
+  whisper,
+  releaseOperator,
+  clearTakeover,
+};
@@ -0,0 +1,269 @@
+/**
+ * Prompt Templating for VoiceAI Pro
+ *
+ * Prompt instructions may contain {{variable}} placeholders that are filled
+ * per call. Values come from, in increasing priority:
+ * 1. Built-ins derived from the call (phone_number, direction)
+ * 2. Stored caller variables looked up by phone number
+ * 3. Variables passed explicitly (POST /api/calls/outgoing, campaign contacts)
+ *
+ * Syntax: {{name}} or {{name|fallback text}}. Names are letters, digits and
+ * underscores and must not start with a digit. A placeholder without a value
+ * or fallback is reported as unresolved and rendered as an empty string.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { query } from '../db/pool.js';
+import { validateToolDefinitions } from './toolRegistry.js';
+
+const logger = createLogger('prompt-template');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}|]*?)\s*(?:\|([^{}]*))?\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+
+// Prefix for variables forwarded as Twilio stream customParameters
+export const STREAM_VARIABLE_PREFIX = 'var_';
+
+// Limits for variables passed with a call (stream parameters are size limited)
+const MAX_VARIABLES = 20;
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * List the variables used in a template
+ *
+ * @param {string} template - Instructions template
+ * @returns {string[]} Unique variable names in order of appearance
+ */
+export function extractVariables(template) {
+  const names = [];
+
+  for (const match of (template || '').matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[1];
+    if (VARIABLE_NAME_PATTERN.test(name) && !names.includes(name)) {
+      names.push(name);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Check a template for malformed placeholders
+ *
+ * @param {string} template - Instructions template
+ * @returns {{valid: boolean, errors: string[], variables: string[]}} Validation result
+ */
+export function validateTemplate(template) {
+  const errors = [];
+  const text = template || '';
+
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!VARIABLE_NAME_PATTERN.test(match[1])) {
+      errors.push(`Invalid variable name "${match[1]}" in ${match[0]}`);
+    }
+  }
+
+  // Braces left over once every well-formed placeholder is removed
+  const leftover = text.replace(PLACEHOLDER_PATTERN, '');
+  if (leftover.includes('{{') || leftover.includes('}}')) {
+    errors.push('Unbalanced {{ or }} in instructions');
+  }
+
+  return { valid: errors.length === 0, errors, variables: extractVariables(text) };
+}
+
+/**
+ * Validate variables supplied for a call
+ *
+ * @param {Object} variables - Variable values
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateVariables(variables) {
+  if (variables === undefined || variables === null) {
+    return { valid: true, errors: [] };
+  }
+
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    return { valid: false, errors: ['variables must be an object'] };
+  }
+
+  const errors = [];
+  const entries = Object.entries(variables);
+
+  if (entries.length > MAX_VARIABLES) {
+    errors.push(`At most ${MAX_VARIABLES} variables can be passed`);
+  }
+
+  for (const [name, value] of entries) {
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      errors.push(`Invalid variable name "${name}"`);
+    } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      errors.push(`Variable "${name}" must be a string, number or boolean`);
+    } else if (String(value).length > MAX_VALUE_LENGTH) {
+      errors.push(`Variable "${name}" is longer than ${MAX_VALUE_LENGTH} characters`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a session config supplied for a call (outgoing calls, live updates)
+ * Instructions and tools get the same checks as a prompt's.
+ *
+ * @param {Object} sessionConfig - Session config overrides
+ * @returns {Promise<{valid: boolean, errors: string[]}>} Validation result
+ */
+export async function validateSessionConfig(sessionConfig) {
+  if (sessionConfig === undefined || sessionConfig === null) {
+    return { valid: true, errors: [] };
+  }
+
+  if (typeof sessionConfig !== 'object' || Array.isArray(sessionConfig)) {
+    return { valid: false, errors: ['config must be an object'] };
+  }
+
+  const errors = [];
+  const { instructions, tools } = sessionConfig;
+
+  if (instructions !== undefined) {
+    if (typeof instructions !== 'string' || instructions.trim() === '') {
+      errors.push('config.instructions must be a non-empty string');
+    } else {
+      errors.push(...validateTemplate(instructions).errors);
+    }
+  }
+
+  if (tools !== undefined) {
+    errors.push(...(await validateToolDefinitions(tools)).errors);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Render a template with variable values
+ *
+ * @param {string} template - Instructions template
+ * @param {Object} [variables] - Variable values
+ * @returns {{rendered: string, used: string[], missing: string[]}} Rendered text and variable report
+ */
+export function renderTemplate(template, variables = {}) {
+  const used = new Set();
+  const missing = new Set();
+
+  const rendered = (template || '').replace(PLACEHOLDER_PATTERN, (placeholder, name, fallback) => {
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      return placeholder;
+    }
+
+    const value = variables?.[name];
+    if (value !== undefined && value !== null && value !== '') {
+      used.add(name);
+      return String(value);
+    }
+
+    if (fallback !== undefined) {
+      return fallback.trim();
+    }
+
+    missing.add(name);
+    return '';
+  });
+
+  return { rendered, used: [...used], missing: [...missing] };
+}
+
+/**
+ * Convert variables to stream customParameters (var_<name>)
+ *
+ * @param {Object} [variables] - Variable values
+ * @returns {Object} Parameters keyed by prefixed name
+ */
+export function toStreamParameters(variables = {}) {
+  const parameters = {};
+  for (const [name, value] of Object.entries(variables || {})) {
+    parameters[`${STREAM_VARIABLE_PREFIX}${name}`] = String(value);
+  }
+  return parameters;
+}
+
+/**
+ * Collect variables from stream customParameters (var_<name>)
+ *
+ * @param {Object} [customParameters] - Twilio stream customParameters
+ * @returns {Object} Variable values
+ */
+export function fromStreamParameters(customParameters = {}) {
+  const variables = {};
+  for (const [key, value] of Object.entries(customParameters || {})) {
+    if (key.startsWith(STREAM_VARIABLE_PREFIX)) {
+      variables[key.slice(STREAM_VARIABLE_PREFIX.length)] = value;
+    }
+  }
+  return variables;
+}
+
+/**
+ * Look up stored variables for a caller
+ *
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} [userId] - Owner user ID; shared entries (no user) are used as fallback
+ * @returns {Promise<Object>} Variable values (empty if none stored)
+ */
+export async function lookupCallerVariables(phoneNumber, userId = null) {
+  if (!phoneNumber) {
+    return {};
+  }
+
+  try {
+    const result = await query(
+      `SELECT variables FROM caller_variables
+       WHERE phone_number = $1 AND (user_id = $2 OR user_id IS NULL)
+       ORDER BY user_id NULLS LAST
+       LIMIT 1`,
+      [phoneNumber, userId]
+    );
+
+    return result.rows[0]?.variables || {};
+  } catch (error) {
+    logger.error('Failed to look up caller variables', { phoneNumber, error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Resolve all variable values for a call
+ *
+ * @param {Object} options - Call details
+ * @param {string} [options.phoneNumber] - Remote party's number
+ * @param {string} [options.direction] - 'inbound' or 'outbound'
+ * @param {string} [options.userId] - Owner user ID
+ * @param {Object} [options.variables] - Explicit values (highest priority)
+ * @returns {Promise<Object>} Merged variable values
+ */
+export async function resolveCallVariables(options = {}) {
+  const { phoneNumber, direction, userId, variables = {} } = options;
+
+  const stored = await lookupCallerVariables(phoneNumber, userId);
+
+  return {
+    ...(phoneNumber && { phone_number: phoneNumber }),
+    ...(direction && { direction }),
+    ...stored,
+    ...variables,
+  };
+}
+
+export default {
+  STREAM_VARIABLE_PREFIX,
+  extractVariables,
+  validateTemplate,
+  validateVariables,
+  validateSessionConfig,
+  renderTemplate,
+  toStreamParameters,
+  fromStreamParameters,
+  lookupCallerVariables,
+  resolveCallVariables,
+};
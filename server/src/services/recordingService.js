@@ -2,16 +2,31 @@
  * Recording Service for VoiceAI Pro
  *
  * Provides real-time recording with audio mixing from both user and AI streams.
+ * Audio is aligned to the call's timeline so the file matches what the caller heard.
  * Produces valid WAV files with proper headers.
+ *
+ * Modes:
+ * - mono:   caller and AI mixed into one channel
+ * - stereo: caller on the left channel, AI on the right channel
  */
 
 import fs from 'fs';
 import path from 'path';
-import { createReadStream, createWriteStream } from 'fs';
+import { createWriteStream } from 'fs';
 import { v4 as uuidv4 } from 'uuid';
 import config from '../config/environment.js';
 import { createLogger } from '../utils/logger.js';
 import { query } from '../db/pool.js';
+import { Readable } from 'stream';
+import {
+  AUDIO_FORMATS,
+  transcode,
+  parseWavHeader,
+  createWavHeader,
+  decodeAudio,
+  encodeWav,
+} from '../audio/encoders.js';
+import { getStorageDriver } from '../storage/index.js';
 
 const logger = createLogger('recording-service');
 
@@ -19,16 +34,33 @@ const logger = createLogger('recording-service');
 const RECORDING_DIR = config.recording.storagePath;
 const SAMPLE_RATE = 24000;          // 24kHz for quality
 const BITS_PER_SAMPLE = 16;
-const NUM_CHANNELS = 1;             // Mono (mixed)
 const BYTES_PER_SAMPLE = BITS_PER_SAMPLE / 8;
+const WAV_FORMAT_PCM = 1;
+
+// Channel count per recording mode
+const RECORDING_MODES = {
+  mono: 1,
+  stereo: 2,
+};
+
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
 
 // Buffer settings
 const MIX_BUFFER_SIZE = SAMPLE_RATE * 0.5;  // 500ms of audio before mixing
-const MAX_BUFFER_SIZE = SAMPLE_RATE * 5;    // 5 seconds max buffer
+const MAX_BUFFER_SIZE = SAMPLE_RATE * 5;    // 5 seconds max per write
+const JITTER_SAMPLES = SAMPLE_RATE * 0.3;   // Hold back 300ms for late caller packets
+const MARK_TOLERANCE_SAMPLES = SAMPLE_RATE * 0.1;  // Ignore playback lag under 100ms
 
 /**
  * Recording Session class
- * Handles real-time audio buffering and mixing for a single call
+ * Places caller and AI audio on a shared timeline and writes it out as it is played.
+ *
+ * The timeline is stream time: milliseconds since the Twilio media stream started.
+ * - Caller chunks are placed at their Twilio media `timestamp`
+ * - AI chunks are queued behind each other the way Twilio plays them, starting no
+ *   earlier than "now"; playback marks correct the schedule when Twilio falls behind
+ * - A clear drops every AI sample that had not been played yet
+ * Anything not covered by a chunk is written as silence.
  */
 class RecordingSession {
   constructor(callSid, storagePath, options = {}) {
@@ -36,15 +68,27 @@ class RecordingSession {
     this.recordingId = uuidv4();
     this.storagePath = storagePath;
     this.options = options;
+    this.mode = RECORDING_MODES[options.mode] ? options.mode : config.recording.mode;
+    this.channels = RECORDING_MODES[this.mode];
 
-    // Audio buffers with timestamps
-    this.userBuffer = [];           // { samples: Int16Array, timestamp: number }
-    this.aiBuffer = [];             // { samples: Int16Array, timestamp: number }
+    // Pending chunks positioned on the timeline (positions are in samples)
+    this.userChunks = [];           // { samples: Int16Array, start: number }
+    this.aiChunks = [];             // { samples: Int16Array, start: number }
+
+    // Where the next AI chunk will start playing
+    this.aiPlayhead = 0;
+
+    // Scheduled timeline position of each outstanding playback mark
+    this.pendingMarks = new Map();
+
+    // Stream clock: last Twilio media timestamp and when it arrived
+    this.streamStartedAt = options.streamStartedAt || Date.now();
+    this.clock = null;              // { streamMs: number, wallMs: number }
 
     // Timing
     this.startTime = Date.now();
     this.lastMixTime = Date.now();
-    this.totalSamplesWritten = 0;
+    this.totalSamplesWritten = 0;   // Timeline position up to which the file is written
 
     // File handling
     this.writeStream = null;
@@ -58,6 +102,9 @@ class RecordingSession {
       mixOperations: 0,
       totalUserSamples: 0,
       totalAISamples: 0,
+      clearedAISamples: 0,
+      lateUserSamples: 0,
+      playbackDelayMs: 0,
       peakLevel: 0,
     };
 
@@ -65,6 +112,7 @@ class RecordingSession {
       callSid,
       recordingId: this.recordingId,
       storagePath,
+      mode: this.mode,
     });
   }
 
@@ -89,33 +137,48 @@ class RecordingSession {
     });
   }
 
+  /**
+   * Current position on the timeline in samples
+   * Extrapolated from the last Twilio media timestamp, or from the stream start
+   * until the first media message arrives.
+   *
+   * @returns {number} Timeline position
+   */
+  now() {
+    const nowMs = this.clock
+      ? this.clock.streamMs + (Date.now() - this.clock.wallMs)
+      : Date.now() - this.streamStartedAt;
+
+    return Math.max(0, Math.round(nowMs * SAMPLES_PER_MS));
+  }
+
   /**
    * Append user audio (from Twilio, already converted to PCM16 24kHz)
    *
    * @param {Int16Array} samples - PCM16 samples at 24kHz
+   * @param {number} [streamTimestampMs] - Twilio media timestamp (ms since stream start)
    */
-  appendUserAudio(samples) {
+  appendUserAudio(samples, streamTimestampMs) {
     if (!this.isActive || !samples || samples.length === 0) {
       return;
     }
 
-    const timestamp = Date.now() - this.startTime;
+    if (Number.isFinite(streamTimestampMs)) {
+      this.clock = { streamMs: streamTimestampMs, wallMs: Date.now() };
+    }
+
+    const start = Number.isFinite(streamTimestampMs)
+      ? Math.round(streamTimestampMs * SAMPLES_PER_MS)
+      : this.now();
 
-    this.userBuffer.push({
+    this.userChunks.push({
       samples: new Int16Array(samples),
-      timestamp,
+      start,
     });
 
     this.stats.userChunks++;
     this.stats.totalUserSamples += samples.length;
-
-    // Track peak level
-    for (let i = 0; i < samples.length; i++) {
-      const absValue = Math.abs(samples[i]);
-      if (absValue > this.stats.peakLevel) {
-        this.stats.peakLevel = absValue;
-      }
-    }
+    this.trackPeak(samples);
 
     // Check if we should mix and write
     this.checkAndMix();
@@ -123,6 +186,7 @@ class RecordingSession {
 
   /**
    * Append AI audio (from OpenAI, PCM16 24kHz)
+   * The chunk is queued behind audio that is still waiting to be played.
    *
    * @param {Int16Array} samples - PCM16 samples at 24kHz
    */
@@ -131,99 +195,192 @@ class RecordingSession {
       return;
     }
 
-    const timestamp = Date.now() - this.startTime;
+    const start = Math.max(this.aiPlayhead, this.now(), this.totalSamplesWritten);
 
-    this.aiBuffer.push({
+    this.aiChunks.push({
       samples: new Int16Array(samples),
-      timestamp,
+      start,
     });
+    this.aiPlayhead = start + samples.length;
 
     this.stats.aiChunks++;
     this.stats.totalAISamples += samples.length;
+    this.trackPeak(samples);
+
+    // Check if we should mix and write
+    this.checkAndMix();
+  }
+
+  /**
+   * Remember where a playback mark sits in the AI audio queue
+   *
+   * @param {string} markName - Mark sent to Twilio
+   */
+  addPlaybackMark(markName) {
+    if (!this.isActive) {
+      return;
+    }
+
+    this.pendingMarks.set(markName, Math.max(this.aiPlayhead, this.now()));
+  }
+
+  /**
+   * Twilio reached a mark: if playback ran late, push the unplayed AI audio back
+   *
+   * @param {string} markName - Mark echoed by Twilio
+   */
+  handlePlaybackMark(markName) {
+    const scheduled = this.pendingMarks.get(markName);
+    if (scheduled === undefined) {
+      return;
+    }
+    this.pendingMarks.delete(markName);
+
+    const delay = this.now() - scheduled;
+    if (delay < MARK_TOLERANCE_SAMPLES) {
+      return;
+    }
+
+    for (const chunk of this.aiChunks) {
+      if (chunk.start >= scheduled) {
+        chunk.start += delay;
+      }
+    }
+    for (const [name, position] of this.pendingMarks) {
+      if (position >= scheduled) {
+        this.pendingMarks.set(name, position + delay);
+      }
+    }
+    this.aiPlayhead += delay;
+    this.stats.playbackDelayMs += Math.round(delay / SAMPLES_PER_MS);
+
+    logger.trace('AI playback ran late, shifted queued audio', {
+      callSid: this.callSid,
+      markName,
+      delayMs: Math.round(delay / SAMPLES_PER_MS),
+    });
+  }
+
+  /**
+   * Twilio's playback buffer was cleared: drop AI audio the caller never heard
+   */
+  clearAIAudio() {
+    if (!this.isActive) {
+      return;
+    }
+
+    const cutoff = Math.max(this.now(), this.totalSamplesWritten);
+    let dropped = 0;
+
+    this.aiChunks = this.aiChunks.filter((chunk) => {
+      const played = cutoff - chunk.start;
+      if (played <= 0) {
+        dropped += chunk.samples.length;
+        return false;
+      }
+      if (played < chunk.samples.length) {
+        dropped += chunk.samples.length - played;
+        chunk.samples = chunk.samples.subarray(0, played);
+      }
+      return true;
+    });
+
+    // Twilio answers outstanding marks on clear; none of them mean audio was played
+    this.pendingMarks.clear();
+    this.aiPlayhead = cutoff;
+    this.stats.clearedAISamples += dropped;
 
-    // Track peak level
+    logger.debug('Cleared unplayed AI audio from recording', {
+      callSid: this.callSid,
+      droppedMs: Math.round(dropped / SAMPLES_PER_MS),
+    });
+  }
+
+  /**
+   * Track the peak level across all recorded audio
+   *
+   * @param {Int16Array} samples - PCM16 samples
+   */
+  trackPeak(samples) {
     for (let i = 0; i < samples.length; i++) {
       const absValue = Math.abs(samples[i]);
       if (absValue > this.stats.peakLevel) {
         this.stats.peakLevel = absValue;
       }
     }
-
-    // Check if we should mix and write
-    this.checkAndMix();
   }
 
   /**
-   * Check buffer sizes and mix if threshold reached
+   * Check how much of the timeline is settled and mix if threshold reached
    */
   checkAndMix() {
-    const userSamples = this.userBuffer.reduce((sum, chunk) => sum + chunk.samples.length, 0);
-    const aiSamples = this.aiBuffer.reduce((sum, chunk) => sum + chunk.samples.length, 0);
+    const settled = this.now() - JITTER_SAMPLES - this.totalSamplesWritten;
     const timeSinceLastMix = Date.now() - this.lastMixTime;
 
     // Mix if either:
-    // 1. Either buffer exceeds threshold
-    // 2. It's been more than 500ms since last mix and we have some audio
+    // 1. The settled part of the timeline exceeds the threshold
+    // 2. It's been more than 500ms since last mix and some of it is settled
     const shouldMix =
-      userSamples >= MIX_BUFFER_SIZE ||
-      aiSamples >= MIX_BUFFER_SIZE ||
-      (timeSinceLastMix > 500 && (userSamples > 0 || aiSamples > 0));
+      settled >= MIX_BUFFER_SIZE ||
+      (timeSinceLastMix > 500 && settled > 0);
 
     if (shouldMix) {
-      this.mixAndWrite();
+      this.mixAndWrite(this.now() - JITTER_SAMPLES);
     }
   }
 
   /**
-   * Mix user and AI audio buffers and write to file
+   * Render the timeline up to a position and write it to file
+   * Gaps are written as silence. In stereo mode the streams are interleaved
+   * (caller left, AI right) instead of mixed.
+   *
+   * @param {number} end - Timeline position (samples) to write up to
    */
-  mixAndWrite() {
-    if (!this.writeStream || !this.isActive) {
-      return;
-    }
-
-    // Calculate how many samples to mix
-    const userSamples = this.userBuffer.reduce((sum, chunk) => sum + chunk.samples.length, 0);
-    const aiSamples = this.aiBuffer.reduce((sum, chunk) => sum + chunk.samples.length, 0);
-
-    if (userSamples === 0 && aiSamples === 0) {
+  mixAndWrite(end) {
+    if (!this.writeStream) {
       return;
     }
 
-    // Determine mix length - use the larger of the two
-    const mixLength = Math.max(userSamples, aiSamples);
-    const mixedSamples = new Int16Array(mixLength);
-
-    // Flatten user buffer
-    const userFlat = new Int16Array(userSamples);
-    let userOffset = 0;
-    for (const chunk of this.userBuffer) {
-      userFlat.set(chunk.samples, userOffset);
-      userOffset += chunk.samples.length;
-    }
-
-    // Flatten AI buffer
-    const aiFlat = new Int16Array(aiSamples);
-    let aiOffset = 0;
-    for (const chunk of this.aiBuffer) {
-      aiFlat.set(chunk.samples, aiOffset);
-      aiOffset += chunk.samples.length;
+    // Write in bounded windows so a long gap doesn't allocate one huge buffer
+    while (this.totalSamplesWritten < end) {
+      this.writeWindow(Math.min(end - this.totalSamplesWritten, MAX_BUFFER_SIZE));
     }
+  }
 
-    // Mix the audio streams
-    // Simple mixing with averaging to prevent clipping
-    for (let i = 0; i < mixLength; i++) {
-      const userSample = i < userFlat.length ? userFlat[i] : 0;
-      const aiSample = i < aiFlat.length ? aiFlat[i] : 0;
+  /**
+   * Render and write the next window of the timeline
+   *
+   * @param {number} mixLength - Window length in samples
+   */
+  writeWindow(mixLength) {
+    const from = this.totalSamplesWritten;
+    const userTrack = new Int16Array(mixLength);
+    const aiTrack = new Int16Array(mixLength);
 
-      // Average the two channels (prevents clipping better than simple addition)
-      let mixed = Math.round((userSample + aiSample) / 2);
+    this.userChunks = this.renderChunks(this.userChunks, userTrack, from, 'user');
+    this.aiChunks = this.renderChunks(this.aiChunks, aiTrack, from, 'ai');
 
-      // Soft clipping for better audio quality
-      if (mixed > 32767) mixed = 32767;
-      if (mixed < -32768) mixed = -32768;
+    const mixedSamples = new Int16Array(mixLength * this.channels);
 
-      mixedSamples[i] = mixed;
+    if (this.channels === 2) {
+      // Interleave frames: left = caller, right = AI
+      for (let i = 0; i < mixLength; i++) {
+        mixedSamples[i * 2] = userTrack[i];
+        mixedSamples[i * 2 + 1] = aiTrack[i];
+      }
+    } else {
+      // Mix the audio streams
+      // Simple mixing with averaging to prevent clipping
+      for (let i = 0; i < mixLength; i++) {
+        // Average the two channels (prevents clipping better than simple addition)
+        let mixed = Math.round((userTrack[i] + aiTrack[i]) / 2);
+
+        // Soft clipping for better audio quality
+        if (mixed > 32767) mixed = 32767;
+        if (mixed < -32768) mixed = -32768;
+
+        mixedSamples[i] = mixed;
+      }
     }
 
     // Write to file
@@ -234,10 +391,6 @@ class RecordingSession {
     this.stats.mixOperations++;
     this.lastMixTime = Date.now();
 
-    // Clear buffers
-    this.userBuffer = [];
-    this.aiBuffer = [];
-
     logger.trace('Audio mixed and written', {
       callSid: this.callSid,
       mixLength,
@@ -245,6 +398,46 @@ class RecordingSession {
     });
   }
 
+  /**
+   * Copy the part of each chunk that falls in the window into a track
+   *
+   * @param {Array} chunks - Positioned chunks
+   * @param {Int16Array} track - Output for the window
+   * @param {number} from - Timeline position of track[0]
+   * @param {string} source - 'user' or 'ai' (for statistics)
+   * @returns {Array} Chunks that still extend past the window
+   */
+  renderChunks(chunks, track, from, source) {
+    const to = from + track.length;
+    const remaining = [];
+
+    for (const chunk of chunks) {
+      const chunkEnd = chunk.start + chunk.samples.length;
+
+      // Audio that arrives for an already written part of the timeline is lost
+      if (chunk.start < from && source === 'user') {
+        this.stats.lateUserSamples += Math.min(chunkEnd, from) - chunk.start;
+      }
+
+      const copyStart = Math.max(chunk.start, from);
+      const copyEnd = Math.min(chunkEnd, to);
+      if (copyEnd > copyStart) {
+        track.set(
+          chunk.samples.subarray(copyStart - chunk.start, copyEnd - chunk.start),
+          copyStart - from
+        );
+      }
+
+      if (chunkEnd > to) {
+        remaining.push(copyStart > chunk.start
+          ? { samples: chunk.samples.subarray(copyStart - chunk.start), start: copyStart }
+          : chunk);
+      }
+    }
+
+    return remaining;
+  }
+
   /**
    * Stop recording and finalize the file
    *
@@ -258,11 +451,13 @@ class RecordingSession {
 
     this.isActive = false;
 
-    // Final mix of any remaining audio
-    this.mixAndWrite();
+    // Write out the rest of the caller audio and the AI audio that was played by now
+    const userEnd = this.userChunks.reduce((max, c) => Math.max(max, c.start + c.samples.length), 0);
+    const aiEnd = this.aiChunks.reduce((max, c) => Math.max(max, c.start + c.samples.length), 0);
+    this.mixAndWrite(Math.max(userEnd, Math.min(aiEnd, this.now())));
 
-    // Calculate final size
-    const dataSize = this.totalSamplesWritten * BYTES_PER_SAMPLE;
+    // Calculate final size (totalSamplesWritten counts frames)
+    const dataSize = this.totalSamplesWritten * this.channels * BYTES_PER_SAMPLE;
     const durationSeconds = Math.floor(this.totalSamplesWritten / SAMPLE_RATE);
 
     // Close write stream
@@ -295,6 +490,9 @@ class RecordingSession {
       durationSeconds,
       fileSizeBytes: fileStats.size,
       sampleRate: SAMPLE_RATE,
+      channels: this.channels,
+      mode: this.mode,
+      format: 'wav',
       stats: this.stats,
     };
   }
@@ -305,7 +503,10 @@ class RecordingSession {
    * @param {number} dataSize - Size of audio data in bytes
    */
   async updateWavHeader(dataSize) {
-    const header = createWavHeader(dataSize, SAMPLE_RATE);
+    const header = createWavHeader(
+      { formatTag: WAV_FORMAT_PCM, channels: this.channels, sampleRate: SAMPLE_RATE, bitsPerSample: BITS_PER_SAMPLE },
+      dataSize
+    );
 
     // Open file for random access
     const fd = await fs.promises.open(this.storagePath, 'r+');
@@ -334,49 +535,27 @@ class RecordingSession {
       recordingId: this.recordingId,
       callSid: this.callSid,
       isActive: this.isActive,
+      mode: this.mode,
+      channels: this.channels,
       elapsedSeconds,
       recordedDurationSeconds: durationSeconds,
       totalSamplesWritten: this.totalSamplesWritten,
-      userBufferSize: this.userBuffer.reduce((sum, c) => sum + c.samples.length, 0),
-      aiBufferSize: this.aiBuffer.reduce((sum, c) => sum + c.samples.length, 0),
+      userBufferSize: this.userChunks.reduce((sum, c) => sum + c.samples.length, 0),
+      aiBufferSize: this.aiChunks.reduce((sum, c) => sum + c.samples.length, 0),
+      pendingMarks: this.pendingMarks.size,
       ...this.stats,
     };
   }
 }
 
 /**
- * Create WAV header
+ * Describe what each channel of a recording contains
  *
- * @param {number} dataSize - Size of audio data in bytes
- * @param {number} sampleRate - Sample rate in Hz
- * @returns {Buffer} WAV header
+ * @param {number} channels - Channel count
+ * @returns {string[]} Channel contents by index
  */
-function createWavHeader(dataSize, sampleRate = SAMPLE_RATE) {
-  const header = Buffer.alloc(44);
-
-  const byteRate = sampleRate * NUM_CHANNELS * BYTES_PER_SAMPLE;
-  const blockAlign = NUM_CHANNELS * BYTES_PER_SAMPLE;
-
-  // RIFF header
-  header.write('RIFF', 0);
-  header.writeUInt32LE(36 + dataSize, 4);       // File size - 8
-  header.write('WAVE', 8);
-
-  // fmt chunk
-  header.write('fmt ', 12);
-  header.writeUInt32LE(16, 16);                 // Chunk size
-  header.writeUInt16LE(1, 20);                  // Audio format (PCM)
-  header.writeUInt16LE(NUM_CHANNELS, 22);       // Number of channels
-  header.writeUInt32LE(sampleRate, 24);         // Sample rate
-  header.writeUInt32LE(byteRate, 28);           // Byte rate
-  header.writeUInt16LE(blockAlign, 32);         // Block align
-  header.writeUInt16LE(BITS_PER_SAMPLE, 34);    // Bits per sample
-
-  // data chunk
-  header.write('data', 36);
-  header.writeUInt32LE(dataSize, 40);           // Data size
-
-  return header;
+export function getChannelLayout(channels) {
+  return channels === 2 ? ['caller', 'ai'] : ['mixed'];
 }
 
 // Active recording sessions
@@ -387,6 +566,8 @@ const activeRecordings = new Map();
  *
  * @param {string} callSid - Call SID to record
  * @param {Object} [options] - Recording options
+ * @param {'mono'|'stereo'} [options.mode] - Channel mode (defaults to RECORDING_MODE)
+ * @param {number} [options.streamStartedAt] - Wall clock (ms) when the media stream started
  * @returns {Promise<RecordingSession>} Recording session
  */
 export async function startRecording(callSid, options = {}) {
@@ -412,6 +593,7 @@ export async function startRecording(callSid, options = {}) {
     callSid,
     recordingId,
     storagePath,
+    mode: session.mode,
   });
 
   return session;
@@ -422,11 +604,12 @@ export async function startRecording(callSid, options = {}) {
  *
  * @param {string} callSid - Call SID
  * @param {Int16Array} samples - PCM16 samples at 24kHz
+ * @param {number} [streamTimestampMs] - Twilio media timestamp (ms since stream start)
  */
-export function appendUserAudio(callSid, samples) {
+export function appendUserAudio(callSid, samples, streamTimestampMs) {
   const session = activeRecordings.get(callSid);
   if (session) {
-    session.appendUserAudio(samples);
+    session.appendUserAudio(samples, streamTimestampMs);
   }
 }
 
@@ -443,6 +626,44 @@ export function appendAIAudio(callSid, samples) {
   }
 }
 
+/**
+ * Record that a playback mark was queued behind the AI audio sent so far
+ *
+ * @param {string} callSid - Call SID
+ * @param {string} markName - Mark sent to Twilio
+ */
+export function addPlaybackMark(callSid, markName) {
+  const session = activeRecordings.get(callSid);
+  if (session) {
+    session.addPlaybackMark(markName);
+  }
+}
+
+/**
+ * Realign queued AI audio when Twilio reports a playback mark
+ *
+ * @param {string} callSid - Call SID
+ * @param {string} markName - Mark echoed by Twilio
+ */
+export function handlePlaybackMark(callSid, markName) {
+  const session = activeRecordings.get(callSid);
+  if (session) {
+    session.handlePlaybackMark(markName);
+  }
+}
+
+/**
+ * Drop AI audio that was cleared from Twilio's buffer before it was played
+ *
+ * @param {string} callSid - Call SID
+ */
+export function clearAIAudio(callSid) {
+  const session = activeRecordings.get(callSid);
+  if (session) {
+    session.clearAIAudio();
+  }
+}
+
 /**
  * Stop a recording and save to database
  *
@@ -471,46 +692,11 @@ export async function stopRecording(callSid) {
       return null;
     }
 
-    // Get call session ID from database
-    const sessionResult = await query(
-      'SELECT id FROM call_sessions WHERE call_sid = $1',
-      [callSid]
-    );
-
-    if (sessionResult.rows.length === 0) {
-      logger.warn('Call session not found in database', { callSid });
-      activeRecordings.delete(callSid);
-      return metadata;
-    }
-
-    const callSessionId = sessionResult.rows[0].id;
-
-    // Save to database
-    const dbResult = await query(
-      `INSERT INTO recordings (id, call_session_id, storage_path, duration_seconds, file_size_bytes, format)
-       VALUES ($1, $2, $3, $4, $5, 'wav')
-       RETURNING id, storage_path, duration_seconds, file_size_bytes, format, created_at`,
-      [
-        metadata.recordingId,
-        callSessionId,
-        metadata.storagePath,
-        metadata.durationSeconds,
-        metadata.fileSizeBytes,
-      ]
-    );
-
-    logger.info('Recording saved to database', {
-      callSid,
-      recordingId: metadata.recordingId,
-      durationSeconds: metadata.durationSeconds,
-    });
+    const saved = await saveRecordingMetadata(callSid, metadata);
 
     activeRecordings.delete(callSid);
 
-    return {
-      ...metadata,
-      ...dbResult.rows[0],
-    };
+    return saved;
   } catch (error) {
     logger.error('Failed to stop recording', { callSid, error: error.message });
     activeRecordings.delete(callSid);
@@ -518,6 +704,168 @@ export async function stopRecording(callSid) {
   }
 }
 
+/**
+ * Store a finished recording made outside a media stream (e.g. a Twilio <Record>)
+ *
+ * @param {string} callSid - Call SID of an existing call session
+ * @param {Buffer} wav - WAV file contents (any sample rate)
+ * @returns {Promise<Object>} Recording metadata, including the database row if the call was found
+ */
+export async function saveRecordingFile(callSid, wav) {
+  const fmt = parseWavHeader(wav);
+  const recordingId = uuidv4();
+  const storagePath = path.join(RECORDING_DIR, `${recordingId}.wav`);
+
+  await fs.promises.mkdir(RECORDING_DIR, { recursive: true });
+  await fs.promises.writeFile(storagePath, wav);
+
+  return saveRecordingMetadata(callSid, {
+    recordingId,
+    storagePath,
+    durationSeconds: Math.round(fmt.dataSize / (fmt.sampleRate * fmt.blockAlign)),
+    fileSizeBytes: wav.length,
+    format: 'wav',
+    channels: fmt.channels,
+  });
+}
+
+/**
+ * Convert and upload a finished WAV, then record it against its call session
+ */
+async function saveRecordingMetadata(callSid, metadata) {
+  // Convert the captured WAV to the storage format
+  if (config.recording.format !== metadata.format) {
+    try {
+      Object.assign(metadata, await convertRecording(metadata.storagePath, metadata.format, config.recording.format));
+    } catch (error) {
+      logger.error('Failed to convert recording, keeping WAV', {
+        callSid,
+        format: config.recording.format,
+        error: error.message,
+      });
+    }
+  }
+
+  // Hand the finished file to the configured storage backend
+  metadata.storageBackend = 'local';
+  if (config.recording.storageBackend !== 'local') {
+    try {
+      Object.assign(metadata, await uploadRecording(metadata.storagePath, metadata.format));
+    } catch (error) {
+      logger.error('Failed to upload recording, keeping local copy', {
+        callSid,
+        backend: config.recording.storageBackend,
+        error: error.message,
+      });
+    }
+  }
+
+  // Get call session ID from database
+  const sessionResult = await query(
+    'SELECT id FROM call_sessions WHERE call_sid = $1',
+    [callSid]
+  );
+
+  if (sessionResult.rows.length === 0) {
+    logger.warn('Call session not found in database', { callSid });
+    return metadata;
+  }
+
+  const callSessionId = sessionResult.rows[0].id;
+
+  // Save to database
+  const dbResult = await query(
+    `INSERT INTO recordings (id, call_session_id, storage_path, storage_backend, duration_seconds, file_size_bytes, format, channels)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, storage_path, storage_backend, duration_seconds, file_size_bytes, format, channels, created_at`,
+    [
+      metadata.recordingId,
+      callSessionId,
+      metadata.storagePath,
+      metadata.storageBackend,
+      metadata.durationSeconds,
+      metadata.fileSizeBytes,
+      metadata.format,
+      metadata.channels,
+    ]
+  );
+
+  logger.info('Recording saved to database', {
+    callSid,
+    recordingId: metadata.recordingId,
+    durationSeconds: metadata.durationSeconds,
+  });
+
+  return {
+    ...metadata,
+    ...dbResult.rows[0],
+  };
+}
+
+/**
+ * Convert a recording file to another format
+ * The converted file replaces the original (same name, new extension).
+ *
+ * @param {string} storagePath - Path to the recording file
+ * @param {string} fromFormat - Current format
+ * @param {string} toFormat - Target format (wav, flac, mulaw)
+ * @returns {Promise<{storagePath: string, fileSizeBytes: number, format: string}>} New file details
+ */
+export async function convertRecording(storagePath, fromFormat, toFormat) {
+  const source = await fs.promises.readFile(storagePath);
+  const output = await transcode(source, fromFormat, toFormat);
+
+  const parsed = path.parse(storagePath);
+  const targetPath = path.join(parsed.dir, `${parsed.name}.${AUDIO_FORMATS[toFormat].extension}`);
+  const tempPath = `${targetPath}.tmp`;
+
+  await fs.promises.writeFile(tempPath, output);
+  await fs.promises.rename(tempPath, targetPath);
+  if (targetPath !== storagePath) {
+    await fs.promises.unlink(storagePath);
+  }
+
+  logger.info('Recording converted', {
+    storagePath: targetPath,
+    fromFormat,
+    toFormat,
+    sourceBytes: source.length,
+    fileSizeBytes: output.length,
+  });
+
+  return { storagePath: targetPath, fileSizeBytes: output.length, format: toFormat };
+}
+
+/**
+ * Upload a finalized local recording to the configured backend and remove the local file
+ *
+ * @param {string} localPath - Path of the finished recording file
+ * @param {string} format - Recording format
+ * @returns {Promise<{storagePath: string, storageBackend: string}>} Where the recording now lives
+ */
+async function uploadRecording(localPath, format) {
+  const driver = getStorageDriver();
+  const storagePath = await driver.put(path.basename(localPath), localPath, {
+    contentType: AUDIO_FORMATS[format]?.contentType,
+  });
+
+  await fs.promises.unlink(localPath);
+
+  logger.info('Recording uploaded', { backend: driver.name, storagePath });
+
+  return { storagePath, storageBackend: driver.name };
+}
+
+/**
+ * Sample rate of a recording stored in a given format
+ *
+ * @param {string} format - Stored format
+ * @returns {number} Sample rate in Hz
+ */
+export function getRecordingSampleRate(format) {
+  return AUDIO_FORMATS[format]?.sampleRate ?? SAMPLE_RATE;
+}
+
 /**
  * Check if recording is active for a call
  *
@@ -543,40 +891,168 @@ export function getRecordingStats(callSid) {
 /**
  * Get recording stream for playback
  *
- * @param {string} storagePath - Path to recording file
- * @returns {Promise<ReadStream>} File read stream
+ * @param {string} storagePath - Path or object key of the recording
+ * @param {string} [backend='local'] - Storage backend holding it
+ * @param {{start: number, end: number}} [range] - Inclusive byte range to read
+ * @returns {Promise<Readable>} Recording stream
  */
-export async function getRecordingStream(storagePath) {
+export async function getRecordingStream(storagePath, backend = 'local', range) {
   try {
-    await fs.promises.access(storagePath, fs.constants.R_OK);
-    return createReadStream(storagePath);
+    return await getStorageDriver(backend).getStream(storagePath, range);
   } catch (error) {
-    logger.error('Recording file not found', { storagePath, error: error.message });
+    logger.error('Recording file not found', { storagePath, backend, error: error.message });
+    throw new Error(`Recording file not found: ${storagePath}`);
+  }
+}
+
+/**
+ * Read a whole recording into memory (for transcoding)
+ *
+ * @param {string} storagePath - Path or object key of the recording
+ * @param {string} [backend='local'] - Storage backend holding it
+ * @returns {Promise<Buffer>} Recording contents
+ */
+export async function getRecordingBuffer(storagePath, backend = 'local') {
+  try {
+    return await getStorageDriver(backend).get(storagePath);
+  } catch (error) {
+    logger.error('Recording file not found', { storagePath, backend, error: error.message });
+    throw new Error(`Recording file not found: ${storagePath}`);
+  }
+}
+
+/**
+ * Extract a time range of a recording as a standalone WAV
+ * WAV and μ-law recordings are served straight from storage behind a rewritten
+ * header (only the requested bytes are read); FLAC is decoded and re-encoded.
+ *
+ * @param {Object} recording - Recording row (storage_path, storage_backend, format)
+ * @param {number} startSeconds - Slice start
+ * @param {number} [endSeconds] - Slice end (defaults to the end of the recording)
+ * @returns {Promise<{stream: Readable, size: number, format: string, duration: number}|null>}
+ *   Slice stream, or null if the range lies outside the recording
+ */
+export async function getRecordingSlice(recording, startSeconds, endSeconds = Infinity) {
+  const { storage_path: storagePath, storage_backend: backend = 'local', format } = recording;
+  const driver = getStorageDriver(backend);
+
+  if (format === 'flac') {
+    const pcm = await decodeAudio(await getRecordingBuffer(storagePath, backend), format);
+    const totalFrames = pcm.samples.length / pcm.channels;
+    const startFrame = Math.floor(startSeconds * pcm.sampleRate);
+    const endFrame = Math.min(totalFrames, Math.ceil(endSeconds * pcm.sampleRate));
+
+    if (endFrame <= startFrame) {
+      return null;
+    }
+
+    const output = encodeWav({
+      samples: pcm.samples.subarray(startFrame * pcm.channels, endFrame * pcm.channels),
+      sampleRate: pcm.sampleRate,
+      channels: pcm.channels,
+    });
+
+    return {
+      stream: Readable.from([output]),
+      size: output.length,
+      format: 'wav',
+      duration: (endFrame - startFrame) / pcm.sampleRate,
+    };
+  }
+
+  const info = await driver.stat(storagePath);
+  if (!info) {
     throw new Error(`Recording file not found: ${storagePath}`);
   }
+
+  // The header sits in the first few hundred bytes; read a little more for safety
+  const headerBytes = [];
+  for await (const chunk of await driver.getStream(storagePath, { start: 0, end: Math.min(info.size, 4096) - 1 })) {
+    headerBytes.push(chunk);
+  }
+  const fmt = parseWavHeader(Buffer.concat(headerBytes));
+
+  // Recordings cut short by a crash have a zero data size; fall back to the file size
+  const available = info.size - fmt.dataOffset;
+  const dataSize = fmt.dataSize === 0 || fmt.dataSize > available ? available : fmt.dataSize;
+  const totalFrames = Math.floor(dataSize / fmt.blockAlign);
+
+  const startFrame = Math.floor(startSeconds * fmt.sampleRate);
+  let endFrame = Math.min(totalFrames, Math.ceil(endSeconds * fmt.sampleRate));
+
+  // Keep the data chunk an even length so no pad byte is needed
+  if (((endFrame - startFrame) * fmt.blockAlign) % 2) {
+    endFrame--;
+  }
+
+  if (endFrame <= startFrame) {
+    return null;
+  }
+
+  const sliceSize = (endFrame - startFrame) * fmt.blockAlign;
+  const header = createWavHeader(fmt, sliceSize);
+  const start = fmt.dataOffset + startFrame * fmt.blockAlign;
+  const data = await driver.getStream(storagePath, { start, end: start + sliceSize - 1 });
+
+  async function* concat() {
+    yield header;
+    yield* data;
+  }
+
+  return {
+    stream: Readable.from(concat()),
+    size: header.length + sliceSize,
+    format,
+    duration: (endFrame - startFrame) / fmt.sampleRate,
+  };
 }
 
 /**
  * Delete a recording file
  *
- * @param {string} storagePath - Path to recording file
+ * @param {string} storagePath - Path or object key of the recording
+ * @param {string} [backend='local'] - Storage backend holding it
  * @returns {Promise<boolean>} True if deleted
  */
-export async function deleteRecording(storagePath) {
+export async function deleteRecording(storagePath, backend = 'local') {
   try {
-    await fs.promises.unlink(storagePath);
-    logger.info('Recording file deleted', { storagePath });
+    const deleted = await getStorageDriver(backend).delete(storagePath);
+    if (deleted) {
+      logger.info('Recording file deleted', { storagePath, backend });
+    } else {
+      logger.warn('Recording file already deleted', { storagePath, backend });
+    }
     return true;
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      logger.warn('Recording file already deleted', { storagePath });
-      return true;
-    }
-    logger.error('Failed to delete recording file', { storagePath, error: error.message });
+    logger.error('Failed to delete recording file', { storagePath, backend, error: error.message });
     throw error;
   }
 }
 
+/**
+ * Create a time-limited download URL for a recording
+ * S3 recordings get a presigned URL; local ones a signed URL to this server.
+ *
+ * @param {Object} recording - Recording row (id, storage_path, storage_backend, format)
+ * @param {Object} [options] - URL options
+ * @param {number} [options.expiresIn] - Lifetime in seconds (defaults to RECORDING_URL_TTL_SECONDS)
+ * @param {string} [options.filename] - Download filename
+ * @returns {Promise<{url: string, expiresAt: Date}>} Signed URL and expiry
+ */
+export async function getRecordingUrl(recording, options = {}) {
+  const { expiresIn = config.recording.signedUrlTtlSeconds, filename } = options;
+  const driver = getStorageDriver(recording.storage_backend || 'local');
+
+  const url = await driver.getSignedUrl(recording.storage_path, {
+    recordingId: recording.id,
+    expiresIn,
+    filename,
+    contentType: AUDIO_FORMATS[recording.format]?.contentType,
+  });
+
+  return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+}
+
 /**
  * Get recording metadata by ID
  *
@@ -606,7 +1082,7 @@ export async function listRecordings(options = {}) {
 
   let queryText = `
     SELECT r.id, r.storage_path, r.duration_seconds, r.file_size_bytes,
-           r.format, r.created_at, cs.call_sid, cs.phone_number, cs.direction
+           r.format, r.channels, r.created_at, cs.call_sid, cs.phone_number, cs.direction
     FROM recordings r
     JOIN call_sessions cs ON r.call_session_id = cs.id
     WHERE 1=1
@@ -638,21 +1114,13 @@ export async function listRecordings(options = {}) {
  */
 export async function getStorageStats() {
   try {
-    const files = await fs.promises.readdir(RECORDING_DIR).catch(() => []);
+    const driver = getStorageDriver();
     let totalSize = 0;
     let fileCount = 0;
 
-    for (const file of files) {
-      try {
-        const filePath = path.join(RECORDING_DIR, file);
-        const stats = await fs.promises.stat(filePath);
-        if (stats.isFile()) {
-          totalSize += stats.size;
-          fileCount++;
-        }
-      } catch (e) {
-        // Ignore individual file errors
-      }
+    for await (const object of driver.list()) {
+      totalSize += object.size;
+      fileCount++;
     }
 
     const dbResult = await query(
@@ -660,6 +1128,7 @@ export async function getStorageStats() {
     );
 
     return {
+      backend: driver.name,
       fileCount,
       totalSizeBytes: totalSize,
       totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
@@ -675,34 +1144,38 @@ export async function getStorageStats() {
 
 /**
  * Cleanup orphaned recording files
+ * Checks local disk (where live calls are captured) and the configured backend.
  *
  * @returns {Promise<Object>} Cleanup results
  */
 export async function cleanupOrphanedFiles() {
   try {
-    const files = await fs.promises.readdir(RECORDING_DIR).catch(() => []);
-
-    const dbResult = await query('SELECT storage_path FROM recordings');
-    const dbPaths = new Set(dbResult.rows.map((r) => r.storage_path));
+    const dbResult = await query('SELECT storage_path, storage_backend FROM recordings');
+    const dbPaths = new Set(dbResult.rows.map((r) => `${r.storage_backend}:${r.storage_path}`));
 
     // Also exclude active recordings
     const activePaths = new Set();
     for (const session of activeRecordings.values()) {
-      activePaths.add(session.storagePath);
+      activePaths.add(`local:${session.storagePath}`);
     }
 
     let deletedCount = 0;
     let deletedSize = 0;
 
-    for (const file of files) {
-      const filePath = path.join(RECORDING_DIR, file);
-      if (!dbPaths.has(filePath) && !activePaths.has(filePath)) {
+    for (const backend of new Set(['local', config.recording.storageBackend])) {
+      const driver = getStorageDriver(backend);
+
+      for await (const object of driver.list()) {
+        const id = `${backend}:${object.storagePath}`;
+        if (dbPaths.has(id) || activePaths.has(id)) {
+          continue;
+        }
+
         try {
-          const stats = await fs.promises.stat(filePath);
-          await fs.promises.unlink(filePath);
+          await driver.delete(object.storagePath);
           deletedCount++;
-          deletedSize += stats.size;
-          logger.info('Deleted orphaned recording file', { filePath });
+          deletedSize += object.size;
+          logger.info('Deleted orphaned recording file', { backend, storagePath: object.storagePath });
         } catch (e) {
           // Ignore errors
         }
@@ -758,13 +1231,23 @@ export default {
   startRecording,
   appendUserAudio,
   appendAIAudio,
+  addPlaybackMark,
+  handlePlaybackMark,
+  clearAIAudio,
   stopRecording,
+  saveRecordingFile,
   abortRecording,
   isRecording,
   getRecordingStats,
   getRecordingStream,
+  getRecordingBuffer,
+  getRecordingSlice,
+  getRecordingUrl,
   deleteRecording,
   getRecordingMetadata,
+  getChannelLayout,
+  convertRecording,
+  getRecordingSampleRate,
   listRecordings,
   getStorageStats,
   cleanupOrphanedFiles,
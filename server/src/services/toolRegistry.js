@@ -0,0 +1,558 @@
+/**
+ * Tool Registry for VoiceAI Pro
+ *
+ * Server-side function calling for realtime sessions. Tools are registered
+ * by name with a JSON schema and a handler; when the model emits
+ * response.function_call_arguments.done the realtime handler looks the tool
+ * up here and executes it with the parsed arguments and the call context.
+ *
+ * Prompts can attach tool definitions with a handler binding:
+ * - { type: 'builtin', name }  - runs a tool registered here (name defaults to the tool name);
+ *                                other binding fields configure the tool for that prompt
+ * - { type: 'webhook', url }   - POSTs the arguments and call context as JSON to a URL
+ *
+ * Webhook URLs must be https and resolve to public addresses only. The host is
+ * checked when the prompt is saved and again before every request, and the
+ * request connects to the addresses that were checked rather than resolving
+ * the host a second time, so a prompt can't be used to reach loopback,
+ * private networks or cloud metadata.
+ */
+
+import dns from 'dns/promises';
+import https from 'https';
+import net from 'net';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('tool-registry');
+
+// Default execution timeout for a single tool invocation
+const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+
+// OpenAI function names: letters, digits, underscores and dashes, max 64 chars
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Limits for tool definitions attached to prompts
+const MAX_TOOLS_PER_PROMPT = 32;
+const MAX_TOOL_TIMEOUT_MS = 30000;
+const HANDLER_TYPES = ['builtin', 'webhook'];
+const WEBHOOK_METHODS = ['POST', 'PUT'];
+
+// Address ranges webhooks may not reach: loopback, private, link-local
+// (including cloud metadata), carrier-grade NAT, multicast and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2001:db8::', 32],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Registered tools by name
+const registeredTools = new Map();
+
+/**
+ * Error raised when a tool cannot be registered or executed
+ */
+export class ToolError extends Error {
+  constructor(message, code = 'TOOL_ERROR') {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+  }
+}
+
+/**
+ * Register a tool
+ *
+ * @param {string} name - Tool name exposed to the model
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.description - Description shown to the model
+ * @param {Object} [tool.parameters] - JSON schema for the arguments
+ * @param {Function} tool.handler - async (args, context) => result; context.binding is the prompt's handler binding
+ * @param {number} [tool.timeoutMs] - Execution timeout override
+ * @param {Function} [tool.validateBinding] - (binding) => error messages for a prompt's handler binding
+ * @param {Function} [tool.definitionFor] - (binding) => {description, parameters} overrides for a session
+ * @returns {Object} Registered tool
+ */
+export function registerTool(name, tool) {
+  if (!TOOL_NAME_PATTERN.test(name || '')) {
+    throw new ToolError(`Invalid tool name: ${name}`, 'INVALID_TOOL_NAME');
+  }
+
+  if (typeof tool?.handler !== 'function') {
+    throw new ToolError(`Tool ${name} must provide a handler function`, 'INVALID_TOOL_HANDLER');
+  }
+
+  if (registeredTools.has(name)) {
+    logger.warn('Tool already registered, replacing', { name });
+  }
+
+  const registered = {
+    name,
+    description: tool.description || '',
+    parameters: tool.parameters || { type: 'object', properties: {} },
+    handler: tool.handler,
+    timeoutMs: tool.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS,
+    validateBinding: tool.validateBinding || null,
+    definitionFor: tool.definitionFor || null,
+  };
+
+  registeredTools.set(name, registered);
+
+  logger.info('Tool registered', { name, timeoutMs: registered.timeoutMs });
+
+  return registered;
+}
+
+/**
+ * Remove a registered tool
+ *
+ * @param {string} name - Tool name
+ * @returns {boolean} True if the tool was registered
+ */
+export function unregisterTool(name) {
+  const removed = registeredTools.delete(name);
+  if (removed) {
+    logger.info('Tool unregistered', { name });
+  }
+  return removed;
+}
+
+/**
+ * Get a registered tool
+ *
+ * @param {string} name - Tool name
+ * @returns {Object|null} Tool or null if not registered
+ */
+export function getTool(name) {
+  return registeredTools.get(name) || null;
+}
+
+/**
+ * Check if a tool is registered
+ *
+ * @param {string} name - Tool name
+ * @returns {boolean} True if registered
+ */
+export function hasTool(name) {
+  return registeredTools.has(name);
+}
+
+/**
+ * List registered tools (without handlers)
+ *
+ * @returns {Object[]} Tool summaries
+ */
+export function listTools() {
+  return Array.from(registeredTools.values()).map((tool) => ({
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters,
+    timeoutMs: tool.timeoutMs,
+  }));
+}
+
+/**
+ * Build OpenAI function definitions for a session
+ * Entries may be registered tool names or inline { name, description, parameters }
+ * objects; unknown names are skipped.
+ *
+ * @param {Array<string|Object>} [tools] - Tools enabled for the session
+ * @returns {Object[]} Definitions for session.update
+ */
+export function getToolDefinitions(tools = []) {
+  const definitions = [];
+
+  for (const entry of tools || []) {
+    const name = typeof entry === 'string' ? entry : entry?.name;
+    const registered = registeredTools.get(getBuiltinName(entry));
+
+    if (!registered && typeof entry === 'string') {
+      logger.warn('Skipping unknown tool in session config', { name });
+      continue;
+    }
+
+    const bound = registered?.definitionFor?.(entry?.handler || null) || {};
+
+    definitions.push({
+      type: 'function',
+      name,
+      description: entry?.description || bound.description || registered?.description || '',
+      parameters: entry?.parameters || bound.parameters || registered?.parameters || { type: 'object', properties: {} },
+    });
+  }
+
+  return definitions;
+}
+
+/**
+ * Find a tool entry in a session's tool list by name
+ *
+ * @param {Array<string|Object>} [tools] - Tools enabled for the session
+ * @param {string} name - Tool name called by the model
+ * @returns {string|Object|null} Matching entry or null
+ */
+export function findSessionTool(tools = [], name) {
+  return (tools || []).find((entry) => (typeof entry === 'string' ? entry : entry?.name) === name) || null;
+}
+
+/**
+ * Whether an address is one webhooks may not reach
+ */
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a webhook URL's host and check that it is https and every address is public
+ *
+ * @param {string} value - Webhook URL
+ * @returns {Promise<{problem: string|null, url?: URL, addresses?: Object[]}>}
+ *   Why the URL can't be used, or the parsed URL and its checked addresses
+ */
+async function resolveWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { problem: 'must be a valid https URL' };
+  }
+
+  if (url.protocol !== 'https:') {
+    return { problem: 'must be a valid https URL' };
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return { problem: `host ${host} could not be resolved` };
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { problem: `host ${host} resolves to a private or reserved address` };
+  }
+
+  return { problem: null, url, addresses };
+}
+
+/**
+ * Check that a webhook URL is https and every address its host resolves to is public
+ *
+ * @param {string} value - Webhook URL
+ * @returns {Promise<string|null>} Why the URL can't be used, or null if it can
+ */
+async function checkWebhookUrl(value) {
+  return (await resolveWebhookUrl(value)).problem;
+}
+
+/**
+ * Send a webhook request to already-checked addresses
+ * The lookup hands the socket those addresses, so the host is not resolved
+ * again between the check and the connection. TLS still verifies the
+ * certificate against the URL's host name. Redirects are not followed.
+ *
+ * @param {URL} url - Webhook URL
+ * @param {Object[]} addresses - Checked addresses ({address, family})
+ * @param {Object} options - {method, headers, body, signal}
+ * @returns {Promise<{status: number, contentType: string, text: string}>} Response
+ */
+function sendWebhookRequest(url, addresses, { method, headers, body, signal }) {
+  const lookup = (hostname, lookupOptions, callback) => {
+    if (lookupOptions.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method,
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      signal,
+    }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        contentType: response.headers['content-type'] || '',
+        text: Buffer.concat(chunks).toString('utf8'),
+      }));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Validate tool definitions attached to a prompt
+ * Webhook hosts are resolved, so this is async.
+ *
+ * @param {Object[]} tools - Tool definitions
+ * @returns {Promise<{valid: boolean, errors: string[]}>} Validation result
+ */
+export async function validateToolDefinitions(tools) {
+  const errors = [];
+
+  if (!Array.isArray(tools)) {
+    return { valid: false, errors: ['tools must be an array'] };
+  }
+
+  if (tools.length > MAX_TOOLS_PER_PROMPT) {
+    errors.push(`A prompt can have at most ${MAX_TOOLS_PER_PROMPT} tools`);
+  }
+
+  const seenNames = new Set();
+  const webhookChecks = [];
+
+  tools.forEach((tool, index) => {
+    const label = `tools[${index}]`;
+
+    if (!tool || typeof tool !== 'object' || Array.isArray(tool)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!TOOL_NAME_PATTERN.test(tool.name || '')) {
+      errors.push(`${label}.name must be 1-64 letters, digits, underscores or dashes`);
+    } else if (seenNames.has(tool.name)) {
+      errors.push(`${label}.name "${tool.name}" is used more than once`);
+    } else {
+      seenNames.add(tool.name);
+    }
+
+    if (tool.description !== undefined && typeof tool.description !== 'string') {
+      errors.push(`${label}.description must be a string`);
+    }
+
+    if (tool.parameters !== undefined) {
+      const { parameters } = tool;
+      if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+        errors.push(`${label}.parameters must be a JSON schema object`);
+      } else if (parameters.type !== 'object') {
+        errors.push(`${label}.parameters.type must be "object"`);
+      } else if (parameters.properties !== undefined
+        && (typeof parameters.properties !== 'object' || Array.isArray(parameters.properties))) {
+        errors.push(`${label}.parameters.properties must be an object`);
+      } else if (parameters.required !== undefined && !Array.isArray(parameters.required)) {
+        errors.push(`${label}.parameters.required must be an array`);
+      }
+    }
+
+    const handler = tool.handler;
+    if (!handler || typeof handler !== 'object' || !HANDLER_TYPES.includes(handler.type)) {
+      errors.push(`${label}.handler.type must be one of: ${HANDLER_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (handler.timeoutMs !== undefined
+      && (!Number.isInteger(handler.timeoutMs) || handler.timeoutMs <= 0 || handler.timeoutMs > MAX_TOOL_TIMEOUT_MS)) {
+      errors.push(`${label}.handler.timeoutMs must be an integer between 1 and ${MAX_TOOL_TIMEOUT_MS}`);
+    }
+
+    if (handler.type === 'builtin') {
+      const builtinName = handler.name || tool.name;
+      const registered = registeredTools.get(builtinName);
+      if (!registered) {
+        errors.push(`${label}.handler references unknown built-in tool "${builtinName}"`);
+      } else if (registered.validateBinding) {
+        registered.validateBinding(handler).forEach((error) => errors.push(`${label}.handler.${error}`));
+      }
+    } else if (handler.type === 'webhook') {
+      webhookChecks.push(checkWebhookUrl(handler.url).then((problem) => {
+        if (problem) {
+          errors.push(`${label}.handler.url ${problem}`);
+        }
+      }));
+      if (handler.method !== undefined && !WEBHOOK_METHODS.includes(handler.method)) {
+        errors.push(`${label}.handler.method must be one of: ${WEBHOOK_METHODS.join(', ')}`);
+      }
+      if (handler.headers !== undefined
+        && (typeof handler.headers !== 'object' || Array.isArray(handler.headers)
+          || Object.values(handler.headers).some((v) => typeof v !== 'string'))) {
+        errors.push(`${label}.handler.headers must be an object of string values`);
+      }
+    }
+  });
+
+  await Promise.all(webhookChecks);
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Resolve the name of the registered tool a session entry runs
+ */
+function getBuiltinName(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+  if (entry?.handler?.type === 'builtin') {
+    return entry.handler.name || entry.name;
+  }
+  return entry?.name;
+}
+
+/**
+ * Build a handler that forwards the tool call to a webhook
+ */
+function createWebhookHandler(name, binding) {
+  return async (args, context) => {
+    // The host may resolve differently now than when the prompt was saved
+    const { problem, url, addresses } = await resolveWebhookUrl(binding.url);
+    if (problem) {
+      throw new ToolError(`Webhook URL ${problem}`, 'WEBHOOK_BLOCKED');
+    }
+
+    const response = await sendWebhookRequest(url, addresses, {
+      method: binding.method || 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...binding.headers,
+      },
+      body: JSON.stringify({
+        tool: name,
+        arguments: args,
+        context: {
+          callSid: context.callSid,
+          userId: context.userId,
+          promptId: context.promptId,
+        },
+      }),
+      signal: context.signal,
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new ToolError(`Webhook responded with HTTP ${response.status}`, 'WEBHOOK_FAILED');
+    }
+
+    const body = response.contentType.includes('application/json')
+      ? JSON.parse(response.text)
+      : response.text;
+
+    return body;
+  };
+}
+
+/**
+ * Resolve the handler and timeout for a tool call
+ * A session entry with a webhook binding takes precedence over the registry.
+ */
+function resolveTool(name, entry) {
+  const binding = typeof entry === 'object' ? entry?.handler : null;
+
+  if (binding?.type === 'webhook') {
+    return {
+      handler: createWebhookHandler(name, binding),
+      timeoutMs: binding.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS,
+      binding,
+    };
+  }
+
+  const registered = registeredTools.get(entry ? getBuiltinName(entry) : name);
+  if (!registered) {
+    return null;
+  }
+
+  return {
+    handler: registered.handler,
+    timeoutMs: binding?.timeoutMs || registered.timeoutMs,
+    binding,
+  };
+}
+
+/**
+ * Execute a tool with a timeout
+ * Never throws - failures are returned as { success: false, error }
+ * so they can be reported back to the model.
+ *
+ * @param {string} name - Tool name
+ * @param {Object} args - Parsed arguments from the model
+ * @param {Object} context - Call context
+ * @param {string} context.callSid - Twilio Call SID
+ * @param {string} [context.userId] - User ID
+ * @param {string} [context.promptId] - Prompt ID
+ * @param {Object} [context.session] - Active call session
+ * @param {string|Object} [entry] - Session tool entry carrying the handler binding
+ * @returns {Promise<{success: boolean, result?: any, error?: Object, durationMs: number}>}
+ */
+export async function executeTool(name, args, context = {}, entry = null) {
+  const startTime = Date.now();
+  const tool = resolveTool(name, entry);
+
+  if (!tool) {
+    return {
+      success: false,
+      error: { code: 'UNKNOWN_TOOL', message: `Unknown tool: ${name}` },
+      durationMs: 0,
+    };
+  }
+
+  const controller = new AbortController();
+  let timeoutHandle = null;
+
+  const timeout = new Promise((_, reject) => {
+    timeoutHandle = setTimeout(() => {
+      controller.abort();
+      reject(new ToolError(`Tool ${name} timed out after ${tool.timeoutMs}ms`, 'TOOL_TIMEOUT'));
+    }, tool.timeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([
+      Promise.resolve().then(() => tool.handler(args || {}, { ...context, binding: tool.binding, signal: controller.signal })),
+      timeout,
+    ]);
+
+    const durationMs = Date.now() - startTime;
+
+    logger.debug('Tool executed', { name, callSid: context.callSid, durationMs });
+
+    return { success: true, result: result ?? null, durationMs };
+  } catch (error) {
+    const durationMs = Date.now() - startTime;
+
+    logger.error('Tool execution failed', {
+      name,
+      callSid: context.callSid,
+      durationMs,
+      error: error.message,
+    });
+
+    return {
+      success: false,
+      error: {
+        code: error.code || 'TOOL_EXECUTION_FAILED',
+        message: error.message,
+      },
+      durationMs,
+    };
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+}
+
+export default {
+  registerTool,
+  unregisterTool,
+  getTool,
+  hasTool,
+  listTools,
+  getToolDefinitions,
+  findSessionTool,
+  validateToolDefinitions,
+  executeTool,
+  ToolError,
+};
@@ -2,11 +2,23 @@ import twilio from 'twilio';
 import config from '../config/environment.js';
 import { createLogger } from '../utils/logger.js';
 import connectionManager from '../websocket/connectionManager.js';
+import { toStreamParameters } from './promptTemplate.js';
 
 const logger = createLogger('twilio-service');
 
 const twilioClient = twilio(config.twilio.accountSid, config.twilio.authToken);
 
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+/**
+ * Public base URL of this server, for Twilio callbacks and signed download links
+ *
+ * @returns {string} SERVER_URL, or the Railway domain over https
+ */
+export function getBaseUrl() {
+  return process.env.SERVER_URL || `https://${process.env.RAILWAY_PUBLIC_DOMAIN || 'localhost:3000'}`;
+}
+
 export async function initiateOutgoingCall(options) {
   const {
     to,
@@ -15,6 +27,7 @@ export async function initiateOutgoingCall(options) {
     promptId,
     sessionConfig,
     statusCallback,
+    variables,
   } = options;
 
   logger.info('Initiating outgoing call via Twilio', {
@@ -29,7 +42,12 @@ export async function initiateOutgoingCall(options) {
   if (promptId) twimlParams.set('promptId', promptId);
   twimlParams.set('direction', 'outbound');
 
-  const baseUrl = process.env.SERVER_URL || `https://${process.env.RAILWAY_PUBLIC_DOMAIN || 'localhost:3000'}`;
+  // Template variables travel as var_<name> and are forwarded as stream parameters
+  for (const [name, value] of Object.entries(toStreamParameters(variables))) {
+    twimlParams.set(name, value);
+  }
+
+  const baseUrl = getBaseUrl();
 
   const call = await twilioClient.calls.create({
     to,
@@ -119,24 +137,43 @@ export async function muteCall(callSid, mute = true) {
   return updateCall(callSid, { muted: mute });
 }
 
+/**
+ * Put a call on hold, or take it off
+ * Twilio has no hold status: the call is redirected to looping hold music,
+ * and back to /twiml/resume (a new media stream) to take it off hold.
+ */
 export async function holdCall(callSid, hold = true) {
   logger.info(`${hold ? 'Putting' : 'Taking'} call ${hold ? 'on' : 'off'} hold`, { callSid });
 
-  return updateCall(callSid, {
-    status: hold ? 'paused' : 'in-progress',
-  });
+  if (!hold) {
+    return updateCall(callSid, { url: `${getBaseUrl()}/twiml/resume`, method: 'POST' });
+  }
+
+  const response = new VoiceResponse();
+  response.play({ loop: 0 }, config.callControl.holdMusicUrl);
+
+  return updateCall(callSid, { twiml: response.toString() });
 }
 
+/**
+ * Press keypad digits on a call
+ * DTMF can't be sent into a media stream, so the call is redirected to play
+ * the digits and then back to /twiml/resume for a new stream.
+ */
 export async function sendDigits(callSid, digits) {
   logger.info('Sending DTMF digits', { callSid, digits: digits.replace(/\d/g, '*') });
 
-  return updateCall(callSid, { sendDigits: digits });
+  const response = new VoiceResponse();
+  response.play({ digits });
+  response.redirect({ method: 'POST' }, `${getBaseUrl()}/twiml/resume`);
+
+  return updateCall(callSid, { twiml: response.toString() });
 }
 
 export async function transferCall(callSid, transferTo, options = {}) {
   logger.info('Transferring call', { callSid, transferTo });
 
-  const baseUrl = process.env.SERVER_URL || `https://${process.env.RAILWAY_PUBLIC_DOMAIN || 'localhost:3000'}`;
+  const baseUrl = getBaseUrl();
 
   const twiml = `
     <Response>
@@ -150,6 +187,34 @@ export async function transferCall(callSid, transferTo, options = {}) {
   });
 }
 
+/**
+ * Download a Twilio recording as WAV (8kHz PCM16, as Twilio records calls)
+ *
+ * @param {string} recordingUrl - RecordingUrl from a Twilio callback (no extension)
+ * @returns {Promise<Buffer>} WAV file contents
+ */
+export async function downloadRecording(recordingUrl) {
+  // Account credentials are sent with the request, so only ever to Twilio
+  const url = new URL(`${recordingUrl}.wav`);
+  if (url.protocol !== 'https:' || url.hostname !== 'api.twilio.com') {
+    throw new Error(`Refusing to download recording from ${url.host}`);
+  }
+
+  const credentials = Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64');
+  const response = await fetch(url, {
+    headers: { Authorization: `Basic ${credentials}` },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Recording download failed with status ${response.status}`);
+  }
+
+  const audio = Buffer.from(await response.arrayBuffer());
+  logger.debug('Recording downloaded from Twilio', { url: url.pathname, bytes: audio.length });
+
+  return audio;
+}
+
 export async function getAccountInfo() {
   const account = await twilioClient.api.accounts(config.twilio.accountSid).fetch();
 
@@ -199,6 +264,17 @@ export function validatePhoneNumber(phoneNumber) {
   return { valid: true };
 }
 
+/**
+ * Check whether a number is one of this Twilio account's incoming numbers
+ *
+ * @param {string} phoneNumber - E.164 number
+ * @returns {Promise<boolean>} True if the account owns it
+ */
+export async function isAccountNumber(phoneNumber) {
+  const numbers = await twilioClient.incomingPhoneNumbers.list({ phoneNumber, limit: 1 });
+  return numbers.some((number) => number.phoneNumber === phoneNumber);
+}
+
 export async function lookupPhoneNumber(phoneNumber) {
   try {
     const lookup = await twilioClient.lookups.v2.phoneNumbers(phoneNumber).fetch({
@@ -221,6 +297,7 @@ export async function lookupPhoneNumber(phoneNumber) {
 }
 
 export default {
+  getBaseUrl,
   initiateOutgoingCall,
   endCall,
   getCallDetails,
@@ -229,8 +306,10 @@ export default {
   holdCall,
   sendDigits,
   transferCall,
+  downloadRecording,
   getAccountInfo,
   getUsage,
   validatePhoneNumber,
+  isAccountNumber,
   lookupPhoneNumber,
 };
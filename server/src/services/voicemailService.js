@@ -0,0 +1,246 @@
+/**
+ * Voicemail Service for VoiceAI Pro
+ *
+ * Turns inbound calls answered by a voicemail routing rule into messages.
+ * There are two ways to take a message:
+ *
+ *   record  - plain Twilio <Record>; the recording is downloaded from Twilio,
+ *             stored like any call recording and transcribed
+ *   ai      - the rule's prompt takes the message over the media stream; the
+ *             call's own recording and transcript are used
+ *
+ * Either way the transcript is reduced to caller name, callback number and
+ * reason, stored in voicemails, and pushed to the owner's connected devices
+ * as voicemail.received.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { query } from '../db/pool.js';
+import voicemailQueries from '../db/queries/voicemails.js';
+import { addTranscript, getFullTranscriptText } from '../db/queries/transcripts.js';
+import { downloadRecording } from './twilioService.js';
+import { transcribeAudio, extractStructured } from './openaiService.js';
+import { saveRecordingFile } from './recordingService.js';
+import connectionManager from '../websocket/connectionManager.js';
+
+const logger = createLogger('voicemail-service');
+
+const EXTRACTION_INSTRUCTIONS = `You read voicemail transcripts and pull out who called and why.
+Return null for anything the caller did not say; never guess.
+callback_number is a phone number the caller asked to be called back on, written as they said it in digits.
+reason is one or two sentences in the third person, e.g. "Wants to reschedule Tuesday's appointment."`;
+
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    caller_name: { type: ['string', 'null'] },
+    callback_number: { type: ['string', 'null'] },
+    reason: { type: ['string', 'null'] },
+  },
+  required: ['caller_name', 'callback_number', 'reason'],
+  additionalProperties: false,
+};
+
+/**
+ * Create the call session for a call that goes straight to <Record>
+ * AI voicemails get theirs from the media stream like any other call.
+ *
+ * @param {Object} call - Call details
+ * @param {string} call.callSid - Twilio Call SID
+ * @param {string} call.from - Caller ID
+ * @param {string} call.userId - Owner (the routing rule's user)
+ * @param {string} [call.routingRuleId] - Rule that sent the call to voicemail
+ * @returns {Promise<void>}
+ */
+export async function startRecordedVoicemail(call) {
+  await query(
+    `INSERT INTO call_sessions (call_sid, direction, phone_number, status, user_id, config_snapshot)
+     VALUES ($1, 'inbound', $2, 'voicemail', $3, $4)
+     ON CONFLICT (call_sid) DO NOTHING`,
+    [
+      call.callSid,
+      call.from || null,
+      call.userId,
+      JSON.stringify({ voicemail: 'record', routingRuleId: call.routingRuleId || null }),
+    ]
+  );
+}
+
+/**
+ * Pull caller name, callback number and reason out of a transcript
+ *
+ * @param {string} transcript - Message or conversation transcript
+ * @returns {Promise<{callerName: string|null, callbackNumber: string|null, reason: string|null}>}
+ */
+export async function extractVoicemailDetails(transcript) {
+  const details = await extractStructured({
+    instructions: EXTRACTION_INSTRUCTIONS,
+    input: transcript,
+    schemaName: 'voicemail_details',
+    schema: EXTRACTION_SCHEMA,
+  });
+
+  return {
+    callerName: details.caller_name || null,
+    callbackNumber: details.callback_number || null,
+    reason: details.reason || null,
+  };
+}
+
+/**
+ * Get the owned inbound call session for a voicemail
+ */
+async function getVoicemailCall(callSid) {
+  const result = await query(
+    `SELECT id, user_id, phone_number FROM call_sessions
+     WHERE call_sid = $1 AND direction = 'inbound'`,
+    [callSid]
+  );
+
+  const call = result.rows[0];
+  if (!call?.user_id) {
+    logger.warn('No owned inbound call for voicemail', { callSid });
+    return null;
+  }
+
+  return call;
+}
+
+/**
+ * Extract details, store the result and tell the owner
+ */
+async function finishVoicemail(voicemail, callSid, { recordingId, transcript }) {
+  let updated;
+
+  try {
+    const details = transcript
+      ? await extractVoicemailDetails(transcript)
+      : { callerName: null, callbackNumber: null, reason: null };
+
+    updated = await voicemailQueries.completeVoicemail(voicemail.id, { recordingId, transcript, ...details });
+
+    logger.info('Voicemail ready', {
+      callSid,
+      voicemailId: voicemail.id,
+      hasCallerName: !!details.callerName,
+      hasCallbackNumber: !!details.callbackNumber,
+    });
+  } catch (error) {
+    logger.error('Voicemail extraction failed', { callSid, voicemailId: voicemail.id, error: error.message });
+    updated = await voicemailQueries.failVoicemail(voicemail.id, error.message, { recordingId, transcript });
+  }
+
+  notifyOwner(updated, callSid);
+  return updated;
+}
+
+function notifyOwner(voicemail, callSid) {
+  connectionManager.notifyUser(voicemail.user_id, 'voicemail.received', {
+    voicemailId: voicemail.id,
+    callSid,
+    status: voicemail.status,
+    captureMode: voicemail.capture_mode,
+    fromNumber: voicemail.from_number,
+    callerName: voicemail.caller_name,
+    callbackNumber: voicemail.callback_number,
+    reason: voicemail.reason,
+    transcript: voicemail.transcript,
+    recordingId: voicemail.recording_id,
+    createdAt: voicemail.created_at,
+  });
+}
+
+/**
+ * Process a message left with <Record> (recordingStatusCallback)
+ * Twilio may retry the callback; a call only ever gets one voicemail.
+ *
+ * @param {Object} recording - Callback details
+ * @param {string} recording.callSid - Twilio Call SID
+ * @param {string} recording.recordingUrl - Twilio RecordingUrl
+ * @returns {Promise<Object|null>} Voicemail, or null if the call is unknown or already processed
+ */
+export async function processRecordedVoicemail({ callSid, recordingUrl }) {
+  const call = await getVoicemailCall(callSid);
+  if (!call) {
+    return null;
+  }
+
+  const voicemail = await voicemailQueries.createVoicemail({
+    callSessionId: call.id,
+    userId: call.user_id,
+    captureMode: 'record',
+    fromNumber: call.phone_number,
+  });
+  if (!voicemail) {
+    logger.debug('Voicemail already processed', { callSid });
+    return null;
+  }
+
+  let recordingId = null;
+  let transcript = null;
+
+  try {
+    const audio = await downloadRecording(recordingUrl);
+
+    const saved = await saveRecordingFile(callSid, audio);
+    recordingId = saved.id || null;
+
+    transcript = (await transcribeAudio(audio)).trim();
+    if (transcript) {
+      await addTranscript({ callSessionId: call.id, speaker: 'user', content: transcript });
+    }
+  } catch (error) {
+    logger.error('Failed to process recorded voicemail', { callSid, error: error.message });
+    const failed = await voicemailQueries.failVoicemail(voicemail.id, error.message, { recordingId, transcript });
+    notifyOwner(failed, callSid);
+    return failed;
+  }
+
+  return finishVoicemail(voicemail, callSid, { recordingId, transcript });
+}
+
+/**
+ * Process a message taken by the AI, once the call's recording and
+ * transcripts have been saved
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {string} from - Caller ID (the session's phone number is the dialed one)
+ * @returns {Promise<Object|null>} Voicemail, or null if the call is unknown or already processed
+ */
+export async function processAIVoicemail(callSid, from) {
+  const call = await getVoicemailCall(callSid);
+  if (!call) {
+    return null;
+  }
+
+  const voicemail = await voicemailQueries.createVoicemail({
+    callSessionId: call.id,
+    userId: call.user_id,
+    captureMode: 'ai',
+    fromNumber: from,
+  });
+  if (!voicemail) {
+    logger.debug('Voicemail already processed', { callSid });
+    return null;
+  }
+
+  const recordingResult = await query(
+    `SELECT id FROM recordings WHERE call_session_id = $1
+     ORDER BY created_at DESC LIMIT 1`,
+    [call.id]
+  );
+
+  const transcript = await getFullTranscriptText(call.id, call.user_id);
+
+  return finishVoicemail(voicemail, callSid, {
+    recordingId: recordingResult.rows[0]?.id || null,
+    transcript,
+  });
+}
+
+export default {
+  startRecordedVoicemail,
+  extractVoicemailDetails,
+  processRecordedVoicemail,
+  processAIVoicemail,
+};
@@ -0,0 +1,56 @@
+/**
+ * Recording Storage for VoiceAI Pro
+ *
+ * Recordings are captured on local disk while a call is live and handed to a
+ * storage driver when they are finalized. Every driver implements:
+ *
+ *   put(key, bufferOrFilePath, { contentType }) → storage_path
+ *   getStream(storagePath, { start, end }?) / get(storagePath) / stat(storagePath)
+ *   delete(storagePath)
+ *   list() → async iterable of { storagePath, size }
+ *   getSignedUrl(storagePath, { recordingId, expiresIn, filename, contentType })
+ *
+ * recordings.storage_backend records which driver holds each file, so the
+ * configured backend can change without breaking older recordings.
+ */
+
+import config from '../config/environment.js';
+import { LocalStorageDriver } from './localStorage.js';
+import { S3StorageDriver } from './s3Storage.js';
+
+export const STORAGE_BACKENDS = ['local', 's3'];
+
+// Drivers are created on first use
+const drivers = new Map();
+
+function createDriver(name) {
+  switch (name) {
+    case 'local':
+      return new LocalStorageDriver({
+        root: config.recording.storagePath,
+        signingSecret: config.recording.urlSigningSecret,
+      });
+    case 's3':
+      return new S3StorageDriver(config.s3);
+    default:
+      throw new Error(`Unknown storage backend: ${name}`);
+  }
+}
+
+/**
+ * Get a storage driver
+ *
+ * @param {string} [name] - Backend name (defaults to RECORDING_STORAGE_BACKEND)
+ * @returns {LocalStorageDriver|S3StorageDriver} Driver
+ */
+export function getStorageDriver(name = config.recording.storageBackend) {
+  if (!drivers.has(name)) {
+    drivers.set(name, createDriver(name));
+  }
+  return drivers.get(name);
+}
+
+export default {
+  STORAGE_BACKENDS,
+  getStorageDriver,
+};
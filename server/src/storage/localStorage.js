@@ -0,0 +1,182 @@
+/**
+ * Local Disk Storage Driver
+ *
+ * Stores recordings as files under a root directory. storage_path is the file
+ * path (as it always has been), so rows written before storage backends existed
+ * keep working unchanged.
+ *
+ * Signed URLs point back at this server (/api/recordings/:id/signed) and carry
+ * an HMAC of the recording ID and expiry time.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { getBaseUrl } from '../services/twilioService.js';
+
+const logger = createLogger('storage:local');
+
+export class LocalStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.root - Directory recordings are stored in
+   * @param {string} options.signingSecret - Secret for signed download URLs
+   */
+  constructor(options) {
+    this.name = 'local';
+    this.root = options.root;
+    this.signingSecret = options.signingSecret;
+  }
+
+  /**
+   * Store a file or buffer
+   *
+   * @param {string} key - Object name (e.g. "<recordingId>.flac")
+   * @param {Buffer|string} source - Contents or path of a local file
+   * @returns {Promise<string>} storage_path for the stored object
+   */
+  async put(key, source) {
+    const storagePath = path.join(this.root, key);
+    await fs.promises.mkdir(path.dirname(storagePath), { recursive: true });
+
+    if (typeof source === 'string') {
+      if (path.resolve(source) !== path.resolve(storagePath)) {
+        await fs.promises.copyFile(source, storagePath);
+      }
+    } else {
+      await fs.promises.writeFile(storagePath, source);
+    }
+
+    return storagePath;
+  }
+
+  /**
+   * Open a read stream
+   *
+   * @param {string} storagePath - File path
+   * @param {{start: number, end: number}} [range] - Inclusive byte range to read
+   * @returns {Promise<ReadStream>} File stream
+   */
+  async getStream(storagePath, range) {
+    await fs.promises.access(storagePath, fs.constants.R_OK);
+    return fs.createReadStream(storagePath, range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  /**
+   * Read the whole object
+   *
+   * @param {string} storagePath - File path
+   * @returns {Promise<Buffer>} Contents
+   */
+  async get(storagePath) {
+    return fs.promises.readFile(storagePath);
+  }
+
+  /**
+   * Get object size, or null if it does not exist
+   *
+   * @param {string} storagePath - File path
+   * @returns {Promise<{size: number}|null>} Object info
+   */
+  async stat(storagePath) {
+    try {
+      const stats = await fs.promises.stat(storagePath);
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object (missing objects are not an error)
+   *
+   * @param {string} storagePath - File path
+   * @returns {Promise<boolean>} True if something was deleted
+   */
+  async delete(storagePath) {
+    try {
+      await fs.promises.unlink(storagePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List stored objects
+   *
+   * @returns {AsyncGenerator<{storagePath: string, size: number}>} Objects
+   */
+  async *list() {
+    const files = await fs.promises.readdir(this.root).catch(() => []);
+
+    for (const file of files) {
+      const storagePath = path.join(this.root, file);
+      try {
+        const stats = await fs.promises.stat(storagePath);
+        if (stats.isFile()) {
+          yield { storagePath, size: stats.size };
+        }
+      } catch (e) {
+        // Ignore files removed while listing
+      }
+    }
+  }
+
+  /**
+   * Create a time-limited download URL served by this server
+   *
+   * @param {string} storagePath - File path (unused; the URL is keyed by recording ID)
+   * @param {Object} options - URL options
+   * @param {string} options.recordingId - Recording UUID
+   * @param {number} options.expiresIn - Lifetime in seconds
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(storagePath, options) {
+    const { recordingId, expiresIn } = options;
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.sign(recordingId, expires);
+
+    return `${getBaseUrl()}/api/recordings/${recordingId}/signed?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signed URL's expiry and signature
+   *
+   * @param {string} recordingId - Recording UUID
+   * @param {string|number} expires - Expiry (Unix seconds)
+   * @param {string} signature - Hex HMAC from the URL
+   * @returns {boolean} True if valid and not expired
+   */
+  verifySignedUrl(recordingId, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(recordingId, expiresAt), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    if (actual.length !== expected.length) {
+      logger.debug('Signed URL signature has wrong length', { recordingId });
+      return false;
+    }
+
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  sign(recordingId, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${recordingId}:${expires}`)
+      .digest('hex');
+  }
+}
+
+export default LocalStorageDriver;
@@ -0,0 +1,338 @@
+/**
+ * S3-Compatible Storage Driver
+ *
+ * Talks to AWS S3 or any S3-compatible service (MinIO, R2, Spaces) over the
+ * REST API with Signature Version 4, using Node's built-in fetch and crypto.
+ * storage_path is the object key (including the configured prefix).
+ *
+ * For MinIO and most self-hosted services set an endpoint and path-style
+ * addressing, e.g. S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('storage:s3');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;   // SigV4 limit
+
+/**
+ * RFC 3986 encoding as required by SigV4
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+export class S3StorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Region used for signing
+   * @param {string} [options.endpoint] - Service URL (defaults to AWS for the region)
+   * @param {string} options.accessKeyId - Access key
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {boolean} [options.forcePathStyle=false] - Use /bucket/key URLs
+   * @param {string} [options.prefix=''] - Key prefix for stored objects
+   */
+  constructor(options) {
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.region = options.region;
+    this.endpoint = new URL(options.endpoint || `https://s3.${options.region}.amazonaws.com`);
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.forcePathStyle = options.forcePathStyle ?? false;
+    this.prefix = options.prefix || '';
+  }
+
+  /**
+   * Build the URL for an object (or the bucket when key is empty)
+   */
+  objectUrl(key = '') {
+    const url = new URL(this.endpoint.href);
+    const basePath = url.pathname.replace(/\/$/, '');
+
+    if (this.forcePathStyle) {
+      url.pathname = `${basePath}/${this.bucket}/${encodeKey(key)}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${basePath}/${encodeKey(key)}`;
+    }
+
+    return url;
+  }
+
+  /**
+   * Credential scope and signing key for a timestamp
+   */
+  signingContext(date) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const signingKey = hmac(
+      hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'),
+      'aws4_request'
+    );
+
+    return { amzDate, scope, signingKey };
+  }
+
+  /**
+   * Compute a SigV4 signature
+   *
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL (query included)
+   * @param {Object} headers - Headers to sign (lowercase names)
+   * @param {string} payloadHash - Hex SHA-256 of the body or UNSIGNED-PAYLOAD
+   * @param {Object} context - From signingContext()
+   * @returns {{signature: string, signedHeaders: string}} Signature
+   */
+  signature(method, url, headers, payloadHash, context) {
+    const canonicalQuery = [...url.searchParams.entries()]
+      .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+      .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+      .map(([k, v]) => `${k}=${v}`)
+      .join('&');
+
+    const headerNames = Object.keys(headers).sort();
+    const canonicalHeaders = headerNames.map((name) => `${name}:${String(headers[name]).trim()}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      context.amzDate,
+      context.scope,
+      sha256Hex(canonicalRequest),
+    ].join('\n');
+
+    return {
+      signature: crypto.createHmac('sha256', context.signingKey).update(stringToSign).digest('hex'),
+      signedHeaders,
+    };
+  }
+
+  /**
+   * Send a signed request
+   *
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL
+   * @param {Object} [options] - Body and extra headers
+   * @returns {Promise<Response>} Fetch response (throws on non-2xx)
+   */
+  async request(method, url, options = {}) {
+    const { body, headers: extraHeaders = {} } = options;
+    const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+    const context = this.signingContext(new Date());
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': context.amzDate,
+      ...extraHeaders,
+    };
+
+    const { signature, signedHeaders } = this.signature(method, url, headers, payloadHash, context);
+    headers.authorization =
+      `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${context.scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    delete headers.host;
+
+    const response = await fetch(url, { method, headers, body });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      const error = new Error(
+        `S3 ${method} ${url.pathname} failed: ${response.status} ${xmlValue(text, 'Code') || response.statusText}`
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Store a file or buffer
+   *
+   * @param {string} key - Object name (e.g. "<recordingId>.flac"); the prefix is added
+   * @param {Buffer|string} source - Contents or path of a local file
+   * @param {Object} [options] - Upload options
+   * @param {string} [options.contentType] - Content-Type to store
+   * @returns {Promise<string>} storage_path (object key) for the stored object
+   */
+  async put(key, source, options = {}) {
+    const objectKey = `${this.prefix}${key}`;
+    const body = typeof source === 'string' ? await fs.promises.readFile(source) : source;
+
+    await this.request('PUT', this.objectUrl(objectKey), {
+      body,
+      headers: {
+        'content-length': String(body.length),
+        'content-type': options.contentType || 'application/octet-stream',
+      },
+    });
+
+    logger.debug('Object uploaded', { bucket: this.bucket, key: objectKey, bytes: body.length });
+
+    return objectKey;
+  }
+
+  /**
+   * Open a read stream
+   *
+   * @param {string} storagePath - Object key
+   * @param {{start: number, end: number}} [range] - Inclusive byte range to read
+   * @returns {Promise<Readable>} Object stream
+   */
+  async getStream(storagePath, range) {
+    const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+    const response = await this.request('GET', this.objectUrl(storagePath), { headers });
+    return Readable.fromWeb(response.body);
+  }
+
+  /**
+   * Read the whole object
+   *
+   * @param {string} storagePath - Object key
+   * @returns {Promise<Buffer>} Contents
+   */
+  async get(storagePath) {
+    const response = await this.request('GET', this.objectUrl(storagePath));
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Get object size, or null if it does not exist
+   *
+   * @param {string} storagePath - Object key
+   * @returns {Promise<{size: number}|null>} Object info
+   */
+  async stat(storagePath) {
+    try {
+      const response = await this.request('HEAD', this.objectUrl(storagePath));
+      return { size: parseInt(response.headers.get('content-length') || '0', 10) };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object (S3 does not report whether it existed)
+   *
+   * @param {string} storagePath - Object key
+   * @returns {Promise<boolean>} True once the delete is accepted
+   */
+  async delete(storagePath) {
+    await this.request('DELETE', this.objectUrl(storagePath));
+    return true;
+  }
+
+  /**
+   * List stored objects under the prefix
+   *
+   * @returns {AsyncGenerator<{storagePath: string, size: number}>} Objects
+   */
+  async *list() {
+    let continuationToken = null;
+
+    do {
+      const url = this.objectUrl();
+      url.searchParams.set('list-type', '2');
+      url.searchParams.set('prefix', this.prefix);
+      if (continuationToken) {
+        url.searchParams.set('continuation-token', continuationToken);
+      }
+
+      const xml = await (await this.request('GET', url)).text();
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        yield {
+          storagePath: xmlValue(contents, 'Key'),
+          size: parseInt(xmlValue(contents, 'Size') || '0', 10),
+        };
+      }
+
+      continuationToken = xmlValue(xml, 'IsTruncated') === 'true'
+        ? xmlValue(xml, 'NextContinuationToken')
+        : null;
+    } while (continuationToken);
+  }
+
+  /**
+   * Create a presigned GET URL
+   *
+   * @param {string} storagePath - Object key
+   * @param {Object} options - URL options
+   * @param {number} options.expiresIn - Lifetime in seconds (max 7 days)
+   * @param {string} [options.filename] - Download filename (Content-Disposition)
+   * @param {string} [options.contentType] - Response Content-Type override
+   * @returns {Promise<string>} Presigned URL
+   */
+  async getSignedUrl(storagePath, options) {
+    const { expiresIn, filename, contentType } = options;
+    const context = this.signingContext(new Date());
+    const url = this.objectUrl(storagePath);
+
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${context.scope}`);
+    url.searchParams.set('X-Amz-Date', context.amzDate);
+    url.searchParams.set('X-Amz-Expires', String(Math.min(expiresIn, MAX_PRESIGN_SECONDS)));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+    if (filename) {
+      url.searchParams.set('response-content-disposition', `attachment; filename="${filename}"`);
+    }
+    if (contentType) {
+      url.searchParams.set('response-content-type', contentType);
+    }
+
+    const { signature } = this.signature('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD', context);
+    url.searchParams.set('X-Amz-Signature', signature);
+
+    // URLSearchParams encodes spaces as '+'; S3 expects the RFC 3986 form that was signed
+    return url.href.replace(/\+/g, '%20');
+  }
+}
+
+export default S3StorageDriver;
@@ -0,0 +1,90 @@
+/**
+ * HTTP Range and conditional request helpers
+ *
+ * Only single byte ranges are supported; multipart/byteranges responses are
+ * not worth the complexity for audio players, which request one range at a time.
+ */
+
+/**
+ * Parse a Range header against a resource size
+ *
+ * @param {string|undefined} header - Range header value
+ * @param {number} size - Resource size in bytes
+ * @returns {{start: number, end: number}|'unsatisfiable'|null} Inclusive byte range,
+ *   'unsatisfiable' for a valid range outside the resource, or null to send the whole resource
+ */
+export function parseRangeHeader(header, size) {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    // Multiple or malformed ranges: ignore the header (RFC 9110 §14.2)
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = parseInt(match[2], 10);
+    if (length === 0) {
+      return 'unsatisfiable';
+    }
+    start = Math.max(0, size - length);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? Infinity : parseInt(match[2], 10);
+    if (end < start) {
+      return null;
+    }
+    end = Math.min(end, size - 1);
+  }
+
+  if (start >= size) {
+    return 'unsatisfiable';
+  }
+
+  return { start, end };
+}
+
+/**
+ * Check an If-None-Match header against an entity tag
+ *
+ * @param {string|undefined} header - If-None-Match value
+ * @param {string} etag - Current entity tag (quoted)
+ * @returns {boolean} True if the client's copy is current
+ */
+export function matchesEtag(header, etag) {
+  if (!header) {
+    return false;
+  }
+  if (header.trim() === '*') {
+    return true;
+  }
+
+  // Weak comparison: W/"x" matches "x"
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some((tag) => strip(tag) === strip(etag));
+}
+
+/**
+ * Check whether a Range request should be honoured given If-Range
+ *
+ * @param {string|undefined} header - If-Range value
+ * @param {string} etag - Current entity tag (quoted)
+ * @returns {boolean} True if the range applies
+ */
+export function isRangeFresh(header, etag) {
+  // Only strong entity tags are accepted; dates and weak tags send the full resource
+  return !header || header.trim() === etag;
+}
+
+export default {
+  parseRangeHeader,
+  matchesEtag,
+  isRangeFresh,
+};
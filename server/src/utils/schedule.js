@@ -0,0 +1,117 @@
+/**
+ * Weekly Time Windows
+ *
+ * Shared by campaign calling windows and inbound routing schedules.
+ * A window is { days?: [1-7], start: "HH:MM", end: "HH:MM" } in local time,
+ * with ISO weekdays (1 = Monday); omitting days means every day.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Check that a timezone is a valid IANA name
+ *
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if Intl accepts it
+ */
+export function isValidTimezone(timezone) {
+  // Intl falls back to the host's zone when timeZone is undefined
+  if (typeof timezone !== 'string' || timezone === '') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a list of windows
+ *
+ * @param {*} windows - Value from a request body
+ * @param {string} label - Field name used in error messages
+ * @returns {string[]} Errors (empty if valid)
+ */
+export function validateWindows(windows, label) {
+  if (!Array.isArray(windows)) {
+    return [`${label} must be an array`];
+  }
+
+  const errors = [];
+
+  windows.forEach((window, index) => {
+    const windowLabel = `${label}[${index}]`;
+    if (!window || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      errors.push(`${windowLabel} needs start and end times as HH:MM`);
+    } else if (window.start >= window.end) {
+      errors.push(`${windowLabel}.start must be before end`);
+    }
+    if (window?.days !== undefined
+      && (!Array.isArray(window.days) || window.days.some((d) => !Number.isInteger(d) || d < 1 || d > 7))) {
+      errors.push(`${windowLabel}.days must be ISO weekdays 1 (Monday) to 7 (Sunday)`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Get the local calendar date, weekday and time of a moment
+ *
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [date] - Moment to convert
+ * @returns {{date: string, isoDay: number, time: string}} "YYYY-MM-DD", 1-7 and "HH:MM"
+ */
+export function getLocalTime(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    isoDay: WEEKDAYS.indexOf(get('weekday')) + 1,
+    time: `${get('hour')}:${get('minute')}`,
+  };
+}
+
+/**
+ * Check if a moment falls inside any window in a timezone
+ *
+ * @param {Object[]} windows - [{days, start, end}]; empty means any time
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [date] - Moment to check
+ * @returns {boolean} True if inside a window
+ */
+export function isWithinWindows(windows, timezone, date = new Date()) {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return true;
+  }
+
+  const { isoDay, time } = getLocalTime(timezone, date);
+
+  return windows.some((window) =>
+    (!window.days || window.days.includes(isoDay))
+    && time >= window.start
+    && time < window.end
+  );
+}
+
+export default {
+  isValidTimezone,
+  validateWindows,
+  getLocalTime,
+  isWithinWindows,
+};
@@ -37,6 +37,7 @@ class CallSession {
       temperature: 0.8,
       maxOutputTokens: 4096,
       instructions: '',
+      tools: [],
       ...options.config,
     };
 
@@ -60,6 +61,14 @@ class CallSession {
     logger.info('OpenAI connection established', { callSid: this.callSid });
   }
 
+  /**
+   * Whether a user may see and control this call
+   * Calls without an owner (e.g. unrouted inbound calls) belong to no one.
+   */
+  isOwnedBy(userId) {
+    return this.userId !== null && this.userId === userId;
+  }
+
   setIOSConnection(ws) {
     this.iosWs = ws;
     logger.info('iOS client connection established', { callSid: this.callSid });
@@ -177,7 +186,7 @@ class CallSession {
     if (pendingSubscribers) {
       logger.info('🔵 [BROADCAST] Found pending subscribers', { count: pendingSubscribers.size });
       pendingSubscribers.forEach((ws) => {
-        if (ws.readyState === 1 && !this.eventSubscribers.has(ws)) {
+        if (ws.readyState === 1 && !this.eventSubscribers.has(ws) && this.isOwnedBy(ws.userId)) {
           try {
             ws.send(message);
             sentCount++;
@@ -291,8 +300,9 @@ class ConnectionManager {
         callSid,
         count: pendingSubscribers.size,
       });
+      // Subscribers that are not the call's owner are dropped rather than attached
       pendingSubscribers.forEach((ws) => {
-        if (ws.readyState === 1) {
+        if (ws.readyState === 1 && session.isOwnedBy(ws.userId)) {
           session.addEventSubscriber(ws);
         }
       });
@@ -437,6 +447,33 @@ class ConnectionManager {
     return this.iosClients.get(deviceId) || null;
   }
 
+  /**
+   * Send an event that is not tied to a live call to a user's connected devices
+   * @returns {number} Number of clients the event was sent to
+   */
+  notifyUser(userId, eventType, data) {
+    const message = JSON.stringify({
+      type: eventType,
+      timestamp: new Date().toISOString(),
+      data,
+    });
+
+    let sentCount = 0;
+    for (const [deviceId, ws] of this.iosClients) {
+      if (ws.readyState === 1 && ws.userId === userId) {
+        try {
+          ws.send(message);
+          sentCount++;
+        } catch (error) {
+          logger.error('Failed to notify iOS client', { deviceId, eventType, error: error.message });
+        }
+      }
+    }
+
+    logger.debug('User notified', { userId, eventType, sentCount });
+    return sentCount;
+  }
+
   subscribeToEvents(callSid, ws) {
     let subscribers = this.eventSubscribers.get(callSid);
     if (!subscribers) {
@@ -474,7 +511,7 @@ class ConnectionManager {
       });
 
       subscribers.forEach((ws) => {
-        if (ws.readyState === 1) {
+        if (ws.readyState === 1 && session?.isOwnedBy(ws.userId)) {
           try {
             ws.send(message);
           } catch (error) {
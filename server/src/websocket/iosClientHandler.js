@@ -6,14 +6,35 @@ import {
   createManualResponse,
   sendTextMessage,
 } from './openaiRealtimeHandler.js';
+import {
+  startTakeover,
+  endTakeover,
+  sendOperatorAudio,
+  whisper,
+  releaseOperator,
+} from '../services/operatorControl.js';
+import { addMonitor, removeMonitor } from '../services/callMonitor.js';
+import { validateSessionConfig } from '../services/promptTemplate.js';
 
 const logger = createLogger('ios-client');
 
-export function handleIOSClientConnection(ws, request) {
+/**
+ * Handle an iOS client control connection
+ * The upgrade was authenticated; the client can only see and control its own calls.
+ *
+ * @param {WebSocket} ws - Client socket
+ * @param {IncomingMessage} request - Upgrade request
+ * @param {{id: string, deviceId: string}} user - Authenticated user
+ */
+export function handleIOSClientConnection(ws, request, user) {
   let deviceId = null;
   let authenticatedAt = null;
 
+  // Read by connectionManager before handing this socket events for a call
+  ws.userId = user.id;
+
   logger.info('New iOS client connection', {
+    userId: user.id,
     ip: request.socket.remoteAddress,
     headers: {
       userAgent: request.headers['user-agent'],
@@ -40,6 +61,9 @@ export function handleIOSClientConnection(ws, request) {
     if (deviceId) {
       connectionManager.unregisterIOSClient(deviceId);
     }
+
+    // Calls this device had taken over go back to the AI
+    releaseOperator(ws);
   });
 
   ws.on('error', (error) => {
@@ -49,6 +73,12 @@ export function handleIOSClientConnection(ws, request) {
     });
   });
 
+  // Calls belonging to other users are reported as not found
+  function getOwnedSession(callSid) {
+    const session = connectionManager.getSession(callSid);
+    return session?.isOwnedBy(user.id) ? session : null;
+  }
+
   function handleIOSMessage(ws, message, context) {
     const { type, payload } = message;
 
@@ -74,7 +104,10 @@ export function handleIOSClientConnection(ws, request) {
       case 'session.config':
       case 'call.config.update':
         // Handle config updates from iOS app - merges with existing config, overriding defaults
-        handleSessionUpdate(ws, payload || message.config, context);
+        handleSessionUpdate(ws, payload || message.config, context).catch((error) => {
+          logger.error('Failed to update session config', error);
+          sendError(ws, 'SESSION_UPDATE_FAILED', 'Failed to update session config');
+        });
         break;
 
       case 'call.interrupt':
@@ -93,6 +126,22 @@ export function handleIOSClientConnection(ws, request) {
         handleEndCall(ws, payload, context);
         break;
 
+      case 'call.takeover.start':
+        handleTakeoverStart(ws, payload, context);
+        break;
+
+      case 'call.takeover.audio':
+        handleTakeoverAudio(ws, payload);
+        break;
+
+      case 'call.takeover.end':
+        handleTakeoverEnd(ws, payload, context);
+        break;
+
+      case 'call.whisper':
+        handleWhisper(ws, payload, context);
+        break;
+
       case 'ping':
         sendMessage(ws, 'pong', { timestamp: Date.now() });
         break;
@@ -119,13 +168,13 @@ export function handleIOSClientConnection(ws, request) {
     // iOS sends: { type: "handshake", device_id: "...", client_type: "ios", version: "..." }
     const { device_id, client_type, version } = message;
 
-    if (!device_id) {
-      sendError(ws, 'HANDSHAKE_FAILED', 'Missing device_id');
+    if (device_id && device_id !== user.deviceId) {
+      sendError(ws, 'HANDSHAKE_FAILED', 'device_id does not match the access token');
       return;
     }
 
-    deviceId = device_id;
-    context.deviceId = device_id;
+    deviceId = user.deviceId;
+    context.deviceId = deviceId;
     authenticatedAt = new Date();
     context.authenticatedAt = authenticatedAt;
 
@@ -146,15 +195,16 @@ export function handleIOSClientConnection(ws, request) {
   }
 
   function handleAuth(ws, payload, context) {
-    const { device_id, token } = payload || {};
+    // The connection is authenticated at upgrade; this only confirms the device
+    const { device_id } = payload || {};
 
-    if (!device_id) {
-      sendError(ws, 'AUTH_FAILED', 'Missing device_id');
+    if (device_id && device_id !== user.deviceId) {
+      sendError(ws, 'AUTH_FAILED', 'device_id does not match the access token');
       return;
     }
 
-    deviceId = device_id;
-    context.deviceId = device_id;
+    deviceId = user.deviceId;
+    context.deviceId = deviceId;
     authenticatedAt = new Date();
     context.authenticatedAt = authenticatedAt;
 
@@ -176,7 +226,7 @@ export function handleIOSClientConnection(ws, request) {
       return;
     }
 
-    const session = connectionManager.getSession(call_sid);
+    const session = getOwnedSession(call_sid);
     if (session) {
       session.setIOSConnection(ws);
       sendMessage(ws, 'subscribed', {
@@ -215,7 +265,7 @@ export function handleIOSClientConnection(ws, request) {
     });
   }
 
-  function handleSessionUpdate(ws, payload, context) {
+  async function handleSessionUpdate(ws, payload, context) {
     const { call_sid, config } = payload || {};
 
     if (!call_sid || !config) {
@@ -223,12 +273,18 @@ export function handleIOSClientConnection(ws, request) {
       return;
     }
 
-    const session = connectionManager.getSession(call_sid);
+    const session = getOwnedSession(call_sid);
     if (!session) {
       sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${call_sid}`);
       return;
     }
 
+    const configValidation = await validateSessionConfig(config);
+    if (!configValidation.valid) {
+      sendError(ws, 'INVALID_CONFIG', `Invalid session config: ${configValidation.errors.join('; ')}`);
+      return;
+    }
+
     updateSessionConfig(session, config);
 
     sendMessage(ws, 'session.updated', {
@@ -250,7 +306,7 @@ export function handleIOSClientConnection(ws, request) {
       return;
     }
 
-    const session = connectionManager.getSession(call_sid);
+    const session = getOwnedSession(call_sid);
     if (!session) {
       sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${call_sid}`);
       return;
@@ -274,7 +330,7 @@ export function handleIOSClientConnection(ws, request) {
       return;
     }
 
-    const session = connectionManager.getSession(call_sid);
+    const session = getOwnedSession(call_sid);
     if (!session) {
       sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${call_sid}`);
       return;
@@ -298,7 +354,7 @@ export function handleIOSClientConnection(ws, request) {
       return;
     }
 
-    const session = connectionManager.getSession(call_sid);
+    const session = getOwnedSession(call_sid);
     if (!session) {
       sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${call_sid}`);
       return;
@@ -315,6 +371,111 @@ export function handleIOSClientConnection(ws, request) {
     });
   }
 
+  function handleTakeoverStart(ws, payload, context) {
+    const { call_sid } = payload || {};
+
+    if (!call_sid) {
+      sendError(ws, 'INVALID_PAYLOAD', 'Missing call_sid');
+      return;
+    }
+
+    const session = getOwnedSession(call_sid);
+    if (!session) {
+      sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${call_sid}`);
+      return;
+    }
+
+    try {
+      const { startedAt } = startTakeover(session, { ws, userId: user.id, deviceId: context.deviceId });
+      sendMessage(ws, 'call.takeover.started', {
+        call_sid,
+        started_at: startedAt.toISOString(),
+        caller_audio: { encoding: 'mulaw', sample_rate: 8000 },
+      });
+    } catch (error) {
+      sendError(ws, error.code || 'TAKEOVER_FAILED', error.message);
+    }
+  }
+
+  // Sent every 20-100ms while the operator talks, so failures are not logged
+  function handleTakeoverAudio(ws, payload) {
+    const { call_sid, audio, encoding } = payload || {};
+
+    if (!call_sid || typeof audio !== 'string') {
+      sendError(ws, 'INVALID_PAYLOAD', 'Missing call_sid or audio');
+      return;
+    }
+
+    const session = getOwnedSession(call_sid);
+    if (!session) {
+      sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${call_sid}`);
+      return;
+    }
+
+    try {
+      sendOperatorAudio(session, ws, audio, encoding);
+    } catch (error) {
+      sendError(ws, error.code || 'AUDIO_FAILED', error.message);
+    }
+  }
+
+  function handleTakeoverEnd(ws, payload, context) {
+    const { call_sid, note, respond } = payload || {};
+
+    if (!call_sid) {
+      sendError(ws, 'INVALID_PAYLOAD', 'Missing call_sid');
+      return;
+    }
+
+    const session = getOwnedSession(call_sid);
+    if (!session) {
+      sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${call_sid}`);
+      return;
+    }
+
+    const result = endTakeover(session, {
+      note: typeof note === 'string' ? note.slice(0, 2000) : undefined,
+      respond: respond === true,
+    });
+    if (!result) {
+      sendError(ws, 'NOT_IN_TAKEOVER', `Call is not taken over: ${call_sid}`);
+      return;
+    }
+
+    sendMessage(ws, 'call.takeover.ended', {
+      call_sid,
+      reason: 'operator',
+      duration_seconds: result.durationSeconds,
+    });
+
+    logger.info('Call handed back via iOS client', {
+      deviceId: context.deviceId,
+      callSid: call_sid,
+    });
+  }
+
+  function handleWhisper(ws, payload, context) {
+    const { call_sid, text, respond } = payload || {};
+
+    if (!call_sid) {
+      sendError(ws, 'INVALID_PAYLOAD', 'Missing call_sid');
+      return;
+    }
+
+    const session = getOwnedSession(call_sid);
+    if (!session) {
+      sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${call_sid}`);
+      return;
+    }
+
+    try {
+      whisper(session, text, { respond: respond === true, deviceId: context.deviceId });
+      sendMessage(ws, 'call.whispered', { call_sid });
+    } catch (error) {
+      sendError(ws, error.code || 'WHISPER_FAILED', error.message);
+    }
+  }
+
   function handleEndCall(ws, payload, context) {
     const { call_sid, reason } = payload || {};
 
@@ -323,7 +484,9 @@ export function handleIOSClientConnection(ws, request) {
       return;
     }
 
-    const destroyed = connectionManager.destroySession(call_sid, reason || 'ios_client_end');
+    const destroyed = getOwnedSession(call_sid)
+      ? connectionManager.destroySession(call_sid, reason || 'ios_client_end')
+      : false;
 
     if (destroyed) {
       sendMessage(ws, 'call.ended', { call_sid, reason });
@@ -338,7 +501,9 @@ export function handleIOSClientConnection(ws, request) {
   }
 
   function handleGetSessions(ws, context) {
-    const sessions = connectionManager.getActiveSessions().map((s) => s.toJSON());
+    const sessions = connectionManager.getActiveSessions()
+      .filter((s) => s.isOwnedBy(user.id))
+      .map((s) => s.toJSON());
     sendMessage(ws, 'sessions', { sessions });
   }
 
@@ -350,7 +515,7 @@ export function handleIOSClientConnection(ws, request) {
       return;
     }
 
-    const session = connectionManager.getSession(call_sid);
+    const session = getOwnedSession(call_sid);
     if (session) {
       sendMessage(ws, 'session', {
         session: session.toJSON(),
@@ -369,7 +534,7 @@ export function handleIOSClientConnection(ws, request) {
       return;
     }
 
-    const session = connectionManager.getSession(call_sid);
+    const session = getOwnedSession(call_sid);
     if (!session) {
       sendError(ws, 'SESSION_NOT_FOUND', `No session for call: ${call_sid}`);
       return;
@@ -411,10 +576,30 @@ function sendError(ws, code, message) {
   sendMessage(ws, 'error', { code, message });
 }
 
-export function handleEventStreamConnection(ws, request, callSid) {
-  logger.info('🟢 [EVENT-STREAM] ========== NEW CONNECTION ==========', { callSid });
+/**
+ * Stream a call's events to a client
+ * Until the call exists the socket waits as a pending subscriber and is only
+ * attached if the call turns out to belong to the same user.
+ *
+ * @param {WebSocket} ws - Client socket
+ * @param {IncomingMessage} request - Upgrade request
+ * @param {string} callSid - Call to follow
+ * @param {{id: string}} user - Authenticated user
+ */
+export function handleEventStreamConnection(ws, request, callSid, user) {
+  logger.info('🟢 [EVENT-STREAM] ========== NEW CONNECTION ==========', { callSid, userId: user.id });
+
+  ws.userId = user.id;
 
   const session = connectionManager.getSession(callSid);
+
+  if (session && !session.isOwnedBy(user.id)) {
+    logger.warn('🟢 [EVENT-STREAM] Rejected subscriber for another user\'s call', { callSid, userId: user.id });
+    sendMessage(ws, 'error', { code: 'SESSION_NOT_FOUND', message: `No session for call: ${callSid}` });
+    ws.close(1008, 'Not found');
+    return;
+  }
+
   logger.info('🟢 [EVENT-STREAM] Session lookup result', {
     callSid,
     sessionFound: !!session,
@@ -467,7 +652,56 @@ export function handleEventStreamConnection(ws, request, callSid) {
   });
 }
 
+/**
+ * Stream a live call's audio to a listener (listen-only)
+ * Only the call's owner may listen, and only while the call is active.
+ *
+ * @param {WebSocket} ws - Client socket
+ * @param {IncomingMessage} request - Upgrade request
+ * @param {string} callSid - Call to listen to
+ * @param {{id: string, deviceId: string}} user - Authenticated user
+ * @param {string} [mode='mix'] - mix or stereo
+ */
+export function handleMonitorConnection(ws, request, callSid, user, mode = 'mix') {
+  ws.userId = user.id;
+
+  const session = connectionManager.getSession(callSid);
+
+  if (!session || !session.isOwnedBy(user.id)) {
+    logger.warn('Rejected monitor for unknown or unowned call', { callSid, userId: user.id });
+    sendError(ws, 'SESSION_NOT_FOUND', `No active session for call: ${callSid}`);
+    ws.close(1008, 'Not found');
+    return;
+  }
+
+  let format;
+  try {
+    format = addMonitor(session, ws, { userId: user.id, deviceId: user.deviceId }, mode);
+  } catch (error) {
+    sendError(ws, error.code || 'MONITOR_FAILED', error.message);
+    ws.close(1008, error.message);
+    return;
+  }
+
+  sendMessage(ws, 'monitor.started', {
+    call_sid: callSid,
+    mode,
+    encoding: format.encoding,
+    sample_rate: format.sampleRate,
+    channels: format.channels,
+  });
+
+  ws.on('close', () => {
+    removeMonitor(callSid, ws);
+  });
+
+  ws.on('error', (error) => {
+    logger.error('Monitor socket error', { callSid, error: error.message });
+  });
+}
+
 export default {
   handleIOSClientConnection,
   handleEventStreamConnection,
+  handleMonitorConnection,
 };
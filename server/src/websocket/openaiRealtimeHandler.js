@@ -22,16 +22,33 @@
  * - Response: response.created, response.done
  * - Audio: response.audio.delta, response.audio.done
  * - Transcript: response.audio_transcript.delta/done
+ * - Tools: response.function_call_arguments.done
  * - Error: error, rate_limits.updated
+ *
+ * The connection comes from a realtime provider (src/realtime); the mock
+ * provider speaks the same events for offline testing.
  */
 
-import WebSocket from 'ws';
 import config from '../config/environment.js';
 import { createLogger } from '../utils/logger.js';
-import { pcm16Base64ToMulawBase64 } from '../audio/converter.js';
+import { PCM16ToMulawStream } from '../audio/converter.js';
+import { VoiceActivityDetector } from '../audio/vad.js';
+import { PlaybackTracker } from '../audio/playbackTracker.js';
 import { sendAudioToTwilio, sendMarkToTwilio, clearTwilioBuffer } from './twilioMediaHandler.js';
 import { logEvent } from '../services/eventLogger.js';
+import { getRealtimeProvider } from '../realtime/index.js';
+import { buildTruncateEvent, synthesizeSpeech } from '../services/openaiService.js';
+import {
+  recordItem,
+  setItemText,
+  setFunctionCall,
+  buildReplayEvents,
+} from '../services/conversationHistory.js';
 import { appendAIAudio } from '../services/recordingService.js';
+import { executeTool, getToolDefinitions, findSessionTool } from '../services/toolRegistry.js';
+import { armPendingCallAction, releasePendingCallAction } from '../services/callControlTools.js';
+import { isTakenOver } from '../services/operatorControl.js';
+import { isMonitored, forkOutboundAudio } from '../services/callMonitor.js';
 
 const logger = createLogger('openai-realtime');
 
@@ -40,9 +57,18 @@ const CONNECTION_TIMEOUT_MS = 15000;
 const MAX_RECONNECT_ATTEMPTS = 3;
 const RECONNECT_DELAY_MS = 1000;
 
+// Caller audio held while reconnecting; the most recent is kept
+const MAX_GAP_AUDIO_SAMPLES = 24000 * 15;
+
 // Session state tracking per call
 const sessionStates = new Map();
 
+// Calls waiting for OpenAI to come back: {startedAt, chunks, samples}
+const reconnectGaps = new Map();
+
+// Holding line audio per voice (Promise<Int16Array>)
+const fillerAudio = new Map();
+
 /**
  * Session state class to track OpenAI session status
  */
@@ -60,14 +86,30 @@ class OpenAISessionState {
     this.isPlayingAudio = false;
     this.cancelledResponseId = null; // Track which response we've already cancelled
 
+    // AI audio is one continuous stream on its way to Twilio
+    this.outputConverter = new PCM16ToMulawStream();
+
+    // What the caller has heard of each assistant item (Twilio marks)
+    this.playback = new PlaybackTracker();
+
+    // Bridge-side VAD on the caller's audio (see createLocalVad)
+    this.localVad = null;
+    this.localTurnDetection = false;
+
     // Transcript accumulation
     this.currentTranscriptDelta = '';
+    this.currentTranscriptItemId = null;
+
+    // Tool calls awaiting a result, and whether a follow-up response is owed
+    this.pendingToolCalls = new Set();
+    this.toolResponsePending = false;
 
     // Statistics
     this.audioChunksSent = 0;
     this.audioChunksReceived = 0;
     this.responsesGenerated = 0;
     this.interruptionCount = 0;
+    this.toolCallsExecuted = 0;
 
     // Usage tracking
     this.totalInputTokens = 0;
@@ -82,6 +124,8 @@ class OpenAISessionState {
     this.isPlayingAudio = false;
     this.cancelledResponseId = null;
     this.currentTranscriptDelta = '';
+    this.pendingToolCalls.clear();
+    this.toolResponsePending = false;
   }
 
   getStats() {
@@ -94,6 +138,7 @@ class OpenAISessionState {
       audioChunksReceived: this.audioChunksReceived,
       responsesGenerated: this.responsesGenerated,
       interruptionCount: this.interruptionCount,
+      toolCallsExecuted: this.toolCallsExecuted,
       usage: {
         inputTokens: this.totalInputTokens,
         outputTokens: this.totalOutputTokens,
@@ -104,52 +149,26 @@ class OpenAISessionState {
   }
 }
 
-/**
- * Build the OpenAI Realtime WebSocket URL with session config
- * Voice, audio format, and turn detection are passed as URL parameters
- */
-function buildOpenAIUrl(sessionConfig) {
-  const baseUrl = config.openai.realtimeBaseUrl;
-  const params = new URLSearchParams();
-
-  // Model
-  params.set('model', sessionConfig.model || config.openai.defaultModel);
-
-  // Voice - use session config or default
-  params.set('voice', sessionConfig.voice || config.openai.defaultVoice);
-
-  // Audio formats for Twilio (μ-law 8kHz)
-  params.set('input_audio_format', 'g711_ulaw');
-  params.set('output_audio_format', 'g711_ulaw');
-
-  // Turn detection (VAD)
-  const vadType = sessionConfig.vadType || config.openai.defaultVadType;
-  if (vadType === 'disabled' || vadType === 'none') {
-    // No turn detection - manual mode
-    params.set('turn_detection', 'none');
-  } else {
-    // semantic_vad or server_vad
-    params.set('turn_detection', vadType);
-  }
-
-  return `${baseUrl}?${params.toString()}`;
-}
-
 /**
  * Connect to OpenAI Realtime API
- * Establishes WebSocket connection, authenticates, and configures session
+ * Opens a session through the configured realtime provider (REALTIME_PROVIDER)
+ * and configures it
  *
  * @param {Object} session - The call session from connectionManager
- * @returns {Promise<WebSocket>} - Resolves with WebSocket when session is ready
+ * @param {Object} [options] - Connection options
+ * @param {number} [options.reconnectAttempts=0] - Reconnection attempts so far
+ * @returns {Promise<RealtimeConnection>} - Resolves with the connection when session is ready
  */
-export async function connectToOpenAI(session) {
+export async function connectToOpenAI(session, options = {}) {
+  const { reconnectAttempts = 0 } = options;
+
   return new Promise((resolve, reject) => {
-    // Build URL with session-specific config (voice, VAD, etc.)
-    const url = buildOpenAIUrl(session.config);
+    const provider = getRealtimeProvider();
 
-    logger.info('Connecting to OpenAI Realtime API', {
+    logger.info('Connecting to realtime provider', {
       callSid: session.callSid,
-      url,
+      provider: provider.name,
+      target: provider.describe(session),
       voice: session.config.voice,
       vadType: session.config.vadType,
       model: session.config.model,
@@ -157,14 +176,12 @@ export async function connectToOpenAI(session) {
 
     // Initialize session state
     const state = new OpenAISessionState(session.callSid);
+    state.reconnectAttempts = reconnectAttempts;
+    state.localVad = createLocalVad(session, state);
     sessionStates.set(session.callSid, state);
 
-    // Create WebSocket with authorization
-    const ws = new WebSocket(url, {
-      headers: {
-        Authorization: `Bearer ${config.openai.apiKey}`,
-      },
-    });
+    // OpenAI, or a stand-in speaking the same protocol
+    const ws = provider.connect(session);
 
     // Connection timeout
     const connectionTimeout = setTimeout(() => {
@@ -217,6 +234,11 @@ export async function connectToOpenAI(session) {
           // Now send session configuration
           sendSessionConfig(session);
 
+          // A replacement session picks up where the dropped one left off
+          if (reconnectGaps.has(session.callSid)) {
+            restoreConversation(session);
+          }
+
           // Resolve after config is sent
           resolve(ws);
         }
@@ -247,6 +269,11 @@ export async function connectToOpenAI(session) {
       state.isConnected = false;
       state.isSessionReady = false;
 
+      // The AI was cut off mid-sentence; keep what it had said so far
+      if (state.currentTranscriptDelta) {
+        setItemText(session.callSid, state.currentTranscriptItemId, 'assistant', state.currentTranscriptDelta);
+      }
+
       // Broadcast disconnect event if session is still active
       if (session.status !== 'ended') {
         session.broadcastEvent('openai.disconnected', {
@@ -257,9 +284,13 @@ export async function connectToOpenAI(session) {
 
         // Attempt reconnection if unexpected close
         if (code !== 1000 && state.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+          startReconnectGap(session);
           attemptReconnection(session, state);
+          return;
         }
       }
+
+      reconnectGaps.delete(session.callSid);
     });
 
     ws.on('error', (error) => {
@@ -297,12 +328,12 @@ async function attemptReconnection(session, state) {
   await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY_MS * state.reconnectAttempts));
 
   try {
-    await connectToOpenAI(session);
+    await connectToOpenAI(session, { reconnectAttempts: state.reconnectAttempts });
     logger.info('OpenAI reconnection successful', {
       callSid: session.callSid,
       attempt: state.reconnectAttempts,
     });
-    state.reconnectAttempts = 0;
+    sessionStates.get(session.callSid).reconnectAttempts = 0;
   } catch (error) {
     logger.error('OpenAI reconnection failed', {
       callSid: session.callSid,
@@ -318,16 +349,140 @@ async function attemptReconnection(session, state) {
   }
 }
 
+/**
+ * Start holding caller audio until OpenAI is back, and tell the caller to hang on
+ */
+function startReconnectGap(session) {
+  if (reconnectGaps.has(session.callSid)) {
+    return;
+  }
+
+  reconnectGaps.set(session.callSid, { startedAt: Date.now(), chunks: [], samples: 0 });
+
+  if (config.openai.reconnectFiller && !isTakenOver(session.callSid)) {
+    playReconnectFiller(session).catch((error) => {
+      logger.warn('Could not play reconnect filler', { callSid: session.callSid, error: error.message });
+    });
+  }
+}
+
+/**
+ * Say the holding line (OPENAI_RECONNECT_FILLER_TEXT) in the call's voice
+ * The audio is synthesized once per voice and reused.
+ */
+async function playReconnectFiller(session) {
+  const voice = session.config.voice || config.openai.defaultVoice;
+
+  if (!fillerAudio.has(voice)) {
+    const pending = synthesizeSpeech(config.openai.reconnectFillerText, { voice });
+    pending.catch(() => fillerAudio.delete(voice));
+    fillerAudio.set(voice, pending);
+  }
+  const samples = await fillerAudio.get(voice);
+
+  // Too late: the new session is already up, or the call is over
+  if (!reconnectGaps.has(session.callSid) || session.status === 'ended') {
+    return;
+  }
+
+  const converter = new PCM16ToMulawStream();
+  const mulaw = Buffer.concat([converter.process(samples), converter.flush()]);
+  sendAudioToTwilio(session, mulaw.toString('base64'));
+
+  if (session.isRecording) {
+    appendAIAudio(session.callSid, samples);
+  }
+  forkOutboundAudio(session.callSid, samples);
+
+  logger.info('Reconnect filler played', { callSid: session.callSid, voice, durationMs: Math.round(samples.length / 24) });
+}
+
+/**
+ * Keep caller audio that arrives while OpenAI is reconnecting
+ * Called for audio that could not be sent to OpenAI.
+ *
+ * @param {Object} session - The call session
+ * @param {Int16Array} samples - Caller audio, PCM16 at 24kHz
+ * @returns {boolean} True if the audio was held for the new session
+ */
+export function holdCallerAudio(session, samples) {
+  const gap = reconnectGaps.get(session.callSid);
+  if (!gap) {
+    return false;
+  }
+
+  gap.chunks.push(Int16Array.from(samples));
+  gap.samples += samples.length;
+
+  while (gap.samples > MAX_GAP_AUDIO_SAMPLES && gap.chunks.length > 1) {
+    gap.samples -= gap.chunks.shift().length;
+  }
+
+  return true;
+}
+
+/**
+ * Give a replacement session the conversation so far, then the caller audio
+ * that arrived while it was being set up
+ */
+function restoreConversation(session) {
+  const gap = reconnectGaps.get(session.callSid);
+  reconnectGaps.delete(session.callSid);
+
+  const events = buildReplayEvents(session.callSid);
+  for (const event of events) {
+    session.sendToOpenAI(event);
+  }
+
+  for (const chunk of gap.chunks) {
+    session.sendToOpenAI({
+      type: 'input_audio_buffer.append',
+      audio: Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength).toString('base64'),
+    });
+  }
+
+  const details = {
+    replayedItems: events.length,
+    bufferedAudioMs: Math.round(gap.samples / 24),
+    gapMs: Date.now() - gap.startedAt,
+  };
+
+  logger.info('Conversation restored after reconnect', { callSid: session.callSid, ...details });
+
+  session.broadcastEvent('openai.reconnected', details);
+  logEvent(session.id, 'openai.reconnected', 'outgoing', details, { skipBroadcast: true }).catch((err) => {
+    logger.error('Failed to log reconnect event', { error: err.message });
+  });
+}
+
+/**
+ * Call a send method on the realtime connection; a failed send is logged and
+ * reported as false, as session.sendToOpenAI does for raw events
+ *
+ * @param {Object} session - The call session
+ * @param {Function} send - Receives the connection and returns its send result
+ * @returns {boolean} False if there is no connection or the send failed
+ */
+function sendOnConnection(session, send) {
+  if (!session.openaiWs) {
+    return false;
+  }
+
+  try {
+    return send(session.openaiWs);
+  } catch (error) {
+    logger.error('Failed to send to OpenAI', { callSid: session.callSid, error });
+    return false;
+  }
+}
+
 /**
  * Build and send session configuration to OpenAI
  */
 function sendSessionConfig(session) {
   const sessionConfig = buildSessionConfig(session.config);
 
-  session.sendToOpenAI({
-    type: 'session.update',
-    session: sessionConfig,
-  });
+  sendOnConnection(session, (connection) => connection.updateSession(sessionConfig));
 
   logger.info('Session config sent to OpenAI', {
     callSid: session.callSid,
@@ -346,12 +501,20 @@ function sendSessionConfig(session) {
  * See: https://platform.openai.com/docs/api-reference/realtime
  */
 function buildSessionConfig(cfg) {
-  // GA gpt-realtime session.update - only type and instructions
+  // GA gpt-realtime session.update - only type, instructions and tools
   // Voice, audio format, and turn_detection are set via WebSocket URL params
-  return {
+  const sessionConfig = {
     type: 'realtime',
     instructions: cfg.instructions || getDefaultInstructions(),
   };
+
+  const tools = getToolDefinitions(cfg.tools);
+  if (tools.length > 0) {
+    sessionConfig.tools = tools;
+    sessionConfig.tool_choice = cfg.toolChoice || 'auto';
+  }
+
+  return sessionConfig;
 }
 
 /**
@@ -409,6 +572,7 @@ function handleOpenAIMessage(session, message, state) {
       break;
 
     case 'conversation.item.created':
+    case 'conversation.item.added':
       handleConversationItemCreated(session, message, state);
       break;
 
@@ -448,6 +612,10 @@ function handleOpenAIMessage(session, message, state) {
       handleResponseDone(session, message, state);
       break;
 
+    case 'response.function_call_arguments.done':
+      handleFunctionCallArgumentsDone(session, message, state);
+      break;
+
     case 'response.cancelled':
       handleResponseCancelled(session, message, state);
       break;
@@ -518,10 +686,9 @@ function handleSpeechStarted(session, message, state) {
     openaiHandlesInterruption,
   });
 
-  // INTERRUPTION: If AI is currently speaking
-  if (state.isResponding || state.isPlayingAudio) {
-    state.interruptionCount++;
-
+  // INTERRUPTION: If AI is currently speaking (or the caller is still hearing it)
+  // The local VAD usually gets here first, in which case there is nothing left to stop
+  if (state.isResponding || state.isPlayingAudio || state.playback.isPlaying()) {
     // Only manually cancel if OpenAI's turn_detection doesn't handle it
     // When interrupt_response is enabled, OpenAI cancels automatically
     if (!openaiHandlesInterruption) {
@@ -537,13 +704,7 @@ function handleSpeechStarted(session, message, state) {
       });
     }
 
-    // Always clear Twilio audio buffer to stop playback immediately
-    clearTwilioBuffer(session);
-
-    session.broadcastEvent('response.interrupted', {
-      responseId: state.currentResponseId,
-      reason: 'user_speech',
-    });
+    interruptPlayback(session, state, 'user_speech');
   }
 
   session.broadcastEvent('speech.started', {
@@ -580,6 +741,8 @@ function handleConversationItemCreated(session, message, state) {
     type: item?.type,
     role: item?.role,
   });
+
+  recordItem(session.callSid, item);
 }
 
 /**
@@ -598,6 +761,8 @@ function handleInputTranscription(session, message, state) {
   });
 
   if (transcript) {
+    setItemText(session.callSid, itemId, 'user', transcript);
+
     // Save to session transcripts
     session.addTranscript('user', transcript);
 
@@ -643,6 +808,12 @@ function handleResponseCreated(session, message, state) {
   session.broadcastEvent('response.started', {
     responseId,
   });
+
+  // An operator is talking to the caller; the AI must not speak over them
+  if (isTakenOver(session.callSid)) {
+    logger.info('Cancelling response during operator takeover', { callSid: session.callSid, responseId });
+    cancelResponse(session);
+  }
 }
 
 function handleOutputItemAdded(session, message, state) {
@@ -660,7 +831,8 @@ function handleOutputItemAdded(session, message, state) {
 function handleAudioDelta(session, message, state) {
   const audioBase64 = message.delta;
 
-  if (!audioBase64) {
+  // Audio from a response cancelled for an operator takeover or a barge-in can still arrive
+  if (!audioBase64 || isTakenOver(session.callSid) || state.playback.isTruncated(message.item_id)) {
     return;
   }
 
@@ -672,22 +844,39 @@ function handleAudioDelta(session, message, state) {
 
   try {
     // Convert PCM16 24kHz to μ-law 8kHz for Twilio
-    const mulawBase64 = pcm16Base64ToMulawBase64(audioBase64);
+    const mulawBase64 = state.outputConverter.processBase64(audioBase64);
 
     // Send to Twilio
-    sendAudioToTwilio(session, mulawBase64);
+    if (mulawBase64) {
+      sendAudioToTwilio(session, mulawBase64);
+    }
+
+    // Decode base64 to get PCM16 samples
+    const pcm16Buffer = Buffer.from(audioBase64, 'base64');
+    const samples = new Int16Array(
+      pcm16Buffer.buffer,
+      pcm16Buffer.byteOffset,
+      pcm16Buffer.length >> 1
+    );
 
-    // Send AI audio to recording service (PCM16 at 24kHz)
+    // Send AI audio to recording service and live listeners (PCM16 at 24kHz)
     if (session.isRecording) {
-      // Decode base64 to get PCM16 samples
-      const pcm16Buffer = Buffer.from(audioBase64, 'base64');
-      const samples = new Int16Array(
-        pcm16Buffer.buffer,
-        pcm16Buffer.byteOffset,
-        pcm16Buffer.length / 2
-      );
       appendAIAudio(session.callSid, samples);
     }
+    if (isMonitored(session.callSid)) {
+      forkOutboundAudio(session.callSid, samples);
+    }
+
+    // Mark the end of the chunk; Twilio echoes it once the caller has heard it
+    const durationMs = (samples.length / 24000) * 1000;
+    const { markName, startsAt } = state.playback.addChunk(
+      message.item_id || null,
+      message.content_index ?? 0,
+      durationMs
+    );
+    sendMarkToTwilio(session, markName);
+
+    state.localVad?.notePlayback(samples, startsAt, durationMs);
 
     // Log progress periodically
     if (state.audioChunksReceived % 100 === 0) {
@@ -705,12 +894,214 @@ function handleAudioDelta(session, message, state) {
   }
 }
 
+/**
+ * Stop what the caller is hearing; audio still held by the converter is stale too
+ * Assistant items cut off part way are truncated to what the caller heard,
+ * so the model does not assume it said the rest.
+ *
+ * @returns {Array<Object>} Truncated items (see PlaybackTracker.truncate)
+ */
+function clearPlayback(session) {
+  const state = sessionStates.get(session.callSid);
+  let truncated = [];
+
+  if (state) {
+    truncated = state.playback.truncate();
+    for (const item of truncated) {
+      session.sendToOpenAI(buildTruncateEvent(item.itemId, item.contentIndex, item.playedMs));
+      truncateAssistantTranscript(session, item.itemId, state);
+    }
+
+    state.playback.clear();
+    state.outputConverter.reset();
+    state.localVad?.clearPlayback();
+  }
+
+  clearTwilioBuffer(session);
+  return truncated;
+}
+
+/**
+ * Cut the AI off because the caller started talking
+ */
+function interruptPlayback(session, state, reason) {
+  const itemId = state.playback.currentItemId;
+  const truncated = clearPlayback(session);
+  const heard = truncated.find((item) => item.itemId === itemId) || truncated[0];
+
+  state.interruptionCount++;
+
+  logger.info('AI audio interrupted', {
+    callSid: session.callSid,
+    reason,
+    itemId: heard?.itemId ?? null,
+    playedMs: heard?.playedMs ?? null,
+    sentMs: heard?.sentMs ?? null,
+  });
+
+  session.broadcastEvent('response.interrupted', {
+    responseId: state.currentResponseId,
+    reason,
+    itemId: heard?.itemId ?? null,
+    playedMs: heard?.playedMs ?? null,
+  });
+}
+
+/**
+ * Cut text down to the share of its audio that was played, at a word boundary
+ */
+function cutTranscript(text, playedMs, audioMs) {
+  if (audioMs <= 0 || playedMs >= audioMs) {
+    return text;
+  }
+
+  const cut = Math.floor(text.length * (playedMs / audioMs));
+  if (cut >= text.length || /\s/.test(text[cut])) {
+    return text.slice(0, cut).trim();
+  }
+
+  const lastSpace = text.lastIndexOf(' ', cut);
+  return lastSpace > 0 ? text.slice(0, lastSpace).trim() : '';
+}
+
+/**
+ * Make a truncated item's stored transcript match what the caller heard
+ * The transcript usually arrives before playback finishes, in which case it
+ * is edited in place; otherwise handleTranscriptDone cuts it on arrival.
+ */
+function truncateAssistantTranscript(session, itemId, state) {
+  const index = session.transcripts.findLastIndex(
+    (entry) => entry.speaker === 'assistant' && entry.itemId === itemId
+  );
+  if (index === -1) {
+    return;
+  }
+
+  const entry = session.transcripts[index];
+  const item = state.playback.getItem(itemId);
+  const content = cutTranscript(entry.content, item.truncatedAtMs, item.sentMs);
+  if (content === entry.content) {
+    return;
+  }
+
+  setItemText(session.callSid, itemId, 'assistant', content);
+
+  // Nothing was heard: the caller was never told any of it
+  if (content) {
+    entry.content = content;
+  } else {
+    session.transcripts.splice(index, 1);
+  }
+
+  session.broadcastEvent('transcript.assistant.truncated', {
+    itemId,
+    text: content,
+    playedMs: item.truncatedAtMs,
+  });
+
+  logEvent(session.id, 'transcript.assistant.truncated', 'outgoing', {
+    itemId,
+    transcript: content,
+    playedMs: item.truncatedAtMs,
+    sentMs: Math.round(item.sentMs),
+  }).catch(() => {});
+}
+
+/**
+ * Set up the bridge-side VAD for a call
+ * Server defaults (LOCAL_VAD_*) can be overridden per call with
+ * session.config.localVad: {enabled, turnDetection, thresholdDb, noiseMarginDb,
+ * minSpeechMs, silenceMs, echoGuardDb}.
+ *
+ * @returns {VoiceActivityDetector|null} Detector, or null if disabled
+ */
+function createLocalVad(session, state) {
+  const { enabled, turnDetection, ...options } = {
+    ...config.audio.localVad,
+    ...session.config.localVad,
+  };
+
+  if (!enabled) {
+    return null;
+  }
+
+  // Only take over turn-taking when OpenAI is not doing it
+  const vadType = session.config.vadType || config.openai.defaultVadType;
+  state.localTurnDetection = !!turnDetection && (vadType === 'none' || vadType === 'disabled');
+
+  return new VoiceActivityDetector(options);
+}
+
+/**
+ * Run the local VAD on a frame of caller audio
+ * Called for every Twilio media frame. Sustained speech while the AI is
+ * talking (or about to) interrupts it straight away, without waiting for
+ * OpenAI's speech_started. With local turn detection on, the end of the
+ * caller's speech ends their turn.
+ *
+ * @param {Object} session - The call session
+ * @param {Int16Array} samples - Caller audio, PCM16 at 24kHz
+ * @returns {boolean} True if the caller's turn just ended and should be committed (see endCallerTurn)
+ */
+export function processCallerAudio(session, samples) {
+  const state = sessionStates.get(session.callSid);
+  if (!state?.localVad) {
+    return false;
+  }
+
+  const speech = state.localVad.process(samples);
+  if (!speech || isTakenOver(session.callSid)) {
+    return false;
+  }
+
+  if (speech === 'speech_start') {
+    if (state.isResponding || state.playback.isPlaying()) {
+      cancelResponse(session);
+      interruptPlayback(session, state, 'local_vad');
+    }
+    return false;
+  }
+
+  return state.localTurnDetection;
+}
+
+/**
+ * Commit the caller's audio and ask for a reply (local turn detection)
+ * Any audio still buffered on the way to OpenAI must be sent first.
+ *
+ * @param {Object} session - The call session
+ */
+export function endCallerTurn(session) {
+  commitAudioBuffer(session);
+  createManualResponse(session);
+
+  session.broadcastEvent('speech.stopped', { source: 'local_vad' });
+}
+
+/**
+ * Advance playback tracking when Twilio echoes a chunk's mark
+ *
+ * @param {Object} session - The call session
+ * @param {string} markName - Mark name from Twilio
+ * @returns {boolean} True if it was a playback mark
+ */
+export function handleAudioMark(session, markName) {
+  const state = sessionStates.get(session.callSid);
+  return state ? state.playback.handleMark(markName) : false;
+}
+
 /**
  * Handle audio complete - AI finished sending audio for this response
  */
 function handleAudioDone(session, message, state) {
   state.isPlayingAudio = false;
 
+  // The last few milliseconds of the response are still in the resampler
+  const tail = state.outputConverter.flush();
+  if (tail.length > 0) {
+    sendAudioToTwilio(session, Buffer.from(tail).toString('base64'));
+  }
+
   logger.debug('Response audio complete', {
     callSid: session.callSid,
     responseId: state.currentResponseId,
@@ -733,6 +1124,7 @@ function handleTranscriptDelta(session, message, state) {
 
   if (delta) {
     state.currentTranscriptDelta += delta;
+    state.currentTranscriptItemId = message.item_id || null;
 
     session.broadcastEvent('transcript.assistant.delta', {
       delta,
@@ -745,16 +1137,27 @@ function handleTranscriptDelta(session, message, state) {
  * Handle transcript complete - save full assistant transcript
  */
 function handleTranscriptDone(session, message, state) {
-  const transcript = message.transcript || state.currentTranscriptDelta;
+  let transcript = message.transcript || state.currentTranscriptDelta;
+
+  // The caller interrupted before this arrived: keep only what they heard
+  const item = state.playback.getItem(message.item_id);
+  if (transcript && item?.truncatedAtMs != null) {
+    transcript = cutTranscript(transcript, item.truncatedAtMs, item.sentMs);
+  }
+
+  setItemText(session.callSid, message.item_id, 'assistant', transcript);
 
   if (transcript) {
     // Save to session transcripts
-    session.addTranscript('assistant', transcript);
+    const entry = session.addTranscript('assistant', transcript);
+    entry.itemId = message.item_id || null;
 
     // Broadcast to iOS client
     session.broadcastEvent('transcript.assistant', {
       text: transcript,
       responseId: state.currentResponseId,
+      itemId: message.item_id || null,
+      truncated: item?.truncatedAtMs != null,
     });
 
     logger.info('Assistant transcript', {
@@ -766,11 +1169,13 @@ function handleTranscriptDone(session, message, state) {
     logEvent(session.id, 'transcript.assistant', 'incoming', {
       transcript,
       responseId: state.currentResponseId,
+      itemId: message.item_id || null,
     }).catch(() => {});
   }
 
   // Reset delta accumulator
   state.currentTranscriptDelta = '';
+  state.currentTranscriptItemId = null;
 }
 
 /**
@@ -803,6 +1208,132 @@ function handleResponseDone(session, message, state) {
     usage,
     stats: state.getStats(),
   });
+
+  // A deferred transfer/hang-up runs once the goodbye response has played
+  if (state.pendingToolCalls.size === 0 && !state.toolResponsePending) {
+    releasePendingCallAction(session);
+  }
+
+  // Tool results that finished while this response was still active
+  triggerToolFollowUp(session, state);
+}
+
+/**
+ * Handle completed function call arguments - execute the tool
+ * The result is returned as a function_call_output item; the follow-up
+ * response is created once every tool call of the response has finished.
+ */
+async function handleFunctionCallArgumentsDone(session, message, state) {
+  const { call_id: callId, name } = message;
+  const startedAt = Date.now();
+
+  let args = {};
+  let parseError = null;
+  try {
+    args = message.arguments ? JSON.parse(message.arguments) : {};
+  } catch (error) {
+    parseError = error;
+  }
+
+  state.pendingToolCalls.add(callId);
+  setFunctionCall(session.callSid, { itemId: message.item_id, callId, name, arguments: message.arguments });
+
+  logger.info('Tool call requested', {
+    callSid: session.callSid,
+    callId,
+    name,
+  });
+
+  session.broadcastEvent('tool.invoked', {
+    callId,
+    name,
+    arguments: args,
+    responseId: state.currentResponseId,
+  });
+
+  logEvent(session.id, 'tool.invoked', 'incoming', {
+    callId,
+    name,
+    arguments: parseError ? message.arguments : args,
+  }, { skipBroadcast: true }).catch((err) => {
+    logger.error('Failed to log tool invocation', { error: err.message });
+  });
+
+  // Only tools enabled for this session may run
+  const toolEntry = findSessionTool(session.config.tools, name);
+
+  let outcome;
+  if (parseError) {
+    outcome = {
+      success: false,
+      error: { code: 'INVALID_ARGUMENTS', message: `Arguments are not valid JSON: ${parseError.message}` },
+      durationMs: Date.now() - startedAt,
+    };
+  } else if (!toolEntry) {
+    outcome = {
+      success: false,
+      error: { code: 'TOOL_NOT_ENABLED', message: `Tool not enabled for this call: ${name}` },
+      durationMs: 0,
+    };
+  } else {
+    outcome = await executeTool(name, args, {
+      callSid: session.callSid,
+      userId: session.userId,
+      promptId: session.promptId,
+      session,
+    }, toolEntry);
+  }
+
+  state.toolCallsExecuted++;
+  state.pendingToolCalls.delete(callId);
+
+  // Call may have ended while the tool was running
+  if (session.status === 'ended') {
+    logger.debug('Dropping tool result - session ended', { callSid: session.callSid, callId, name });
+    return;
+  }
+
+  const output = outcome.success ? outcome.result : { error: outcome.error };
+
+  session.broadcastEvent('tool.result', {
+    callId,
+    name,
+    success: outcome.success,
+    result: outcome.success ? outcome.result : undefined,
+    error: outcome.success ? undefined : outcome.error,
+    durationMs: outcome.durationMs,
+  });
+
+  logEvent(session.id, 'tool.result', 'outgoing', {
+    callId,
+    name,
+    success: outcome.success,
+    output,
+    durationMs: outcome.durationMs,
+  }, { skipBroadcast: true }).catch((err) => {
+    logger.error('Failed to log tool result', { error: err.message });
+  });
+
+  sendFunctionResult(session, callId, output, { triggerResponse: false });
+
+  state.toolResponsePending = true;
+  triggerToolFollowUp(session, state);
+}
+
+/**
+ * Create the follow-up response after tool results have been sent
+ * Waits until no response is active and no other tool calls are running.
+ */
+function triggerToolFollowUp(session, state) {
+  if (!state.toolResponsePending || state.isResponding || state.pendingToolCalls.size > 0) {
+    return;
+  }
+
+  state.toolResponsePending = false;
+  createManualResponse(session);
+  armPendingCallAction(session);
+
+  logger.debug('Follow-up response requested after tool calls', { callSid: session.callSid });
 }
 
 /**
@@ -818,7 +1349,7 @@ function handleResponseCancelled(session, message, state) {
   state.isPlayingAudio = false;
 
   // Clear Twilio buffer
-  clearTwilioBuffer(session);
+  clearPlayback(session);
 
   session.broadcastEvent('response.cancelled', {
     responseId: state.currentResponseId,
@@ -888,12 +1419,7 @@ export function sendAudioToOpenAI(session, pcm24kBase64) {
 
   state.audioChunksSent++;
 
-  session.sendToOpenAI({
-    type: 'input_audio_buffer.append',
-    audio: pcm24kBase64,
-  });
-
-  return true;
+  return sendOnConnection(session, (connection) => connection.sendAudio(pcm24kBase64));
 }
 
 /**
@@ -946,9 +1472,7 @@ export function cancelResponse(session) {
   // Mark this response as cancelled before sending
   state.cancelledResponseId = state.currentResponseId;
 
-  session.sendToOpenAI({
-    type: 'response.cancel',
-  });
+  sendOnConnection(session, (connection) => connection.cancelResponse());
 
   state.isResponding = false;
   state.isPlayingAudio = false;
@@ -964,7 +1488,7 @@ export function cancelResponse(session) {
  */
 export function interruptResponse(session) {
   cancelResponse(session);
-  clearTwilioBuffer(session);
+  clearPlayback(session);
 }
 
 /**
@@ -996,10 +1520,7 @@ export function updateSessionConfig(session, newConfig) {
   // Build and send new config
   const sessionConfig = buildSessionConfig(session.config);
 
-  session.sendToOpenAI({
-    type: 'session.update',
-    session: sessionConfig,
-  });
+  sendOnConnection(session, (connection) => connection.updateSession(sessionConfig));
 
   logger.info('Session config updated', {
     callSid: session.callSid,
@@ -1011,6 +1532,50 @@ export function updateSessionConfig(session, newConfig) {
   });
 }
 
+/**
+ * Turn the model's automatic replies on or off without stopping VAD
+ * With replies off, caller speech is still detected, committed and
+ * transcribed into the conversation, but no response is created for it.
+ *
+ * @param {Object} session - The call session
+ * @param {boolean} enabled - False to pause auto-responses, true to restore the configured behavior
+ * @returns {boolean} False if the session has no turn detection to change
+ */
+export function setAutoResponse(session, enabled) {
+  const vadType = session.config.vadType || config.openai.defaultVadType;
+  if (vadType === 'disabled' || vadType === 'none') {
+    return false;
+  }
+
+  const vadConfig = session.config.vadConfig || {};
+  const turnDetection = vadType === 'semantic_vad'
+    ? {
+      type: 'semantic_vad',
+      eagerness: vadConfig.eagerness ?? 'auto',
+    }
+    : {
+      type: 'server_vad',
+      threshold: vadConfig.threshold ?? 0.5,
+      prefix_padding_ms: vadConfig.prefixPaddingMs ?? 300,
+      silence_duration_ms: vadConfig.silenceDurationMs ?? 500,
+    };
+
+  turnDetection.create_response = enabled && (vadConfig.createResponse ?? true);
+  turnDetection.interrupt_response = enabled && (vadConfig.interruptResponse ?? true);
+
+  session.sendToOpenAI({
+    type: 'session.update',
+    session: {
+      type: 'realtime',
+      audio: { input: { turn_detection: turnDetection } },
+    },
+  });
+
+  logger.info('Auto-response updated', { callSid: session.callSid, enabled });
+
+  return true;
+}
+
 /**
  * Send a text message to the conversation
  */
@@ -1043,8 +1608,11 @@ export function sendTextMessage(session, text, role = 'user') {
 
 /**
  * Send function call result back to OpenAI
+ * Pass { triggerResponse: false } when the caller schedules the follow-up itself
  */
-export function sendFunctionResult(session, callId, result) {
+export function sendFunctionResult(session, callId, result, options = {}) {
+  const { triggerResponse = true } = options;
+
   session.sendToOpenAI({
     type: 'conversation.item.create',
     item: {
@@ -1060,7 +1628,9 @@ export function sendFunctionResult(session, callId, result) {
   });
 
   // Trigger response to continue after function result
-  createManualResponse(session);
+  if (triggerResponse) {
+    createManualResponse(session);
+  }
 }
 
 /**
@@ -1099,10 +1669,15 @@ export default {
   sendAudioToOpenAI,
   commitAudioBuffer,
   clearAudioBuffer,
+  processCallerAudio,
+  endCallerTurn,
+  handleAudioMark,
+  holdCallerAudio,
   cancelResponse,
   interruptResponse,
   createManualResponse,
   updateSessionConfig,
+  setAutoResponse,
   sendTextMessage,
   sendFunctionResult,
   getSessionState,
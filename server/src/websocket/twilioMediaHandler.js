@@ -23,11 +23,35 @@
 
 import { createLogger } from '../utils/logger.js';
 import connectionManager from './connectionManager.js';
-import { mulawBase64ToPCM16Base64, AudioChunkBuffer } from '../audio/converter.js';
-import { connectToOpenAI } from './openaiRealtimeHandler.js';
+import { AudioChunkBuffer, MulawToPCM16Stream } from '../audio/converter.js';
+import {
+  connectToOpenAI,
+  processCallerAudio,
+  endCallerTurn,
+  handleAudioMark,
+  holdCallerAudio,
+  interruptResponse,
+} from './openaiRealtimeHandler.js';
 import { logEvent, logTranscript } from '../services/eventLogger.js';
-import { startRecording, appendUserAudio, stopRecording } from '../services/recordingService.js';
+import {
+  startRecording,
+  appendUserAudio,
+  stopRecording,
+  addPlaybackMark,
+  handlePlaybackMark,
+  clearAIAudio,
+} from '../services/recordingService.js';
 import { query } from '../db/pool.js';
+import { getPrompt } from '../db/queries/prompts.js';
+import { handleCallActionMark, cancelPendingCallAction } from '../services/callControlTools.js';
+import { renderTemplate, resolveCallVariables, fromStreamParameters } from '../services/promptTemplate.js';
+import { processAIVoicemail } from '../services/voicemailService.js';
+import { analyzeCall } from '../services/callAnalysisService.js';
+import { relayCallerAudio, clearTakeover } from '../services/operatorControl.js';
+import { forkCallerAudio, clearOutboundAudio, clearMonitors } from '../services/callMonitor.js';
+import { clearConversation } from '../services/conversationHistory.js';
+import { verifyStreamParameters } from '../middleware/twilioSignature.js';
+import { endCall } from '../services/twilioService.js';
 
 const logger = createLogger('twilio-media');
 
@@ -118,6 +142,14 @@ class TwilioSessionBuffer {
 // Map to store audio buffers per session
 const sessionBuffers = new Map();
 
+// How long a call redirected off its stream may take to come back before it is treated as over
+const STREAM_RESUME_TIMEOUT_MS = 30000;
+
+// Calls redirected off their media stream on purpose (digits played, put on
+// hold) that will return on the stream /twiml/resume opens:
+// callSid -> {reason, session, timer, detached: {startedAt, voicemail} once the old stream stopped}
+const streamResumes = new Map();
+
 /**
  * Main handler for Twilio Media Stream WebSocket connections
  * This is called when Twilio connects via the /media-stream endpoint
@@ -132,6 +164,13 @@ export function handleTwilioMediaStream(ws, request) {
   let session = null;
   let protocolVersion = null;
   let audioBuffer = null;
+  const inputConverter = new MulawToPCM16Stream();
+  // Set when a voicemail routing rule has the AI take a message: {from}
+  let voicemail = null;
+  // Set when the call left this stream for a redirect and its session lives on
+  let detached = false;
+  // Where this stream's media timestamps start on the call's timeline (later streams of a call)
+  let streamOffsetMs = 0;
 
   // Statistics tracking
   let audioSequence = 0;
@@ -207,9 +246,14 @@ export function handleTwilioMediaStream(ws, request) {
       audioChunksProcessed: audioSequence,
     });
 
+    const resume = streamResumes.get(callSid);
+    if (!detached && resume && session?.twilioWs === ws) {
+      detachStream(resume);
+    }
+
     cleanup();
 
-    if (callSid) {
+    if (callSid && !detached) {
       connectionManager.handleConnectionDrop(callSid, 'twilio');
     }
   });
@@ -225,21 +269,76 @@ export function handleTwilioMediaStream(ws, request) {
 
     cleanup();
 
-    if (callSid) {
+    if (callSid && !detached) {
       connectionManager.handleConnectionDrop(callSid, 'twilio', error);
     }
   });
 
   /**
    * Clean up resources when connection ends
+   * A call that moved to another stream keeps its call-level state.
    */
   function cleanup() {
     clearInterval(flushInterval);
 
+    if (callSid && !detached) {
+      releaseCall(callSid);
+    }
+
     if (audioBuffer) {
       audioBuffer.destroy();
-      sessionBuffers.delete(callSid);
+      if (sessionBuffers.get(callSid) === audioBuffer) {
+        sessionBuffers.delete(callSid);
+      }
+    }
+  }
+
+  /**
+   * The call was redirected off this stream on purpose: keep its session
+   * for the stream /twiml/resume opens instead of ending the call
+   */
+  function detachStream(resume) {
+    detached = true;
+
+    if (audioBuffer) {
+      const remainingSamples = audioBuffer.flush();
+      if (remainingSamples && session.openaiWs) {
+        sendBufferedAudioToOpenAI(session, remainingSamples);
+      }
     }
+
+    resume.detached = { startedAt: callStartTime, voicemail };
+    session.twilioWs = null;
+
+    // Nothing more reaches the caller until the call is back on a stream
+    interruptResponse(session);
+    session.updateStatus(resume.reason === 'hold' ? 'on_hold' : 'redirected');
+
+    logger.info('Call left its stream for a redirect', { callSid, streamSid, reason: resume.reason });
+  }
+
+  /**
+   * Pick up a call that comes back from a redirect on this stream
+   */
+  function resumeStream(resume) {
+    cancelStreamResume(callSid);
+
+    callStartTime = resume.detached.startedAt;
+    voicemail = resume.detached.voicemail;
+    // Media timestamps restart with every stream; the recording stays on the call's timeline
+    streamOffsetMs = Date.now() - callStartTime;
+
+    audioBuffer = new TwilioSessionBuffer(callSid);
+    sessionBuffers.set(callSid, audioBuffer);
+
+    session.setTwilioConnection(ws, streamSid);
+    // Whatever the AI said while the call was away was never heard
+    interruptResponse(session);
+    session.updateStatus('active');
+
+    session.broadcastEvent('call.resumed', { callSid, streamSid, reason: resume.reason });
+
+    logger.info('Call resumed on a new stream', { callSid, streamSid, reason: resume.reason });
   }
 
   /**
@@ -259,11 +358,22 @@ export function handleTwilioMediaStream(ws, request) {
    * Extract call info, create session, connect to OpenAI
    */
   async function handleStart(message) {
+    const customParameters = message.start.customParameters || {};
+
+    // Checked before callSid is set so a rejected stream can't tear down the real call's session
+    if (!verifyStreamParameters(customParameters, message.start.callSid)) {
+      logger.warn('Rejected media stream with invalid signature', {
+        callSid: message.start.callSid,
+        remoteAddress: request.socket?.remoteAddress,
+      });
+      ws.close(1008, 'Invalid stream signature');
+      return;
+    }
+
     callSid = message.start.callSid;
     streamSid = message.start.streamSid;
     callStartTime = Date.now();
 
-    const customParameters = message.start.customParameters || {};
     const mediaFormat = message.start.mediaFormat || {};
 
     logger.info('Twilio stream started', {
@@ -277,8 +387,15 @@ export function handleTwilioMediaStream(ws, request) {
       channels: mediaFormat.channels,     // Expected: 1
     });
 
-    // Create or retrieve session
+    // Back from a redirect (digits, hold): same session, new stream
+    const resume = streamResumes.get(callSid);
     session = connectionManager.getSession(callSid);
+    if (resume?.detached && session === resume.session) {
+      resumeStream(resume);
+      return;
+    }
+
+    // Create or retrieve session
     if (!session) {
       session = connectionManager.createSession(callSid, {
         direction: customParameters.direction || 'outbound',
@@ -287,6 +404,15 @@ export function handleTwilioMediaStream(ws, request) {
         promptId: customParameters.promptId || null,
         protocolVersion,
       });
+
+      // Set by the inbound routing rule that picked this call
+      if (customParameters.voice) {
+        session.updateConfig({ voice: customParameters.voice });
+      }
+    }
+
+    if (customParameters.mode === 'voicemail') {
+      voicemail = { from: customParameters.from || null };
     }
 
     // Initialize audio buffer for this session
@@ -297,6 +423,13 @@ export function handleTwilioMediaStream(ws, request) {
     session.setTwilioConnection(ws, streamSid);
     session.updateStatus('connecting_openai');
 
+    // Apply the prompt and render its variables before the config is snapshotted and sent to OpenAI
+    try {
+      await applyPrompt(session, customParameters);
+    } catch (error) {
+      logger.error('Failed to apply prompt', { callSid, promptId: session.promptId, error: error.message });
+    }
+
     // Log call start event to database
     try {
       await logCallStart(session, customParameters);
@@ -310,6 +443,8 @@ export function handleTwilioMediaStream(ws, request) {
         await startRecording(callSid, {
           userId: session.userId,
           promptId: session.promptId,
+          mode: session.config.recordingMode,
+          streamStartedAt: callStartTime,
         });
         logger.info('Recording started for call', { callSid });
       } catch (error) {
@@ -374,16 +509,8 @@ export function handleTwilioMediaStream(ws, request) {
 
     try {
       // Convert μ-law 8kHz to PCM16 24kHz
-      // This involves: decode μ-law → resample 8kHz→24kHz
-      const pcm16Base64 = mulawBase64ToPCM16Base64(mulawBase64);
-
-      // Decode base64 to get samples for buffering
-      const pcm16Buffer = Buffer.from(pcm16Base64, 'base64');
-      const samples = new Int16Array(
-        pcm16Buffer.buffer,
-        pcm16Buffer.byteOffset,
-        pcm16Buffer.length / 2
-      );
+      // This involves: decode μ-law → resample 8kHz→24kHz, continuing from the previous frame
+      const samples = inputConverter.process(Buffer.from(mulawBase64, 'base64'));
 
       // Add to buffer - returns samples if buffer is full
       const bufferedSamples = audioBuffer.add(samples);
@@ -392,11 +519,26 @@ export function handleTwilioMediaStream(ws, request) {
         sendBufferedAudioToOpenAI(session, bufferedSamples);
       }
 
+      // Local VAD: barge-in, and the end of the caller's turn when OpenAI isn't detecting it
+      if (processCallerAudio(session, samples)) {
+        const remaining = audioBuffer.flush();
+        if (remaining) {
+          sendBufferedAudioToOpenAI(session, remaining);
+        }
+        endCallerTurn(session);
+      }
+
       // Send to recording service (PCM16 at 24kHz)
       if (session.isRecording) {
-        appendUserAudio(callSid, samples);
+        appendUserAudio(callSid, samples, streamOffsetMs + Number(timestamp));
       }
 
+      // An operator who has taken over needs to hear the caller
+      relayCallerAudio(callSid, mulawBase64, Number(timestamp));
+
+      // Supervisors listening in hear the caller, mixed with what the caller hears
+      forkCallerAudio(callSid, samples);
+
       // Log progress periodically
       if (audioSequence % 500 === 0) {
         logger.debug('Audio processing progress', {
@@ -422,6 +564,17 @@ export function handleTwilioMediaStream(ws, request) {
   function handleMark(message) {
     const markName = message.mark?.name;
 
+    if (session) {
+      if (session.isRecording) {
+        handlePlaybackMark(callSid, markName);
+      }
+
+      // One per chunk of AI audio; too frequent to log or forward to the app
+      if (handleAudioMark(session, markName)) {
+        return;
+      }
+    }
+
     logger.debug('Twilio playback mark received', {
       callSid,
       markName,
@@ -433,6 +586,8 @@ export function handleTwilioMediaStream(ws, request) {
         name: markName,
         timestamp: Date.now(),
       });
+
+      handleCallActionMark(session, markName);
     }
   }
 
@@ -458,6 +613,14 @@ export function handleTwilioMediaStream(ws, request) {
       return;
     }
 
+    // Redirected to play digits or hold music; the call comes back on a new stream
+    const resume = streamResumes.get(callSid);
+    if (resume && session.twilioWs === ws) {
+      detachStream(resume);
+      cleanup();
+      return;
+    }
+
     // Flush any remaining audio in buffer
     if (audioBuffer) {
       const remainingSamples = audioBuffer.flush();
@@ -474,46 +637,146 @@ export function handleTwilioMediaStream(ws, request) {
       audioChunksProcessed: audioSequence,
     });
 
-    // Finalize recording if enabled
-    if (session.isRecording) {
-      try {
-        const recording = await stopRecording(callSid);
-        if (recording) {
-          logger.info('Recording saved', {
-            callSid,
-            recordingId: recording.recordingId,
-            durationSeconds: recording.durationSeconds,
-            fileSizeBytes: recording.fileSizeBytes,
-          });
+    await finishCall(session, { durationSeconds, voicemail, reason: 'twilio_stop' });
+    cleanup();
+  }
+}
 
-          // Broadcast recording saved event to iOS
-          session.broadcastEvent('recording.saved', {
-            recordingId: recording.recordingId,
-            durationSeconds: recording.durationSeconds,
-            fileSizeBytes: recording.fileSizeBytes,
-          });
-        }
-      } catch (error) {
-        logger.error('Failed to save recording', {
+/**
+ * Release a call's per-call state held by other modules
+ */
+function releaseCall(callSid) {
+  cancelPendingCallAction(callSid);
+  clearTakeover(callSid);
+  clearMonitors(callSid);
+  clearConversation(callSid);
+  cancelStreamResume(callSid);
+}
+
+/**
+ * Wrap up a call that has ended: save the recording, store the call and its
+ * transcripts, process voicemail and analysis, and destroy the session
+ */
+async function finishCall(session, { durationSeconds, voicemail, reason }) {
+  const { callSid } = session;
+
+  // Finalize recording if enabled
+  if (session.isRecording) {
+    try {
+      const recording = await stopRecording(callSid);
+      if (recording) {
+        logger.info('Recording saved', {
           callSid,
-          error: error.message
+          recordingId: recording.recordingId,
+          durationSeconds: recording.durationSeconds,
+          fileSizeBytes: recording.fileSizeBytes,
         });
-      }
-    }
 
-    // Update database with final call status
-    try {
-      await logCallEnd(session, durationSeconds, 'completed');
+        // Broadcast recording saved event to iOS
+        session.broadcastEvent('recording.saved', {
+          recordingId: recording.recordingId,
+          durationSeconds: recording.durationSeconds,
+          fileSizeBytes: recording.fileSizeBytes,
+        });
+      }
     } catch (error) {
-      logger.error('Failed to log call end', { callSid, error: error.message });
+      logger.error('Failed to save recording', {
+        callSid,
+        error: error.message
+      });
     }
+  }
 
-    // Clean up and destroy session
-    cleanup();
-    connectionManager.destroySession(callSid, 'twilio_stop');
+  // Update database with final call status
+  try {
+    await logCallEnd(session, durationSeconds, 'completed');
+  } catch (error) {
+    logger.error('Failed to log call end', { callSid, error: error.message });
+  }
+
+  // The recording and transcripts are stored now, so the message and the call can be processed
+  if (voicemail) {
+    processAIVoicemail(callSid, voicemail.from).catch((error) => {
+      logger.error('Failed to process AI voicemail', { callSid, error: error.message });
+    });
+  }
+
+  analyzeCall(callSid).catch((error) => {
+    logger.error('Failed to analyze call', { callSid, error: error.message });
+  });
+
+  releaseCall(callSid);
+  if (connectionManager.getSession(callSid) === session) {
+    connectionManager.destroySession(callSid, reason);
   }
 }
 
+/**
+ * Keep a call's session when its stream stops because the call is being
+ * redirected (digits played, put on hold); the stream /twiml/resume opens
+ * picks it up again. If no stream comes back in time the call is ended.
+ *
+ * @param {Object} session - Call session
+ * @param {string} reason - Why the call leaves its stream ('digits', 'hold')
+ * @param {number} [timeoutMs] - How long to wait for the new stream
+ */
+export function expectStreamResume(session, reason, timeoutMs = STREAM_RESUME_TIMEOUT_MS) {
+  cancelStreamResume(session.callSid);
+
+  streamResumes.set(session.callSid, {
+    reason,
+    session,
+    detached: null,
+    timer: setTimeout(() => {
+      logger.warn('Redirected call did not come back to a stream', { callSid: session.callSid, reason });
+      // Don't leave the caller on hold music or silence
+      endCall(session.callSid, 'stream_resume_timeout').catch((error) => {
+        logger.error('Failed to hang up redirected call', { callSid: session.callSid, error: error.message });
+      });
+      endRedirectedCall(session.callSid, 'stream_resume_timeout').catch((error) => {
+        logger.error('Failed to end redirected call', { callSid: session.callSid, error: error.message });
+      });
+    }, timeoutMs),
+  });
+}
+
+/**
+ * Stop expecting a call back on a new stream (the redirect failed)
+ *
+ * @param {string} callSid - Twilio Call SID
+ */
+export function cancelStreamResume(callSid) {
+  const resume = streamResumes.get(callSid);
+  if (resume) {
+    clearTimeout(resume.timer);
+    streamResumes.delete(callSid);
+  }
+}
+
+/**
+ * End a call that is away from its stream (hung up while on hold, or never came back)
+ *
+ * @param {string} callSid - Twilio Call SID
+ * @param {string} reason - Why the call ended
+ * @returns {Promise<boolean>} True if the call was away from its stream
+ */
+export async function endRedirectedCall(callSid, reason) {
+  const resume = streamResumes.get(callSid);
+  if (!resume?.detached) {
+    return false;
+  }
+
+  cancelStreamResume(callSid);
+
+  const { session, detached } = resume;
+  const durationSeconds = detached.startedAt ? Math.floor((Date.now() - detached.startedAt) / 1000) : 0;
+
+  session.broadcastEvent('call.disconnected', { reason, callSid, durationSeconds });
+  await finishCall(session, { durationSeconds, voicemail: detached.voicemail, reason });
+
+  return true;
+}
+
 /**
  * Send buffered PCM16 audio samples to OpenAI
  * @param {Object} session - The call session
@@ -521,17 +784,95 @@ export function handleTwilioMediaStream(ws, request) {
  */
 function sendBufferedAudioToOpenAI(session, samples) {
   if (!session.openaiWs || session.openaiWs.readyState !== 1) {
+    // Replayed to the new session if OpenAI is reconnecting
+    holdCallerAudio(session, samples);
     return;
   }
 
   // Convert Int16Array to base64
   const buffer = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
-  const base64Audio = buffer.toString('base64');
+  try {
+    session.openaiWs.sendAudio(buffer.toString('base64'));
+  } catch (error) {
+    logger.error('Failed to send audio to OpenAI', { callSid: session.callSid, error });
+  }
+}
+
+/**
+ * Merge the tools attached to the session's prompt into its config.
+ * Tools already on the session win over prompt tools with the same name.
+ */
+function applyPromptTools(session, prompt) {
+  if (!Array.isArray(prompt.tools) || prompt.tools.length === 0) {
+    return;
+  }
+
+  const toolName = (entry) => (typeof entry === 'string' ? entry : entry?.name);
+  const sessionTools = session.config.tools || [];
+  const sessionNames = new Set(sessionTools.map(toolName));
+  const promptTools = prompt.tools.filter((entry) => !sessionNames.has(toolName(entry)));
+
+  session.updateConfig({ tools: [...sessionTools, ...promptTools] });
+
+  logger.info('Prompt tools attached', {
+    callSid: session.callSid,
+    promptId: session.promptId,
+    tools: promptTools.map(toolName),
+  });
+}
+
+/**
+ * Apply the session's prompt and render template variables in the instructions.
+ * Instructions sent in the session config take precedence over the prompt's.
+ * Variables come from var_* stream parameters and stored caller variables.
+ */
+async function applyPrompt(session, customParameters) {
+  if (session.promptId) {
+    const prompt = await getPrompt(session.promptId, session.userId);
+    if (prompt) {
+      applyPromptTools(session, prompt);
+
+      if (!session.config.instructions) {
+        session.config.instructions = prompt.instructions;
+      }
+
+      // Per-call mode wins over the prompt's; both fall back to RECORDING_MODE
+      if (!session.config.recordingMode && prompt.recording_mode) {
+        session.config.recordingMode = prompt.recording_mode;
+      }
+    }
+  }
 
-  session.sendToOpenAI({
-    type: 'input_audio_buffer.append',
-    audio: base64Audio,
+  const template = session.config.instructions;
+  if (!template || !template.includes('{{')) {
+    return;
+  }
+
+  const variables = await resolveCallVariables({
+    phoneNumber: session.phoneNumber,
+    direction: session.direction,
+    userId: session.userId,
+    variables: fromStreamParameters(customParameters),
   });
+
+  const { rendered, used, missing } = renderTemplate(template, variables);
+
+  session.updateConfig({
+    instructions: rendered,
+    instructionsTemplate: template,
+    templateVariables: Object.fromEntries(used.map((name) => [name, variables[name]])),
+    unresolvedVariables: missing,
+  });
+
+  if (missing.length > 0) {
+    logger.warn('Unresolved template variables', {
+      callSid: session.callSid,
+      promptId: session.promptId,
+      missing,
+    });
+
+    session.broadcastEvent('prompt.unresolved_variables', { missing });
+  }
 }
 
 /**
@@ -665,6 +1006,11 @@ export function sendMarkToTwilio(session, markName) {
     markName,
   });
 
+  // Lets the recording check where Twilio's playback really is
+  if (session.isRecording) {
+    addPlaybackMark(session.callSid, markName);
+  }
+
   return session.sendToTwilio(message);
 }
 
@@ -689,6 +1035,12 @@ export function clearTwilioBuffer(session) {
     callSid: session.callSid,
   });
 
+  // The caller never hears what was still queued, so neither should the recording
+  if (session.isRecording) {
+    clearAIAudio(session.callSid);
+  }
+  clearOutboundAudio(session.callSid);
+
   return session.sendToTwilio(message);
 }
 
@@ -713,6 +1065,9 @@ export function getBufferStats(callSid) {
 
 export default {
   handleTwilioMediaStream,
+  expectStreamResume,
+  cancelStreamResume,
+  endRedirectedCall,
   sendAudioToTwilio,
   sendMarkToTwilio,
   clearTwilioBuffer,
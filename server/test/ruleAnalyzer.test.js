@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the rule-based call analyzer
+ *
+ * Calls are dated Monday 2026-10-19 so relative dates resolve predictably.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RuleCallAnalyzer } from '../src/analysis/ruleAnalyzer.js';
+
+const analyzer = new RuleCallAnalyzer();
+const startedAt = new Date('2026-10-19T15:00:00Z');
+
+function turns(...lines) {
+  return lines.map(([speaker, content], index) => ({ speaker, content, timestamp_ms: index * 1000 }));
+}
+
+// Extract a single field from a caller-only conversation
+async function extract(field, ...callerLines) {
+  const { extracted } = await analyzer.analyze({
+    transcripts: turns(...callerLines.map((line) => ['user', line])),
+    schema: { type: 'object', properties: { [field.name]: field } },
+    startedAt,
+  });
+  return extracted[field.name];
+}
+
+test('analyze summarizes intent, sentiment and action items', async () => {
+  const result = await analyzer.analyze({
+    transcripts: turns(
+      ['user', "Hi, I'd like to book an appointment for next week."],
+      ['assistant', 'Of course. What day suits you?'],
+      ['user', 'Thursday works, thanks, that is great.'],
+      ['assistant', "I'll send you a confirmation email shortly. Goodbye!"],
+    ),
+    schema: null,
+    startedAt,
+  });
+
+  assert.equal(result.intent, 'book appointment');
+  assert.match(result.summary, /^Caller intent: book appointment\./);
+  assert.match(result.summary, /The assistant ended with: "I'll send you a confirmation email shortly\. Goodbye!"/);
+  assert.match(result.summary, /2 caller turns\.$/);
+  assert.deepEqual(result.sentimentTrajectory.map((point) => point.turn), [1, 2]);
+  assert.ok(result.sentimentScore > 0, `expected positive sentiment, got ${result.sentimentScore}`);
+  assert.deepEqual(result.actionItems, ["I'll send you a confirmation email shortly."]);
+  assert.deepEqual(result.extracted, {});
+});
+
+test('negated sentiment words count against the caller', async () => {
+  const result = await analyzer.analyze({
+    transcripts: turns(['user', 'I am not happy with this at all, it is terrible.']),
+    schema: null,
+    startedAt,
+  });
+
+  assert.ok(result.sentimentScore < 0, `expected negative sentiment, got ${result.sentimentScore}`);
+});
+
+test('a call with no caller turns is a neutral general inquiry', async () => {
+  const result = await analyzer.analyze({
+    transcripts: turns(['assistant', 'Hello, how can I help?']),
+    schema: null,
+    startedAt,
+  });
+
+  assert.equal(result.intent, 'general inquiry');
+  assert.equal(result.sentimentScore, 0);
+  assert.deepEqual(result.sentimentTrajectory, []);
+});
+
+test('booleans are true when mentioned, false when negated and null when not mentioned', async () => {
+  const callback = { name: 'callback_requested', type: 'boolean', examples: ['call me back'] };
+  assert.equal(await extract(callback, 'Could you call me back this afternoon?'), true);
+  assert.equal(await extract(callback, 'No need to call me back, thanks.'), false);
+  assert.equal(await extract(callback, 'That is all I needed.'), null);
+
+  // Without examples the field name's words are the keywords
+  const newsletter = { name: 'wants_newsletter', type: 'boolean' };
+  assert.equal(await extract(newsletter, 'Sign me up for the newsletter.'), true);
+  assert.equal(await extract(newsletter, "I don't want the newsletter."), false);
+});
+
+test('relative dates resolve against the call date', async () => {
+  const date = { name: 'appointment_date', type: 'string', format: 'date' };
+  assert.equal(await extract(date, 'Can I come in today?'), '2026-10-19');
+  assert.equal(await extract(date, 'Tomorrow would be best.'), '2026-10-20');
+  assert.equal(await extract(date, 'How about the day after tomorrow?'), '2026-10-21');
+  assert.equal(await extract(date, 'Friday please.'), '2026-10-23');
+  // The call's own weekday means next week
+  assert.equal(await extract(date, 'Monday please.'), '2026-10-26');
+});
+
+test('calendar dates assume the next occurrence', async () => {
+  const date = { name: 'appointment_date', type: 'string', format: 'date' };
+  assert.equal(await extract(date, 'November 5th works.'), '2026-11-05');
+  assert.equal(await extract(date, 'The 3rd of March.'), '2027-03-03');
+  assert.equal(await extract(date, 'On 2026-12-01.'), '2026-12-01');
+  assert.equal(await extract(date, 'November 31st.'), null);
+  // The last date mentioned wins
+  assert.equal(await extract(date, 'Tuesday is out.', 'Make it Thursday.'), '2026-10-22');
+});
+
+test('12-hour and 24-hour times are normalized to HH:MM', async () => {
+  const time = { name: 'appointment_time', type: 'string', format: 'time' };
+  assert.equal(await extract(time, 'At 3pm.'), '15:00');
+  assert.equal(await extract(time, 'Around 9:30 a.m. if possible.'), '09:30');
+  assert.equal(await extract(time, '12 pm is fine.'), '12:00');
+  assert.equal(await extract(time, 'Even 12am works.'), '00:00');
+  assert.equal(await extract(time, 'Let us say 14:45.'), '14:45');
+  assert.equal(await extract(time, 'Maybe 7:05?'), '07:05');
+  assert.equal(await extract(time, 'Whenever suits you.'), null);
+});
+
+test('date-time fields need a date and a time in the same sentence', async () => {
+  const when = { name: 'callback_at', type: 'string', format: 'date-time' };
+  assert.equal(await extract(when, 'Call me tomorrow at 4pm.'), '2026-10-20T16:00');
+  assert.equal(await extract(when, 'Call me tomorrow.', 'Any time after 4pm.'), null);
+});
+
+test('enums match whole allowed values only', async () => {
+  const department = { name: 'department', type: 'string', enum: ['sales', 'support', 'billing'] };
+  assert.equal(await extract(department, 'I need support with my router.'), 'support');
+  assert.equal(await extract(department, 'Billing, please. Or maybe sales.'), 'billing');
+  assert.equal(await extract(department, 'You have been very supportive.'), null);
+});
+
+test('numbers are taken nearest the field mention', async () => {
+  const partySize = { name: 'party_size', type: 'integer' };
+  assert.equal(await extract(partySize, 'A table at 7pm for a party of four.'), 4);
+  assert.equal(await extract(partySize, 'We are a party of 12.'), 12);
+});
+
+test('emails, phone numbers and names come from the caller', async () => {
+  assert.equal(await extract({ name: 'email', type: 'string' }, 'It is jane.doe+calls@example.com.'), 'jane.doe+calls@example.com');
+  assert.equal(await extract({ name: 'phone_number', type: 'string' }, 'Reach me on (555) 123-4567.'), '5551234567');
+  assert.equal(await extract({ name: 'caller_name', type: 'string' }, 'Hi, my name is Jane Doe.'), 'Jane Doe');
+});